@@ -17,6 +17,7 @@ import {
   initializeSubscriptionScheduler,
   runManualCheck,
 } from "./cronjobs/subscriptionScheduler.js";
+import { initializeInventoryScheduler } from "./cronjobs/inventoryScheduler.js";
 
 dotenv.config();
 const app = express();
@@ -60,6 +61,9 @@ app.use(passport.initialize());
 // Initialize subscription scheduler on server startup
 initializeSubscriptionScheduler();
 
+// Initialize inventory scheduler (low stock alerts, reservation and batch expiry)
+initializeInventoryScheduler();
+
 app.get("/api/healthz", (req, res) => {
   res.json({
     success: true,
@@ -0,0 +1,18 @@
+// constants/permissions.js
+
+/**
+ * menu_key values of tbl_menus that the API checks permissions against
+ */
+export const MENU_KEYS = {
+  INVENTORY: "inventory",
+};
+
+/**
+ * Permission actions, matching the can_* columns of tbl_role_permissions
+ */
+export const PERMISSION_ACTIONS = {
+  READ: "read",
+  ADD: "add",
+  UPDATE: "update",
+  DELETE: "delete",
+};
@@ -0,0 +1,47 @@
+// inventoryScheduler.js
+import cron from "node-cron";
+import {
+  checkBatchExpiry,
+  checkLowStockLevels,
+  expireStaleReservations,
+} from "../services/schedulers/inventoryService.js";
+
+/**
+ * Initialize all inventory-related cron jobs
+ */
+export function initializeInventoryScheduler() {
+  // Run daily at 8:00 AM - Check reorder levels and send low stock alerts
+  cron.schedule("0 8 * * *", async () => {
+    console.log("🕐 Running low stock check...");
+    try {
+      await checkLowStockLevels();
+      console.log("✅ Low stock check completed");
+    } catch (error) {
+      console.error("❌ Error in low stock check:", error);
+    }
+  });
+
+  // Run daily at 7:30 AM - Alert branch users about expired / expiring lots
+  cron.schedule("30 7 * * *", async () => {
+    console.log("🕐 Running batch expiry check...");
+    try {
+      await checkBatchExpiry();
+      console.log("✅ Batch expiry check completed");
+    } catch (error) {
+      console.error("❌ Error in batch expiry check:", error);
+    }
+  });
+
+  // Run every 15 minutes - Expire stock reservations past their hold
+  cron.schedule("*/15 * * * *", async () => {
+    console.log("🕐 Running reservation expiry...");
+    try {
+      await expireStaleReservations();
+      console.log("✅ Reservation expiry completed");
+    } catch (error) {
+      console.error("❌ Error in reservation expiry:", error);
+    }
+  });
+
+  console.log("✅ Inventory scheduler initialized");
+}
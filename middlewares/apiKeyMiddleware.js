@@ -0,0 +1,118 @@
+// middlewares/apiKeyMiddleware.js
+import { verifyToken } from "./authMiddleware.js";
+import { authenticateApiKey } from "../modules/auth/service/apiKey.service.js";
+import { PERMISSION_ACTIONS } from "../constants/permissions.js";
+import { errorResponse } from "../utils/response.js";
+
+const METHOD_ACTIONS = {
+  GET: PERMISSION_ACTIONS.READ,
+  HEAD: PERMISSION_ACTIONS.READ,
+  POST: PERMISSION_ACTIONS.ADD,
+  PUT: PERMISSION_ACTIONS.UPDATE,
+  PATCH: PERMISSION_ACTIONS.UPDATE,
+  DELETE: PERMISSION_ACTIONS.DELETE,
+};
+
+const BRANCH_BODY_FIELDS = [
+  "branch_uuid",
+  "from_branch_uuid",
+  "to_branch_uuid",
+];
+
+// "x-api-key: <key>" or "Authorization: ApiKey <key>"
+const readApiKey = (req) => {
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+  return scheme === "ApiKey" ? value : null;
+};
+
+/**
+ * Authenticate a tenant API key and check its scope for `menuKey`:
+ * GET → read, POST → add, PUT/PATCH → update, DELETE → delete.
+ * Branch-scoped keys are only accepted on routes addressed by
+ * `:branchUuid`, and only for their own branch: documents reached by
+ * their own UUID and tenant-wide routes could belong to any branch.
+ */
+export const verifyApiKey = (menuKey) => async (req, res, next) => {
+  const apiKey = readApiKey(req);
+  if (!apiKey) return errorResponse(res, "API key missing", 401);
+
+  let key;
+  try {
+    key = await authenticateApiKey({
+      apiKey,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.message, err.status);
+    console.error("❌ verifyApiKey error:", err);
+    return errorResponse(res, "Authentication failed", 401);
+  }
+
+  const action = METHOD_ACTIONS[req.method];
+  if (!key.permissions[menuKey]?.[action]) {
+    return errorResponse(
+      res,
+      `API key is not allowed to ${action} ${menuKey}`,
+      403
+    );
+  }
+
+  if (key.branch) {
+    if (!req.params.branchUuid) {
+      return errorResponse(
+        res,
+        "This endpoint is not available to branch-scoped API keys",
+        403
+      );
+    }
+
+    if (typeof req.body?.data === "string") {
+      return errorResponse(
+        res,
+        "Branch-scoped API keys must send plain JSON bodies",
+        400
+      );
+    }
+
+    const named = [
+      req.params.branchUuid,
+      req.query.branchUuid,
+      ...BRANCH_BODY_FIELDS.map((field) => req.body?.[field]),
+    ].filter(Boolean);
+
+    if (named.some((uuid) => uuid !== key.branch.branch_uuid)) {
+      return errorResponse(res, "API key is limited to another branch", 403);
+    }
+  }
+
+  // Same shape as verifyToken, without a human user behind it
+  req.user = {
+    tenant_uuid: key.tenant.tenant_uuid,
+    tenant_user_uuid: null,
+    api_key_uuid: key.key_uuid,
+  };
+  req.session = {
+    tenant_session_uuid: null,
+    tenant_user_id: null,
+    tenant_id: key.tenant.tenant_id,
+    tenant: key.tenant,
+  };
+  req.apiKey = key;
+
+  return next();
+};
+
+/**
+ * Drop-in replacement for verifyToken on routes that integrations
+ * may call: API key requests go through verifyApiKey, the rest
+ * through the usual session token.
+ */
+export const verifyTokenOrApiKey = (menuKey) => {
+  const apiKeyAuth = verifyApiKey(menuKey);
+
+  return (req, res, next) =>
+    readApiKey(req) ? apiKeyAuth(req, res, next) : verifyToken(req, res, next);
+};
@@ -3,6 +3,9 @@ import jwt from "jsonwebtoken";
 import prisma from "../config/prismaClient.js";
 import { errorResponse } from "../utils/response.js";
 
+// last_seen_at is refreshed at most once a minute per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
 export const verifyToken = async (req, res, next) => {
   try {
     const token =
@@ -37,6 +40,16 @@ export const verifyToken = async (req, res, next) => {
     if (!session)
       return errorResponse(res, "Tenant session expired or invalid", 401);
 
+    if (
+      !session.last_seen_at ||
+      Date.now() - session.last_seen_at > LAST_SEEN_RESOLUTION_MS
+    ) {
+      await prisma.tbl_tenant_sessions.update({
+        where: { tenant_session_id: session.tenant_session_id },
+        data: { last_seen_at: new Date() },
+      });
+    }
+
     req.user = {
       ...decoded,
       tenant_session_uuid: tenantSessionUUID,
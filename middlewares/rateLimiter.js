@@ -10,3 +10,16 @@ export const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+// Second-factor checks (login step 2, 2FA disable / recovery codes):
+// a 6-digit code must not be guessable from one address
+export const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 min
+  max: 20, // requests per IP
+  message: {
+    success: false,
+    message: "Too many two-factor attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -0,0 +1,43 @@
+// middlewares/uploadMiddleware.js
+import multer from "multer";
+import { httpError } from "../utils/httpError.js";
+
+const MAX_SPREADSHEET_BYTES = 5 * 1024 * 1024;
+const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const name = file.originalname.toLowerCase();
+
+    if (!SPREADSHEET_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+      return callback(httpError(400, "Only .csv and .xlsx files are accepted"));
+    }
+
+    return callback(null, true);
+  },
+}).single("file");
+
+/**
+ * Accept one CSV/XLSX upload in the `file` field (kept in memory as
+ * req.file.buffer). Other multipart fields end up in req.body as strings.
+ */
+export const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return next(
+        httpError(
+          400,
+          error.code === "LIMIT_FILE_SIZE"
+            ? "File must be at most 5 MB"
+            : error.message
+        )
+      );
+    }
+
+    return next(error);
+  });
+};
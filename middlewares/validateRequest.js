@@ -0,0 +1,20 @@
+import { validationResult } from "express-validator";
+import { validationErrorResponse } from "../utils/response.js";
+
+/**
+ * Run after express-validator chains (and after cryptoMiddleware, so the
+ * body is already decrypted). Stops the request with a 400 when any
+ * validator failed.
+ */
+export const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(
+      res,
+      errors.array().map((e) => ({ field: e.path, message: e.msg }))
+    );
+  }
+
+  return next();
+};
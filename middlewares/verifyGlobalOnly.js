@@ -3,6 +3,9 @@ import jwt from "jsonwebtoken";
 import prisma from "../config/prismaClient.js";
 import { errorResponse } from "../utils/response.js";
 
+// last_seen_at is refreshed at most once a minute per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
 export const verifyGlobalOnly = async (req, res, next) => {
   try {
     const token =
@@ -39,6 +42,16 @@ export const verifyGlobalOnly = async (req, res, next) => {
 
       if (!gs) return errorResponse(res, "Global session expired", 401);
 
+      if (
+        !gs.last_seen_at ||
+        Date.now() - gs.last_seen_at > LAST_SEEN_RESOLUTION_MS
+      ) {
+        await prisma.tbl_global_sessions.update({
+          where: { session_id: gs.session_id },
+          data: { last_seen_at: new Date() },
+        });
+      }
+
       req.globalSession = gs;
     }
 
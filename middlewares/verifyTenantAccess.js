@@ -0,0 +1,20 @@
+// middlewares/verifyTenantAccess.js
+import { errorResponse } from "../utils/response.js";
+
+/**
+ * Ensure the :tenantUuid route param matches the tenant of the
+ * authenticated session. Must run after verifyToken.
+ */
+export const verifyTenantAccess = (req, res, next) => {
+  const { tenantUuid } = req.params;
+
+  if (!tenantUuid) {
+    return errorResponse(res, "Tenant UUID is required", 400);
+  }
+
+  if (!req.user?.tenant_uuid || req.user.tenant_uuid !== tenantUuid) {
+    return errorResponse(res, "Unauthorized tenant access", 403);
+  }
+
+  return next();
+};
@@ -9,22 +9,35 @@ import {
   getTenantsForEmailController,
   sendPasswordResetForTenantController,
   logoutGlobalSession,
+  refreshSessionController,
 } from "./controller/auth.controller.js";
 import { verifyToken } from "../../middlewares/authMiddleware.js";
 import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+import { twoFactorLimiter } from "../../middlewares/rateLimiter.js";
 import {
   changePasswordValidation,
+  createApiKeyValidation,
+  loginTwoFactorSetupValidation,
+  magicLinkConsumeValidation,
+  magicLinkRequestValidation,
   registerValidation,
   resendVerificationValidation,
+  twoFactorChallengeValidation,
+  twoFactorCodeValidation,
+  twoFactorPolicyValidation,
 } from "./auth.validation.js";
 import passport from "passport";
 import { generateToken } from "../../utils/generateToken.js";
 import { verifyGlobalOnly } from "../../middlewares/verifyGlobalOnly.js";
 import prisma from "../../config/prismaClient.js";
 import {
+  consumeMagicLinkController,
   getTenantSelectionController,
   loginStep1Controller,
   loginStep2Controller,
+  requestMagicLinkController,
 } from "./controller/login.controller.js";
 import {
   registerTenantController,
@@ -32,6 +45,28 @@ import {
   resendVerificationController,
   verifyEmailController,
 } from "./controller/register.controller.js";
+import {
+  disableTwoFactorController,
+  enableTwoFactorController,
+  getTwoFactorStatusController,
+  regenerateRecoveryCodesController,
+  resetUserTwoFactorController,
+  setTwoFactorPolicyController,
+  startLoginTwoFactorSetupController,
+  startTwoFactorSetupController,
+} from "./controller/twoFactor.controller.js";
+import {
+  createApiKeyController,
+  listApiKeysController,
+  revokeApiKeyController,
+} from "./controller/apiKey.controller.js";
+import {
+  forceLogoutUserController,
+  listSessionsController,
+  revokeGlobalSessionController,
+  revokeOtherSessionsController,
+  revokeTenantSessionController,
+} from "./controller/session.controller.js";
 
 const router = Router();
 // --------------------------------------------------------
@@ -39,6 +74,25 @@ const router = Router();
 // --------------------------------------------------------
 router.post("/login/step1", cryptoMiddleware, loginStep1Controller);
 
+// --------------------------------------------------------
+// STEP 1 (PASSWORDLESS): emailed single-use link → same
+// identity/global session as email + password
+// --------------------------------------------------------
+router.post(
+  "/magic-link/request",
+  cryptoMiddleware,
+  magicLinkRequestValidation,
+  validateRequest,
+  requestMagicLinkController
+);
+router.post(
+  "/magic-link/consume",
+  cryptoMiddleware,
+  magicLinkConsumeValidation,
+  validateRequest,
+  consumeMagicLinkController
+);
+
 router.get(
   "/tenant-select",
   verifyGlobalOnly,
@@ -47,15 +101,27 @@ router.get(
 );
 
 // --------------------------------------------------------
-// STEP 2: Select Tenant → creates tenant session + JWT
+// STEP 2: Select Tenant (+ TOTP code when 2FA is on)
+//         → creates tenant session + JWT
 // --------------------------------------------------------
 router.post(
   "/login/step2",
+  twoFactorLimiter,
   verifyGlobalOnly,
   cryptoMiddleware,
   loginStep2Controller
 );
 
+// Tenant requires 2FA but the user has none yet → enroll before step 2
+router.post(
+  "/login/2fa/setup",
+  verifyGlobalOnly,
+  cryptoMiddleware,
+  loginTwoFactorSetupValidation,
+  validateRequest,
+  startLoginTwoFactorSetupController
+);
+
 // --------------------------------------------------------
 // GOOGLE LOGIN
 // --------------------------------------------------------
@@ -212,6 +278,11 @@ router.get(
   getSessionController
 );
 
+// --------------------------------------------------------
+// TENANT REFRESH: rotate refresh token → new access token
+// --------------------------------------------------------
+router.post("/refresh", cryptoMiddleware, refreshSessionController);
+
 // --------------------------------------------------------
 // TENANT LOGOUT
 // --------------------------------------------------------
@@ -239,6 +310,117 @@ router.get(
   }
 );
 
+// --------------------------------------------------------
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// --------------------------------------------------------
+router.get("/2fa", verifyToken, cryptoMiddleware, getTwoFactorStatusController);
+router.post(
+  "/2fa/setup",
+  verifyToken,
+  cryptoMiddleware,
+  startTwoFactorSetupController
+);
+router.post(
+  "/2fa/enable",
+  twoFactorLimiter,
+  verifyToken,
+  cryptoMiddleware,
+  twoFactorCodeValidation,
+  validateRequest,
+  enableTwoFactorController
+);
+router.post(
+  "/2fa/disable",
+  twoFactorLimiter,
+  verifyToken,
+  cryptoMiddleware,
+  twoFactorChallengeValidation,
+  validateRequest,
+  disableTwoFactorController
+);
+router.post(
+  "/2fa/recovery-codes",
+  twoFactorLimiter,
+  verifyToken,
+  cryptoMiddleware,
+  twoFactorChallengeValidation,
+  validateRequest,
+  regenerateRecoveryCodesController
+);
+router.put(
+  "/2fa/policy/:tenantUuid",
+  verifyToken,
+  verifyTenantAccess,
+  cryptoMiddleware,
+  twoFactorPolicyValidation,
+  validateRequest,
+  setTwoFactorPolicyController
+);
+router.delete(
+  "/2fa/users/:tenantUuid/:userUuid",
+  verifyToken,
+  verifyTenantAccess,
+  cryptoMiddleware,
+  resetUserTwoFactorController
+);
+
+// --------------------------------------------------------
+// API KEYS: machine-to-machine access, managed by owners
+// --------------------------------------------------------
+router.get(
+  "/api-keys/:tenantUuid",
+  verifyToken,
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listApiKeysController
+);
+router.post(
+  "/api-keys/:tenantUuid",
+  verifyToken,
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createApiKeyValidation,
+  validateRequest,
+  createApiKeyController
+);
+router.delete(
+  "/api-keys/:tenantUuid/:keyUuid",
+  verifyToken,
+  verifyTenantAccess,
+  cryptoMiddleware,
+  revokeApiKeyController
+);
+
+// --------------------------------------------------------
+// SESSIONS: my devices, remote sign-out, owner force-logout
+// --------------------------------------------------------
+router.get("/sessions", verifyToken, cryptoMiddleware, listSessionsController);
+router.post(
+  "/sessions/revoke-others",
+  verifyToken,
+  cryptoMiddleware,
+  revokeOtherSessionsController
+);
+router.delete(
+  "/sessions/tenant/:sessionUuid",
+  verifyToken,
+  cryptoMiddleware,
+  revokeTenantSessionController
+);
+router.delete(
+  "/sessions/global/:sessionUuid",
+  verifyToken,
+  cryptoMiddleware,
+  revokeGlobalSessionController
+);
+router.post(
+  "/sessions/:tenantUuid/users/:userUuid/logout",
+  verifyToken,
+  verifyTenantAccess,
+  cryptoMiddleware,
+  forceLogoutUserController
+);
+
 //Signup & Onboarding
 router.post(
   "/signup",
@@ -1,4 +1,5 @@
 import { body } from "express-validator";
+import { MAX_EXPIRY_DAYS } from "./service/apiKey.service.js";
 
 export const registerValidation = [
   body("user_name").notEmpty().withMessage("User name is required"),
@@ -25,3 +26,88 @@ export const changePasswordValidation = [
     .isLength({ min: 6 })
     .withMessage("New password must be at least 6 characters"),
 ];
+
+// Two-factor
+export const twoFactorCodeValidation = [
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be the 6 digits shown in your authenticator"),
+];
+
+export const twoFactorChallengeValidation = [
+  body("code")
+    .optional({ values: "falsy" })
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be the 6 digits shown in your authenticator"),
+  body("recovery_code").optional({ values: "falsy" }).isString(),
+  body().custom((value) => {
+    if (!value?.code && !value?.recovery_code) {
+      throw new Error("A two-factor code or recovery code is required");
+    }
+    return true;
+  }),
+];
+
+export const twoFactorPolicyValidation = [
+  body("required")
+    .isBoolean({ strict: true })
+    .withMessage("required must be true or false"),
+];
+
+export const loginTwoFactorSetupValidation = [
+  body("tenant_user_uuid")
+    .notEmpty()
+    .withMessage("tenant_user_uuid is required"),
+];
+
+// Magic link
+export const magicLinkRequestValidation = [
+  body("email").isEmail().withMessage("Valid email is required"),
+];
+
+export const magicLinkConsumeValidation = [
+  body("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid sign-in link"),
+];
+
+// API keys
+export const createApiKeyValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name is required (max 100 characters)"),
+  body("permissions")
+    .isArray({ min: 1 })
+    .withMessage("At least one menu permission is required"),
+  body("permissions.*.menu_key")
+    .isString()
+    .notEmpty()
+    .withMessage("menu_key is required"),
+  body(["read", "add", "update", "delete"].map((a) => `permissions.*.${a}`))
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Permission flags must be true or false"),
+  body("permissions").custom((permissions) => {
+    const keys = permissions.map((p) => p?.menu_key);
+    if (new Set(keys).size !== keys.length) {
+      throw new Error("Each menu may only be listed once");
+    }
+    if (
+      permissions.some((p) => !(p?.read || p?.add || p?.update || p?.delete))
+    ) {
+      throw new Error("Each menu needs at least one allowed action");
+    }
+    return true;
+  }),
+  body("branch_uuid")
+    .optional({ values: "null" })
+    .isLength({ min: 8, max: 8 })
+    .withMessage("Invalid branch_uuid"),
+  body("expires_in_days")
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}`)
+    .toInt(),
+];
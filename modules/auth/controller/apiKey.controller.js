@@ -0,0 +1,69 @@
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../service/apiKey.service.js";
+import { successResponse } from "../../../utils/response.js";
+
+/* ============================================================
+   GET /api/auth/api-keys/:tenantUuid → tenant's keys (no secrets)
+   ============================================================ */
+export const listApiKeysController = async (req, res, next) => {
+  try {
+    const keys = await listApiKeys({
+      tenant_uuid: req.params.tenantUuid,
+      tenant_user_uuid: req.user.tenant_user_uuid,
+    });
+
+    return successResponse(res, "API keys fetched", keys);
+  } catch (error) {
+    console.error("❌ listApiKeys error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/api-keys/:tenantUuid → new key, shown once
+   ============================================================ */
+export const createApiKeyController = async (req, res, next) => {
+  try {
+    const { name, permissions, branch_uuid, expires_in_days } = req.body;
+
+    const key = await createApiKey({
+      tenant_uuid: req.params.tenantUuid,
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      name,
+      permissions,
+      branch_uuid,
+      expires_in_days,
+    });
+
+    return successResponse(
+      res,
+      "API key created. Copy it now, it will not be shown again.",
+      key,
+      201
+    );
+  } catch (error) {
+    console.error("❌ createApiKey error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   DELETE /api/auth/api-keys/:tenantUuid/:keyUuid → revoke
+   ============================================================ */
+export const revokeApiKeyController = async (req, res, next) => {
+  try {
+    const key = await revokeApiKey({
+      tenant_uuid: req.params.tenantUuid,
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      key_uuid: req.params.keyUuid,
+    });
+
+    return successResponse(res, "API key revoked", key);
+  } catch (error) {
+    console.error("❌ revokeApiKey error:", error);
+    next(error);
+  }
+};
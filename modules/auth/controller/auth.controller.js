@@ -8,6 +8,12 @@ import {
   requestPasswordResetForTenantUser,
   invalidateGlobalSession,
 } from "../service/auth.service.js";
+import {
+  ACCESS_TOKEN_MAX_AGE_MS,
+  REFRESH_COOKIE_PATH,
+  REFRESH_TOKEN_TTL_MS,
+  rotateRefreshToken,
+} from "../service/refreshToken.service.js";
 import { successResponse, errorResponse } from "../../../utils/response.js";
 import prisma from "../../../config/prismaClient.js";
 
@@ -50,12 +56,18 @@ export const logoutController = async (req, res) => {
       await invalidateTenantSession(tenant_session_uuid);
     }
 
-    // Clear cookie
+    // Clear cookies
     res.clearCookie("token", {
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
       sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
     });
+    res.clearCookie("refresh_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
+      path: REFRESH_COOKIE_PATH,
+    });
 
     return successResponse(res, "Logged out successfully");
   } catch (error) {
@@ -64,6 +76,63 @@ export const logoutController = async (req, res) => {
   }
 };
 
+/* ============================================================
+   REFRESH → ROTATE REFRESH TOKEN, ISSUE NEW ACCESS TOKEN
+   Browsers send the refresh_token cookie; other clients may send
+   { refresh_token } and get the next one back in the body.
+   ============================================================ */
+export const refreshSessionController = async (req, res) => {
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
+  };
+
+  try {
+    const fromBody = !req.cookies?.refresh_token;
+    const refreshToken = req.cookies?.refresh_token || req.body?.refresh_token;
+
+    if (!refreshToken) {
+      return errorResponse(res, "Refresh token missing", 401);
+    }
+
+    const { token, refresh_token, payload } = await rotateRefreshToken({
+      refreshToken,
+      ip: req.ip,
+    });
+
+    res.cookie("token", token, {
+      ...cookieOptions,
+      maxAge: ACCESS_TOKEN_MAX_AGE_MS,
+    });
+    res.cookie("refresh_token", refresh_token, {
+      ...cookieOptions,
+      path: REFRESH_COOKIE_PATH,
+      maxAge: REFRESH_TOKEN_TTL_MS,
+    });
+
+    return successResponse(res, "Session refreshed", {
+      ...payload,
+      ...(fromBody && { refresh_token }),
+    });
+  } catch (error) {
+    console.error("❌ refreshSessionController error:", error);
+
+    // A dead refresh token must not be retried
+    res.clearCookie("token", cookieOptions);
+    res.clearCookie("refresh_token", {
+      ...cookieOptions,
+      path: REFRESH_COOKIE_PATH,
+    });
+
+    return errorResponse(
+      res,
+      error.status ? error.message : "Session refresh failed",
+      error.status || 500
+    );
+  }
+};
+
 export const logoutGlobalSession = async (req, res) => {
   try {
     const global_session_uuid = req.global.global_session_uuid;
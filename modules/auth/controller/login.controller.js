@@ -4,6 +4,19 @@ import {
   finalizeTenantLogin,
   validateGlobalSession,
 } from "../service/login.service.js";
+import {
+  consumeMagicLink,
+  requestMagicLink,
+} from "../service/magicLink.service.js";
+import {
+  getTwoFactorEnabledUserUuids,
+  verifyLoginSecondFactor,
+} from "../service/twoFactor.service.js";
+import {
+  ACCESS_TOKEN_MAX_AGE_MS,
+  REFRESH_COOKIE_PATH,
+  REFRESH_TOKEN_TTL_MS,
+} from "../service/refreshToken.service.js";
 import { successResponse, errorResponse } from "../../../utils/response.js";
 import prisma from "../../../config/prismaClient.js";
 import { generateToken } from "../../../utils/generateToken.js";
@@ -54,9 +67,17 @@ export const loginStep1Controller = async (req, res) => {
       maxAge: 7 * 24 * 60 * 60 * 1000,
     });
 
-    // Step 4: Return ALL tenants (not only matched ones)
+    // Step 4: Flag tenants that will ask for a TOTP code in step 2
+    const twoFactorEnabled = await getTwoFactorEnabledUserUuids(
+      authResult.allTenants.map((t) => t.tenant_user_uuid)
+    );
+
+    // Step 5: Return ALL tenants (not only matched ones)
     return successResponse(res, "Authenticated", {
-      tenants: authResult.allTenants,
+      tenants: authResult.allTenants.map((t) => ({
+        ...t,
+        two_factor_enabled: twoFactorEnabled.has(t.tenant_user_uuid),
+      })),
       global_session_uuid: globalSession.global_session_uuid,
     });
   } catch (error) {
@@ -82,11 +103,21 @@ export const getTenantSelectionController = async (req, res, next) => {
     const tenantAccounts = await prisma.tbl_tenant_users.findMany({
       where: { user_email: email },
       include: {
-        tenant: { select: { tenant_uuid: true, tenant_name: true } },
+        tenant: {
+          select: {
+            tenant_uuid: true,
+            tenant_name: true,
+            two_factor_required: true,
+          },
+        },
         userRoles: { include: { role: true } },
       },
     });
 
+    const twoFactorEnabled = await getTwoFactorEnabledUserUuids(
+      tenantAccounts.map((acc) => acc.tenant_user_uuid)
+    );
+
     // 3️⃣ Build response
     const tenants = tenantAccounts.map((acc) => ({
       tenant_user_uuid: acc.tenant_user_uuid,
@@ -102,6 +133,10 @@ export const getTenantSelectionController = async (req, res, next) => {
       // allowedToEnter → user can select this tenant
       allowed: matchedUUIDs.includes(acc.tenant_user_uuid),
 
+      // step 2 asks for a TOTP code (or a setup, when the tenant requires it)
+      two_factor_enabled: twoFactorEnabled.has(acc.tenant_user_uuid),
+      two_factor_required: !!acc.tenant?.two_factor_required,
+
       // roles
       roles: acc.userRoles.map((ur) => ur.role.role_name),
     }));
@@ -123,7 +158,7 @@ export const getTenantSelectionController = async (req, res, next) => {
 export const loginStep2Controller = async (req, res, next) => {
   try {
     const { global_session_uuid, email } = req.global;
-    const { tenant_user_uuid } = req.body;
+    const { tenant_user_uuid, totp_code, recovery_code } = req.body;
 
     if (!global_session_uuid || !tenant_user_uuid) {
       return errorResponse(
@@ -133,7 +168,15 @@ export const loginStep2Controller = async (req, res, next) => {
       );
     }
 
-    const { token, payload } = await finalizeTenantLogin({
+    // Second factor must pass before any tenant session exists
+    const secondFactor = await verifyLoginSecondFactor({
+      global_session_uuid,
+      tenant_user_uuid,
+      totp_code: totp_code || null,
+      recovery_code: recovery_code || null,
+    });
+
+    const { token, refresh_token, payload } = await finalizeTenantLogin({
       global_session_uuid,
       tenant_user_uuid,
       ip: req.ip,
@@ -144,12 +187,89 @@ export const loginStep2Controller = async (req, res, next) => {
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
       sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
-      maxAge: 24 * 60 * 60 * 1000,
+      maxAge: ACCESS_TOKEN_MAX_AGE_MS,
+    });
+    res.cookie("refresh_token", refresh_token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
+      path: REFRESH_COOKIE_PATH,
+      maxAge: REFRESH_TOKEN_TTL_MS,
     });
 
-    return successResponse(res, "Login successful", payload);
+    return successResponse(res, "Login successful", {
+      ...payload,
+      two_factor: secondFactor,
+    });
   } catch (error) {
     console.error("❌ loginStep2Controller error:", error);
     return next(error);
   }
 };
+
+/* ============================================================
+   MAGIC LINK → REQUEST (email a single-use sign-in link)
+   ============================================================ */
+export const requestMagicLinkController = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    await requestMagicLink({
+      email: email.trim().toLowerCase(),
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (error) {
+    // Same answer either way — do not leak whether the email exists
+    console.error("❌ requestMagicLinkController error:", error);
+  }
+
+  return successResponse(
+    res,
+    "If an account exists for this email, a sign-in link has been sent"
+  );
+};
+
+/* ============================================================
+   MAGIC LINK → CONSUME → GLOBAL_SESSION_UUID (same as STEP 1)
+   ============================================================ */
+export const consumeMagicLinkController = async (req, res, next) => {
+  try {
+    const result = await consumeMagicLink({
+      token: req.body.token,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+
+    const globalJwt = generateToken(
+      {
+        email: result.email,
+        global_user_id: result.global_user_id.toString(),
+        global_session_uuid: result.global_session_uuid,
+      },
+      "7d"
+    );
+
+    res.cookie("global_token", globalJwt, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
+      maxAge: 7 * 24 * 60 * 60 * 1000,
+    });
+
+    const twoFactorEnabled = await getTwoFactorEnabledUserUuids(
+      result.tenants.map((t) => t.tenant_user_uuid)
+    );
+
+    return successResponse(res, "Authenticated", {
+      tenants: result.tenants.map((t) => ({
+        ...t,
+        two_factor_enabled: twoFactorEnabled.has(t.tenant_user_uuid),
+      })),
+      global_session_uuid: result.global_session_uuid,
+    });
+  } catch (error) {
+    console.error("❌ consumeMagicLinkController error:", error);
+    return next(error);
+  }
+};
@@ -7,6 +7,11 @@ import { successResponse, errorResponse } from "../../../utils/response.js";
 import prisma from "../../../config/prismaClient.js";
 import jwt from "jsonwebtoken";
 import { generateToken } from "../../../utils/generateToken.js";
+import {
+  ACCESS_TOKEN_MAX_AGE_MS,
+  REFRESH_COOKIE_PATH,
+  REFRESH_TOKEN_TTL_MS,
+} from "../service/refreshToken.service.js";
 import { createGlobalSession } from "../service/login.service.js";
 
 /**
@@ -55,6 +60,8 @@ export const registerUserController = async (req, res) => {
       const globalSession = await createGlobalSession({
         email,
         tenantUserUuids: [result.tenant_user_uuid],
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
       });
 
       // Create global token
@@ -183,6 +190,8 @@ export const verifyEmailController = async (req, res) => {
       const globalSession = await createGlobalSession({
         email: user.user_email,
         tenantUserUuids: [user.tenant_user_uuid],
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
       });
 
       // Create global token
@@ -221,7 +230,7 @@ export const verifyEmailController = async (req, res) => {
  */
 export const registerTenantController = async (req, res) => {
   try {
-    const { token, result } = await registerTenantForUser(
+    const { token, refresh_token, result } = await registerTenantForUser(
       req.params.userUuid,
       req.body,
       req
@@ -231,7 +240,14 @@ export const registerTenantController = async (req, res) => {
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
       sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
-      maxAge: 24 * 60 * 60 * 1000,
+      maxAge: ACCESS_TOKEN_MAX_AGE_MS,
+    });
+    res.cookie("refresh_token", refresh_token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
+      path: REFRESH_COOKIE_PATH,
+      maxAge: REFRESH_TOKEN_TTL_MS,
     });
 
     return successResponse(res, "Tenant registered successfully", result, 200);
@@ -0,0 +1,131 @@
+import jwt from "jsonwebtoken";
+import {
+  forceLogoutUser,
+  listUserSessions,
+  revokeGlobalSession,
+  revokeOtherSessions,
+  revokeTenantSession,
+} from "../service/session.service.js";
+import { REFRESH_COOKIE_PATH } from "../service/refreshToken.service.js";
+import { successResponse } from "../../../utils/response.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "None" : "Strict",
+};
+
+// The global session of this browser, if it still holds a valid global_token
+const currentGlobalSessionUuid = (req) => {
+  try {
+    const decoded = jwt.verify(
+      req.cookies?.global_token,
+      process.env.JWT_SECRET
+    );
+    return decoded.global_session_uuid || null;
+  } catch {
+    return null;
+  }
+};
+
+/* ============================================================
+   GET /api/auth/sessions → my tenant + global sessions
+   ============================================================ */
+export const listSessionsController = async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions({
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      tenant_session_uuid: req.user.tenant_session_uuid,
+      global_session_uuid: currentGlobalSessionUuid(req),
+    });
+
+    return successResponse(res, "Sessions fetched", sessions);
+  } catch (error) {
+    console.error("❌ listSessions error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   DELETE /api/auth/sessions/tenant/:sessionUuid
+   ============================================================ */
+export const revokeTenantSessionController = async (req, res, next) => {
+  try {
+    const result = await revokeTenantSession({
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      session_uuid: req.params.sessionUuid,
+    });
+
+    // Revoking this browser's own session is a logout
+    if (req.params.sessionUuid === req.user.tenant_session_uuid) {
+      res.clearCookie("token", cookieOptions);
+      res.clearCookie("refresh_token", {
+        ...cookieOptions,
+        path: REFRESH_COOKIE_PATH,
+      });
+    }
+
+    return successResponse(res, "Session revoked", result);
+  } catch (error) {
+    console.error("❌ revokeTenantSession error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   DELETE /api/auth/sessions/global/:sessionUuid
+   ============================================================ */
+export const revokeGlobalSessionController = async (req, res, next) => {
+  try {
+    const result = await revokeGlobalSession({
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      session_uuid: req.params.sessionUuid,
+    });
+
+    if (req.params.sessionUuid === currentGlobalSessionUuid(req)) {
+      res.clearCookie("global_token", cookieOptions);
+    }
+
+    return successResponse(res, "Session revoked", result);
+  } catch (error) {
+    console.error("❌ revokeGlobalSession error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/sessions/revoke-others → sign out other devices
+   ============================================================ */
+export const revokeOtherSessionsController = async (req, res, next) => {
+  try {
+    const result = await revokeOtherSessions({
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      tenant_session_uuid: req.user.tenant_session_uuid,
+      global_session_uuid: currentGlobalSessionUuid(req),
+    });
+
+    return successResponse(res, "Other sessions revoked", result);
+  } catch (error) {
+    console.error("❌ revokeOtherSessions error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/sessions/:tenantUuid/users/:userUuid/logout
+   → owner signs a user out everywhere in the tenant
+   ============================================================ */
+export const forceLogoutUserController = async (req, res, next) => {
+  try {
+    const result = await forceLogoutUser({
+      tenant_uuid: req.params.tenantUuid,
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      target_user_uuid: req.params.userUuid,
+    });
+
+    return successResponse(res, "User logged out", result);
+  } catch (error) {
+    console.error("❌ forceLogoutUser error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,152 @@
+import {
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  resetUserTwoFactor,
+  setTenantTwoFactorPolicy,
+  startLoginTwoFactorSetup,
+  startTwoFactorSetup,
+} from "../service/twoFactor.service.js";
+import { successResponse } from "../../../utils/response.js";
+
+/* ============================================================
+   GET /api/auth/2fa → status for the logged-in user
+   ============================================================ */
+export const getTwoFactorStatusController = async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.tenant_user_uuid);
+
+    return successResponse(res, "Two-factor status fetched", status);
+  } catch (error) {
+    console.error("❌ getTwoFactorStatus error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/2fa/setup → secret + otpauth URI (QR code)
+   ============================================================ */
+export const startTwoFactorSetupController = async (req, res, next) => {
+  try {
+    const setup = await startTwoFactorSetup(req.user.tenant_user_uuid);
+
+    return successResponse(res, "Scan the code with your authenticator", setup);
+  } catch (error) {
+    console.error("❌ startTwoFactorSetup error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/2fa/enable → confirm with a first code
+   ============================================================ */
+export const enableTwoFactorController = async (req, res, next) => {
+  try {
+    const result = await confirmTwoFactorSetup(
+      req.user.tenant_user_uuid,
+      req.body.code
+    );
+
+    return successResponse(
+      res,
+      "Two-factor authentication enabled. Store your recovery codes safely.",
+      result
+    );
+  } catch (error) {
+    console.error("❌ enableTwoFactor error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/2fa/disable
+   ============================================================ */
+export const disableTwoFactorController = async (req, res, next) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    const result = await disableTwoFactor(req.user.tenant_user_uuid, {
+      code,
+      recovery_code,
+    });
+
+    return successResponse(res, "Two-factor authentication disabled", result);
+  } catch (error) {
+    console.error("❌ disableTwoFactor error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/2fa/recovery-codes → replace all recovery codes
+   ============================================================ */
+export const regenerateRecoveryCodesController = async (req, res, next) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    const result = await regenerateRecoveryCodes(req.user.tenant_user_uuid, {
+      code,
+      recovery_code,
+    });
+
+    return successResponse(res, "New recovery codes generated", result);
+  } catch (error) {
+    console.error("❌ regenerateRecoveryCodes error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   PUT /api/auth/2fa/policy/:tenantUuid → owner makes 2FA mandatory
+   ============================================================ */
+export const setTwoFactorPolicyController = async (req, res, next) => {
+  try {
+    const result = await setTenantTwoFactorPolicy({
+      tenant_uuid: req.params.tenantUuid,
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      required: req.body.required,
+    });
+
+    return successResponse(res, "Two-factor policy updated", result);
+  } catch (error) {
+    console.error("❌ setTwoFactorPolicy error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   DELETE /api/auth/2fa/users/:tenantUuid/:userUuid → owner reset
+   ============================================================ */
+export const resetUserTwoFactorController = async (req, res, next) => {
+  try {
+    const result = await resetUserTwoFactor({
+      tenant_uuid: req.params.tenantUuid,
+      tenant_user_uuid: req.user.tenant_user_uuid,
+      target_user_uuid: req.params.userUuid,
+    });
+
+    return successResponse(res, "Two-factor authentication reset", result);
+  } catch (error) {
+    console.error("❌ resetUserTwoFactor error:", error);
+    next(error);
+  }
+};
+
+/* ============================================================
+   POST /api/auth/login/2fa/setup → enroll during login when the
+   tenant requires 2FA (confirmed by step 2's totp_code)
+   ============================================================ */
+export const startLoginTwoFactorSetupController = async (req, res, next) => {
+  try {
+    const setup = await startLoginTwoFactorSetup({
+      global_session_uuid: req.global.global_session_uuid,
+      tenant_user_uuid: req.body.tenant_user_uuid,
+    });
+
+    return successResponse(res, "Scan the code with your authenticator", setup);
+  } catch (error) {
+    console.error("❌ startLoginTwoFactorSetup error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,274 @@
+import crypto from "crypto";
+import prisma from "../../../config/prismaClient.js";
+import { httpError } from "../../../utils/httpError.js";
+import { generateShortUUID } from "../../../utils/generateUUID.js";
+import { PERMISSION_ACTIONS } from "../../../constants/permissions.js";
+
+/*
+ * A tenant API key lives in tbl_tokens as one API_KEY row:
+ *   token          → sha256 of the full key (the key itself is shown once)
+ *   tenant_user_id → owner who created it
+ *   expires_at     → expiry; revoking sets it to now
+ *   used_at, ip_address, user_agent → last use
+ *   metadata       → JSON { key_uuid, name, tenant_id, branch_id,
+ *                           permissions: { menu_key: { read, add, … } } }
+ */
+
+const KEY_PREFIX = "qk";
+export const DEFAULT_EXPIRY_DAYS = 90;
+export const MAX_EXPIRY_DAYS = 730;
+// Last-use tracking is written at most once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const parseMeta = (row) => JSON.parse(row.metadata || "{}");
+
+function formatApiKey(row, branches = new Map()) {
+  const meta = parseMeta(row);
+  const now = new Date();
+
+  return {
+    key_uuid: meta.key_uuid,
+    name: meta.name,
+    prefix: `${KEY_PREFIX}_${meta.key_uuid}`,
+    branch_uuid: meta.branch_id
+      ? branches.get(String(meta.branch_id)) || null
+      : null,
+    permissions: meta.permissions,
+    status: meta.revoked_on
+      ? "REVOKED"
+      : row.expires_at <= now
+        ? "EXPIRED"
+        : "ACTIVE",
+    expires_at: row.expires_at,
+    revoked_on: meta.revoked_on || null,
+    last_used_at: row.used_at,
+    last_used_ip: row.ip_address,
+    created_by: row.tenant_user?.user_name || null,
+    created_on: row.created_on,
+  };
+}
+
+/* ============================================================
+   1. OWNER CHECK
+   ============================================================ */
+async function findOwnerOrThrow(tenant_uuid, tenant_user_uuid) {
+  const owner = await prisma.tbl_tenant_users.findUnique({
+    where: { tenant_user_uuid },
+    select: {
+      tenant_user_id: true,
+      tenant_id: true,
+      is_owner: true,
+      tenant: { select: { tenant_uuid: true } },
+    },
+  });
+
+  if (!owner || owner.tenant?.tenant_uuid !== tenant_uuid) {
+    throw httpError(403, "Unauthorized tenant access");
+  }
+  if (!owner.is_owner) {
+    throw httpError(403, "Only owners can manage API keys");
+  }
+
+  return owner;
+}
+
+async function findTenantKeys(tenant_id) {
+  const rows = await prisma.tbl_tokens.findMany({
+    where: { token_type: "API_KEY", tenant_user: { tenant_id } },
+    include: { tenant_user: { select: { user_name: true } } },
+    orderBy: { created_on: "desc" },
+  });
+
+  const branchIds = [
+    ...new Set(rows.map((row) => parseMeta(row).branch_id).filter(Boolean)),
+  ];
+  const branches = await prisma.tbl_branches.findMany({
+    where: { branch_id: { in: branchIds.map((id) => BigInt(id)) } },
+    select: { branch_id: true, branch_uuid: true },
+  });
+
+  return {
+    rows,
+    branches: new Map(
+      branches.map((b) => [String(b.branch_id), b.branch_uuid])
+    ),
+  };
+}
+
+/* ============================================================
+   2. LIST / CREATE / REVOKE (OWNER ONLY)
+   ============================================================ */
+export async function listApiKeys({ tenant_uuid, tenant_user_uuid }) {
+  const owner = await findOwnerOrThrow(tenant_uuid, tenant_user_uuid);
+  const { rows, branches } = await findTenantKeys(owner.tenant_id);
+
+  return rows.map((row) => formatApiKey(row, branches));
+}
+
+/**
+ * Issue a key scoped to menu permissions and, optionally, one branch.
+ * The plain key is returned here only; we keep its hash.
+ */
+export async function createApiKey({
+  tenant_uuid,
+  tenant_user_uuid,
+  name,
+  permissions,
+  branch_uuid = null,
+  expires_in_days = DEFAULT_EXPIRY_DAYS,
+}) {
+  const owner = await findOwnerOrThrow(tenant_uuid, tenant_user_uuid);
+
+  const menuKeys = permissions.map((p) => p.menu_key);
+  const menus = await prisma.tbl_menus.findMany({
+    where: { menu_key: { in: menuKeys } },
+    select: { menu_key: true },
+  });
+  const knownKeys = new Set(menus.map((m) => m.menu_key));
+  const unknown = menuKeys.filter((key) => !knownKeys.has(key));
+
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown menu: ${unknown.join(", ")}`);
+  }
+
+  let branch = null;
+  if (branch_uuid) {
+    branch = await prisma.tbl_branches.findFirst({
+      where: { branch_uuid, tenant_id: owner.tenant_id },
+      select: { branch_id: true, branch_uuid: true },
+    });
+    if (!branch) throw httpError(404, "Branch not found");
+  }
+
+  const scopes = {};
+  for (const p of permissions) {
+    scopes[p.menu_key] = Object.fromEntries(
+      Object.values(PERMISSION_ACTIONS).map((action) => [action, !!p[action]])
+    );
+  }
+
+  const key_uuid = generateShortUUID();
+  const apiKey = `${KEY_PREFIX}_${key_uuid}_${crypto
+    .randomBytes(24)
+    .toString("base64url")}`;
+
+  const row = await prisma.tbl_tokens.create({
+    data: {
+      token: hashKey(apiKey),
+      token_type: "API_KEY",
+      tenant_user_id: owner.tenant_user_id,
+      expires_at: new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000),
+      metadata: JSON.stringify({
+        key_uuid,
+        name,
+        tenant_id: String(owner.tenant_id),
+        branch_id: branch ? String(branch.branch_id) : null,
+        permissions: scopes,
+      }),
+    },
+    include: { tenant_user: { select: { user_name: true } } },
+  });
+
+  const branches = new Map(
+    branch ? [[String(branch.branch_id), branch.branch_uuid]] : []
+  );
+
+  return { ...formatApiKey(row, branches), api_key: apiKey };
+}
+
+export async function revokeApiKey({
+  tenant_uuid,
+  tenant_user_uuid,
+  key_uuid,
+}) {
+  const owner = await findOwnerOrThrow(tenant_uuid, tenant_user_uuid);
+  const { rows, branches } = await findTenantKeys(owner.tenant_id);
+
+  const row = rows.find((r) => parseMeta(r).key_uuid === key_uuid);
+  if (!row) throw httpError(404, "API key not found");
+
+  const meta = parseMeta(row);
+  if (meta.revoked_on) throw httpError(400, "API key already revoked");
+
+  const now = new Date();
+  const updated = await prisma.tbl_tokens.update({
+    where: { token_id: row.token_id },
+    data: {
+      expires_at: now,
+      metadata: JSON.stringify({ ...meta, revoked_on: now }),
+      modified_on: now,
+    },
+    include: { tenant_user: { select: { user_name: true } } },
+  });
+
+  return formatApiKey(updated, branches);
+}
+
+/* ============================================================
+   3. AUTHENTICATE A REQUEST
+   ============================================================ */
+
+/**
+ * Resolve a presented key to its tenant, branch and scopes.
+ * Throws 401 for unknown, expired or revoked keys.
+ */
+export async function authenticateApiKey({
+  apiKey,
+  ip = null,
+  userAgent = null,
+}) {
+  const row = await prisma.tbl_tokens.findUnique({
+    where: { token: hashKey(apiKey) },
+  });
+
+  if (!row || row.token_type !== "API_KEY") {
+    throw httpError(401, "Invalid API key");
+  }
+  if (new Date() >= row.expires_at) {
+    throw httpError(401, "API key expired or revoked");
+  }
+
+  const meta = parseMeta(row);
+
+  const tenant = await prisma.tbl_tenant.findUnique({
+    where: { tenant_id: BigInt(meta.tenant_id) },
+  });
+  if (!tenant) throw httpError(401, "Invalid API key");
+
+  const branch = meta.branch_id
+    ? await prisma.tbl_branches.findUnique({
+        where: { branch_id: BigInt(meta.branch_id) },
+        select: { branch_id: true, branch_uuid: true },
+      })
+    : null;
+
+  if (meta.branch_id && !branch) {
+    throw httpError(401, "API key branch no longer exists");
+  }
+
+  const now = new Date();
+  await prisma.tbl_tokens.updateMany({
+    where: {
+      token_id: row.token_id,
+      OR: [
+        { used_at: null },
+        { used_at: { lt: new Date(now - LAST_USED_RESOLUTION_MS) } },
+      ],
+    },
+    data: {
+      used_at: now,
+      ip_address: ip,
+      user_agent: userAgent?.slice(0, 255) ?? null,
+    },
+  });
+
+  return {
+    key_uuid: meta.key_uuid,
+    name: meta.name,
+    tenant,
+    branch,
+    permissions: meta.permissions || {},
+  };
+}
@@ -1,6 +1,12 @@
 import prisma from "../../../config/prismaClient.js";
 import { generateShortUUID } from "../../../utils/generateUUID.js";
 import { generateToken } from "../../../utils/generateToken.js";
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  buildAccessPayload,
+  issueRefreshToken,
+} from "./refreshToken.service.js";
 import { comparePassword } from "../../../utils/hashPassword.js";
 
 /* ============================================================
@@ -16,7 +22,13 @@ export async function authenticateGlobalUser({
   const tenantAccounts = await prisma.tbl_tenant_users.findMany({
     where: { user_email: email },
     include: {
-      tenant: { select: { tenant_uuid: true, tenant_name: true } },
+      tenant: {
+        select: {
+          tenant_uuid: true,
+          tenant_name: true,
+          two_factor_required: true,
+        },
+      },
       userRoles: { include: { role: true } },
       globalUser: true,
     },
@@ -55,6 +67,7 @@ export async function authenticateGlobalUser({
       is_email_verified: acc.is_email_verified,
       hasPassword,
       passwordMatched,
+      two_factor_required: !!acc.tenant?.two_factor_required,
       roles: acc.userRoles.map((ur) => ur.role.role_name),
     });
   }
@@ -87,6 +100,8 @@ export async function createGlobalSession({
       global_session_uuid,
       email,
       tenant_user_uuids: tenantUserUuids.join(","),
+      ip_address: ip,
+      user_agent: userAgent?.slice(0, 255) ?? null,
       expires_at,
     },
     select: {
@@ -124,7 +139,7 @@ export async function validateGlobalSession(global_session_uuid) {
 
 /* ============================================================
    4. FINALIZE TENANT LOGIN (STEP 2)
-   Creates tenant_session_uuid + JWT
+   Creates tenant_session_uuid + access JWT + refresh token
    ============================================================ */
 export async function finalizeTenantLogin({
   global_session_uuid,
@@ -149,11 +164,11 @@ export async function finalizeTenantLogin({
 
   if (!account) throw new Error("Tenant user not found");
 
-  // 3️⃣ Create tenant session
+  // 3️⃣ Create tenant session (kept alive by refresh-token rotation)
   const tenant_session_uuid = generateShortUUID();
-  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24h
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
 
-  await prisma.tbl_tenant_sessions.create({
+  const session = await prisma.tbl_tenant_sessions.create({
     data: {
       tenant_session_uuid,
       tenant_user_id: account.tenant_user_id,
@@ -165,16 +180,15 @@ export async function finalizeTenantLogin({
     },
   });
 
-  // 4️⃣ Prepare JWT payload
-  const payload = {
-    tenant_session_uuid,
-    tenant_user_uuid: account.tenant_user_uuid,
-    tenant_uuid: account.tenant?.tenant_uuid || null,
-    global_user_id: account.global_user_id.toString(),
-    email: account.user_email,
-  };
+  const refresh_token = await issueRefreshToken(
+    session.tenant_session_id,
+    expiresAt
+  );
+
+  // 4️⃣ Prepare short-lived access JWT
+  const payload = buildAccessPayload(account, tenant_session_uuid);
 
-  const token = generateToken(payload, "24h");
+  const token = generateToken(payload, ACCESS_TOKEN_TTL);
 
-  return { token, payload };
+  return { token, refresh_token, payload };
 }
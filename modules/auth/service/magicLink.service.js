@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import prisma from "../../../config/prismaClient.js";
+import { httpError } from "../../../utils/httpError.js";
+import { sendLoginLinkEmail } from "../../../services/emails/emailService.js";
+import { createGlobalSession } from "./login.service.js";
+
+const LINK_TTL_MINUTES = 15;
+// One email per address per minute; earlier links stay valid meanwhile
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/* ============================================================
+   1. REQUEST A SIGN-IN LINK
+   Silent when the email is unknown (no account enumeration)
+   ============================================================ */
+export async function requestMagicLink({ email, ip = null, userAgent = null }) {
+  const tenantAccounts = await prisma.tbl_tenant_users.findMany({
+    where: { user_email: email },
+    select: {
+      tenant_user_id: true,
+      user_email: true,
+      user_name: true,
+    },
+    orderBy: { tenant_user_id: "asc" },
+  });
+
+  if (tenantAccounts.length === 0) return;
+
+  const accountIds = tenantAccounts.map((acc) => acc.tenant_user_id);
+
+  const recent = await prisma.tbl_tokens.findFirst({
+    where: {
+      tenant_user_id: { in: accountIds },
+      token_type: "MAGIC_LINK",
+      used_at: null,
+      created_on: { gt: new Date(Date.now() - RESEND_COOLDOWN_MS) },
+    },
+    select: { token_id: true },
+  });
+
+  if (recent) return;
+
+  const loginToken = crypto.randomBytes(32).toString("hex");
+
+  // The link signs in to the email, not one account; the row hangs off
+  // the first account and records which browser asked for it
+  await prisma.$transaction(async (tx) => {
+    await tx.tbl_tokens.updateMany({
+      where: {
+        tenant_user_id: { in: accountIds },
+        token_type: "MAGIC_LINK",
+        used_at: null,
+      },
+      data: { used_at: new Date() },
+    });
+
+    await tx.tbl_tokens.create({
+      data: {
+        token: hashToken(loginToken),
+        token_type: "MAGIC_LINK",
+        tenant_user_id: tenantAccounts[0].tenant_user_id,
+        expires_at: new Date(Date.now() + LINK_TTL_MINUTES * 60 * 1000),
+        ip_address: ip,
+        user_agent: userAgent?.slice(0, 255) ?? null,
+        metadata: JSON.stringify({ email }),
+      },
+    });
+  });
+
+  await sendLoginLinkEmail(tenantAccounts[0], loginToken, LINK_TTL_MINUTES);
+}
+
+/* ============================================================
+   2. CONSUME THE LINK → GLOBAL SESSION
+   Same session as a password login (step 1); 2FA is still
+   enforced at step 2.
+   ============================================================ */
+export async function consumeMagicLink({ token, ip = null, userAgent = null }) {
+  const hashedToken = hashToken(token);
+
+  const tokenData = await prisma.tbl_tokens.findUnique({
+    where: { token: hashedToken },
+  });
+
+  if (!tokenData || tokenData.token_type !== "MAGIC_LINK") {
+    throw httpError(401, "Invalid or expired sign-in link");
+  }
+  if (tokenData.used_at) {
+    throw httpError(401, "Sign-in link already used");
+  }
+  if (new Date() > tokenData.expires_at) {
+    throw httpError(401, "Sign-in link expired");
+  }
+
+  const meta = JSON.parse(tokenData.metadata || "{}");
+
+  // Single use, even when the link is opened twice at once. The row keeps
+  // the requesting browser; the opening one is recorded next to it for
+  // audit only, since mail apps and mobile networks rarely match the two
+  const claimed = await prisma.tbl_tokens.updateMany({
+    where: { token_id: tokenData.token_id, used_at: null },
+    data: {
+      used_at: new Date(),
+      modified_on: new Date(),
+      metadata: JSON.stringify({
+        ...meta,
+        consumed_ip: ip,
+        consumed_user_agent: userAgent?.slice(0, 255) ?? null,
+      }),
+    },
+  });
+
+  if (claimed.count === 0) {
+    throw httpError(401, "Sign-in link already used");
+  }
+
+  const { email } = meta;
+
+  const tenantAccounts = await prisma.tbl_tenant_users.findMany({
+    where: { user_email: email },
+    include: {
+      tenant: {
+        select: {
+          tenant_uuid: true,
+          tenant_name: true,
+          two_factor_required: true,
+        },
+      },
+      userRoles: { include: { role: true } },
+    },
+  });
+
+  if (tenantAccounts.length === 0) {
+    throw httpError(401, "Invalid or expired sign-in link");
+  }
+
+  const globalSession = await createGlobalSession({
+    email,
+    tenantUserUuids: tenantAccounts.map((acc) => acc.tenant_user_uuid),
+    ip,
+    userAgent,
+  });
+
+  return {
+    email,
+    global_user_id: tenantAccounts[0].global_user_id,
+    global_session_uuid: globalSession.global_session_uuid,
+    tenants: tenantAccounts.map((acc) => ({
+      tenant_user_uuid: acc.tenant_user_uuid,
+      tenant_uuid: acc.tenant?.tenant_uuid || null,
+      tenant_name: acc.tenant?.tenant_name || null,
+      is_owner: acc.is_owner,
+      is_email_verified: acc.is_email_verified,
+      hasPassword: !!acc.password,
+      passwordMatched: true,
+      two_factor_required: !!acc.tenant?.two_factor_required,
+      roles: acc.userRoles.map((ur) => ur.role.role_name),
+    })),
+  };
+}
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import prisma from "../../../config/prismaClient.js";
+import { httpError } from "../../../utils/httpError.js";
+import { generateToken } from "../../../utils/generateToken.js";
+
+/*
+ * A tenant session is carried by two tokens:
+ *   access JWT    → cookie "token", short-lived, checked by verifyToken
+ *   refresh token → cookie "refresh_token", random, stored as sha256 in
+ *                   tbl_refresh_tokens against its tbl_tenant_sessions row
+ * Each refresh spends the presented token and issues the next one. A spent
+ * token coming back means a copy exists somewhere, so the session and every
+ * token descended from its login are ended.
+ */
+
+export const ACCESS_TOKEN_TTL = "15m";
+export const ACCESS_TOKEN_MAX_AGE_MS = 15 * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // idle limit
+// Only the auth routes (refresh, logout) ever receive the refresh cookie
+export const REFRESH_COOKIE_PATH = "/api/auth";
+// Refreshing never extends a session past this age (forces a fresh login)
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * JWT claims read by verifyToken
+ */
+export const buildAccessPayload = (account, tenant_session_uuid) => ({
+  tenant_session_uuid,
+  tenant_user_uuid: account.tenant_user_uuid,
+  tenant_uuid: account.tenant?.tenant_uuid || null,
+  global_user_id: account.global_user_id.toString(),
+  email: account.user_email,
+});
+
+/**
+ * New refresh token for a session; only its hash is stored
+ */
+export async function issueRefreshToken(
+  tenant_session_id,
+  expiresAt,
+  db = prisma
+) {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+
+  await db.tbl_refresh_tokens.create({
+    data: {
+      tenant_session_id,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt,
+    },
+  });
+
+  return refreshToken;
+}
+
+async function endSessionFamily(tenant_session_id) {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.tbl_tenant_sessions.update({
+      where: { tenant_session_id },
+      data: { is_active: false, last_seen_at: now },
+    }),
+    prisma.tbl_refresh_tokens.updateMany({
+      where: { tenant_session_id, rotated_at: null },
+      data: { rotated_at: now },
+    }),
+  ]);
+}
+
+/**
+ * Exchange a refresh token for a new access token + refresh token.
+ * The session slides forward by REFRESH_TOKEN_TTL_MS, up to its max age.
+ */
+export async function rotateRefreshToken({ refreshToken, ip = null }) {
+  const current = await prisma.tbl_refresh_tokens.findUnique({
+    where: { token_hash: hashToken(refreshToken) },
+    include: {
+      tenant_session: { include: { tenant_user: true, tenant: true } },
+    },
+  });
+
+  if (!current) throw httpError(401, "Invalid refresh token");
+
+  const session = current.tenant_session;
+
+  if (current.rotated_at) {
+    await endSessionFamily(session.tenant_session_id);
+    throw httpError(401, "Refresh token reuse detected. Please log in again.");
+  }
+
+  const now = new Date();
+  if (
+    !session.is_active ||
+    session.expires_at <= now ||
+    current.expires_at <= now
+  ) {
+    throw httpError(401, "Your session has expired. Please log in again.");
+  }
+
+  // Spend it atomically: losing a race to another use counts as reuse
+  const claimed = await prisma.tbl_refresh_tokens.updateMany({
+    where: { refresh_token_id: current.refresh_token_id, rotated_at: null },
+    data: { rotated_at: now },
+  });
+
+  if (claimed.count === 0) {
+    await endSessionFamily(session.tenant_session_id);
+    throw httpError(401, "Refresh token reuse detected. Please log in again.");
+  }
+
+  const expiresAt = new Date(
+    Math.min(
+      now.getTime() + REFRESH_TOKEN_TTL_MS,
+      session.created_on.getTime() + SESSION_MAX_AGE_MS
+    )
+  );
+
+  const nextRefreshToken = await prisma.$transaction(async (tx) => {
+    await tx.tbl_tenant_sessions.update({
+      where: { tenant_session_id: session.tenant_session_id },
+      data: { expires_at: expiresAt, last_seen_at: now, ip_address: ip },
+    });
+
+    return issueRefreshToken(session.tenant_session_id, expiresAt, tx);
+  });
+
+  const payload = buildAccessPayload(
+    { ...session.tenant_user, tenant: session.tenant },
+    session.tenant_session_uuid
+  );
+
+  return {
+    token: generateToken(payload, ACCESS_TOKEN_TTL),
+    refresh_token: nextRefreshToken,
+    payload,
+  };
+}
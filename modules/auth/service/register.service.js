@@ -1,6 +1,11 @@
 import prisma from "../../../config/prismaClient.js";
 import { generateShortUUID } from "../../../utils/generateUUID.js";
 import { generateToken } from "../../../utils/generateToken.js";
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  issueRefreshToken,
+} from "./refreshToken.service.js";
 import { comparePassword, hashPassword } from "../../../utils/hashPassword.js";
 import {
   sendMagicLinkEmail,
@@ -483,9 +488,9 @@ export async function registerTenantForUser(userUuid, data, req) {
     });
 
     const tenant_session_uuid = generateShortUUID();
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24h
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
 
-    await prisma.tbl_tenant_sessions.create({
+    const session = await prisma.tbl_tenant_sessions.create({
       data: {
         tenant_session_uuid,
         tenant_user_id: core.updatedUser.tenant_user_id,
@@ -497,6 +502,11 @@ export async function registerTenantForUser(userUuid, data, req) {
       },
     });
 
+    const refresh_token = await issueRefreshToken(
+      session.tenant_session_id,
+      expiresAt
+    );
+
     // generate JWT token for immediate login
     const token = generateToken(
       {
@@ -509,11 +519,12 @@ export async function registerTenantForUser(userUuid, data, req) {
         is_owner: true,
         tenant_id: core.tenant.tenant_id.toString(),
       },
-      "24h"
+      ACCESS_TOKEN_TTL
     );
 
     return {
       token,
+      refresh_token,
       result: {
         tenant_uuid: core.tenant.tenant_uuid,
         branch_uuid: core.branch.branch_uuid,
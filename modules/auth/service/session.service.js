@@ -0,0 +1,245 @@
+import prisma from "../../../config/prismaClient.js";
+import { httpError } from "../../../utils/httpError.js";
+import { parseUserAgent } from "../../../utils/userAgent.js";
+
+/*
+ * Two kinds of sessions show up in "your devices":
+ *   tenant sessions → tbl_tenant_sessions, one per tenant login (step 2)
+ *   global sessions → tbl_global_sessions, the identity login (step 1)
+ *                     that lets the browser pick or switch tenants
+ * Revoking a tenant session deactivates it; a global session is
+ * expired (same as logout).
+ */
+
+const formatTenantSession = (session, currentUuid) => ({
+  session_uuid: session.tenant_session_uuid,
+  type: "TENANT",
+  tenant_uuid: session.tenant?.tenant_uuid || null,
+  tenant_name: session.tenant?.tenant_name || null,
+  ip_address: session.ip_address,
+  device: parseUserAgent(session.user_agent),
+  created_on: session.created_on,
+  last_seen_at: session.last_seen_at,
+  expires_at: session.expires_at,
+  is_current: session.tenant_session_uuid === currentUuid,
+});
+
+const formatGlobalSession = (session, currentUuid) => ({
+  session_uuid: session.global_session_uuid,
+  type: "GLOBAL",
+  ip_address: session.ip_address,
+  device: parseUserAgent(session.user_agent),
+  created_on: session.created_at,
+  last_seen_at: session.last_seen_at,
+  expires_at: session.expires_at,
+  is_current: session.global_session_uuid === currentUuid,
+});
+
+async function findUserOrThrow(tenant_user_uuid) {
+  const user = await prisma.tbl_tenant_users.findUnique({
+    where: { tenant_user_uuid },
+    select: {
+      tenant_user_id: true,
+      tenant_user_uuid: true,
+      tenant_id: true,
+      user_email: true,
+      is_owner: true,
+    },
+  });
+
+  if (!user) throw httpError(404, "User not found");
+  return user;
+}
+
+const activeTenantSessionsWhere = (tenant_user_id) => ({
+  tenant_user_id,
+  is_active: true,
+  expires_at: { gt: new Date() },
+});
+
+const activeGlobalSessionsWhere = (email) => ({
+  email,
+  expires_at: { gt: new Date() },
+});
+
+/* ============================================================
+   1. LIST MY SESSIONS
+   ============================================================ */
+export async function listUserSessions({
+  tenant_user_uuid,
+  tenant_session_uuid,
+  global_session_uuid = null,
+}) {
+  const user = await findUserOrThrow(tenant_user_uuid);
+
+  const [tenantSessions, globalSessions] = await Promise.all([
+    prisma.tbl_tenant_sessions.findMany({
+      where: activeTenantSessionsWhere(user.tenant_user_id),
+      include: {
+        tenant: { select: { tenant_uuid: true, tenant_name: true } },
+      },
+      orderBy: { created_on: "desc" },
+    }),
+    prisma.tbl_global_sessions.findMany({
+      where: activeGlobalSessionsWhere(user.user_email),
+      orderBy: { created_at: "desc" },
+    }),
+  ]);
+
+  return {
+    tenant_sessions: tenantSessions.map((s) =>
+      formatTenantSession(s, tenant_session_uuid)
+    ),
+    global_sessions: globalSessions.map((s) =>
+      formatGlobalSession(s, global_session_uuid)
+    ),
+  };
+}
+
+/* ============================================================
+   2. REVOKE ONE / ALL OTHERS
+   ============================================================ */
+export async function revokeTenantSession({ tenant_user_uuid, session_uuid }) {
+  const user = await findUserOrThrow(tenant_user_uuid);
+
+  const result = await prisma.tbl_tenant_sessions.updateMany({
+    where: {
+      ...activeTenantSessionsWhere(user.tenant_user_id),
+      tenant_session_uuid: session_uuid,
+    },
+    data: { is_active: false, last_seen_at: new Date() },
+  });
+
+  if (result.count === 0) throw httpError(404, "Session not found");
+
+  return { session_uuid, type: "TENANT" };
+}
+
+export async function revokeGlobalSession({ tenant_user_uuid, session_uuid }) {
+  const user = await findUserOrThrow(tenant_user_uuid);
+
+  const result = await prisma.tbl_global_sessions.updateMany({
+    where: {
+      ...activeGlobalSessionsWhere(user.user_email),
+      global_session_uuid: session_uuid,
+    },
+    data: { expires_at: new Date() },
+  });
+
+  if (result.count === 0) throw httpError(404, "Session not found");
+
+  return { session_uuid, type: "GLOBAL" };
+}
+
+/**
+ * Sign out every other device; the calling browser keeps its tenant
+ * session and, when known, its global session.
+ */
+export async function revokeOtherSessions({
+  tenant_user_uuid,
+  tenant_session_uuid,
+  global_session_uuid = null,
+}) {
+  const user = await findUserOrThrow(tenant_user_uuid);
+
+  const [tenantResult, globalResult] = await prisma.$transaction([
+    prisma.tbl_tenant_sessions.updateMany({
+      where: {
+        ...activeTenantSessionsWhere(user.tenant_user_id),
+        tenant_session_uuid: { not: tenant_session_uuid },
+      },
+      data: { is_active: false, last_seen_at: new Date() },
+    }),
+    prisma.tbl_global_sessions.updateMany({
+      where: {
+        ...activeGlobalSessionsWhere(user.user_email),
+        ...(global_session_uuid && {
+          global_session_uuid: { not: global_session_uuid },
+        }),
+      },
+      data: { expires_at: new Date() },
+    }),
+  ]);
+
+  return {
+    revoked_tenant_sessions: tenantResult.count,
+    revoked_global_sessions: globalResult.count,
+  };
+}
+
+/* ============================================================
+   3. FORCE LOGOUT (OWNER ONLY)
+   ============================================================ */
+
+/**
+ * End all of a user's sessions in this tenant. Their global sessions
+ * lose access to this tenant (so step 2 cannot re-enter it without a
+ * fresh login) but stay valid for their other tenants.
+ */
+export async function forceLogoutUser({
+  tenant_uuid,
+  tenant_user_uuid,
+  target_user_uuid,
+}) {
+  const owner = await prisma.tbl_tenant_users.findUnique({
+    where: { tenant_user_uuid },
+    select: {
+      tenant_id: true,
+      is_owner: true,
+      tenant: { select: { tenant_uuid: true } },
+    },
+  });
+
+  if (!owner || owner.tenant?.tenant_uuid !== tenant_uuid) {
+    throw httpError(403, "Unauthorized tenant access");
+  }
+  if (!owner.is_owner) {
+    throw httpError(403, "Only owners can log out other users");
+  }
+  if (target_user_uuid === tenant_user_uuid) {
+    throw httpError(400, "Use session revocation for your own sessions");
+  }
+
+  const target = await prisma.tbl_tenant_users.findFirst({
+    where: { tenant_user_uuid: target_user_uuid, tenant_id: owner.tenant_id },
+    select: { tenant_user_id: true, user_email: true },
+  });
+
+  if (!target) throw httpError(404, "User not found");
+
+  return prisma.$transaction(async (tx) => {
+    const tenantResult = await tx.tbl_tenant_sessions.updateMany({
+      where: activeTenantSessionsWhere(target.tenant_user_id),
+      data: { is_active: false, last_seen_at: new Date() },
+    });
+
+    const globalSessions = await tx.tbl_global_sessions.findMany({
+      where: {
+        ...activeGlobalSessionsWhere(target.user_email),
+        tenant_user_uuids: { contains: target_user_uuid },
+      },
+      select: { session_id: true, tenant_user_uuids: true },
+    });
+
+    for (const gs of globalSessions) {
+      const remaining = gs.tenant_user_uuids
+        .split(",")
+        .filter((uuid) => uuid !== target_user_uuid);
+
+      await tx.tbl_global_sessions.update({
+        where: { session_id: gs.session_id },
+        data: {
+          tenant_user_uuids: remaining.join(","),
+          // Nothing left to select → the global session is over too
+          ...(remaining.length === 0 && { expires_at: new Date() }),
+        },
+      });
+    }
+
+    return {
+      tenant_user_uuid: target_user_uuid,
+      revoked_tenant_sessions: tenantResult.count,
+      detached_global_sessions: globalSessions.length,
+    };
+  });
+}
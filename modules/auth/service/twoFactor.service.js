@@ -0,0 +1,588 @@
+import crypto from "crypto";
+import prisma from "../../../config/prismaClient.js";
+import { httpError } from "../../../utils/httpError.js";
+import {
+  buildTotpUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../../../utils/totp.js";
+import { validateGlobalSession } from "./login.service.js";
+
+/*
+ * A user's authenticator lives in tbl_tokens as one 2FA row:
+ *   token    → random handle (unique column, never shown)
+ *   metadata → JSON { secret (AES-GCM encrypted), enabled_on,
+ *                     recovery_codes (sha256), last_step,
+ *                     failed_attempts, locked_until }
+ * A row without enabled_on is a pending setup that expires after
+ * SETUP_TTL_MS; disabling stamps used_at.
+ * MAX_FAILED_ATTEMPTS wrong codes in a row lock it for LOCKOUT_MS.
+ */
+
+const TOTP_ISSUER = "Quanta";
+const SETUP_TTL_MS = 15 * 60 * 1000; // 15 minutes to scan + confirm
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Enabled authenticators do not expire, but expires_at is mandatory
+const NEVER_EXPIRES = new Date("9999-12-31T00:00:00Z");
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(process.env.ENCRYPTION_KEY).digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(":");
+}
+
+function decryptSecret(value) {
+  const [iv, tag, encrypted] = value
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+}
+
+// Recovery codes look like 3f9a1-c07d2; input is matched case- and dash-insensitively
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashCode(normalizeRecoveryCode(code))),
+  };
+}
+
+/* ============================================================
+   LOOKUPS
+   ============================================================ */
+async function findAccountOrThrow(tenant_user_uuid) {
+  const account = await prisma.tbl_tenant_users.findUnique({
+    where: { tenant_user_uuid },
+    include: {
+      tenant: {
+        select: {
+          tenant_id: true,
+          tenant_uuid: true,
+          tenant_name: true,
+          two_factor_required: true,
+        },
+      },
+    },
+  });
+
+  if (!account) throw httpError(404, "User not found");
+
+  return account;
+}
+
+/**
+ * Current (enabled or pending) 2FA row of a user with its parsed metadata
+ */
+async function findAuthenticator(client, tenantUserId) {
+  const token = await client.tbl_tokens.findFirst({
+    where: {
+      tenant_user_id: tenantUserId,
+      token_type: "FA",
+      used_at: null,
+      expires_at: { gt: new Date() },
+    },
+    orderBy: { token_id: "desc" },
+  });
+
+  if (!token) return null;
+
+  return { token, meta: JSON.parse(token.metadata || "{}") };
+}
+
+/**
+ * tenant_user_uuids (of those given) that have 2FA enabled
+ */
+export async function getTwoFactorEnabledUserUuids(tenantUserUuids) {
+  const tokens = await prisma.tbl_tokens.findMany({
+    where: {
+      tenant_user: { tenant_user_uuid: { in: tenantUserUuids } },
+      token_type: "FA",
+      used_at: null,
+      expires_at: { gt: new Date() },
+    },
+    select: {
+      metadata: true,
+      tenant_user: { select: { tenant_user_uuid: true } },
+    },
+  });
+
+  return new Set(
+    tokens
+      .filter((t) => JSON.parse(t.metadata || "{}").enabled_on)
+      .map((t) => t.tenant_user.tenant_user_uuid)
+  );
+}
+
+/**
+ * Save new metadata only if nobody changed it since it was read, so a
+ * TOTP step or recovery code can be used once even under concurrent logins
+ */
+async function saveAuthenticator(authenticator, meta, extra = {}) {
+  const updated = await prisma.tbl_tokens.updateMany({
+    where: {
+      token_id: authenticator.token.token_id,
+      metadata: authenticator.token.metadata,
+      used_at: null,
+    },
+    data: {
+      metadata: JSON.stringify(meta),
+      modified_on: new Date(),
+      ...extra,
+    },
+  });
+
+  if (updated.count === 0) {
+    throw httpError(409, "Two-factor settings changed, please retry");
+  }
+}
+
+const lockedError = () =>
+  httpError(
+    429,
+    "Too many failed two-factor attempts. Please try again later."
+  );
+
+const isLocked = (meta) =>
+  !!meta.locked_until && new Date(meta.locked_until) > new Date();
+
+/**
+ * Count a wrong code; the last allowed one locks the authenticator.
+ * Retried on concurrent changes so parallel guesses are all counted.
+ * Returns the error to throw for this attempt.
+ */
+async function recordFailedAttempt(authenticator, invalidError) {
+  let current = authenticator;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const failed = (current.meta.failed_attempts || 0) + 1;
+    const locked = failed >= MAX_FAILED_ATTEMPTS;
+
+    const updated = await prisma.tbl_tokens.updateMany({
+      where: {
+        token_id: current.token.token_id,
+        metadata: current.token.metadata,
+        used_at: null,
+      },
+      data: {
+        metadata: JSON.stringify({
+          ...current.meta,
+          failed_attempts: locked ? 0 : failed,
+          ...(locked && {
+            locked_until: new Date(Date.now() + LOCKOUT_MS).toISOString(),
+          }),
+        }),
+        modified_on: new Date(),
+      },
+    });
+
+    if (updated.count > 0) return locked ? lockedError() : invalidError;
+
+    const token = await prisma.tbl_tokens.findUnique({
+      where: { token_id: current.token.token_id },
+    });
+    if (!token || token.used_at) return invalidError;
+
+    current = { token, meta: JSON.parse(token.metadata || "{}") };
+    if (isLocked(current.meta)) return lockedError();
+  }
+
+  return invalidError;
+}
+
+/**
+ * Check a TOTP code (or consume a recovery code) against an enabled
+ * authenticator. Throws 401 when neither is valid, 429 while locked.
+ */
+async function checkSecondFactor(authenticator, { code, recovery_code }) {
+  const { meta } = authenticator;
+
+  if (isLocked(meta)) throw lockedError();
+
+  // A success clears the failure streak
+  const cleared = { ...meta, failed_attempts: 0, locked_until: null };
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(meta.secret), code);
+
+    // A code is accepted once; replays inside its window are refused
+    if (step === null || step <= (meta.last_step ?? -1)) {
+      throw await recordFailedAttempt(
+        authenticator,
+        httpError(401, "Invalid two-factor code")
+      );
+    }
+
+    await saveAuthenticator(authenticator, { ...cleared, last_step: step });
+    return { method: "TOTP" };
+  }
+
+  if (recovery_code) {
+    const hash = hashCode(normalizeRecoveryCode(recovery_code));
+    const remaining = (meta.recovery_codes || []).filter((h) => h !== hash);
+
+    if (remaining.length === (meta.recovery_codes || []).length) {
+      throw await recordFailedAttempt(
+        authenticator,
+        httpError(401, "Invalid recovery code")
+      );
+    }
+
+    await saveAuthenticator(authenticator, {
+      ...cleared,
+      recovery_codes: remaining,
+    });
+    return {
+      method: "RECOVERY_CODE",
+      recovery_codes_remaining: remaining.length,
+    };
+  }
+
+  throw httpError(401, "Two-factor code required");
+}
+
+/**
+ * Begin enrollment: a fresh secret + otpauth:// URI for the QR code.
+ * Any earlier unconfirmed setup is discarded.
+ */
+async function createPendingAuthenticator(account) {
+  const existing = await findAuthenticator(prisma, account.tenant_user_id);
+  if (existing?.meta.enabled_on) {
+    throw httpError(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  const expiresAt = new Date(Date.now() + SETUP_TTL_MS);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.tbl_tokens.updateMany({
+      where: {
+        tenant_user_id: account.tenant_user_id,
+        token_type: "FA",
+        used_at: null,
+      },
+      data: { used_at: new Date() },
+    });
+
+    await tx.tbl_tokens.create({
+      data: {
+        token: hashCode(crypto.randomBytes(32).toString("hex")),
+        token_type: "FA",
+        tenant_user_id: account.tenant_user_id,
+        expires_at: expiresAt,
+        metadata: JSON.stringify({ secret: encryptSecret(secret) }),
+      },
+    });
+  });
+
+  const accountName = account.tenant?.tenant_name
+    ? `${account.user_email} (${account.tenant.tenant_name})`
+    : account.user_email;
+
+  return {
+    secret,
+    otpauth_uri: buildTotpUri({
+      secret,
+      issuer: TOTP_ISSUER,
+      accountName,
+    }),
+    expires_at: expiresAt,
+  };
+}
+
+/**
+ * Finish enrollment with a first code from the app; returns the
+ * recovery codes, which are only ever shown this once
+ */
+async function enablePendingAuthenticator(account, code) {
+  const authenticator = await findAuthenticator(prisma, account.tenant_user_id);
+
+  if (!authenticator) {
+    throw httpError(400, "Two-factor setup not started or expired");
+  }
+  if (authenticator.meta.enabled_on) {
+    throw httpError(409, "Two-factor authentication is already enabled");
+  }
+
+  const step = verifyTotp(decryptSecret(authenticator.meta.secret), code);
+  if (step === null) throw httpError(401, "Invalid two-factor code");
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await saveAuthenticator(
+    authenticator,
+    {
+      ...authenticator.meta,
+      enabled_on: new Date().toISOString(),
+      recovery_codes: hashes,
+      last_step: step,
+    },
+    { expires_at: NEVER_EXPIRES }
+  );
+
+  return { enabled: true, recovery_codes: codes };
+}
+
+/* ============================================================
+   1. STATUS
+   ============================================================ */
+export async function getTwoFactorStatus(tenant_user_uuid) {
+  const account = await findAccountOrThrow(tenant_user_uuid);
+  const authenticator = await findAuthenticator(prisma, account.tenant_user_id);
+  const enabled = !!authenticator?.meta.enabled_on;
+
+  return {
+    enabled,
+    enabled_on: enabled ? authenticator.meta.enabled_on : null,
+    setup_pending: !!authenticator && !enabled,
+    required_by_tenant: !!account.tenant?.two_factor_required,
+    recovery_codes_remaining: enabled
+      ? (authenticator.meta.recovery_codes || []).length
+      : 0,
+  };
+}
+
+/* ============================================================
+   2. ENROLL (LOGGED IN)
+   ============================================================ */
+export async function startTwoFactorSetup(tenant_user_uuid) {
+  const account = await findAccountOrThrow(tenant_user_uuid);
+  return createPendingAuthenticator(account);
+}
+
+export async function confirmTwoFactorSetup(tenant_user_uuid, code) {
+  const account = await findAccountOrThrow(tenant_user_uuid);
+  return enablePendingAuthenticator(account, code);
+}
+
+/* ============================================================
+   3. DISABLE / NEW RECOVERY CODES (LOGGED IN)
+   Both need a current code (or a recovery code)
+   ============================================================ */
+export async function disableTwoFactor(tenant_user_uuid, codes) {
+  const account = await findAccountOrThrow(tenant_user_uuid);
+
+  if (account.tenant?.two_factor_required) {
+    throw httpError(
+      403,
+      "Two-factor authentication is required by your organisation"
+    );
+  }
+
+  const authenticator = await findAuthenticator(prisma, account.tenant_user_id);
+  if (!authenticator?.meta.enabled_on) {
+    throw httpError(400, "Two-factor authentication is not enabled");
+  }
+
+  await checkSecondFactor(authenticator, codes);
+
+  await prisma.tbl_tokens.update({
+    where: { token_id: authenticator.token.token_id },
+    data: { used_at: new Date(), modified_on: new Date() },
+  });
+
+  return { enabled: false };
+}
+
+export async function regenerateRecoveryCodes(tenant_user_uuid, codes) {
+  const account = await findAccountOrThrow(tenant_user_uuid);
+
+  const authenticator = await findAuthenticator(prisma, account.tenant_user_id);
+  if (!authenticator?.meta.enabled_on) {
+    throw httpError(400, "Two-factor authentication is not enabled");
+  }
+
+  await checkSecondFactor(authenticator, codes);
+
+  const fresh = await findAuthenticator(prisma, account.tenant_user_id);
+  const { codes: recoveryCodes, hashes } = generateRecoveryCodes();
+
+  await saveAuthenticator(fresh, { ...fresh.meta, recovery_codes: hashes });
+
+  return { recovery_codes: recoveryCodes };
+}
+
+/* ============================================================
+   4. TENANT POLICY (OWNER ONLY)
+   ============================================================ */
+async function findOwnerOrThrow(tenant_uuid, tenant_user_uuid) {
+  const owner = await findAccountOrThrow(tenant_user_uuid);
+
+  if (owner.tenant?.tenant_uuid !== tenant_uuid) {
+    throw httpError(403, "Unauthorized tenant access");
+  }
+  if (!owner.is_owner) {
+    throw httpError(403, "Only owners can manage two-factor settings");
+  }
+
+  return owner;
+}
+
+/**
+ * Make 2FA mandatory (or optional) for every user of the tenant.
+ * Users without an authenticator are asked to set one up at next login.
+ */
+export async function setTenantTwoFactorPolicy({
+  tenant_uuid,
+  tenant_user_uuid,
+  required,
+}) {
+  const owner = await findOwnerOrThrow(tenant_uuid, tenant_user_uuid);
+
+  const tenant = await prisma.tbl_tenant.update({
+    where: { tenant_id: owner.tenant.tenant_id },
+    data: { two_factor_required: required, modified_on: new Date() },
+    select: { tenant_uuid: true, two_factor_required: true },
+  });
+
+  return tenant;
+}
+
+/**
+ * Remove a user's authenticator (lost device and recovery codes).
+ * They enroll again, at next login if the tenant requires 2FA.
+ */
+export async function resetUserTwoFactor({
+  tenant_uuid,
+  tenant_user_uuid,
+  target_user_uuid,
+}) {
+  const owner = await findOwnerOrThrow(tenant_uuid, tenant_user_uuid);
+
+  const target = await prisma.tbl_tenant_users.findFirst({
+    where: {
+      tenant_user_uuid: target_user_uuid,
+      tenant_id: owner.tenant.tenant_id,
+    },
+    select: { tenant_user_id: true },
+  });
+
+  if (!target) throw httpError(404, "User not found");
+
+  await prisma.tbl_tokens.updateMany({
+    where: {
+      tenant_user_id: target.tenant_user_id,
+      token_type: "FA",
+      used_at: null,
+    },
+    data: { used_at: new Date(), modified_on: new Date() },
+  });
+
+  return { tenant_user_uuid: target_user_uuid, enabled: false };
+}
+
+/* ============================================================
+   5. LOGIN (STEP 2)
+   ============================================================ */
+async function findLoginAccountOrThrow(global_session_uuid, tenant_user_uuid) {
+  const { tenantUserUuids } = await validateGlobalSession(global_session_uuid);
+
+  if (!tenantUserUuids.includes(tenant_user_uuid)) {
+    throw httpError(403, "Unauthorized tenant selection");
+  }
+
+  return findAccountOrThrow(tenant_user_uuid);
+}
+
+/**
+ * Set up an authenticator during login, for users of a tenant that
+ * requires 2FA who have none yet. Confirmed by step 2's totp_code.
+ */
+export async function startLoginTwoFactorSetup({
+  global_session_uuid,
+  tenant_user_uuid,
+}) {
+  const account = await findLoginAccountOrThrow(
+    global_session_uuid,
+    tenant_user_uuid
+  );
+
+  if (!account.tenant?.two_factor_required) {
+    throw httpError(
+      400,
+      "Two-factor authentication is not required here; enable it from your account settings"
+    );
+  }
+
+  return createPendingAuthenticator(account);
+}
+
+/**
+ * Second factor for step 2, checked before the tenant session is created:
+ *  - 2FA enabled          → totp_code or recovery_code must be valid
+ *  - tenant requires 2FA  → totp_code confirms the setup started at login
+ *                           (recovery codes are returned once)
+ *  - otherwise            → nothing to check
+ */
+export async function verifyLoginSecondFactor({
+  global_session_uuid,
+  tenant_user_uuid,
+  totp_code = null,
+  recovery_code = null,
+}) {
+  const account = await findLoginAccountOrThrow(
+    global_session_uuid,
+    tenant_user_uuid
+  );
+  const authenticator = await findAuthenticator(prisma, account.tenant_user_id);
+
+  if (authenticator?.meta.enabled_on) {
+    try {
+      return await checkSecondFactor(authenticator, {
+        code: totp_code,
+        recovery_code,
+      });
+    } catch (error) {
+      // Locked out → this half-finished login is over; start again at step 1
+      if (error.status === 429) {
+        await prisma.tbl_global_sessions.updateMany({
+          where: { global_session_uuid, expires_at: { gt: new Date() } },
+          data: { expires_at: new Date() },
+        });
+      }
+      throw error;
+    }
+  }
+
+  if (!account.tenant?.two_factor_required) return { method: null };
+
+  if (!authenticator || !totp_code) {
+    throw httpError(
+      403,
+      "Your organisation requires two-factor authentication. Set it up to continue."
+    );
+  }
+
+  const { recovery_codes } = await enablePendingAuthenticator(
+    account,
+    totp_code
+  );
+
+  return { method: "TOTP", recovery_codes };
+}
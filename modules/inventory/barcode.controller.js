@@ -0,0 +1,90 @@
+// controllers/barcode.controller.js
+
+import {
+  scanBarcodeService,
+  parseBarcodeService,
+  generateBarcodesService,
+  getBatchLabelService,
+} from "./barcode.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/barcodes/:tenantUuid/scan?code=&branchUuid=
+ */
+export const scanBarcodeController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { code, branchUuid } = req.query;
+
+    const result = await scanBarcodeService({ tenantUuid, code, branchUuid });
+
+    return successResponse(res, "Barcode resolved successfully", result);
+  } catch (error) {
+    console.error("❌ Scan Barcode Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/barcodes/:tenantUuid/parse?code=
+ */
+export const parseBarcodeController = async (req, res, next) => {
+  try {
+    const result = parseBarcodeService({ code: req.query.code });
+
+    return successResponse(res, "Barcode parsed successfully", result);
+  } catch (error) {
+    console.error("❌ Parse Barcode Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/barcodes/:tenantUuid/generate
+ */
+export const generateBarcodesController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { format, product_uuids, overwrite } = req.body;
+
+    const result = await generateBarcodesService({
+      tenantUuid,
+      format,
+      productUuids: product_uuids,
+      overwrite: overwrite === true,
+    });
+
+    return successResponse(
+      res,
+      `${result.assigned.length} barcode(s) generated successfully`,
+      result
+    );
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Barcodes were generated at the same time, please retry",
+        409
+      );
+    }
+    console.error("❌ Generate Barcodes Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/barcodes/:tenantUuid/batches/:batchUuid/label
+ */
+export const getBatchLabelController = async (req, res, next) => {
+  try {
+    const { tenantUuid, batchUuid } = req.params;
+
+    const result = await getBatchLabelService({ tenantUuid, batchUuid });
+
+    return successResponse(res, "Batch label fetched successfully", result);
+  } catch (error) {
+    console.error("❌ Get Batch Label Error:", error);
+    next(error);
+  }
+};
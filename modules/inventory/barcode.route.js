@@ -0,0 +1,62 @@
+import { Router } from "express";
+import {
+  generateBarcodesController,
+  getBatchLabelController,
+  parseBarcodeController,
+  scanBarcodeController,
+} from "./barcode.controller.js";
+import {
+  generateBarcodesValidation,
+  scanBarcodeValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+// --------------------------------------------------------
+// SCAN / PARSE
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/scan",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  scanBarcodeValidation,
+  validateRequest,
+  scanBarcodeController
+);
+router.get(
+  "/:tenantUuid/parse",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  scanBarcodeValidation,
+  validateRequest,
+  parseBarcodeController
+);
+
+// --------------------------------------------------------
+// GENERATION / LABELS
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/generate",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  generateBarcodesValidation,
+  validateRequest,
+  generateBarcodesController
+);
+router.get(
+  "/:tenantUuid/batches/:batchUuid/label",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getBatchLabelController
+);
+
+export default router;
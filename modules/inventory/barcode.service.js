@@ -0,0 +1,584 @@
+// services/barcode.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findTenantOrThrow,
+  getOnHandQuantity,
+} from "./inventory.repository.js";
+import { formatBatch } from "./batch.service.js";
+import { formatProduct, productInclude } from "./product.service.js";
+
+const BARCODE_FORMATS = ["EAN13", "CODE128"];
+
+// GS1 prefix 20 is reserved for in-store (restricted circulation) numbers
+const EAN13_INTERNAL_PREFIX = "20";
+const CODE128_INTERNAL_PREFIX = "IN";
+
+// Group separator (FNC1) that ends variable-length GS1 fields
+const GS = "\u001d";
+
+/**
+ * GS1 application identifiers we read. Fixed-length fields have `length`,
+ * variable-length ones a `max` and end at a GS (or the end of the code).
+ * `decimals` AIs carry the decimal places in their last digit (310n).
+ */
+const GS1_AIS = [
+  { ai: "00", length: 18, key: "sscc" },
+  { ai: "01", length: 14, key: "gtin" },
+  { ai: "02", length: 14, key: "content_gtin" },
+  { ai: "10", max: 20, key: "lot" },
+  { ai: "11", length: 6, key: "production_date", date: true },
+  { ai: "13", length: 6, key: "packaging_date", date: true },
+  { ai: "15", length: 6, key: "best_before", date: true },
+  { ai: "17", length: 6, key: "expiry_date", date: true },
+  { ai: "21", max: 20, key: "serial" },
+  { ai: "30", max: 8, key: "count", numeric: true },
+  { ai: "37", max: 8, key: "count", numeric: true },
+  { ai: "310", aiLength: 4, length: 6, key: "net_weight_kg", decimals: true },
+  { ai: "240", max: 30, key: "additional_id" },
+  { ai: "400", max: 30, key: "order_number" },
+];
+
+/** ------------------ GS1 / EAN HELPERS ------------------- **/
+
+/**
+ * GS1 mod-10 check digit for a digit string without its check digit
+ */
+export function gs1CheckDigit(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Whether a value is a GTIN-8/12/13/14 with a correct check digit
+ */
+export function isValidGtin(value) {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(value)) return false;
+
+  return gs1CheckDigit(value.slice(0, -1)) === value.slice(-1);
+}
+
+/**
+ * The forms a GTIN-14 can be printed in (GTIN-14/13/12/8), used to match
+ * a scanned GTIN against stored product barcodes
+ */
+function gtinCandidates(gtin14) {
+  const candidates = [gtin14];
+
+  if (gtin14.startsWith("0")) candidates.push(gtin14.slice(1));
+  if (gtin14.startsWith("00")) candidates.push(gtin14.slice(2));
+  if (gtin14.startsWith("000000")) candidates.push(gtin14.slice(6));
+
+  return candidates;
+}
+
+/**
+ * GS1 YYMMDD → YYYY-MM-DD. The century is chosen within -49/+50 years of
+ * today, and day 00 means the last day of the month.
+ */
+function parseGs1Date(value) {
+  const yy = Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  let day = Number(value.slice(4, 6));
+
+  if (month < 1 || month > 12 || day > 31) {
+    throw httpError(400, `Invalid GS1 date "${value}"`);
+  }
+
+  const currentYear = new Date().getFullYear();
+  let year = Math.floor(currentYear / 100) * 100 + yy;
+  if (year - currentYear > 50) year -= 100;
+  else if (currentYear - year > 49) year += 100;
+
+  if (day === 0) day = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+const formatGs1Date = (date) => {
+  const d = new Date(date);
+  return [
+    String(d.getUTCFullYear()).slice(2),
+    String(d.getUTCMonth() + 1).padStart(2, "0"),
+    String(d.getUTCDate()).padStart(2, "0"),
+  ].join("");
+};
+
+function findAiSpec(code, position) {
+  return GS1_AIS.find((spec) => code.startsWith(spec.ai, position));
+}
+
+function readAiValue(spec, ai, raw) {
+  if (spec.date) {
+    if (!/^\d{6}$/.test(raw)) {
+      throw httpError(400, `GS1 (${ai}) must be a YYMMDD date`);
+    }
+    return parseGs1Date(raw);
+  }
+  if (spec.decimals) {
+    if (!/^\d+$/.test(raw)) throw httpError(400, `GS1 (${ai}) must be numeric`);
+    return Number(raw) / 10 ** Number(ai.slice(-1));
+  }
+  if (spec.numeric) {
+    if (!/^\d+$/.test(raw)) throw httpError(400, `GS1 (${ai}) must be numeric`);
+    return Number(raw);
+  }
+  if (spec.key === "gtin" || spec.key === "content_gtin") {
+    if (!isValidGtin(raw)) {
+      throw httpError(400, `GS1 (${ai}) is not a valid GTIN`);
+    }
+  }
+  return raw;
+}
+
+/**
+ * Parse a GS1-128 element string into its application identifiers.
+ *
+ * Accepts the human-readable form "(01)09501101530003(17)251231(10)AB12"
+ * and the raw scanner form "]C1" + "0109501101530003" + "17251231" +
+ * "10AB12", where GS (ASCII 29) ends variable-length fields.
+ */
+export function parseGs1(input) {
+  let code = String(input || "").trim();
+
+  if (!code) throw httpError(400, "Barcode is empty");
+
+  const elements = [];
+
+  if (code.startsWith("(")) {
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    let consumed = 0;
+
+    while ((match = pattern.exec(code)) !== null) {
+      if (match.index !== consumed) break;
+      consumed = pattern.lastIndex;
+
+      const [, ai, raw] = match;
+      const spec = findAiSpec(ai, 0);
+      const aiLength = spec?.aiLength || spec?.ai.length;
+
+      if (!spec || ai.length !== aiLength) {
+        throw httpError(400, `Unsupported GS1 application identifier (${ai})`);
+      }
+      elements.push({ spec, ai, raw: raw.replace(GS, "") });
+    }
+
+    if (consumed !== code.length) {
+      throw httpError(400, "Malformed GS1 element string");
+    }
+  } else {
+    // Symbology identifier added by scanners (]C1 = GS1-128, ]d2 = DataMatrix)
+    code = code.replace(/^\](C1|d2|Q3|e0)/, "");
+    if (code.startsWith(GS)) code = code.slice(1);
+
+    let position = 0;
+    while (position < code.length) {
+      const spec = findAiSpec(code, position);
+      if (!spec) {
+        throw httpError(
+          400,
+          `Unsupported GS1 application identifier at position ${position + 1}`
+        );
+      }
+
+      const aiLength = spec.aiLength || spec.ai.length;
+      const ai = code.slice(position, position + aiLength);
+      position += aiLength;
+
+      let raw;
+      if (spec.length) {
+        raw = code.slice(position, position + spec.length);
+        position += spec.length;
+        if (code[position] === GS) position++;
+      } else {
+        const end = code.indexOf(GS, position);
+        raw = code.slice(position, end === -1 ? code.length : end);
+        position = end === -1 ? code.length : end + 1;
+      }
+
+      elements.push({ spec, ai, raw });
+    }
+  }
+
+  if (elements.length === 0) throw httpError(400, "No GS1 data found");
+
+  const result = { elements: [] };
+
+  for (const { spec, ai, raw } of elements) {
+    if (spec.length && raw.length !== spec.length) {
+      throw httpError(400, `GS1 (${ai}) must be ${spec.length} characters`);
+    }
+    if (spec.max && (raw.length === 0 || raw.length > spec.max)) {
+      throw httpError(400, `GS1 (${ai}) must be 1-${spec.max} characters`);
+    }
+
+    const value = readAiValue(spec, ai, raw);
+
+    result[spec.key] = value;
+    result.elements.push({ ai, key: spec.key, value });
+  }
+
+  return result;
+}
+
+/**
+ * Whether a scanned value should be read as GS1 rather than a plain barcode
+ */
+function looksLikeGs1(code) {
+  return (
+    /^\(\d{2,4}\)/.test(code) ||
+    /^\](C1|d2|Q3|e0)/.test(code) ||
+    code.includes(GS) ||
+    /^0[012]\d{14,}/.test(code)
+  );
+}
+
+/**
+ * Build the GS1-128 element string of a batch: GTIN, expiry, then lot
+ * (variable-length fields last, so no separator is needed)
+ */
+function buildGs1Label({ gtin, expiryDate, lot }) {
+  const gtin14 = gtin.padStart(14, "0");
+  const parts = [["01", gtin14]];
+
+  if (expiryDate) parts.push(["17", formatGs1Date(expiryDate)]);
+  if (lot) parts.push(["10", lot]);
+
+  return {
+    human_readable: parts.map(([ai, value]) => `(${ai})${value}`).join(""),
+    element_string: parts.map(([ai, value]) => `${ai}${value}`).join(""),
+  };
+}
+
+/** ------------------ SCAN LOOKUP ------------------- **/
+
+const scanBatchInclude = {
+  tbl_products: {
+    select: { product_uuid: true, sku: true, product_name: true },
+  },
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+};
+
+/**
+ * Parse a GS1 string without touching the catalog
+ */
+export function parseBarcodeService({ code }) {
+  return parseGs1(code);
+}
+
+/**
+ * Resolve a scanned code to a product/variant and, when the code carries a
+ * lot, to its batches.
+ *
+ * Plain codes match a product barcode first, then a SKU. GS1 codes match the
+ * GTIN against product barcodes (GTIN-14/13/12/8 forms). With a branch the
+ * result includes on-hand stock and only that branch's batches.
+ */
+export async function scanBarcodeService({ tenantUuid, code, branchUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = branchUuid
+    ? await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid)
+    : null;
+
+  const value = String(code).trim();
+  const warnings = [];
+
+  let matchedBy = null;
+  let gs1 = null;
+
+  let product = await prisma.tbl_products.findFirst({
+    where: { tenant_id: tenant.tenant_id, barcode: value },
+    include: productInclude,
+  });
+  if (product) matchedBy = "BARCODE";
+
+  if (!product) {
+    product = await prisma.tbl_products.findFirst({
+      where: { tenant_id: tenant.tenant_id, sku: value },
+      include: productInclude,
+    });
+    if (product) matchedBy = "SKU";
+  }
+
+  if (!product && looksLikeGs1(value)) {
+    gs1 = parseGs1(value);
+
+    if (!gs1.gtin) {
+      throw httpError(400, "GS1 code has no GTIN (01) to look up");
+    }
+
+    product = await prisma.tbl_products.findFirst({
+      where: {
+        tenant_id: tenant.tenant_id,
+        barcode: { in: gtinCandidates(gs1.gtin) },
+      },
+      include: productInclude,
+    });
+    if (product) matchedBy = "GS1";
+  }
+
+  if (!product) throw httpError(404, "No product found for this barcode");
+
+  if (product.has_variants) {
+    warnings.push("Barcode belongs to a parent product; scan a variant");
+  }
+  if (product.status !== "ACTIVE") {
+    warnings.push(`Product is ${product.status}`);
+  }
+
+  let batches = [];
+  if (gs1?.lot) {
+    const rows = await prisma.tbl_product_batches.findMany({
+      where: {
+        tenant_id: tenant.tenant_id,
+        product_id: product.product_id,
+        lot_number: gs1.lot,
+        ...(branch && { branch_id: branch.branch_id }),
+      },
+      include: scanBatchInclude,
+      orderBy: { batch_id: "asc" },
+    });
+    batches = rows.map(formatBatch);
+
+    if (batches.length === 0) {
+      warnings.push(
+        `Lot ${gs1.lot} not found${branch ? " at this branch" : ""}`
+      );
+    }
+
+    for (const batch of batches) {
+      if (batch.days_to_expiry !== null && batch.days_to_expiry < 0) {
+        warnings.push(`Lot ${batch.lot_number} is expired`);
+      }
+      if (
+        gs1.expiry_date &&
+        batch.expiry_date &&
+        new Date(batch.expiry_date).toISOString().slice(0, 10) !==
+          gs1.expiry_date
+      ) {
+        warnings.push(
+          `Label expiry ${gs1.expiry_date} differs from the recorded expiry of lot ${batch.lot_number}`
+        );
+      }
+    }
+  }
+
+  return {
+    code: value,
+    matched_by: matchedBy,
+    gs1,
+    product: formatProduct(product),
+    on_hand: branch
+      ? await getOnHandQuantity(prisma, {
+          productId: product.product_id,
+          branchId: branch.branch_id,
+        })
+      : undefined,
+    batches,
+    warnings,
+  };
+}
+
+/** ------------------ GENERATION ------------------- **/
+
+/**
+ * Internal barcode value for sequence number `seq`:
+ * EAN13 → 20 + 10-digit number + check digit, CODE128 → IN + 10 digits
+ */
+function buildInternalBarcode(format, seq) {
+  const number = String(seq).padStart(10, "0");
+
+  if (format === "EAN13") {
+    const body = `${EAN13_INTERNAL_PREFIX}${number}`;
+    return body + gs1CheckDigit(body);
+  }
+
+  return `${CODE128_INTERNAL_PREFIX}${number}`;
+}
+
+/**
+ * Reserve `count` unused internal barcode values for a tenant.
+ * Numbers come from the tenant's barcode_sequence; values someone already
+ * typed in by hand are skipped.
+ */
+async function reserveBarcodes(tx, tenantId, format, count) {
+  const values = [];
+
+  while (values.length < count) {
+    const needed = count - values.length;
+
+    const settings = await tx.tbl_inventory_settings.upsert({
+      where: { tenant_id: tenantId },
+      create: { tenant_id: tenantId, barcode_sequence: needed },
+      update: { barcode_sequence: { increment: needed } },
+      select: { barcode_sequence: true },
+    });
+
+    const first = settings.barcode_sequence - needed + 1;
+    if (settings.barcode_sequence > 9999999999) {
+      throw httpError(409, "Internal barcode numbers are exhausted");
+    }
+
+    const candidates = Array.from({ length: needed }, (_, i) =>
+      buildInternalBarcode(format, first + i)
+    );
+
+    const taken = await tx.tbl_products.findMany({
+      where: { tenant_id: tenantId, barcode: { in: candidates } },
+      select: { barcode: true },
+    });
+    const takenSet = new Set(taken.map((t) => t.barcode));
+
+    values.push(...candidates.filter((c) => !takenSet.has(c)));
+  }
+
+  return values;
+}
+
+/**
+ * Assign internal EAN-13/Code128 barcodes to products without one.
+ * Without `productUuids` every unlabeled stock-holding product is labeled;
+ * `overwrite` replaces existing barcodes of the listed products.
+ */
+export async function generateBarcodesService({
+  tenantUuid,
+  format = "EAN13",
+  productUuids = null,
+  overwrite = false,
+  limit = 500,
+}) {
+  if (!BARCODE_FORMATS.includes(format)) {
+    throw httpError(
+      400,
+      `Barcode format must be one of ${BARCODE_FORMATS.join(", ")}`
+    );
+  }
+  if (overwrite && !productUuids?.length) {
+    throw httpError(400, "Overwriting barcodes needs a list of products");
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  if (productUuids?.length) {
+    const found = await prisma.tbl_products.findMany({
+      where: {
+        tenant_id: tenant.tenant_id,
+        product_uuid: { in: productUuids },
+      },
+      select: { product_uuid: true, has_variants: true },
+    });
+    const foundMap = new Map(found.map((p) => [p.product_uuid, p]));
+
+    for (const uuid of productUuids) {
+      if (!foundMap.has(uuid))
+        throw httpError(404, `Product ${uuid} not found`);
+      if (foundMap.get(uuid).has_variants) {
+        throw httpError(
+          400,
+          `Product ${uuid} has variants; label its variants instead`
+        );
+      }
+    }
+  }
+
+  const where = { tenant_id: tenant.tenant_id, has_variants: false };
+  if (productUuids?.length) where.product_uuid = { in: productUuids };
+  if (!overwrite) where.barcode = null;
+
+  const products = await prisma.tbl_products.findMany({
+    where,
+    select: { product_id: true, product_uuid: true, sku: true, barcode: true },
+    orderBy: { product_id: "asc" },
+    take: limit,
+  });
+
+  if (products.length === 0) return { format, assigned: [] };
+
+  const assigned = await prisma.$transaction(async (tx) => {
+    const values = await reserveBarcodes(
+      tx,
+      tenant.tenant_id,
+      format,
+      products.length
+    );
+
+    const rows = [];
+
+    for (const [i, product] of products.entries()) {
+      await tx.tbl_products.update({
+        where: { product_id: product.product_id },
+        data: { barcode: values[i], modified_on: new Date() },
+      });
+
+      rows.push({
+        product_uuid: product.product_uuid,
+        sku: product.sku,
+        previous_barcode: product.barcode,
+        barcode: values[i],
+      });
+    }
+
+    return rows;
+  });
+
+  return { format, assigned };
+}
+
+/**
+ * GS1-128 label data of a batch (GTIN + expiry + lot). The product's
+ * barcode has to be a valid GTIN.
+ */
+export async function getBatchLabelService({ tenantUuid, batchUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const batch = await prisma.tbl_product_batches.findFirst({
+    where: { tenant_id: tenant.tenant_id, batch_uuid: batchUuid },
+    include: {
+      ...scanBatchInclude,
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          product_name: true,
+          barcode: true,
+        },
+      },
+    },
+  });
+
+  if (!batch) throw httpError(404, "Batch not found");
+
+  const gtin = batch.tbl_products.barcode;
+  if (!gtin || !isValidGtin(gtin)) {
+    throw httpError(
+      400,
+      `${batch.tbl_products.sku} has no GTIN barcode; generate an EAN-13 first`
+    );
+  }
+
+  if (batch.lot_number.length > 20) {
+    throw httpError(
+      400,
+      "Lot numbers longer than 20 characters cannot be encoded in GS1"
+    );
+  }
+
+  return {
+    batch: formatBatch(batch),
+    gtin: gtin.padStart(14, "0"),
+    ...buildGs1Label({
+      gtin,
+      expiryDate: batch.expiry_date,
+      lot: batch.lot_number,
+    }),
+  };
+}
@@ -0,0 +1,183 @@
+// controllers/batch.controller.js
+
+import {
+  listBatchesService,
+  getBatchDetailsService,
+  createBatchService,
+  updateBatchService,
+  listExpiringBatchesService,
+  getExpiryReportService,
+  pickFefoService,
+} from "./batch.service.js";
+
+import { successResponse, errorResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/batches/:tenantUuid/:branchUuid
+ */
+export const listBatchesController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const { productUuid, includeDepleted } = req.query;
+
+    const batches = await listBatchesService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      includeDepleted: includeDepleted === "true",
+    });
+
+    return successResponse(res, "Batches fetched successfully", batches, 200);
+  } catch (error) {
+    console.error("❌ List Batches Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/batches/:tenantUuid/:branchUuid
+ */
+export const createBatchController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+
+    const batch = await createBatchService({
+      tenantUuid,
+      branchUuid,
+      ...req.body,
+      received_quantity: Number(req.body.received_quantity),
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Batch created successfully", batch, 201);
+  } catch (error) {
+    console.error("❌ Create Batch Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/batches/:tenantUuid/expiry-report
+ */
+export const getExpiryReportController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { branchUuid, productUuid, status, days } = req.query;
+
+    const report = await getExpiryReportService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      status,
+      days: days ? Number(days) : undefined,
+    });
+
+    return successResponse(
+      res,
+      "Expiry report fetched successfully",
+      report,
+      200
+    );
+  } catch (error) {
+    console.error("❌ Expiry Report Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/batches/:tenantUuid/:branchUuid/expiring?days=30
+ */
+export const listExpiringBatchesController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const days = req.query.days ? Number(req.query.days) : undefined;
+
+    const batches = await listExpiringBatchesService({
+      tenantUuid,
+      branchUuid,
+      days,
+    });
+
+    return successResponse(
+      res,
+      "Expiring batches fetched successfully",
+      batches,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Expiring Batches Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/batches/:tenantUuid/:branchUuid/fefo?productUuid=&quantity=
+ */
+export const pickFefoController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const { productUuid, quantity } = req.query;
+
+    const picks = await pickFefoService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      quantity: Number(quantity),
+    });
+
+    return successResponse(res, "FEFO picks calculated", picks, 200);
+  } catch (error) {
+    console.error("❌ FEFO Pick Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/batches/:tenantUuid/:branchUuid/:batchUuid
+ */
+export const getBatchDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid, batchUuid } = req.params;
+
+    const batch = await getBatchDetailsService({
+      tenantUuid,
+      branchUuid,
+      batchUuid,
+    });
+
+    return successResponse(res, "Batch details fetched successfully", batch);
+  } catch (error) {
+    console.error("❌ Get Batch Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/batches/:tenantUuid/:branchUuid/:batchUuid
+ */
+export const updateBatchController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid, batchUuid } = req.params;
+
+    const batch = await updateBatchService({
+      tenantUuid,
+      branchUuid,
+      batchUuid,
+      updates: req.body,
+    });
+
+    return successResponse(res, "Batch updated successfully", batch);
+  } catch (error) {
+    console.error("❌ Update Batch Error:", error);
+
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Lot number already exists for this product at this branch",
+        409
+      );
+    }
+
+    next(error);
+  }
+};
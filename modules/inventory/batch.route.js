@@ -0,0 +1,93 @@
+import { Router } from "express";
+import {
+  createBatchController,
+  getBatchDetailsController,
+  getExpiryReportController,
+  listBatchesController,
+  listExpiringBatchesController,
+  pickFefoController,
+  updateBatchController,
+} from "./batch.controller.js";
+import {
+  createBatchValidation,
+  expiringBatchesValidation,
+  expiryReportValidation,
+  fefoPickValidation,
+  updateBatchValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+// Tenant-wide expired / near-expiry report (declared before /:branchUuid)
+router.get(
+  "/:tenantUuid/expiry-report",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  expiryReportValidation,
+  validateRequest,
+  getExpiryReportController
+);
+
+router.get(
+  "/:tenantUuid/:branchUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listBatchesController
+);
+router.post(
+  "/:tenantUuid/:branchUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createBatchValidation,
+  validateRequest,
+  createBatchController
+);
+
+// --------------------------------------------------------
+// EXPIRY + FEFO (declared before /:batchUuid)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/:branchUuid/expiring",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  expiringBatchesValidation,
+  validateRequest,
+  listExpiringBatchesController
+);
+router.get(
+  "/:tenantUuid/:branchUuid/fefo",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  fefoPickValidation,
+  validateRequest,
+  pickFefoController
+);
+
+router.get(
+  "/:tenantUuid/:branchUuid/:batchUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getBatchDetailsController
+);
+router.put(
+  "/:tenantUuid/:branchUuid/:batchUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateBatchValidation,
+  validateRequest,
+  updateBatchController
+);
+
+export default router;
@@ -0,0 +1,432 @@
+// services/batch.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findProductOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  getReservedByBatch,
+  pickBatchesFefo,
+  postStockMovement,
+  resolveInboundBatch,
+  sortBatchesFefo,
+  startOfToday,
+} from "./inventory.repository.js";
+import { getExpiryAlertDays } from "./settings.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const batchInclude = {
+  tbl_products: {
+    select: { product_uuid: true, sku: true, product_name: true },
+  },
+  tbl_branches: {
+    select: { branch_uuid: true, branch_name: true },
+  },
+};
+
+const EXPIRY_STATUSES = ["EXPIRED", "NEAR_EXPIRY"];
+
+/**
+ * Days from today until the expiry date (negative once expired)
+ */
+export function getDaysToExpiry(expiryDate) {
+  if (!expiryDate) return null;
+
+  return Math.ceil((new Date(expiryDate) - startOfToday()) / DAY_MS);
+}
+
+/**
+ * Last expiry date still inside a window of `days` from today
+ */
+function getExpiryCutoff(days) {
+  const cutoff = startOfToday();
+  cutoff.setDate(cutoff.getDate() + days);
+  return cutoff;
+}
+
+/**
+ * Shape a batch row for API responses
+ */
+export function formatBatch(batch) {
+  return {
+    batch_uuid: batch.batch_uuid,
+    lot_number: batch.lot_number,
+    manufacture_date: batch.manufacture_date,
+    expiry_date: batch.expiry_date,
+    days_to_expiry: getDaysToExpiry(batch.expiry_date),
+    received_quantity: Number(batch.received_quantity),
+    remaining_quantity: Number(batch.remaining_quantity),
+    product: batch.tbl_products
+      ? {
+          product_uuid: batch.tbl_products.product_uuid,
+          sku: batch.tbl_products.sku,
+          product_name: batch.tbl_products.product_name,
+        }
+      : undefined,
+    branch: batch.tbl_branches
+      ? {
+          branch_uuid: batch.tbl_branches.branch_uuid,
+          branch_name: batch.tbl_branches.branch_name,
+        }
+      : undefined,
+    created_on: batch.created_on,
+    modified_on: batch.modified_on,
+  };
+}
+
+/**
+ * List batches at a branch
+ */
+export async function listBatchesService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  includeDepleted = false,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const where = { tenant_id: tenant.tenant_id, branch_id: branch.branch_id };
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  if (!includeDepleted) where.remaining_quantity = { gt: 0 };
+
+  const batches = await prisma.tbl_product_batches.findMany({
+    where,
+    include: batchInclude,
+  });
+
+  return sortBatchesFefo(batches).map(formatBatch);
+}
+
+/**
+ * Get batch details
+ */
+export async function getBatchDetailsService({
+  tenantUuid,
+  branchUuid,
+  batchUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const batch = await prisma.tbl_product_batches.findFirst({
+    where: {
+      tenant_id: tenant.tenant_id,
+      branch_id: branch.branch_id,
+      batch_uuid: batchUuid,
+    },
+    include: batchInclude,
+  });
+
+  if (!batch) throw httpError(404, "Batch not found");
+
+  return formatBatch(batch);
+}
+
+/**
+ * Register a new lot for a product at a branch and post its RECEIPT
+ * (naming every unit in `serial_numbers` for serialized products)
+ */
+export async function createBatchService({
+  tenantUuid,
+  branchUuid,
+  product_uuid,
+  lot_number,
+  manufacture_date = null,
+  expiry_date = null,
+  received_quantity,
+  serial_numbers = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+  const product = await findStockProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    product_uuid
+  );
+
+  const existing = await prisma.tbl_product_batches.findFirst({
+    where: {
+      product_id: product.product_id,
+      branch_id: branch.branch_id,
+      lot_number,
+    },
+    select: { batch_id: true },
+  });
+
+  if (existing) {
+    throw httpError(
+      409,
+      `Lot "${lot_number}" already exists for this product at this branch`
+    );
+  }
+
+  // The lot is created empty; the RECEIPT ledger row sets its quantities
+  const batch = await prisma.$transaction(async (tx) => {
+    const created = await resolveInboundBatch(tx, {
+      tenantId: tenant.tenant_id,
+      productId: product.product_id,
+      branchId: branch.branch_id,
+      lot: { lot_number, manufacture_date, expiry_date },
+      createdBy: created_by,
+    });
+
+    await postStockMovement(tx, {
+      tenantId: tenant.tenant_id,
+      productId: product.product_id,
+      branchId: branch.branch_id,
+      batchId: created.batch_id,
+      movementType: "RECEIPT",
+      quantity: received_quantity,
+      unitCost: product.cost_price,
+      referenceType: "BATCH",
+      referenceUuid: created.batch_uuid,
+      createdBy: created_by,
+      serials: serial_numbers,
+    });
+
+    return tx.tbl_product_batches.findUnique({
+      where: { batch_id: created.batch_id },
+      include: batchInclude,
+    });
+  });
+
+  return formatBatch(batch);
+}
+
+/**
+ * Update lot metadata (quantities are not editable here)
+ */
+export async function updateBatchService({
+  tenantUuid,
+  branchUuid,
+  batchUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const batch = await prisma.tbl_product_batches.findFirst({
+    where: {
+      tenant_id: tenant.tenant_id,
+      branch_id: branch.branch_id,
+      batch_uuid: batchUuid,
+    },
+  });
+
+  if (!batch) throw httpError(404, "Batch not found");
+
+  const manufactureDate =
+    updates.manufacture_date !== undefined
+      ? updates.manufacture_date && new Date(updates.manufacture_date)
+      : batch.manufacture_date;
+  const expiryDate =
+    updates.expiry_date !== undefined
+      ? updates.expiry_date && new Date(updates.expiry_date)
+      : batch.expiry_date;
+
+  if (manufactureDate && expiryDate && expiryDate <= manufactureDate) {
+    throw httpError(400, "Expiry date must be after manufacture date");
+  }
+
+  if (updates.lot_number && updates.lot_number !== batch.lot_number) {
+    const existing = await prisma.tbl_product_batches.findFirst({
+      where: {
+        product_id: batch.product_id,
+        branch_id: batch.branch_id,
+        lot_number: updates.lot_number,
+        NOT: { batch_id: batch.batch_id },
+      },
+      select: { batch_id: true },
+    });
+
+    if (existing) {
+      throw httpError(
+        409,
+        `Lot "${updates.lot_number}" already exists for this product at this branch`
+      );
+    }
+  }
+
+  const updated = await prisma.tbl_product_batches.update({
+    where: { batch_id: batch.batch_id },
+    data: {
+      lot_number: updates.lot_number,
+      manufacture_date: manufactureDate || null,
+      expiry_date: expiryDate || null,
+      modified_on: new Date(),
+    },
+    include: batchInclude,
+  });
+
+  return formatBatch(updated);
+}
+
+/**
+ * Batches at a branch that expire within `days` (already expired included),
+ * the tenant's expiry alert window by default
+ */
+export async function listExpiringBatchesService({
+  tenantUuid,
+  branchUuid,
+  days,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const cutoff = getExpiryCutoff(
+    days ?? (await getExpiryAlertDays(prisma, tenant.tenant_id))
+  );
+
+  const batches = await prisma.tbl_product_batches.findMany({
+    where: {
+      tenant_id: tenant.tenant_id,
+      branch_id: branch.branch_id,
+      remaining_quantity: { gt: 0 },
+      expiry_date: { not: null, lte: cutoff },
+    },
+    include: batchInclude,
+    orderBy: { expiry_date: "asc" },
+  });
+
+  return batches.map(formatBatch);
+}
+
+/**
+ * Expired and near-expiry lots with stock across the tenant (or one
+ * branch / product), with totals per status. Near expiry means expiring
+ * within `days`, the tenant's expiry alert window by default.
+ */
+export async function getExpiryReportService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  status,
+  days,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const windowDays =
+    days ?? (await getExpiryAlertDays(prisma, tenant.tenant_id));
+  const today = startOfToday();
+
+  const where = {
+    tenant_id: tenant.tenant_id,
+    remaining_quantity: { gt: 0 },
+    expiry_date:
+      status === "EXPIRED"
+        ? { lt: today }
+        : status === "NEAR_EXPIRY"
+          ? { gte: today, lte: getExpiryCutoff(windowDays) }
+          : { not: null, lte: getExpiryCutoff(windowDays) },
+  };
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  const batches = await prisma.tbl_product_batches.findMany({
+    where,
+    include: batchInclude,
+    orderBy: [{ expiry_date: "asc" }, { batch_id: "asc" }],
+  });
+
+  const summary = Object.fromEntries(
+    EXPIRY_STATUSES.map((s) => [s, { batch_count: 0, quantity: 0 }])
+  );
+
+  const items = batches.map((batch) => {
+    const formatted = formatBatch(batch);
+    const expiryStatus =
+      formatted.days_to_expiry < 0 ? "EXPIRED" : "NEAR_EXPIRY";
+
+    summary[expiryStatus].batch_count++;
+    summary[expiryStatus].quantity = Number(
+      (summary[expiryStatus].quantity + formatted.remaining_quantity).toFixed(3)
+    );
+
+    return { ...formatted, expiry_status: expiryStatus };
+  });
+
+  return {
+    as_of: today,
+    window_days: windowDays,
+    summary: {
+      expired: summary.EXPIRED,
+      near_expiry: summary.NEAR_EXPIRY,
+    },
+    batches: items,
+  };
+}
+
+/**
+ * Suggest which batches to pick for a quantity (FEFO, expired lots skipped)
+ */
+export async function pickFefoService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  quantity,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+  const product = await findProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  const { allocations, allocated, shortfall } = await pickBatchesFefo(prisma, {
+    productId: product.product_id,
+    branchId: branch.branch_id,
+    quantity,
+    reservedByBatch: await getReservedByBatch(prisma, {
+      productId: product.product_id,
+      branchId: branch.branch_id,
+    }),
+    excludeExpired: true,
+  });
+
+  return {
+    product_uuid: product.product_uuid,
+    branch_uuid: branch.branch_uuid,
+    requested_quantity: quantity,
+    allocated_quantity: allocated,
+    shortfall,
+    is_fulfillable: shortfall === 0,
+    picks: allocations.map(({ batch, quantity: pickQty }) => ({
+      batch_uuid: batch.batch_uuid,
+      lot_number: batch.lot_number,
+      expiry_date: batch.expiry_date,
+      available_quantity: Number(batch.remaining_quantity),
+      pick_quantity: pickQty,
+    })),
+  };
+}
@@ -0,0 +1,151 @@
+// controllers/category.controller.js
+
+import {
+  listCategoriesService,
+  createCategoryService,
+  updateCategoryService,
+  moveCategoryService,
+  reorderCategoriesService,
+} from "./category.service.js";
+import { listTagsService } from "./tag.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/products/:tenantUuid/categories
+ */
+export const listCategoriesController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { flat } = req.query;
+
+    const categories = await listCategoriesService({
+      tenantUuid,
+      flat: flat === "true",
+    });
+
+    return successResponse(
+      res,
+      "Categories fetched successfully",
+      categories,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Categories Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/products/:tenantUuid/categories
+ */
+export const createCategoryController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { category_name, description, parent_category_uuid } = req.body;
+
+    const category = await createCategoryService({
+      tenantUuid,
+      category_name: category_name.trim(),
+      description: description?.trim() || null,
+      parent_category_uuid: parent_category_uuid || null,
+    });
+
+    return successResponse(res, "Category created successfully", category, 201);
+  } catch (error) {
+    console.error("❌ Create Category Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/products/:tenantUuid/categories/reorder
+ */
+export const reorderCategoriesController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { parent_category_uuid, category_uuids } = req.body;
+
+    const categories = await reorderCategoriesService({
+      tenantUuid,
+      parent_category_uuid: parent_category_uuid || null,
+      category_uuids,
+    });
+
+    return successResponse(
+      res,
+      "Categories reordered successfully",
+      categories
+    );
+  } catch (error) {
+    console.error("❌ Reorder Categories Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/products/:tenantUuid/categories/:categoryUuid
+ */
+export const updateCategoryController = async (req, res, next) => {
+  try {
+    const { tenantUuid, categoryUuid } = req.params;
+    const { category_name, description } = req.body;
+
+    const category = await updateCategoryService({
+      tenantUuid,
+      categoryUuid,
+      updates: {
+        category_name: category_name?.trim(),
+        description:
+          description === undefined ? undefined : description?.trim() || null,
+      },
+    });
+
+    return successResponse(res, "Category updated successfully", category);
+  } catch (error) {
+    console.error("❌ Update Category Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/products/:tenantUuid/categories/:categoryUuid/move
+ */
+export const moveCategoryController = async (req, res, next) => {
+  try {
+    const { tenantUuid, categoryUuid } = req.params;
+    const { parent_category_uuid, position } = req.body;
+
+    const category = await moveCategoryService({
+      tenantUuid,
+      categoryUuid,
+      parent_category_uuid: parent_category_uuid || null,
+      position: position ?? null,
+    });
+
+    return successResponse(res, "Category moved successfully", category);
+  } catch (error) {
+    console.error("❌ Move Category Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/products/:tenantUuid/tags
+ */
+export const listTagsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { search } = req.query;
+
+    const tags = await listTagsService({
+      tenantUuid,
+      search: search?.trim() || undefined,
+    });
+
+    return successResponse(res, "Tags fetched successfully", tags);
+  } catch (error) {
+    console.error("❌ List Tags Error:", error);
+    next(error);
+  }
+};
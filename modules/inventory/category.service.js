@@ -0,0 +1,445 @@
+// services/category.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findCategoryOrThrow,
+  findTenantOrThrow,
+} from "./inventory.repository.js";
+
+const PATH_SEPARATOR = " › ";
+
+const bySortOrder = (a, b) =>
+  a.sort_order - b.sort_order || a.category_name.localeCompare(b.category_name);
+
+/**
+ * All categories of a tenant with their direct product counts
+ */
+async function loadCategories(client, tenantId) {
+  return client.tbl_product_categories.findMany({
+    where: { tenant_id: tenantId },
+    include: { _count: { select: { tbl_products: true } } },
+  });
+}
+
+/**
+ * Build the category tree the same way the menu tree is built: map every
+ * node, attach children under their parent, keep parentless nodes as roots.
+ * Each node also gets its path and the product count of its whole subtree.
+ */
+function buildCategoryTree(categories) {
+  const sorted = [...categories].sort(bySortOrder);
+  const map = {};
+
+  sorted.forEach((category) => {
+    map[category.category_id] = {
+      category_uuid: category.category_uuid,
+      category_name: category.category_name,
+      description: category.description,
+      parent_category_uuid: null,
+      sort_order: category.sort_order,
+      product_count: category._count.tbl_products,
+      total_product_count: 0,
+      path: category.category_name,
+      depth: 0,
+      created_on: category.created_on,
+      children: [],
+    };
+  });
+
+  const roots = [];
+
+  sorted.forEach((category) => {
+    const parent = map[category.parent_category_id];
+    if (category.parent_category_id && parent) {
+      map[category.category_id].parent_category_uuid = parent.category_uuid;
+      parent.children.push(map[category.category_id]);
+    } else {
+      roots.push(map[category.category_id]);
+    }
+  });
+
+  // Paths/depths top-down, subtree product counts bottom-up
+  const walk = (node, parent) => {
+    if (parent) {
+      node.path = `${parent.path}${PATH_SEPARATOR}${node.category_name}`;
+      node.depth = parent.depth + 1;
+    }
+    node.total_product_count =
+      node.product_count +
+      node.children.reduce((sum, child) => sum + walk(child, node), 0);
+    return node.total_product_count;
+  };
+  roots.forEach((root) => walk(root, null));
+
+  return roots;
+}
+
+/**
+ * A category and every category below it, as ids
+ */
+export async function getCategoryDescendantIds(client, tenantId, categoryId) {
+  const categories = await client.tbl_product_categories.findMany({
+    where: { tenant_id: tenantId },
+    select: { category_id: true, parent_category_id: true },
+  });
+
+  const childrenOf = new Map();
+  for (const c of categories) {
+    if (!c.parent_category_id) continue;
+    if (!childrenOf.has(c.parent_category_id)) {
+      childrenOf.set(c.parent_category_id, []);
+    }
+    childrenOf.get(c.parent_category_id).push(c.category_id);
+  }
+
+  const ids = [];
+  const queue = [categoryId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    ids.push(id);
+    queue.push(...(childrenOf.get(id) || []));
+  }
+
+  return ids;
+}
+
+/**
+ * The categories above a category, nearest first, as ids
+ */
+export async function getCategoryAncestorIds(client, category) {
+  const ids = [];
+  let parentId = category.parent_category_id;
+
+  while (parentId && !ids.includes(parentId)) {
+    ids.push(parentId);
+    const parent = await client.tbl_product_categories.findUnique({
+      where: { category_id: parentId },
+      select: { parent_category_id: true },
+    });
+    parentId = parent?.parent_category_id ?? null;
+  }
+
+  return ids;
+}
+
+/**
+ * Resolve an optional parent category (null/undefined → top level)
+ */
+async function findParentCategory(client, tenantId, parentCategoryUuid) {
+  if (!parentCategoryUuid) return null;
+
+  return findCategoryOrThrow(client, tenantId, parentCategoryUuid);
+}
+
+/**
+ * Give a list of sibling ids consecutive sort orders
+ */
+/**
+ * Category names are unique among siblings only, so "Accessories" can
+ * live under both "Phones" and "Laptops"
+ */
+async function assertUniqueSiblingName(
+  client,
+  tenantId,
+  parentCategoryId,
+  categoryName,
+  excludeCategoryId = null
+) {
+  const duplicate = await client.tbl_product_categories.findFirst({
+    where: {
+      tenant_id: tenantId,
+      parent_category_id: parentCategoryId,
+      category_name: categoryName,
+      ...(excludeCategoryId && { NOT: { category_id: excludeCategoryId } }),
+    },
+    select: { category_id: true },
+  });
+
+  if (duplicate) {
+    throw httpError(
+      409,
+      `Category "${categoryName}" already exists at this level`
+    );
+  }
+}
+
+async function resequence(tx, categoryIds) {
+  for (const [index, categoryId] of categoryIds.entries()) {
+    await tx.tbl_product_categories.update({
+      where: { category_id: categoryId },
+      data: { sort_order: index, modified_on: new Date() },
+    });
+  }
+}
+
+async function loadSiblingIds(client, tenantId, parentCategoryId) {
+  const siblings = await client.tbl_product_categories.findMany({
+    where: { tenant_id: tenantId, parent_category_id: parentCategoryId },
+    select: { category_id: true, category_name: true, sort_order: true },
+  });
+
+  return siblings.sort(bySortOrder).map((s) => s.category_id);
+}
+
+/**
+ * Find one node of a freshly built tree
+ */
+function findNode(nodes, categoryUuid) {
+  for (const node of nodes) {
+    if (node.category_uuid === categoryUuid) return node;
+    const found = findNode(node.children, categoryUuid);
+    if (found) return found;
+  }
+  return null;
+}
+
+async function getCategoryNode(tenantId, categoryUuid) {
+  const tree = buildCategoryTree(await loadCategories(prisma, tenantId));
+  return findNode(tree, categoryUuid);
+}
+
+/** ------------------ CATEGORIES ------------------- **/
+
+/**
+ * Category tree of a tenant, or a flat list in tree order with `flat`
+ */
+export async function listCategoriesService({ tenantUuid, flat = false }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const tree = buildCategoryTree(
+    await loadCategories(prisma, tenant.tenant_id)
+  );
+
+  if (!flat) return tree;
+
+  const list = [];
+  const collect = (nodes) =>
+    nodes.forEach(({ children, ...node }) => {
+      list.push(node);
+      collect(children);
+    });
+  collect(tree);
+
+  return list;
+}
+
+/**
+ * Create a category, at the end of its siblings
+ * (under `parent_category_uuid`, or at the top level)
+ */
+export async function createCategoryService({
+  tenantUuid,
+  category_name,
+  description = null,
+  parent_category_uuid = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const parent = await findParentCategory(
+    prisma,
+    tenant.tenant_id,
+    parent_category_uuid
+  );
+
+  await assertUniqueSiblingName(
+    prisma,
+    tenant.tenant_id,
+    parent?.category_id ?? null,
+    category_name
+  );
+
+  const last = await prisma.tbl_product_categories.aggregate({
+    where: {
+      tenant_id: tenant.tenant_id,
+      parent_category_id: parent?.category_id ?? null,
+    },
+    _max: { sort_order: true },
+  });
+
+  const category = await prisma.tbl_product_categories.create({
+    data: {
+      category_uuid: generateShortUUID(),
+      tenant_id: tenant.tenant_id,
+      parent_category_id: parent?.category_id ?? null,
+      category_name,
+      description,
+      sort_order: (last._max.sort_order ?? -1) + 1,
+    },
+  });
+
+  return getCategoryNode(tenant.tenant_id, category.category_uuid);
+}
+
+/**
+ * Rename a category or change its description
+ */
+export async function updateCategoryService({
+  tenantUuid,
+  categoryUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const category = await findCategoryOrThrow(
+    prisma,
+    tenant.tenant_id,
+    categoryUuid
+  );
+
+  if (
+    updates.category_name &&
+    updates.category_name !== category.category_name
+  ) {
+    await assertUniqueSiblingName(
+      prisma,
+      tenant.tenant_id,
+      category.parent_category_id,
+      updates.category_name,
+      category.category_id
+    );
+  }
+
+  await prisma.tbl_product_categories.update({
+    where: { category_id: category.category_id },
+    data: {
+      category_name: updates.category_name,
+      description: updates.description,
+      modified_on: new Date(),
+    },
+  });
+
+  return getCategoryNode(tenant.tenant_id, categoryUuid);
+}
+
+/**
+ * Move a category (with everything below it) under another parent, or to
+ * the top level with `parent_category_uuid: null`. `position` is its
+ * 0-based place among the new siblings (default: last).
+ */
+export async function moveCategoryService({
+  tenantUuid,
+  categoryUuid,
+  parent_category_uuid = null,
+  position = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const category = await findCategoryOrThrow(
+    prisma,
+    tenant.tenant_id,
+    categoryUuid
+  );
+  const parent = await findParentCategory(
+    prisma,
+    tenant.tenant_id,
+    parent_category_uuid
+  );
+
+  // A category cannot move into its own subtree
+  if (parent) {
+    const subtree = await getCategoryDescendantIds(
+      prisma,
+      tenant.tenant_id,
+      category.category_id
+    );
+    if (subtree.includes(parent.category_id)) {
+      throw httpError(400, "A category cannot be moved under itself");
+    }
+  }
+
+  const newParentId = parent?.category_id ?? null;
+
+  if (newParentId !== category.parent_category_id) {
+    await assertUniqueSiblingName(
+      prisma,
+      tenant.tenant_id,
+      newParentId,
+      category.category_name,
+      category.category_id
+    );
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const oldSiblings = await loadSiblingIds(
+      tx,
+      tenant.tenant_id,
+      category.parent_category_id
+    );
+    const newSiblings = (
+      await loadSiblingIds(tx, tenant.tenant_id, newParentId)
+    ).filter((id) => id !== category.category_id);
+
+    const index =
+      position === null
+        ? newSiblings.length
+        : Math.min(Math.max(position, 0), newSiblings.length);
+    newSiblings.splice(index, 0, category.category_id);
+
+    await tx.tbl_product_categories.update({
+      where: { category_id: category.category_id },
+      data: { parent_category_id: newParentId, modified_on: new Date() },
+    });
+
+    if (category.parent_category_id !== newParentId) {
+      await resequence(
+        tx,
+        oldSiblings.filter((id) => id !== category.category_id)
+      );
+    }
+    await resequence(tx, newSiblings);
+  });
+
+  return getCategoryNode(tenant.tenant_id, categoryUuid);
+}
+
+/**
+ * Set the order of the children of one parent (or of the top level).
+ * `category_uuids` must list every sibling exactly once.
+ */
+export async function reorderCategoriesService({
+  tenantUuid,
+  parent_category_uuid = null,
+  category_uuids,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const parent = await findParentCategory(
+    prisma,
+    tenant.tenant_id,
+    parent_category_uuid
+  );
+
+  const siblings = await prisma.tbl_product_categories.findMany({
+    where: {
+      tenant_id: tenant.tenant_id,
+      parent_category_id: parent?.category_id ?? null,
+    },
+    select: { category_id: true, category_uuid: true },
+  });
+  const idByUuid = new Map(
+    siblings.map((s) => [s.category_uuid, s.category_id])
+  );
+
+  if (
+    new Set(category_uuids).size !== category_uuids.length ||
+    category_uuids.length !== siblings.length ||
+    category_uuids.some((uuid) => !idByUuid.has(uuid))
+  ) {
+    throw httpError(
+      400,
+      "category_uuids must list every category of this level exactly once"
+    );
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await resequence(
+      tx,
+      category_uuids.map((uuid) => idByUuid.get(uuid))
+    );
+  });
+
+  const tree = buildCategoryTree(
+    await loadCategories(prisma, tenant.tenant_id)
+  );
+
+  return parent ? findNode(tree, parent.category_uuid).children : tree;
+}
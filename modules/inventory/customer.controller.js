@@ -0,0 +1,185 @@
+// controllers/customer.controller.js
+
+import {
+  listCustomersService,
+  getCustomerDetailsService,
+  createCustomerService,
+  updateCustomerService,
+  findDuplicateCustomersService,
+  mergeCustomersService,
+  getCustomerStatementService,
+} from "./customer.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/customers/:tenantUuid
+ */
+export const listCustomersController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const {
+      search,
+      customerType,
+      customerGroupUuid,
+      status,
+      includeMerged,
+      page,
+      limit,
+    } = req.query;
+
+    const result = await listCustomersService({
+      tenantUuid,
+      search: search?.trim() || undefined,
+      customerType,
+      customerGroupUuid,
+      status: status !== undefined ? status === "true" : undefined,
+      includeMerged: includeMerged === "true",
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Customers fetched successfully", result, 200);
+  } catch (error) {
+    console.error("❌ List Customers Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/customers/:tenantUuid
+ */
+export const createCustomerController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { addresses, ...fields } = req.body;
+
+    const customer = await createCustomerService({
+      tenantUuid,
+      fields,
+      addresses: addresses || [],
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Customer created successfully", customer, 201);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Another customer was created at the same time, please retry",
+        409
+      );
+    }
+    console.error("❌ Create Customer Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/customers/:tenantUuid/duplicates
+ */
+export const findDuplicateCustomersController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const groups = await findDuplicateCustomersService({ tenantUuid });
+
+    return successResponse(
+      res,
+      "Possible duplicate customers fetched successfully",
+      groups
+    );
+  } catch (error) {
+    console.error("❌ Find Duplicate Customers Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/customers/:tenantUuid/:customerUuid
+ */
+export const getCustomerDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, customerUuid } = req.params;
+
+    const customer = await getCustomerDetailsService({
+      tenantUuid,
+      customerUuid,
+    });
+
+    return successResponse(
+      res,
+      "Customer details fetched successfully",
+      customer
+    );
+  } catch (error) {
+    console.error("❌ Get Customer Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/customers/:tenantUuid/:customerUuid
+ */
+export const updateCustomerController = async (req, res, next) => {
+  try {
+    const { tenantUuid, customerUuid } = req.params;
+
+    const customer = await updateCustomerService({
+      tenantUuid,
+      customerUuid,
+      updates: req.body,
+    });
+
+    return successResponse(res, "Customer updated successfully", customer);
+  } catch (error) {
+    console.error("❌ Update Customer Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/customers/:tenantUuid/:customerUuid/merge
+ */
+export const mergeCustomersController = async (req, res, next) => {
+  try {
+    const { tenantUuid, customerUuid } = req.params;
+
+    const customer = await mergeCustomersService({
+      tenantUuid,
+      customerUuid,
+      duplicate_uuids: req.body.duplicate_uuids,
+    });
+
+    return successResponse(res, "Customers merged successfully", customer);
+  } catch (error) {
+    console.error("❌ Merge Customers Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/customers/:tenantUuid/:customerUuid/statement
+ */
+export const getCustomerStatementController = async (req, res, next) => {
+  try {
+    const { tenantUuid, customerUuid } = req.params;
+    const { from, to } = req.query;
+
+    const statement = await getCustomerStatementService({
+      tenantUuid,
+      customerUuid,
+      from,
+      to,
+    });
+
+    return successResponse(
+      res,
+      "Customer statement fetched successfully",
+      statement
+    );
+  } catch (error) {
+    console.error("❌ Get Customer Statement Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,90 @@
+import { Router } from "express";
+import {
+  createCustomerController,
+  findDuplicateCustomersController,
+  getCustomerDetailsController,
+  getCustomerStatementController,
+  listCustomersController,
+  mergeCustomersController,
+  updateCustomerController,
+} from "./customer.controller.js";
+import {
+  createCustomerValidation,
+  customerStatementValidation,
+  listCustomersValidation,
+  mergeCustomersValidation,
+  updateCustomerValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listCustomersValidation,
+  validateRequest,
+  listCustomersController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createCustomerValidation,
+  validateRequest,
+  createCustomerController
+);
+
+// Possible duplicates (declared before /:customerUuid)
+router.get(
+  "/:tenantUuid/duplicates",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  findDuplicateCustomersController
+);
+
+router.get(
+  "/:tenantUuid/:customerUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getCustomerDetailsController
+);
+router.put(
+  "/:tenantUuid/:customerUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateCustomerValidation,
+  validateRequest,
+  updateCustomerController
+);
+
+router.post(
+  "/:tenantUuid/:customerUuid/merge",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  mergeCustomersValidation,
+  validateRequest,
+  mergeCustomersController
+);
+router.get(
+  "/:tenantUuid/:customerUuid/statement",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  customerStatementValidation,
+  validateRequest,
+  getCustomerStatementController
+);
+
+export default router;
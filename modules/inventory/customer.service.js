@@ -0,0 +1,724 @@
+// services/customer.service.js
+
+import { Country, State } from "country-state-city";
+import { parsePhoneNumberFromString } from "libphonenumber-js";
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { findCustomerGroupOrThrow } from "./customerGroup.service.js";
+import {
+  findTenantOrThrow,
+  nextDocumentNumber,
+} from "./inventory.repository.js";
+
+const customerInclude = {
+  tbl_customer_groups: {
+    select: { customer_group_uuid: true, group_name: true },
+  },
+  addresses: { orderBy: { address_id: "asc" } },
+  mergedInto: { select: { customer_uuid: true, customer_code: true } },
+};
+
+// Fields that identify the same customer entered twice
+const DUPLICATE_KEYS = ["email", "phone", "tax_id"];
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+function formatAddress(address) {
+  return {
+    address_uuid: address.address_uuid,
+    address_type: address.address_type,
+    is_default: address.is_default,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    state: address.state,
+    state_name: address.state
+      ? State.getStateByCodeAndCountry(address.state, address.country)?.name ||
+        null
+      : null,
+    country: address.country,
+    country_name: Country.getCountryByCode(address.country)?.name || null,
+    postal_code: address.postal_code,
+  };
+}
+
+/**
+ * Shape a customer row for API responses
+ */
+export function formatCustomer(customer) {
+  return {
+    customer_uuid: customer.customer_uuid,
+    customer_code: customer.customer_code,
+    customer_type: customer.customer_type,
+    display_name: customer.display_name,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    company_name: customer.company_name,
+    email: customer.email,
+    phone: customer.phone,
+    tax_id: customer.tax_id,
+    customer_group: customer.tbl_customer_groups
+      ? {
+          customer_group_uuid: customer.tbl_customer_groups.customer_group_uuid,
+          group_name: customer.tbl_customer_groups.group_name,
+        }
+      : null,
+    notes: customer.notes,
+    status: customer.status,
+    merged_into: customer.mergedInto
+      ? {
+          customer_uuid: customer.mergedInto.customer_uuid,
+          customer_code: customer.mergedInto.customer_code,
+        }
+      : null,
+    addresses: customer.addresses
+      ? customer.addresses.map(formatAddress)
+      : undefined,
+    created_on: customer.created_on,
+    modified_on: customer.modified_on,
+  };
+}
+
+/**
+ * Resolve a customer that belongs to the tenant
+ */
+export async function findCustomerOrThrow(client, tenantId, customerUuid) {
+  const customer = await client.tbl_customers.findFirst({
+    where: { tenant_id: tenantId, customer_uuid: customerUuid },
+    include: customerInclude,
+  });
+
+  if (!customer) throw httpError(404, "Customer not found");
+
+  return customer;
+}
+
+/**
+ * Resolve a customer that can still be sold to / edited
+ */
+export async function findActiveCustomerOrThrow(
+  client,
+  tenantId,
+  customerUuid
+) {
+  const customer = await findCustomerOrThrow(client, tenantId, customerUuid);
+
+  if (customer.merged_into_id) {
+    throw httpError(
+      409,
+      `Customer was merged into ${customer.mergedInto.customer_code}`
+    );
+  }
+  if (!customer.status) throw httpError(400, "Customer is inactive");
+
+  return customer;
+}
+
+/**
+ * Validate a phone number with libphonenumber-js and return it in E.164.
+ * National numbers are read in `country` (ISO code); numbers starting
+ * with + carry their own country code.
+ */
+function normalizePhone(phone, country = null) {
+  if (!phone) return null;
+
+  const parsed = parsePhoneNumberFromString(phone, country || undefined);
+
+  if (!parsed || !parsed.isValid()) {
+    throw httpError(
+      400,
+      country
+        ? `Phone number ${phone} is not valid for ${country}`
+        : `Phone number ${phone} is not valid; include the country code or phone_country`
+    );
+  }
+
+  return parsed.number;
+}
+
+/**
+ * Validate an address against country-state-city (ISO codes, as served
+ * by the lookups endpoints) and shape it for tbl_customer_addresses
+ */
+function normalizeAddress(address) {
+  const country = address.country.toUpperCase();
+
+  if (!Country.getCountryByCode(country)) {
+    throw httpError(400, `Unknown country code ${address.country}`);
+  }
+
+  const state = address.state ? address.state.toUpperCase() : null;
+
+  if (state && !State.getStateByCodeAndCountry(state, country)) {
+    throw httpError(400, `Unknown state code ${address.state} for ${country}`);
+  }
+
+  return {
+    address_uuid: generateShortUUID(),
+    address_type: address.address_type || "BILLING",
+    is_default: address.is_default === true,
+    address1: address.address1.trim(),
+    address2: address.address2?.trim() || null,
+    city: address.city?.trim() || null,
+    state,
+    country,
+    postal_code: address.postal_code?.trim() || null,
+  };
+}
+
+/**
+ * Validate all addresses of a customer. Each address type has exactly
+ * one default; the first of a type is used when none is marked.
+ */
+function buildAddressRows(addresses) {
+  const rows = addresses.map(normalizeAddress);
+
+  for (const type of new Set(rows.map((r) => r.address_type))) {
+    const ofType = rows.filter((r) => r.address_type === type);
+    const defaults = ofType.filter((r) => r.is_default);
+
+    if (defaults.length > 1) {
+      throw httpError(400, `Only one ${type} address can be the default`);
+    }
+    if (defaults.length === 0) ofType[0].is_default = true;
+  }
+
+  return rows;
+}
+
+/**
+ * Name shown for the customer: the company name for companies,
+ * otherwise the person's full name
+ */
+function getDisplayName({
+  customer_type,
+  first_name,
+  last_name,
+  company_name,
+}) {
+  if (customer_type === "COMPANY") return company_name;
+
+  return [first_name, last_name].filter(Boolean).join(" ");
+}
+
+/**
+ * Build the identity / contact columns of a customer from request fields
+ * merged over the current row (when updating)
+ */
+async function buildCustomerData(client, tenantId, fields, current = {}) {
+  const merged = { ...current, ...fields };
+  const customerType = merged.customer_type || "INDIVIDUAL";
+
+  if (customerType === "COMPANY" && !merged.company_name) {
+    throw httpError(400, "Company name is required for company customers");
+  }
+  if (customerType === "INDIVIDUAL" && !merged.first_name) {
+    throw httpError(400, "First name is required for individual customers");
+  }
+
+  const data = {
+    customer_type: customerType,
+    first_name: merged.first_name || null,
+    last_name: merged.last_name || null,
+    company_name: merged.company_name || null,
+    display_name: getDisplayName({ ...merged, customer_type: customerType }),
+    email: merged.email || null,
+    tax_id: merged.tax_id ? merged.tax_id.trim().toUpperCase() : null,
+    notes: merged.notes ?? null,
+  };
+
+  // Without phone_country, national numbers are read in the country of
+  // the customer's first address
+  if (fields.phone !== undefined) {
+    const country =
+      fields.phone_country ||
+      (fields.addresses ?? current.addresses)?.[0]?.country ||
+      null;
+
+    data.phone = normalizePhone(fields.phone, country?.toUpperCase() || null);
+  }
+
+  if (fields.customer_group_uuid !== undefined) {
+    data.customer_group_id = fields.customer_group_uuid
+      ? (
+          await findCustomerGroupOrThrow(
+            client,
+            tenantId,
+            fields.customer_group_uuid
+          )
+        ).customer_group_id
+      : null;
+  }
+
+  return data;
+}
+
+/** ------------------ CUSTOMERS ------------------- **/
+
+/**
+ * Search customers of a tenant (filterable + paginated).
+ * `search` matches the name, code, email, phone or tax ID; merged
+ * duplicates are left out unless `includeMerged` is set.
+ */
+export async function listCustomersService({
+  tenantUuid,
+  search,
+  customerType,
+  customerGroupUuid,
+  status,
+  includeMerged = false,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (!includeMerged) where.merged_into_id = null;
+  if (status !== undefined) where.status = status;
+  if (customerType) where.customer_type = customerType;
+
+  if (customerGroupUuid) {
+    const group = await findCustomerGroupOrThrow(
+      prisma,
+      tenant.tenant_id,
+      customerGroupUuid
+    );
+    where.customer_group_id = group.customer_group_id;
+  }
+
+  if (search) {
+    const digits = search.replace(/\D/g, "");
+
+    where.OR = [
+      { display_name: { contains: search } },
+      { customer_code: { contains: search } },
+      { email: { contains: search } },
+      { tax_id: { contains: search.toUpperCase() } },
+    ];
+    if (digits.length >= 4) where.OR.push({ phone: { contains: digits } });
+  }
+
+  const [total, customers] = await Promise.all([
+    prisma.tbl_customers.count({ where }),
+    prisma.tbl_customers.findMany({
+      where,
+      include: {
+        tbl_customer_groups: customerInclude.tbl_customer_groups,
+        mergedInto: customerInclude.mergedInto,
+      },
+      orderBy: { display_name: "asc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    customers: customers.map(formatCustomer),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get customer details with addresses and order totals
+ */
+export async function getCustomerDetailsService({ tenantUuid, customerUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const customer = await findCustomerOrThrow(
+    prisma,
+    tenant.tenant_id,
+    customerUuid
+  );
+
+  const [totals, credits] = await Promise.all([
+    prisma.tbl_sales_orders.aggregate({
+      where: { customer_id: customer.customer_id, status: "CONFIRMED" },
+      _count: { sales_order_id: true },
+      _sum: { grand_total: true, amount_paid: true },
+    }),
+    prisma.tbl_credit_notes.aggregate({
+      where: { customer_id: customer.customer_id },
+      _sum: { total_amount: true },
+    }),
+  ]);
+
+  const invoiced = Number(totals._sum.grand_total ?? 0);
+  const paid = Number(totals._sum.amount_paid ?? 0);
+  const credited = Number(credits._sum.total_amount ?? 0);
+
+  return {
+    ...formatCustomer(customer),
+    order_count: totals._count.sales_order_id,
+    total_invoiced: invoiced,
+    total_credited: credited,
+    balance_due: round(invoiced - paid - credited, 2),
+  };
+}
+
+/**
+ * Create a customer with its addresses
+ */
+export async function createCustomerService({
+  tenantUuid,
+  fields,
+  addresses = [],
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const data = await buildCustomerData(prisma, tenant.tenant_id, {
+    ...fields,
+    addresses,
+  });
+  const rows = buildAddressRows(addresses);
+
+  const customer = await prisma.$transaction(async (tx) => {
+    const customerCode = await nextDocumentNumber(tx, {
+      model: "tbl_customers",
+      field: "customer_code",
+      tenantId: tenant.tenant_id,
+      prefix: "CUST",
+    });
+
+    return tx.tbl_customers.create({
+      data: {
+        customer_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        customer_code: customerCode,
+        ...data,
+        created_by,
+        addresses: { create: rows },
+      },
+      include: customerInclude,
+    });
+  });
+
+  return formatCustomer(customer);
+}
+
+/**
+ * Update a customer. `addresses`, when given, replaces all addresses.
+ */
+export async function updateCustomerService({
+  tenantUuid,
+  customerUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const customer = await findCustomerOrThrow(
+    prisma,
+    tenant.tenant_id,
+    customerUuid
+  );
+
+  if (customer.merged_into_id) {
+    throw httpError(
+      409,
+      `Customer was merged into ${customer.mergedInto.customer_code}`
+    );
+  }
+
+  const { addresses, status, ...fields } = updates;
+
+  const data = await buildCustomerData(
+    prisma,
+    tenant.tenant_id,
+    { ...fields, addresses },
+    customer
+  );
+  if (status !== undefined) data.status = status;
+  data.modified_on = new Date();
+
+  const rows = addresses ? buildAddressRows(addresses) : null;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (rows) {
+      await tx.tbl_customer_addresses.deleteMany({
+        where: { customer_id: customer.customer_id },
+      });
+      data.addresses = { create: rows };
+    }
+
+    return tx.tbl_customers.update({
+      where: { customer_id: customer.customer_id },
+      data,
+      include: customerInclude,
+    });
+  });
+
+  return formatCustomer(updated);
+}
+
+/** ------------------ DUPLICATES ------------------- **/
+
+/**
+ * Groups of active customers sharing an email, phone number or tax ID
+ */
+export async function findDuplicateCustomersService({ tenantUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const groups = [];
+
+  for (const key of DUPLICATE_KEYS) {
+    const shared = await prisma.tbl_customers.groupBy({
+      by: [key],
+      where: {
+        tenant_id: tenant.tenant_id,
+        merged_into_id: null,
+        [key]: { not: null },
+      },
+      having: { [key]: { _count: { gt: 1 } } },
+    });
+
+    for (const row of shared) {
+      const customers = await prisma.tbl_customers.findMany({
+        where: {
+          tenant_id: tenant.tenant_id,
+          merged_into_id: null,
+          [key]: row[key],
+        },
+        include: { tbl_customer_groups: customerInclude.tbl_customer_groups },
+        orderBy: { customer_id: "asc" },
+      });
+
+      groups.push({
+        matched_on: key,
+        value: row[key],
+        customers: customers.map(formatCustomer),
+      });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Merge duplicate customers into one surviving customer.
+ *
+ * Orders and addresses of the duplicates move to the survivor, which also
+ * takes over any contact details it is missing. Duplicates are deactivated
+ * and point at the survivor so old references still resolve.
+ */
+export async function mergeCustomersService({
+  tenantUuid,
+  customerUuid,
+  duplicate_uuids,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const survivor = await findActiveCustomerOrThrow(
+    prisma,
+    tenant.tenant_id,
+    customerUuid
+  );
+
+  const duplicates = [];
+
+  for (const uuid of new Set(duplicate_uuids)) {
+    if (uuid === customerUuid) {
+      throw httpError(400, "A customer cannot be merged into itself");
+    }
+
+    const duplicate = await findCustomerOrThrow(prisma, tenant.tenant_id, uuid);
+    if (duplicate.merged_into_id) {
+      throw httpError(
+        409,
+        `${duplicate.customer_code} was already merged into ${duplicate.mergedInto.customer_code}`
+      );
+    }
+    duplicates.push(duplicate);
+  }
+
+  const duplicateIds = duplicates.map((d) => d.customer_id);
+
+  // Fill gaps on the survivor from the duplicates, oldest first
+  const fill = {};
+  for (const field of ["email", "phone", "tax_id", "customer_group_id"]) {
+    if (survivor[field]) continue;
+    const source = duplicates.find((d) => d[field]);
+    if (source) fill[field] = source[field];
+  }
+
+  const hasDefault = new Set(
+    survivor.addresses.filter((a) => a.is_default).map((a) => a.address_type)
+  );
+
+  const merged = await prisma.$transaction(async (tx) => {
+    for (const model of [
+      "tbl_sales_orders",
+      "tbl_returns",
+      "tbl_credit_notes",
+    ]) {
+      await tx[model].updateMany({
+        where: { customer_id: { in: duplicateIds } },
+        data: { customer_id: survivor.customer_id },
+      });
+    }
+
+    // Moved addresses keep being the default only where the survivor
+    // has none of that type yet
+    for (const duplicate of duplicates) {
+      for (const address of duplicate.addresses) {
+        const isDefault =
+          address.is_default && !hasDefault.has(address.address_type);
+        if (isDefault) hasDefault.add(address.address_type);
+
+        await tx.tbl_customer_addresses.update({
+          where: { address_id: address.address_id },
+          data: { customer_id: survivor.customer_id, is_default: isDefault },
+        });
+      }
+    }
+
+    await tx.tbl_customers.updateMany({
+      where: { customer_id: { in: duplicateIds } },
+      data: {
+        merged_into_id: survivor.customer_id,
+        status: false,
+        modified_on: new Date(),
+      },
+    });
+
+    // Earlier merges into a duplicate now point at the survivor
+    await tx.tbl_customers.updateMany({
+      where: { merged_into_id: { in: duplicateIds } },
+      data: { merged_into_id: survivor.customer_id },
+    });
+
+    return tx.tbl_customers.update({
+      where: { customer_id: survivor.customer_id },
+      data: { ...fill, modified_on: new Date() },
+      include: customerInclude,
+    });
+  });
+
+  return {
+    ...formatCustomer(merged),
+    merged_customers: duplicates.map((d) => d.customer_uuid),
+  };
+}
+
+/** ------------------ STATEMENT ------------------- **/
+
+/**
+ * Account statement of a customer between two dates: invoices (confirmed
+ * orders) as debits, payments and credit notes as credits, with the
+ * opening balance brought forward and a running balance per entry.
+ */
+export async function getCustomerStatementService({
+  tenantUuid,
+  customerUuid,
+  from,
+  to,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const customer = await findCustomerOrThrow(
+    prisma,
+    tenant.tenant_id,
+    customerUuid
+  );
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : new Date();
+  if (to) toDate.setHours(23, 59, 59, 999);
+
+  if (fromDate && fromDate > toDate) {
+    throw httpError(400, "from cannot be after to");
+  }
+
+  const orders = await prisma.tbl_sales_orders.findMany({
+    where: {
+      customer_id: customer.customer_id,
+      status: "CONFIRMED",
+      invoiced_on: { lte: toDate },
+    },
+    select: {
+      sales_order_uuid: true,
+      invoice_number: true,
+      invoiced_on: true,
+      grand_total: true,
+    },
+  });
+
+  const payments = await prisma.tbl_sales_order_payments.findMany({
+    where: {
+      sales_order: { customer_id: customer.customer_id },
+      paid_on: { lte: toDate },
+    },
+    include: {
+      sales_order: {
+        select: { sales_order_uuid: true, invoice_number: true },
+      },
+    },
+  });
+
+  const creditNotes = await prisma.tbl_credit_notes.findMany({
+    where: { customer_id: customer.customer_id, issued_on: { lte: toDate } },
+    include: {
+      tbl_sales_orders: { select: { sales_order_uuid: true } },
+    },
+  });
+
+  const entries = [
+    ...orders.map((order) => ({
+      date: order.invoiced_on,
+      entry_type: "INVOICE",
+      reference: order.invoice_number,
+      sales_order_uuid: order.sales_order_uuid,
+      debit: Number(order.grand_total),
+      credit: 0,
+    })),
+    ...payments.map((payment) => ({
+      date: payment.paid_on,
+      entry_type: "PAYMENT",
+      reference: payment.reference || payment.sales_order.invoice_number,
+      sales_order_uuid: payment.sales_order.sales_order_uuid,
+      payment_method: payment.payment_method,
+      debit: 0,
+      credit: Number(payment.amount),
+    })),
+    ...creditNotes.map((note) => ({
+      date: note.issued_on,
+      entry_type: "CREDIT_NOTE",
+      reference: note.credit_note_number,
+      sales_order_uuid: note.tbl_sales_orders?.sales_order_uuid ?? null,
+      debit: 0,
+      credit: Number(note.total_amount),
+    })),
+  ].sort((a, b) => a.date - b.date);
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const lines = [];
+
+  for (const entry of entries) {
+    balance = round(balance + entry.debit - entry.credit, 2);
+
+    if (fromDate && entry.date < fromDate) {
+      openingBalance = balance;
+      continue;
+    }
+
+    totalDebit = round(totalDebit + entry.debit, 2);
+    totalCredit = round(totalCredit + entry.credit, 2);
+    lines.push({ ...entry, balance });
+  }
+
+  return {
+    customer: formatCustomer({ ...customer, addresses: undefined }),
+    from: fromDate,
+    to: toDate,
+    opening_balance: openingBalance,
+    total_debit: totalDebit,
+    total_credit: totalCredit,
+    closing_balance: balance,
+    entries: lines,
+  };
+}
@@ -0,0 +1,76 @@
+// controllers/customerGroup.controller.js
+
+import {
+  listCustomerGroupsService,
+  createCustomerGroupService,
+  updateCustomerGroupService,
+} from "./customerGroup.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/customer-groups/:tenantUuid
+ */
+export const listCustomerGroupsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const groups = await listCustomerGroupsService({ tenantUuid });
+
+    return successResponse(res, "Customer groups fetched successfully", groups);
+  } catch (error) {
+    console.error("❌ List Customer Groups Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/customer-groups/:tenantUuid
+ */
+export const createCustomerGroupController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { group_name, description } = req.body;
+
+    const group = await createCustomerGroupService({
+      tenantUuid,
+      group_name: group_name.trim(),
+      description: description?.trim() || null,
+    });
+
+    return successResponse(
+      res,
+      "Customer group created successfully",
+      group,
+      201
+    );
+  } catch (error) {
+    console.error("❌ Create Customer Group Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/customer-groups/:tenantUuid/:customerGroupUuid
+ */
+export const updateCustomerGroupController = async (req, res, next) => {
+  try {
+    const { tenantUuid, customerGroupUuid } = req.params;
+    const { group_name, description } = req.body;
+
+    const group = await updateCustomerGroupService({
+      tenantUuid,
+      customerGroupUuid,
+      updates: {
+        group_name: group_name?.trim(),
+        description:
+          description === undefined ? undefined : description?.trim() || null,
+      },
+    });
+
+    return successResponse(res, "Customer group updated successfully", group);
+  } catch (error) {
+    console.error("❌ Update Customer Group Error:", error);
+    next(error);
+  }
+};
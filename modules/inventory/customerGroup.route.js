@@ -0,0 +1,45 @@
+import { Router } from "express";
+import {
+  createCustomerGroupController,
+  listCustomerGroupsController,
+  updateCustomerGroupController,
+} from "./customerGroup.controller.js";
+import {
+  customerGroupValidation,
+  updateCustomerGroupValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listCustomerGroupsController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  customerGroupValidation,
+  validateRequest,
+  createCustomerGroupController
+);
+router.put(
+  "/:tenantUuid/:customerGroupUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateCustomerGroupValidation,
+  validateRequest,
+  updateCustomerGroupController
+);
+
+export default router;
@@ -0,0 +1,130 @@
+// services/customerGroup.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { findTenantOrThrow } from "./inventory.repository.js";
+
+/**
+ * Shape a customer group row for API responses
+ */
+export function formatCustomerGroup(group) {
+  return {
+    customer_group_uuid: group.customer_group_uuid,
+    group_name: group.group_name,
+    description: group.description,
+    created_on: group.created_on,
+    modified_on: group.modified_on,
+  };
+}
+
+/**
+ * Resolve a customer group that belongs to the tenant
+ */
+export async function findCustomerGroupOrThrow(
+  client,
+  tenantId,
+  customerGroupUuid
+) {
+  const group = await client.tbl_customer_groups.findFirst({
+    where: { tenant_id: tenantId, customer_group_uuid: customerGroupUuid },
+  });
+
+  if (!group) throw httpError(404, "Customer group not found");
+
+  return group;
+}
+
+async function assertGroupNameAvailable(tenantId, groupName, exceptId = null) {
+  const duplicate = await prisma.tbl_customer_groups.findFirst({
+    where: {
+      tenant_id: tenantId,
+      group_name: groupName,
+      ...(exceptId && { NOT: { customer_group_id: exceptId } }),
+    },
+    select: { customer_group_id: true },
+  });
+
+  if (duplicate) {
+    throw httpError(409, `Customer group "${groupName}" already exists`);
+  }
+}
+
+/** ------------------ CUSTOMER GROUPS ------------------- **/
+
+/**
+ * List customer groups for a tenant
+ */
+export async function listCustomerGroupsService({ tenantUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const groups = await prisma.tbl_customer_groups.findMany({
+    where: { tenant_id: tenant.tenant_id },
+    include: { _count: { select: { tbl_price_lists: true } } },
+    orderBy: { group_name: "asc" },
+  });
+
+  return groups.map((group) => ({
+    ...formatCustomerGroup(group),
+    price_list_count: group._count.tbl_price_lists,
+  }));
+}
+
+/**
+ * Create a customer group
+ */
+export async function createCustomerGroupService({
+  tenantUuid,
+  group_name,
+  description = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  await assertGroupNameAvailable(tenant.tenant_id, group_name);
+
+  const group = await prisma.tbl_customer_groups.create({
+    data: {
+      customer_group_uuid: generateShortUUID(),
+      tenant_id: tenant.tenant_id,
+      group_name,
+      description,
+    },
+  });
+
+  return formatCustomerGroup(group);
+}
+
+/**
+ * Rename a customer group or change its description
+ */
+export async function updateCustomerGroupService({
+  tenantUuid,
+  customerGroupUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const group = await findCustomerGroupOrThrow(
+    prisma,
+    tenant.tenant_id,
+    customerGroupUuid
+  );
+
+  if (updates.group_name && updates.group_name !== group.group_name) {
+    await assertGroupNameAvailable(
+      tenant.tenant_id,
+      updates.group_name,
+      group.customer_group_id
+    );
+  }
+
+  const updated = await prisma.tbl_customer_groups.update({
+    where: { customer_group_id: group.customer_group_id },
+    data: {
+      group_name: updates.group_name,
+      description: updates.description,
+      modified_on: new Date(),
+    },
+  });
+
+  return formatCustomerGroup(updated);
+}
@@ -0,0 +1,156 @@
+// services/documentSequence.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findLastIssuedNumber,
+  findTenantOrThrow,
+} from "./inventory.repository.js";
+
+// Numbered document types, their defaults until a tenant saves its own
+// sequence, and where issued numbers are stored
+export const DOCUMENT_SEQUENCE_TYPES = {
+  INVOICE: {
+    prefix: "INV-",
+    padding: 6,
+    model: "tbl_sales_orders",
+    field: "invoice_number",
+  },
+  CREDIT_NOTE: {
+    prefix: "CN-",
+    padding: 6,
+    model: "tbl_credit_notes",
+    field: "credit_note_number",
+  },
+};
+
+const formatDocumentNumber = (prefix, number, padding) =>
+  `${prefix}${String(number).padStart(padding, "0")}`;
+
+/**
+ * Shape a document sequence for API responses (defaults when not saved yet)
+ */
+function formatSequence(documentType, sequence) {
+  const defaults = DOCUMENT_SEQUENCE_TYPES[documentType];
+  const prefix = sequence?.prefix ?? defaults.prefix;
+  const nextNumber = sequence?.next_number ?? 1;
+  const padding = sequence?.padding ?? defaults.padding;
+
+  return {
+    document_type: documentType,
+    prefix,
+    next_number: nextNumber,
+    padding,
+    next_document_number: formatDocumentNumber(prefix, nextNumber, padding),
+    modified_on: sequence?.modified_on ?? null,
+  };
+}
+
+/**
+ * Issue the next number of a tenant's document sequence, e.g. INV-000042.
+ * The increment takes a row lock, so concurrent callers get distinct
+ * numbers; the first call creates the sequence with its defaults.
+ */
+export async function nextSequenceNumber(tx, { tenantId, documentType }) {
+  const defaults = DOCUMENT_SEQUENCE_TYPES[documentType];
+
+  const sequence = await tx.tbl_document_sequences.upsert({
+    where: {
+      tenant_id_document_type: {
+        tenant_id: tenantId,
+        document_type: documentType,
+      },
+    },
+    create: {
+      tenant_id: tenantId,
+      document_type: documentType,
+      prefix: defaults.prefix,
+      padding: defaults.padding,
+      next_number: 2,
+    },
+    update: { next_number: { increment: 1 } },
+  });
+
+  return formatDocumentNumber(
+    sequence.prefix,
+    sequence.next_number - 1,
+    sequence.padding
+  );
+}
+
+/**
+ * Document sequences of a tenant
+ */
+export async function listDocumentSequencesService({ tenantUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const sequences = await prisma.tbl_document_sequences.findMany({
+    where: { tenant_id: tenant.tenant_id },
+  });
+  const byType = new Map(sequences.map((s) => [s.document_type, s]));
+
+  return Object.keys(DOCUMENT_SEQUENCE_TYPES).map((type) =>
+    formatSequence(type, byType.get(type))
+  );
+}
+
+/**
+ * Change the prefix, padding or next number of a document sequence.
+ * The next number must come after the last one already issued with the
+ * resulting prefix, so no number can be handed out twice.
+ */
+export async function updateDocumentSequenceService({
+  tenantUuid,
+  documentType,
+  updates,
+  updated_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const config = DOCUMENT_SEQUENCE_TYPES[documentType];
+
+  if (!config) throw httpError(404, "Document sequence not found");
+
+  const where = {
+    tenant_id_document_type: {
+      tenant_id: tenant.tenant_id,
+      document_type: documentType,
+    },
+  };
+
+  const current = formatSequence(
+    documentType,
+    await prisma.tbl_document_sequences.findUnique({ where })
+  );
+
+  const prefix = updates.prefix ?? current.prefix;
+  const padding = updates.padding ?? current.padding;
+  const nextNumber = updates.next_number ?? current.next_number;
+
+  const { last, lastNumber } = await findLastIssuedNumber(prisma, {
+    model: config.model,
+    field: config.field,
+    tenantId: tenant.tenant_id,
+    prefix,
+  });
+
+  if (nextNumber <= lastNumber) {
+    throw httpError(
+      409,
+      `Next number must be greater than ${lastNumber}, the last one issued as ${last}`
+    );
+  }
+
+  const data = { prefix, padding, next_number: nextNumber, updated_by };
+
+  const sequence = await prisma.tbl_document_sequences.upsert({
+    where,
+    create: {
+      tenant_id: tenant.tenant_id,
+      document_type: documentType,
+      ...data,
+    },
+    update: { ...data, modified_on: new Date() },
+  });
+
+  return formatSequence(documentType, sequence);
+}
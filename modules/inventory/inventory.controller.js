@@ -0,0 +1,108 @@
+// controllers/inventory.controller.js
+
+import {
+  recordMovementService,
+  listMovementsService,
+  getBranchOnHandService,
+  getTenantOnHandService,
+} from "./inventory.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * POST /api/inventory/stock/:tenantUuid/:branchUuid/movements
+ */
+export const recordMovementController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+
+    const movements = await recordMovementService({
+      tenantUuid,
+      branchUuid,
+      ...req.body,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Stock movement recorded successfully",
+      movements,
+      201
+    );
+  } catch (error) {
+    console.error("❌ Record Stock Movement Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/stock/:tenantUuid/:branchUuid/movements
+ */
+export const listMovementsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const { productUuid, batchUuid, movementType, from, to, page, limit } =
+      req.query;
+
+    const result = await listMovementsService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      batchUuid,
+      movementType,
+      from,
+      to,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(
+      res,
+      "Stock movements fetched successfully",
+      result,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Stock Movements Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/stock/:tenantUuid/:branchUuid/on-hand
+ */
+export const getBranchOnHandController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const { productUuid, includeZero } = req.query;
+
+    const stock = await getBranchOnHandService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      includeZero: includeZero === "true",
+    });
+
+    return successResponse(res, "On-hand stock fetched successfully", stock);
+  } catch (error) {
+    console.error("❌ Get Branch On-Hand Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/stock/:tenantUuid/on-hand
+ */
+export const getTenantOnHandController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { productUuid } = req.query;
+
+    const stock = await getTenantOnHandService({ tenantUuid, productUuid });
+
+    return successResponse(res, "On-hand stock fetched successfully", stock);
+  } catch (error) {
+    console.error("❌ Get Tenant On-Hand Error:", error);
+    next(error);
+  }
+};
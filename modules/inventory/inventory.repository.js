@@ -0,0 +1,953 @@
+// repositories/inventory.repository.js
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+
+/**
+ * Shared lookups for the inventory module.
+ * Every helper takes the Prisma client as first argument so it can be
+ * used with `prisma` directly or inside a `$transaction` callback (tx).
+ */
+
+/**
+ * Resolve tenant by UUID
+ */
+export async function findTenantOrThrow(client, tenantUuid) {
+  const tenant = await client.tbl_tenant.findUnique({
+    where: { tenant_uuid: tenantUuid },
+    select: { tenant_id: true, tenant_uuid: true },
+  });
+
+  if (!tenant) throw httpError(404, "Tenant not found");
+
+  return tenant;
+}
+
+/**
+ * Resolve a product that belongs to the tenant
+ */
+export async function findProductOrThrow(client, tenantId, productUuid) {
+  const product = await client.tbl_products.findFirst({
+    where: { tenant_id: tenantId, product_uuid: productUuid },
+  });
+
+  if (!product) throw httpError(404, "Product not found");
+
+  return product;
+}
+
+/**
+ * Resolve a product that can hold stock. Parents of variants only group
+ * their variants, so stock is always posted against a variant.
+ */
+export async function findStockProductOrThrow(client, tenantId, productUuid) {
+  const product = await findProductOrThrow(client, tenantId, productUuid);
+
+  if (product.has_variants) {
+    throw httpError(
+      400,
+      `${product.sku} has variants; use one of its variants instead`
+    );
+  }
+
+  return product;
+}
+
+/**
+ * Resolve a category that belongs to the tenant
+ */
+export async function findCategoryOrThrow(client, tenantId, categoryUuid) {
+  const category = await client.tbl_product_categories.findFirst({
+    where: { tenant_id: tenantId, category_uuid: categoryUuid },
+  });
+
+  if (!category) throw httpError(404, "Category not found");
+
+  return category;
+}
+
+/**
+ * Resolve an active branch and make sure it belongs to the tenant
+ * (same ownership rule as getUsermenuService)
+ */
+export async function findBranchOrThrow(client, tenantId, branchUuid) {
+  const branch = await client.tbl_branches.findUnique({
+    where: { branch_uuid: branchUuid },
+    select: {
+      branch_id: true,
+      branch_uuid: true,
+      branch_name: true,
+      tenant_id: true,
+      status: true,
+    },
+  });
+
+  if (!branch) throw httpError(404, "Branch not found");
+  if (!branch.status) throw httpError(400, "Branch is inactive");
+  if (branch.tenant_id !== tenantId) {
+    throw httpError(403, "Branch does not belong to user's organization");
+  }
+
+  return branch;
+}
+
+/** ------------------ BATCH EXPIRY ------------------- **/
+
+// Outbound movements that may not draw from expired lots; write-offs and
+// count corrections still can, so expired stock can be cleared
+export const EXPIRY_BLOCKED_MOVEMENT_TYPES = ["SALE", "TRANSFER_OUT"];
+
+export function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+/**
+ * A lot is expired from the day after its expiry date
+ */
+export function isBatchExpired(batch, today = startOfToday()) {
+  return Boolean(batch.expiry_date) && new Date(batch.expiry_date) < today;
+}
+
+export function assertBatchNotExpired(batch) {
+  if (isBatchExpired(batch)) {
+    throw httpError(
+      409,
+      `Lot ${batch.lot_number} expired on ${new Date(batch.expiry_date)
+        .toISOString()
+        .slice(0, 10)} and cannot be sold or transferred`
+    );
+  }
+}
+
+/**
+ * Sort batches first-expiry-first-out.
+ * Batches without an expiry date go last, ties fall back to oldest first.
+ */
+export function sortBatchesFefo(batches) {
+  return [...batches].sort((a, b) => {
+    if (a.expiry_date && b.expiry_date) {
+      const diff = a.expiry_date - b.expiry_date;
+      if (diff !== 0) return diff;
+    } else if (a.expiry_date) {
+      return -1;
+    } else if (b.expiry_date) {
+      return 1;
+    }
+
+    return Number(a.batch_id - b.batch_id);
+  });
+}
+
+/**
+ * Allocate `quantity` of a product at a branch across its batches (FEFO).
+ * `reservedByBatch` (Map(batch_id → qty)) keeps reserved lot stock aside;
+ * `excludeExpired` skips lots past their expiry date.
+ *
+ * Returns:
+ *   { allocations: [{ batch, quantity }], allocated, shortfall }
+ */
+export async function pickBatchesFefo(
+  client,
+  {
+    productId,
+    branchId,
+    quantity,
+    reservedByBatch = null,
+    excludeExpired = false,
+  }
+) {
+  const batches = await client.tbl_product_batches.findMany({
+    where: {
+      product_id: productId,
+      branch_id: branchId,
+      remaining_quantity: { gt: 0 },
+      ...(excludeExpired && {
+        OR: [{ expiry_date: null }, { expiry_date: { gte: startOfToday() } }],
+      }),
+    },
+  });
+
+  const allocations = [];
+  let outstanding = Number(quantity);
+
+  for (const batch of sortBatchesFefo(batches)) {
+    if (outstanding <= 0) break;
+
+    const available = Number(
+      (
+        Number(batch.remaining_quantity) -
+        (reservedByBatch?.get(batch.batch_id) || 0)
+      ).toFixed(3)
+    );
+    if (available <= 0) continue;
+
+    const take = Math.min(available, outstanding);
+
+    allocations.push({ batch, quantity: take });
+    outstanding = Number((outstanding - take).toFixed(3));
+  }
+
+  return {
+    allocations,
+    allocated: Number((Number(quantity) - outstanding).toFixed(3)),
+    shortfall: outstanding,
+  };
+}
+
+/** ------------------ STOCK LEDGER ------------------- **/
+
+export const INBOUND_MOVEMENT_TYPES = ["RECEIPT", "TRANSFER_IN"];
+export const OUTBOUND_MOVEMENT_TYPES = [
+  "SALE",
+  "TRANSFER_OUT",
+  "WRITE_OFF",
+  "SUPPLIER_RETURN",
+];
+
+// Where a serialized unit ends up after leaving a branch
+const SERIAL_STATUS_BY_OUTBOUND_TYPE = {
+  SALE: "SOLD",
+  TRANSFER_OUT: "IN_TRANSIT",
+  WRITE_OFF: "WRITTEN_OFF",
+  ADJUSTMENT: "WRITTEN_OFF",
+  SUPPLIER_RETURN: "RETURNED",
+};
+
+/**
+ * On-hand quantity of a product at a branch, derived from the ledger
+ */
+export async function getOnHandQuantity(client, { productId, branchId }) {
+  const result = await client.tbl_stock_movements.aggregate({
+    where: { product_id: productId, branch_id: branchId },
+    _sum: { quantity: true },
+  });
+
+  return Number(result._sum.quantity || 0);
+}
+
+/**
+ * On-hand quantity per product at a branch as a Map(product_id → qty).
+ * `productIds` narrows the lookup; products without movements are absent.
+ * Without a branch the quantities span all branches of those products.
+ */
+export async function getOnHandByProduct(client, { branchId, productIds }) {
+  const totals = await client.tbl_stock_movements.groupBy({
+    by: ["product_id"],
+    where: {
+      ...(branchId && { branch_id: branchId }),
+      ...(productIds && { product_id: { in: productIds } }),
+    },
+    _sum: { quantity: true },
+  });
+
+  return new Map(
+    totals.map((t) => [t.product_id, Number(t._sum.quantity || 0)])
+  );
+}
+
+/**
+ * Where-clause of the reservations that currently hold stock
+ * (ACTIVE and not yet past their expiry, even before the job marks them)
+ */
+export function activeReservationWhere(excludeReservationId = null) {
+  return {
+    status: "ACTIVE",
+    expires_at: { gt: new Date() },
+    ...(excludeReservationId && {
+      NOT: { reservation_id: excludeReservationId },
+    }),
+  };
+}
+
+/**
+ * Quantity held by active reservations of a product at a branch
+ * (of one batch when `batchId` is given)
+ */
+export async function getReservedQuantity(
+  client,
+  { productId, branchId, batchId = null, excludeReservationId = null }
+) {
+  const result = await client.tbl_stock_reservations.aggregate({
+    where: {
+      product_id: productId,
+      branch_id: branchId,
+      ...(batchId && { batch_id: batchId }),
+      ...activeReservationWhere(excludeReservationId),
+    },
+    _sum: { quantity: true },
+  });
+
+  return Number(result._sum.quantity || 0);
+}
+
+/**
+ * Reserved quantity per batch of a product at a branch as a
+ * Map(batch_id → qty); reservations without a batch are not included
+ */
+export async function getReservedByBatch(
+  client,
+  { productId, branchId, excludeReservationId = null }
+) {
+  const totals = await client.tbl_stock_reservations.groupBy({
+    by: ["batch_id"],
+    where: {
+      product_id: productId,
+      branch_id: branchId,
+      batch_id: { not: null },
+      ...activeReservationWhere(excludeReservationId),
+    },
+    _sum: { quantity: true },
+  });
+
+  return new Map(totals.map((t) => [t.batch_id, Number(t._sum.quantity || 0)]));
+}
+
+/**
+ * Reserved quantity per product at a branch as a Map(product_id → qty)
+ */
+export async function getReservedByProduct(client, { branchId, productIds }) {
+  const totals = await client.tbl_stock_reservations.groupBy({
+    by: ["product_id"],
+    where: {
+      ...(branchId && { branch_id: branchId }),
+      ...(productIds && { product_id: { in: productIds } }),
+      ...activeReservationWhere(),
+    },
+    _sum: { quantity: true },
+  });
+
+  return new Map(
+    totals.map((t) => [t.product_id, Number(t._sum.quantity || 0)])
+  );
+}
+
+/**
+ * Lock a product's stock for the rest of the transaction and read its
+ * on-hand and reserved quantities at a branch as they are now.
+ *
+ * The product row lock makes concurrent outbound postings (and new
+ * reservations) of the product wait for each other. The sums are locking
+ * reads: a plain read in a MySQL transaction sees its snapshot, which can
+ * predate the posting the lock waited for.
+ */
+export async function lockAvailableQuantity(
+  tx,
+  { tenantId, productId, branchId, excludeReservationId = null }
+) {
+  await tx.$queryRaw`
+    SELECT product_id FROM tbl_products
+    WHERE product_id = ${productId}
+    FOR UPDATE`;
+
+  const [[{ on_hand }], [{ reserved }]] = await Promise.all([
+    tx.$queryRaw`
+      SELECT COALESCE(SUM(quantity), 0) AS on_hand FROM tbl_stock_movements
+      WHERE tenant_id = ${tenantId}
+        AND branch_id = ${branchId}
+        AND product_id = ${productId}
+      LOCK IN SHARE MODE`,
+    tx.$queryRaw`
+      SELECT COALESCE(SUM(quantity), 0) AS reserved FROM tbl_stock_reservations
+      WHERE product_id = ${productId}
+        AND branch_id = ${branchId}
+        AND status = 'ACTIVE'
+        AND expires_at > ${new Date()}
+        AND reservation_id <> ${excludeReservationId ?? 0}
+      LOCK IN SHARE MODE`,
+  ]);
+
+  return { onHand: Number(on_hand), reserved: Number(reserved) };
+}
+
+/**
+ * Trim serial numbers and reject duplicates; null stays null
+ */
+export function normalizeSerialNumbers(serials) {
+  if (!serials) return null;
+
+  const list = serials.map((s) => String(s).trim()).filter(Boolean);
+  const seen = new Set();
+
+  for (const serial of list) {
+    if (seen.has(serial)) {
+      throw httpError(400, `Serial number ${serial} is listed more than once`);
+    }
+    seen.add(serial);
+  }
+
+  return list;
+}
+
+/**
+ * A serialized product moves in whole units, each named by its serial
+ * number; other products must not carry serial numbers
+ */
+export function assertSerialCount(product, quantity, serials) {
+  const qty = Math.abs(Number(quantity));
+
+  if (!product.is_serialized) {
+    if (serials?.length) {
+      throw httpError(400, `${product.sku} is not serialized`);
+    }
+    return;
+  }
+
+  if (!Number.isInteger(qty)) {
+    throw httpError(
+      400,
+      `${product.sku} is serialized and moves in whole units only`
+    );
+  }
+  if ((serials?.length || 0) !== qty) {
+    throw httpError(
+      400,
+      `${product.sku} is serialized: ${qty} serial number(s) required, ${serials?.length || 0} given`
+    );
+  }
+}
+
+/**
+ * Apply a ledger row to the serial numbers it carries and link them to it.
+ *
+ * Inbound units must not already be in stock (TRANSFER_IN only accepts
+ * units in transit, CUSTOMER_RETURN only sold units); new serial numbers
+ * are registered on receipt.
+ * Outbound units must be in stock at the branch (and batch, if given).
+ */
+async function applyMovementSerials(
+  tx,
+  { movement, tenantId, productId, branchId, batchId, movementType, serials }
+) {
+  const existing = await tx.tbl_product_serials.findMany({
+    where: {
+      tenant_id: tenantId,
+      product_id: productId,
+      serial_number: { in: serials },
+    },
+  });
+  const bySerial = new Map(existing.map((s) => [s.serial_number, s]));
+
+  const serialIds = [];
+
+  if (Number(movement.quantity) > 0) {
+    for (const serial of serials) {
+      const unit = bySerial.get(serial);
+
+      if (unit?.status === "IN_STOCK") {
+        throw httpError(409, `Serial number ${serial} is already in stock`);
+      }
+      if (movementType === "TRANSFER_IN" && unit?.status !== "IN_TRANSIT") {
+        throw httpError(409, `Serial number ${serial} is not in transit`);
+      }
+      if (movementType === "CUSTOMER_RETURN" && unit?.status !== "SOLD") {
+        throw httpError(409, `Serial number ${serial} was not sold`);
+      }
+
+      const data = {
+        status: "IN_STOCK",
+        branch_id: branchId,
+        batch_id: batchId,
+        modified_on: new Date(),
+      };
+
+      const saved = unit
+        ? await tx.tbl_product_serials.update({
+            where: { serial_id: unit.serial_id },
+            data,
+          })
+        : await tx.tbl_product_serials.create({
+            data: {
+              serial_uuid: generateShortUUID(),
+              tenant_id: tenantId,
+              product_id: productId,
+              serial_number: serial,
+              ...data,
+            },
+          });
+
+      serialIds.push(saved.serial_id);
+    }
+  } else {
+    for (const serial of serials) {
+      const unit = bySerial.get(serial);
+
+      if (
+        !unit ||
+        unit.status !== "IN_STOCK" ||
+        unit.branch_id !== branchId ||
+        (batchId && unit.batch_id !== batchId)
+      ) {
+        throw httpError(
+          409,
+          `Serial number ${serial} is not in stock at this ${batchId ? "batch" : "branch"}`
+        );
+      }
+
+      serialIds.push(unit.serial_id);
+    }
+
+    await tx.tbl_product_serials.updateMany({
+      where: { serial_id: { in: serialIds } },
+      data: {
+        status: SERIAL_STATUS_BY_OUTBOUND_TYPE[movementType] || "WRITTEN_OFF",
+        modified_on: new Date(),
+      },
+    });
+  }
+
+  await tx.tbl_stock_movement_serials.createMany({
+    data: serialIds.map((serialId) => ({
+      movement_id: movement.movement_id,
+      serial_id: serialId,
+    })),
+  });
+}
+
+/**
+ * Insert ONE ledger row and keep the batch's remaining_quantity in step.
+ * `quantity` is signed (+ in, - out). Call inside a transaction.
+ *
+ * Inbound types also raise the batch's received_quantity; pass
+ * `countAsReceived: false` when stock is only being put back (reversals).
+ */
+export async function postStockMovement(
+  tx,
+  {
+    tenantId,
+    productId,
+    branchId,
+    batchId = null,
+    movementType,
+    quantity,
+    unitCost = null,
+    referenceType = null,
+    referenceUuid = null,
+    notes = null,
+    createdBy = null,
+    movementDate = new Date(),
+    countAsReceived = INBOUND_MOVEMENT_TYPES.includes(movementType),
+    serials = null,
+  }
+) {
+  const qty = Number(quantity);
+
+  if (!qty) throw httpError(400, "Movement quantity cannot be zero");
+
+  const product = await tx.tbl_products.findUnique({
+    where: { product_id: productId },
+    select: { sku: true, is_serialized: true },
+  });
+  const serialNumbers = normalizeSerialNumbers(serials);
+  assertSerialCount(product, qty, serialNumbers);
+
+  if (batchId) {
+    const updated = await tx.tbl_product_batches.updateMany({
+      where: {
+        batch_id: batchId,
+        product_id: productId,
+        branch_id: branchId,
+        ...(qty < 0 && { remaining_quantity: { gte: -qty } }),
+      },
+      data: {
+        remaining_quantity: { increment: qty },
+        ...(countAsReceived && {
+          received_quantity: { increment: qty },
+        }),
+        modified_on: new Date(),
+      },
+    });
+
+    if (updated.count === 0) {
+      throw httpError(409, "Insufficient quantity in batch");
+    }
+  }
+
+  const movement = await tx.tbl_stock_movements.create({
+    data: {
+      movement_uuid: generateShortUUID(),
+      tenant_id: tenantId,
+      product_id: productId,
+      branch_id: branchId,
+      batch_id: batchId,
+      movement_type: movementType,
+      quantity: qty,
+      unit_cost: unitCost,
+      reference_type: referenceType,
+      reference_uuid: referenceUuid,
+      notes,
+      created_by: createdBy,
+      movement_date: movementDate,
+    },
+  });
+
+  if (product.is_serialized) {
+    await applyMovementSerials(tx, {
+      movement,
+      tenantId,
+      productId,
+      branchId,
+      batchId,
+      movementType,
+      serials: serialNumbers,
+    });
+  }
+
+  return movement;
+}
+
+/**
+ * Post the outbound units of a serialized product: one ledger row per
+ * batch the given serial numbers sit in
+ */
+async function postSerialOutboundMovements(
+  tx,
+  { base, batchId, quantity, serials, blockExpired }
+) {
+  if (serials.length !== quantity) {
+    throw httpError(
+      400,
+      `${quantity} serial number(s) required, ${serials.length} given`
+    );
+  }
+
+  const units = await tx.tbl_product_serials.findMany({
+    where: {
+      product_id: base.productId,
+      branch_id: base.branchId,
+      status: "IN_STOCK",
+      serial_number: { in: serials },
+    },
+    select: { serial_number: true, batch_id: true },
+  });
+
+  const found = new Set(units.map((u) => u.serial_number));
+  const missing = serials.filter((s) => !found.has(s));
+  if (missing.length > 0) {
+    throw httpError(
+      409,
+      `Serial number(s) not in stock at this branch: ${missing.join(", ")}`
+    );
+  }
+  if (batchId && units.some((u) => u.batch_id !== batchId)) {
+    throw httpError(400, "All serial numbers must belong to the given batch");
+  }
+
+  if (blockExpired) {
+    const expired = await tx.tbl_product_batches.findFirst({
+      where: {
+        batch_id: { in: units.map((u) => u.batch_id).filter(Boolean) },
+        expiry_date: { lt: startOfToday() },
+      },
+      select: { lot_number: true, expiry_date: true },
+    });
+    if (expired) assertBatchNotExpired(expired);
+  }
+
+  const groups = new Map();
+  for (const unit of units) {
+    const key = unit.batch_id ?? null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(unit.serial_number);
+  }
+
+  const movements = [];
+  for (const [groupBatchId, groupSerials] of groups) {
+    movements.push(
+      await postStockMovement(tx, {
+        ...base,
+        batchId: groupBatchId,
+        quantity: -groupSerials.length,
+        serials: groupSerials,
+      })
+    );
+  }
+
+  return movements;
+}
+
+/**
+ * Post an outbound movement of `quantity` (positive) after checking the
+ * available quantity (on-hand minus what other reservations hold) under
+ * the product's stock lock.
+ * Without a batch the quantity is drawn from the branch's lots FEFO, and any
+ * remainder is taken from untracked (batch-less) stock.
+ *
+ * `reservationId` is the reservation being converted (its own hold does
+ * not count against it); `honourReservations: false` only checks on-hand,
+ * for corrections such as approved stock counts. For serialized products
+ * `serials` name the units, and their batches replace FEFO picking.
+ * Sales and transfers never draw from expired lots.
+ *
+ * Returns the created ledger rows.
+ */
+export async function postOutboundMovements(
+  tx,
+  {
+    tenantId,
+    productId,
+    branchId,
+    batchId = null,
+    quantity,
+    reservationId = null,
+    honourReservations = true,
+    serials = null,
+    ...rest
+  }
+) {
+  const qty = Number(quantity);
+  const available = await lockAvailableQuantity(tx, {
+    tenantId,
+    productId,
+    branchId,
+    excludeReservationId: reservationId,
+  });
+  const onHand = available.onHand;
+  const reserved = honourReservations ? available.reserved : 0;
+
+  if (onHand - reserved < qty) {
+    throw httpError(
+      409,
+      reserved > 0
+        ? `Insufficient available stock: ${onHand} on hand, ${reserved} reserved, ${qty} requested`
+        : `Insufficient stock: ${onHand} on hand, ${qty} requested`
+    );
+  }
+
+  const base = { tenantId, productId, branchId, ...rest };
+  const blockExpired = EXPIRY_BLOCKED_MOVEMENT_TYPES.includes(
+    rest.movementType
+  );
+
+  // Serialized units name their own batch, so FEFO picking does not apply
+  const serialNumbers = normalizeSerialNumbers(serials);
+  if (serialNumbers) {
+    return postSerialOutboundMovements(tx, {
+      base,
+      batchId,
+      quantity: qty,
+      serials: serialNumbers,
+      blockExpired,
+    });
+  }
+
+  if (batchId) {
+    if (honourReservations || blockExpired) {
+      const [batch, batchReserved] = await Promise.all([
+        tx.tbl_product_batches.findUnique({
+          where: { batch_id: batchId },
+          select: {
+            lot_number: true,
+            expiry_date: true,
+            remaining_quantity: true,
+          },
+        }),
+        honourReservations
+          ? getReservedQuantity(tx, {
+              productId,
+              branchId,
+              batchId,
+              excludeReservationId: reservationId,
+            })
+          : 0,
+      ]);
+
+      if (blockExpired && batch) assertBatchNotExpired(batch);
+
+      if (
+        honourReservations &&
+        Number(batch?.remaining_quantity || 0) - batchReserved < qty
+      ) {
+        throw httpError(409, "Insufficient unreserved quantity in batch");
+      }
+    }
+
+    return [await postStockMovement(tx, { ...base, batchId, quantity: -qty })];
+  }
+
+  const reservedByBatch = honourReservations
+    ? await getReservedByBatch(tx, {
+        productId,
+        branchId,
+        excludeReservationId: reservationId,
+      })
+    : null;
+
+  // Expired lots stay on hand but cannot cover a sale or transfer
+  if (blockExpired) {
+    const expiredBatches = await tx.tbl_product_batches.findMany({
+      where: {
+        product_id: productId,
+        branch_id: branchId,
+        remaining_quantity: { gt: 0 },
+        expiry_date: { lt: startOfToday() },
+      },
+      select: { batch_id: true, remaining_quantity: true },
+    });
+
+    const expiredQty = Number(
+      expiredBatches
+        .reduce(
+          (sum, batch) =>
+            sum +
+            Math.max(
+              Number(batch.remaining_quantity) -
+                (reservedByBatch?.get(batch.batch_id) || 0),
+              0
+            ),
+          0
+        )
+        .toFixed(3)
+    );
+
+    if (expiredQty > 0 && onHand - reserved - expiredQty < qty) {
+      throw httpError(
+        409,
+        `Insufficient sellable stock: ${onHand} on hand, ${expiredQty} in expired lots, ${qty} requested`
+      );
+    }
+  }
+
+  const { allocations, shortfall } = await pickBatchesFefo(tx, {
+    productId,
+    branchId,
+    quantity: qty,
+    reservedByBatch,
+    excludeExpired: blockExpired,
+  });
+
+  const movements = [];
+
+  for (const allocation of allocations) {
+    movements.push(
+      await postStockMovement(tx, {
+        ...base,
+        batchId: allocation.batch.batch_id,
+        quantity: -allocation.quantity,
+      })
+    );
+  }
+
+  if (shortfall > 0) {
+    movements.push(
+      await postStockMovement(tx, { ...base, quantity: -shortfall })
+    );
+  }
+
+  return movements;
+}
+
+/**
+ * Resolve the lot an inbound movement goes into:
+ *   - batchUuid → existing batch of this product at this branch
+ *   - lot       → batch with that lot number, created (empty) if missing
+ *   - neither   → null (untracked stock)
+ * Quantities are applied afterwards by postStockMovement.
+ */
+export async function resolveInboundBatch(
+  tx,
+  { tenantId, productId, branchId, batchUuid = null, lot = null, createdBy }
+) {
+  if (batchUuid) {
+    const batch = await tx.tbl_product_batches.findFirst({
+      where: {
+        batch_uuid: batchUuid,
+        tenant_id: tenantId,
+        product_id: productId,
+        branch_id: branchId,
+      },
+    });
+
+    if (!batch) throw httpError(404, "Batch not found");
+
+    return batch;
+  }
+
+  if (!lot?.lot_number) return null;
+
+  const manufactureDate = lot.manufacture_date
+    ? new Date(lot.manufacture_date)
+    : null;
+  const expiryDate = lot.expiry_date ? new Date(lot.expiry_date) : null;
+
+  if (manufactureDate && expiryDate && expiryDate <= manufactureDate) {
+    throw httpError(400, "Expiry date must be after manufacture date");
+  }
+
+  const existing = await tx.tbl_product_batches.findFirst({
+    where: {
+      product_id: productId,
+      branch_id: branchId,
+      lot_number: lot.lot_number,
+    },
+  });
+
+  if (existing) return existing;
+
+  return tx.tbl_product_batches.create({
+    data: {
+      batch_uuid: generateShortUUID(),
+      tenant_id: tenantId,
+      product_id: productId,
+      branch_id: branchId,
+      lot_number: lot.lot_number,
+      manufacture_date: manufactureDate,
+      expiry_date: expiryDate,
+      received_quantity: 0,
+      remaining_quantity: 0,
+      created_by: createdBy ?? null,
+    },
+  });
+}
+
+/** ------------------ DOCUMENT NUMBERS ------------------- **/
+
+/**
+ * Highest number a tenant has issued under a prefix, compared numerically:
+ * "PO-999" and "PO-001500" do not sort as strings, and a suffix that is not
+ * all digits ("INV-2024-…") belongs to another sequence.
+ * Returns { last: the document number or null, lastNumber }.
+ */
+export async function findLastIssuedNumber(
+  client,
+  { model, field, tenantId, prefix }
+) {
+  const issued = await client[model].findMany({
+    where: { tenant_id: tenantId, [field]: { startsWith: prefix } },
+    select: { [field]: true },
+  });
+
+  let last = null;
+  let lastNumber = 0;
+  for (const row of issued) {
+    const suffix = row[field].slice(prefix.length);
+    if (!/^\d+$/.test(suffix)) continue;
+
+    const number = Number(suffix);
+    if (number > lastNumber) {
+      lastNumber = number;
+      last = row[field];
+    }
+  }
+
+  return { last, lastNumber };
+}
+
+/**
+ * Next sequential document number for a tenant, e.g. PO-000042.
+ * Reads the latest number of the model inside the caller's transaction;
+ * the (tenant_id, number) unique key rejects a concurrent duplicate.
+ */
+export async function nextDocumentNumber(
+  tx,
+  { model, field, tenantId, prefix }
+) {
+  const { lastNumber } = await findLastIssuedNumber(tx, {
+    model,
+    field,
+    tenantId,
+    prefix: `${prefix}-`,
+  });
+
+  return `${prefix}-${String(lastNumber + 1).padStart(6, "0")}`;
+}
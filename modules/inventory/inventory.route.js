@@ -0,0 +1,91 @@
+import { Router } from "express";
+import productRoutes from "./product.route.js";
+import batchRoutes from "./batch.route.js";
+import transferRoutes from "./transfer.route.js";
+import supplierRoutes from "./supplier.route.js";
+import purchaseOrderRoutes from "./purchaseOrder.route.js";
+import reorderLevelRoutes from "./reorderLevel.route.js";
+import settingsRoutes from "./settings.route.js";
+import valuationRoutes from "./valuation.route.js";
+import stockCountRoutes from "./stockCount.route.js";
+import barcodeRoutes from "./barcode.route.js";
+import reservationRoutes from "./reservation.route.js";
+import serialRoutes from "./serial.route.js";
+import customerRoutes from "./customer.route.js";
+import customerGroupRoutes from "./customerGroup.route.js";
+import priceListRoutes from "./priceList.route.js";
+import salesOrderRoutes from "./salesOrder.route.js";
+import returnRoutes from "./return.route.js";
+import {
+  getBranchOnHandController,
+  getTenantOnHandController,
+  listMovementsController,
+  recordMovementController,
+} from "./inventory.controller.js";
+import {
+  listMovementsValidation,
+  recordMovementValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.use("/products", productRoutes);
+router.use("/batches", batchRoutes);
+router.use("/transfers", transferRoutes);
+router.use("/suppliers", supplierRoutes);
+router.use("/purchase-orders", purchaseOrderRoutes);
+router.use("/reorder-levels", reorderLevelRoutes);
+router.use("/settings", settingsRoutes);
+router.use("/valuation", valuationRoutes);
+router.use("/counts", stockCountRoutes);
+router.use("/barcodes", barcodeRoutes);
+router.use("/reservations", reservationRoutes);
+router.use("/serials", serialRoutes);
+router.use("/customers", customerRoutes);
+router.use("/customer-groups", customerGroupRoutes);
+router.use("/price-lists", priceListRoutes);
+router.use("/sales-orders", salesOrderRoutes);
+router.use("/returns", returnRoutes);
+
+// --------------------------------------------------------
+// STOCK LEDGER
+// --------------------------------------------------------
+router.get(
+  "/stock/:tenantUuid/on-hand",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getTenantOnHandController
+);
+router.get(
+  "/stock/:tenantUuid/:branchUuid/on-hand",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getBranchOnHandController
+);
+router.get(
+  "/stock/:tenantUuid/:branchUuid/movements",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listMovementsValidation,
+  validateRequest,
+  listMovementsController
+);
+router.post(
+  "/stock/:tenantUuid/:branchUuid/movements",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  recordMovementValidation,
+  validateRequest,
+  recordMovementController
+);
+
+export default router;
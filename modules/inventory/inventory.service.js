@@ -0,0 +1,406 @@
+// services/inventory.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findProductOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  getReservedByProduct,
+  INBOUND_MOVEMENT_TYPES,
+  postOutboundMovements,
+  postStockMovement,
+  resolveInboundBatch,
+} from "./inventory.repository.js";
+import { toBaseUnit } from "./unit.service.js";
+
+/**
+ * Movement types that can be posted by hand. Transfers are posted by the
+ * documents that own them.
+ */
+export const MANUAL_MOVEMENT_TYPES = [
+  "RECEIPT",
+  "SALE",
+  "ADJUSTMENT",
+  "WRITE_OFF",
+];
+
+const movementInclude = {
+  tbl_products: {
+    select: { product_uuid: true, sku: true, product_name: true },
+  },
+  tbl_branches: {
+    select: { branch_uuid: true, branch_name: true },
+  },
+  tbl_product_batches: {
+    select: { batch_uuid: true, lot_number: true, expiry_date: true },
+  },
+};
+
+/**
+ * Shape a ledger row for API responses
+ */
+export function formatMovement(movement) {
+  return {
+    movement_uuid: movement.movement_uuid,
+    movement_type: movement.movement_type,
+    quantity: Number(movement.quantity),
+    unit_cost: movement.unit_cost !== null ? Number(movement.unit_cost) : null,
+    product: movement.tbl_products
+      ? {
+          product_uuid: movement.tbl_products.product_uuid,
+          sku: movement.tbl_products.sku,
+          product_name: movement.tbl_products.product_name,
+        }
+      : undefined,
+    branch: movement.tbl_branches
+      ? {
+          branch_uuid: movement.tbl_branches.branch_uuid,
+          branch_name: movement.tbl_branches.branch_name,
+        }
+      : undefined,
+    batch: movement.tbl_product_batches
+      ? {
+          batch_uuid: movement.tbl_product_batches.batch_uuid,
+          lot_number: movement.tbl_product_batches.lot_number,
+          expiry_date: movement.tbl_product_batches.expiry_date,
+        }
+      : null,
+    reference_type: movement.reference_type,
+    reference_uuid: movement.reference_uuid,
+    notes: movement.notes,
+    movement_date: movement.movement_date,
+  };
+}
+
+/** ------------------ MOVEMENTS ------------------- **/
+
+/**
+ * Record a stock movement at a branch.
+ *
+ * `quantity` is always positive except for ADJUSTMENT, where the sign
+ * decides the direction. Inbound stock can go into an existing batch
+ * (batch_uuid) or a new/existing lot (lot: { lot_number, ... }).
+ * Serialized products name every unit moved in `serial_numbers`.
+ */
+export async function recordMovementService({
+  tenantUuid,
+  branchUuid,
+  movement_type,
+  product_uuid,
+  batch_uuid = null,
+  lot = null,
+  quantity,
+  unit = null,
+  unit_cost = null,
+  serial_numbers = null,
+  notes = null,
+  created_by = null,
+}) {
+  if (!MANUAL_MOVEMENT_TYPES.includes(movement_type)) {
+    throw httpError(
+      400,
+      `Movement type must be one of ${MANUAL_MOVEMENT_TYPES.join(", ")}`
+    );
+  }
+
+  const qty = Number(quantity);
+  if (!qty) throw httpError(400, "Quantity cannot be zero");
+  if (movement_type !== "ADJUSTMENT" && qty < 0) {
+    throw httpError(400, "Quantity must be positive");
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+  const product = await findStockProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    product_uuid
+  );
+
+  // Quantity and cost may be given in any unit defined for the product
+  const converted = await toBaseUnit(prisma, product, {
+    quantity: qty,
+    unit,
+    unitCost: unit_cost,
+  });
+  const baseQty = converted.quantity;
+  const baseUnitCost = converted.unitCost;
+
+  const isInbound =
+    INBOUND_MOVEMENT_TYPES.includes(movement_type) ||
+    (movement_type === "ADJUSTMENT" && baseQty > 0);
+
+  const movements = await prisma.$transaction(async (tx) => {
+    const base = {
+      tenantId: tenant.tenant_id,
+      productId: product.product_id,
+      branchId: branch.branch_id,
+      movementType: movement_type,
+      notes,
+      createdBy: created_by,
+    };
+
+    if (isInbound) {
+      const batch = await resolveInboundBatch(tx, {
+        tenantId: tenant.tenant_id,
+        productId: product.product_id,
+        branchId: branch.branch_id,
+        batchUuid: batch_uuid,
+        lot,
+        createdBy: created_by,
+      });
+
+      return [
+        await postStockMovement(tx, {
+          ...base,
+          batchId: batch?.batch_id ?? null,
+          quantity: Math.abs(baseQty),
+          unitCost:
+            movement_type === "RECEIPT"
+              ? (baseUnitCost ?? product.cost_price)
+              : baseUnitCost,
+          serials: serial_numbers,
+        }),
+      ];
+    }
+
+    let batchId = null;
+    if (batch_uuid) {
+      const batch = await tx.tbl_product_batches.findFirst({
+        where: {
+          batch_uuid,
+          tenant_id: tenant.tenant_id,
+          product_id: product.product_id,
+          branch_id: branch.branch_id,
+        },
+        select: { batch_id: true },
+      });
+
+      if (!batch) throw httpError(404, "Batch not found");
+      batchId = batch.batch_id;
+    }
+
+    return postOutboundMovements(tx, {
+      ...base,
+      batchId,
+      quantity: Math.abs(baseQty),
+      unitCost: baseUnitCost,
+      serials: serial_numbers,
+    });
+  });
+
+  const created = await prisma.tbl_stock_movements.findMany({
+    where: { movement_id: { in: movements.map((m) => m.movement_id) } },
+    include: movementInclude,
+    orderBy: { movement_id: "asc" },
+  });
+
+  return created.map(formatMovement);
+}
+
+/**
+ * Movement history at a branch (filterable + paginated, newest first)
+ */
+export async function listMovementsService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  batchUuid,
+  movementType,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const where = { tenant_id: tenant.tenant_id, branch_id: branch.branch_id };
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  if (batchUuid) where.tbl_product_batches = { batch_uuid: batchUuid };
+  if (movementType) where.movement_type = movementType;
+
+  if (from || to) {
+    where.movement_date = {
+      ...(from && { gte: new Date(from) }),
+      ...(to && { lte: new Date(to) }),
+    };
+  }
+
+  const [total, movements] = await Promise.all([
+    prisma.tbl_stock_movements.count({ where }),
+    prisma.tbl_stock_movements.findMany({
+      where,
+      include: movementInclude,
+      orderBy: [{ movement_date: "desc" }, { movement_id: "desc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    movements: movements.map(formatMovement),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/** ------------------ ON HAND ------------------- **/
+
+/**
+ * On-hand quantity per product at a branch (SUM of the ledger)
+ */
+export async function getBranchOnHandService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  includeZero = false,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const where = { tenant_id: tenant.tenant_id, branch_id: branch.branch_id };
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  const totals = await prisma.tbl_stock_movements.groupBy({
+    by: ["product_id"],
+    where,
+    _sum: { quantity: true },
+    _max: { movement_date: true },
+  });
+
+  const products = await prisma.tbl_products.findMany({
+    where: { product_id: { in: totals.map((t) => t.product_id) } },
+    select: {
+      product_id: true,
+      product_uuid: true,
+      sku: true,
+      product_name: true,
+      unit_of_measure: true,
+    },
+  });
+  const productMap = new Map(products.map((p) => [p.product_id, p]));
+
+  const reserved = await getReservedByProduct(prisma, {
+    branchId: branch.branch_id,
+    productIds: totals.map((t) => t.product_id),
+  });
+
+  return {
+    branch_uuid: branch.branch_uuid,
+    branch_name: branch.branch_name,
+    items: totals
+      .map((t) => {
+        const product = productMap.get(t.product_id);
+        const onHand = Number(t._sum.quantity || 0);
+        const reservedQty = reserved.get(t.product_id) || 0;
+        return {
+          product_uuid: product.product_uuid,
+          sku: product.sku,
+          product_name: product.product_name,
+          unit_of_measure: product.unit_of_measure,
+          on_hand: onHand,
+          reserved: reservedQty,
+          available: Number((onHand - reservedQty).toFixed(3)),
+          last_movement_date: t._max.movement_date,
+        };
+      })
+      .filter((item) => includeZero || item.on_hand !== 0)
+      .sort((a, b) => a.product_name.localeCompare(b.product_name)),
+  };
+}
+
+/**
+ * On-hand quantity per product across all branches of the tenant
+ */
+export async function getTenantOnHandService({ tenantUuid, productUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  const totals = await prisma.tbl_stock_movements.groupBy({
+    by: ["product_id", "branch_id"],
+    where,
+    _sum: { quantity: true },
+  });
+
+  const [products, branches] = await Promise.all([
+    prisma.tbl_products.findMany({
+      where: { product_id: { in: totals.map((t) => t.product_id) } },
+      select: {
+        product_id: true,
+        product_uuid: true,
+        sku: true,
+        product_name: true,
+        unit_of_measure: true,
+      },
+    }),
+    prisma.tbl_branches.findMany({
+      where: { tenant_id: tenant.tenant_id },
+      select: { branch_id: true, branch_uuid: true, branch_name: true },
+    }),
+  ]);
+  const branchMap = new Map(branches.map((b) => [b.branch_id, b]));
+
+  const summary = new Map();
+
+  for (const product of products) {
+    summary.set(product.product_id, {
+      product_uuid: product.product_uuid,
+      sku: product.sku,
+      product_name: product.product_name,
+      unit_of_measure: product.unit_of_measure,
+      total_on_hand: 0,
+      branches: [],
+    });
+  }
+
+  for (const t of totals) {
+    const qty = Number(t._sum.quantity || 0);
+    const entry = summary.get(t.product_id);
+    const branch = branchMap.get(t.branch_id);
+
+    entry.total_on_hand = Number((entry.total_on_hand + qty).toFixed(3));
+    entry.branches.push({
+      branch_uuid: branch?.branch_uuid || null,
+      branch_name: branch?.branch_name || null,
+      on_hand: qty,
+    });
+  }
+
+  return [...summary.values()].sort((a, b) =>
+    a.product_name.localeCompare(b.product_name)
+  );
+}
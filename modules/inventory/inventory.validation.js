@@ -0,0 +1,1502 @@
+import { body, param, query } from "express-validator";
+
+const TAX_CLASSES = ["STANDARD", "REDUCED", "ZERO", "EXEMPT"];
+const PRODUCT_STATUSES = ["ACTIVE", "INACTIVE", "DISCONTINUED"];
+const PRODUCT_LIST_VIEWS = ["grouped", "flat"];
+
+// Unit a quantity is given in (defaults to the product's base unit)
+const unitValidation = (field) =>
+  body(field)
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Unit cannot be empty")
+    .isLength({ max: 20 })
+    .withMessage("Unit must be at most 20 characters");
+
+// Serial numbers of the units moved (serialized products only)
+const serialNumbersValidation = (field) => [
+  body(field)
+    .optional({ values: "null" })
+    .isArray({ max: 1000 })
+    .withMessage("Serial numbers must be a list of at most 1000 entries"),
+  body(`${field}.*`)
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Serial number cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Serial number must be at most 100 characters"),
+];
+
+export const categoryValidation = [
+  body("category_name")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Category name is required")
+    .isLength({ max: 150 })
+    .withMessage("Category name must be at most 150 characters"),
+  body("parent_category_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .notEmpty()
+    .withMessage("Parent category cannot be empty"),
+];
+
+export const updateCategoryValidation = [
+  body("category_name")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Category name cannot be empty")
+    .isLength({ max: 150 })
+    .withMessage("Category name must be at most 150 characters"),
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Description must be text"),
+];
+
+export const moveCategoryValidation = [
+  body("parent_category_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .notEmpty()
+    .withMessage("Parent category cannot be empty"),
+  body("position")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("Position must be a non-negative integer")
+    .toInt(),
+];
+
+export const reorderCategoriesValidation = [
+  body("parent_category_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .notEmpty()
+    .withMessage("Parent category cannot be empty"),
+  body("category_uuids")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("category_uuids must be a list of 1-500 categories"),
+  body("category_uuids.*")
+    .isString()
+    .notEmpty()
+    .withMessage("Category cannot be empty"),
+];
+
+export const listProductsValidation = [
+  query("status")
+    .optional()
+    .isIn(PRODUCT_STATUSES)
+    .withMessage(`Status must be one of ${PRODUCT_STATUSES.join(", ")}`),
+  query("view")
+    .optional()
+    .isIn(PRODUCT_LIST_VIEWS)
+    .withMessage(`View must be one of ${PRODUCT_LIST_VIEWS.join(", ")}`),
+  query("includeDescendants")
+    .optional()
+    .isBoolean()
+    .withMessage("includeDescendants must be true or false"),
+  query("tag")
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("Tag must be at most 50 characters"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createProductValidation = [
+  body("sku")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("SKU is required")
+    .isLength({ max: 64 })
+    .withMessage("SKU must be at most 64 characters"),
+  body("product_name")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Product name is required")
+    .isLength({ max: 255 })
+    .withMessage("Product name must be at most 255 characters"),
+  body("barcode")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage("Barcode must be 1-64 characters"),
+  body("unit_of_measure")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("Unit of measure must be 1-20 characters"),
+  body("cost_price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Cost price must be a non-negative number"),
+  body("sale_price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Sale price must be a non-negative number"),
+  body("tax_class")
+    .optional()
+    .isIn(TAX_CLASSES)
+    .withMessage(`Tax class must be one of ${TAX_CLASSES.join(", ")}`),
+  body("status")
+    .optional()
+    .isIn(PRODUCT_STATUSES)
+    .withMessage(`Status must be one of ${PRODUCT_STATUSES.join(", ")}`),
+  body("is_serialized")
+    .optional()
+    .isBoolean()
+    .withMessage("is_serialized must be a boolean")
+    .toBoolean(),
+  body("tags")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Tags must be a list of at most 20 entries"),
+  body("tags.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Tag cannot be empty")
+    .isLength({ max: 50 })
+    .withMessage("Tag must be at most 50 characters"),
+];
+
+export const updateProductValidation = [
+  body("sku")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("SKU cannot be empty")
+    .isLength({ max: 64 })
+    .withMessage("SKU must be at most 64 characters"),
+  body("product_name")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Product name cannot be empty")
+    .isLength({ max: 255 })
+    .withMessage("Product name must be at most 255 characters"),
+  ...createProductValidation.slice(2),
+];
+
+export const createBatchValidation = [
+  body("product_uuid").isString().notEmpty().withMessage("Product is required"),
+  body("lot_number")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Lot number is required")
+    .isLength({ max: 100 })
+    .withMessage("Lot number must be at most 100 characters"),
+  body("manufacture_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Manufacture date must be a valid date"),
+  body("expiry_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+  body("received_quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Received quantity must be greater than zero"),
+  ...serialNumbersValidation("serial_numbers"),
+];
+
+export const updateBatchValidation = [
+  body("lot_number")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Lot number cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Lot number must be at most 100 characters"),
+  body("manufacture_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Manufacture date must be a valid date"),
+  body("expiry_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+];
+
+export const expiringBatchesValidation = [
+  query("days")
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage("Days must be between 0 and 3650"),
+];
+
+const EXPIRY_STATUSES = ["EXPIRED", "NEAR_EXPIRY"];
+
+export const expiryReportValidation = [
+  ...expiringBatchesValidation,
+  query("status")
+    .optional()
+    .isIn(EXPIRY_STATUSES)
+    .withMessage(`Status must be one of ${EXPIRY_STATUSES.join(", ")}`),
+];
+
+export const fefoPickValidation = [
+  query("productUuid").notEmpty().withMessage("productUuid is required"),
+  query("quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+];
+
+const MOVEMENT_TYPES = [
+  "RECEIPT",
+  "SALE",
+  "ADJUSTMENT",
+  "TRANSFER_IN",
+  "TRANSFER_OUT",
+  "WRITE_OFF",
+  "CUSTOMER_RETURN",
+  "SUPPLIER_RETURN",
+];
+
+export const recordMovementValidation = [
+  body("movement_type")
+    .isIn(["RECEIPT", "SALE", "ADJUSTMENT", "WRITE_OFF"])
+    .withMessage(
+      "Movement type must be one of RECEIPT, SALE, ADJUSTMENT, WRITE_OFF"
+    ),
+  body("product_uuid").isString().notEmpty().withMessage("Product is required"),
+  body("quantity")
+    .isFloat()
+    .withMessage("Quantity must be a number")
+    .custom((value) => Number(value) !== 0)
+    .withMessage("Quantity cannot be zero"),
+  unitValidation("unit"),
+  body("unit_cost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost must be a non-negative number"),
+  body("batch_uuid").optional({ values: "null" }).isString(),
+  ...serialNumbersValidation("serial_numbers"),
+  body("lot.lot_number")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Lot number cannot be empty"),
+  body("lot.manufacture_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Manufacture date must be a valid date"),
+  body("lot.expiry_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+export const listMovementsValidation = [
+  query("movementType")
+    .optional()
+    .isIn(MOVEMENT_TYPES)
+    .withMessage(`Movement type must be one of ${MOVEMENT_TYPES.join(", ")}`),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+const TRANSFER_STATUSES = [
+  "DRAFT",
+  "DISPATCHED",
+  "PARTIALLY_RECEIVED",
+  "RECEIVED",
+  "CANCELLED",
+];
+
+const transferItemsValidation = (optional) => [
+  (optional ? body("items").optional() : body("items"))
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.product_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  body("items.*.batch_uuid").optional({ values: "null" }).isString(),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+];
+
+export const listTransfersValidation = [
+  query("status")
+    .optional()
+    .isIn(TRANSFER_STATUSES)
+    .withMessage(`Status must be one of ${TRANSFER_STATUSES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createTransferValidation = [
+  body("from_branch_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Source branch is required"),
+  body("to_branch_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Destination branch is required"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+  ...transferItemsValidation(false),
+];
+
+export const updateTransferValidation = [
+  body("to_branch_uuid")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Destination branch cannot be empty"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+  ...transferItemsValidation(true),
+];
+
+export const dispatchTransferValidation = [
+  body("items").optional().isArray().withMessage("Items must be an array"),
+  body("items.*.item_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Transfer item is required"),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+];
+
+export const receiveTransferValidation = [
+  body("items").optional().isArray().withMessage("Items must be an array"),
+  body("items.*.item_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Transfer item is required"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+  body("close").optional().isBoolean().withMessage("close must be a boolean"),
+];
+
+const supplierFieldsValidation = [
+  body("contact_name")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 150 })
+    .withMessage("Contact name must be at most 150 characters"),
+  body("email")
+    .optional({ values: "null" })
+    .isEmail()
+    .withMessage("Email must be a valid email address")
+    .normalizeEmail(),
+  body("phone")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 30 })
+    .withMessage("Phone must be at most 30 characters"),
+  body("tax_number")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("Tax number must be at most 50 characters"),
+  body("payment_terms_days")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Payment terms must be between 0 and 365 days")
+    .toInt(),
+];
+
+export const listSuppliersValidation = [
+  query("status")
+    .optional()
+    .isBoolean()
+    .withMessage("Status must be true or false"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createSupplierValidation = [
+  body("supplier_name")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Supplier name is required")
+    .isLength({ max: 255 })
+    .withMessage("Supplier name must be at most 255 characters"),
+  ...supplierFieldsValidation,
+];
+
+export const updateSupplierValidation = [
+  body("supplier_name")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Supplier name cannot be empty")
+    .isLength({ max: 255 })
+    .withMessage("Supplier name must be at most 255 characters"),
+  body("status").optional().isBoolean().withMessage("Status must be a boolean"),
+  ...supplierFieldsValidation,
+];
+
+const PURCHASE_ORDER_STATUSES = [
+  "DRAFT",
+  "ORDERED",
+  "PARTIALLY_RECEIVED",
+  "RECEIVED",
+  "CANCELLED",
+];
+
+const purchaseOrderItemsValidation = (optional) => [
+  (optional ? body("items").optional() : body("items"))
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.product_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+  body("items.*.unit_cost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost must be a non-negative number"),
+];
+
+export const listPurchaseOrdersValidation = [
+  query("status")
+    .optional()
+    .isIn(PURCHASE_ORDER_STATUSES)
+    .withMessage(`Status must be one of ${PURCHASE_ORDER_STATUSES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createPurchaseOrderValidation = [
+  body("supplier_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Supplier is required"),
+  body("branch_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Receiving branch is required"),
+  body("order_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Order date must be a valid date"),
+  body("expected_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expected date must be a valid date"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+  ...purchaseOrderItemsValidation(false),
+];
+
+export const updatePurchaseOrderValidation = [
+  body("supplier_uuid")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Supplier cannot be empty"),
+  body("branch_uuid")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Receiving branch cannot be empty"),
+  ...createPurchaseOrderValidation.slice(2, 5),
+  ...purchaseOrderItemsValidation(true),
+];
+
+export const receivePurchaseOrderValidation = [
+  body("supplier_reference")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Supplier reference must be at most 100 characters"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.po_item_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Purchase order item is required"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+  body("items.*.unit_cost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost must be a non-negative number"),
+  body("items.*.batch_uuid").optional({ values: "null" }).isString(),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+  body("items.*.lot.lot_number")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Lot number cannot be empty"),
+  body("items.*.lot.manufacture_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Manufacture date must be a valid date"),
+  body("items.*.lot.expiry_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+  body("close").optional().isBoolean().withMessage("close must be a boolean"),
+];
+
+const STOCK_LEVEL_STATUSES = [
+  "OUT_OF_STOCK",
+  "BELOW_MIN",
+  "REORDER",
+  "OK",
+  "OVERSTOCK",
+];
+
+export const listReorderLevelsValidation = [
+  query("status")
+    .optional()
+    .isIn(STOCK_LEVEL_STATUSES)
+    .withMessage(`Status must be one of ${STOCK_LEVEL_STATUSES.join(", ")}`),
+];
+
+export const upsertReorderLevelValidation = [
+  body("min_quantity")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Minimum quantity must be a non-negative number"),
+  body("reorder_point")
+    .isFloat({ min: 0 })
+    .withMessage("Reorder point must be a non-negative number"),
+  body("max_quantity")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Maximum quantity must be a non-negative number"),
+];
+
+const COSTING_METHODS = ["FIFO", "WEIGHTED_AVERAGE"];
+
+export const updateInventorySettingsValidation = [
+  body("costing_method")
+    .optional()
+    .isIn(COSTING_METHODS)
+    .withMessage(`Costing method must be one of ${COSTING_METHODS.join(", ")}`),
+  body("reservation_hold_hours")
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage("Reservation hold must be between 1 and 720 hours")
+    .toInt(),
+  body("expiry_alert_days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Expiry alert window must be between 1 and 365 days")
+    .toInt(),
+];
+
+const DOCUMENT_SEQUENCE_TYPES = ["INVOICE", "CREDIT_NOTE"];
+
+export const updateDocumentSequenceValidation = [
+  param("documentType")
+    .isIn(DOCUMENT_SEQUENCE_TYPES)
+    .withMessage(
+      `Document type must be one of ${DOCUMENT_SEQUENCE_TYPES.join(", ")}`
+    ),
+  body("prefix")
+    .optional()
+    .isString()
+    .isLength({ max: 20 })
+    .withMessage("Prefix must be at most 20 characters")
+    .matches(/^[A-Za-z0-9/_-]*$/)
+    .withMessage("Prefix may only contain letters, digits, / _ and -"),
+  body("next_number")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Next number must be a positive integer")
+    .toInt(),
+  body("padding")
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage("Padding must be between 1 and 12 digits")
+    .toInt(),
+];
+
+export const valuationReportValidation = [
+  query("asOf").optional().isISO8601().withMessage("asOf must be a date"),
+];
+
+export const cogsReportValidation = [
+  query("from")
+    .notEmpty()
+    .withMessage("from is required")
+    .isISO8601()
+    .withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+];
+
+const COUNT_STATUSES = ["OPEN", "SUBMITTED", "APPROVED", "CANCELLED"];
+const COUNT_SCOPES = ["FULL", "CATEGORY"];
+
+export const listStockCountsValidation = [
+  query("status")
+    .optional()
+    .isIn(COUNT_STATUSES)
+    .withMessage(`Status must be one of ${COUNT_STATUSES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createStockCountValidation = [
+  body("branch_uuid").isString().notEmpty().withMessage("Branch is required"),
+  body("scope")
+    .optional()
+    .isIn(COUNT_SCOPES)
+    .withMessage(`Scope must be one of ${COUNT_SCOPES.join(", ")}`),
+  body("category_uuid")
+    .if(body("scope").equals("CATEGORY"))
+    .isString()
+    .notEmpty()
+    .withMessage("Category is required for a category count"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+export const recordStockCountValidation = [
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one counted item is required"),
+  body("items.*.product_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  // null clears a previously recorded count
+  body("items.*.counted_quantity")
+    .custom(
+      (value) => value === null || (value !== undefined && Number(value) >= 0)
+    )
+    .withMessage("Counted quantity must be a non-negative number or null"),
+  unitValidation("items.*.unit"),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+  body("items.*.notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+export const replaceProductUnitsValidation = [
+  body("units").isArray().withMessage("Units must be an array"),
+  body("units.*.unit_code")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Unit code is required")
+    .isLength({ max: 20 })
+    .withMessage("Unit code must be at most 20 characters"),
+  body("units.*.factor")
+    .isFloat({ gt: 0 })
+    .withMessage("Conversion factor must be greater than zero"),
+  unitValidation("units.*.relative_to_unit"),
+];
+
+const variantPriceValidation = [
+  body("cost_price")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Cost price must be a non-negative number"),
+  body("sale_price")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Sale price must be a non-negative number"),
+];
+
+export const createVariantValidation = [
+  body("attributes")
+    .isObject()
+    .withMessage("Attributes are required, e.g. { size: 'M' }")
+    .custom((value) => Object.keys(value).length > 0)
+    .withMessage("At least one attribute is required"),
+  body("sku")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage("SKU must be 1-64 characters"),
+  body("barcode")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage("Barcode must be 1-64 characters"),
+  body("status")
+    .optional({ values: "null" })
+    .isIn(PRODUCT_STATUSES)
+    .withMessage(`Status must be one of ${PRODUCT_STATUSES.join(", ")}`),
+  ...variantPriceValidation,
+];
+
+export const generateVariantMatrixValidation = [
+  body("attributes")
+    .isObject()
+    .withMessage("Attributes are required, e.g. { size: ['S', 'M'] }")
+    .custom(
+      (value) =>
+        Object.keys(value).length > 0 &&
+        Object.values(value).every((v) => Array.isArray(v) && v.length > 0)
+    )
+    .withMessage("Every attribute needs a non-empty list of values"),
+  ...variantPriceValidation,
+];
+
+const BARCODE_FORMATS = ["EAN13", "CODE128"];
+
+export const scanBarcodeValidation = [
+  query("code")
+    .isString()
+    .notEmpty()
+    .withMessage("code is required")
+    .isLength({ max: 200 })
+    .withMessage("code must be at most 200 characters"),
+];
+
+export const generateBarcodesValidation = [
+  body("format")
+    .optional()
+    .isIn(BARCODE_FORMATS)
+    .withMessage(`Format must be one of ${BARCODE_FORMATS.join(", ")}`),
+  body("product_uuids")
+    .optional({ values: "null" })
+    .isArray({ min: 1, max: 500 })
+    .withMessage("product_uuids must be a list of 1-500 products"),
+  body("product_uuids.*")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  body("overwrite")
+    .optional()
+    .isBoolean()
+    .withMessage("overwrite must be a boolean"),
+];
+
+const RESERVATION_STATUSES = ["ACTIVE", "RELEASED", "CONVERTED", "EXPIRED"];
+const RESERVATION_CONVERT_TYPES = ["SALE", "WRITE_OFF"];
+
+export const listReservationsValidation = [
+  query("status")
+    .optional()
+    .isIn(RESERVATION_STATUSES)
+    .withMessage(`Status must be one of ${RESERVATION_STATUSES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createReservationValidation = [
+  body("branch_uuid").isString().notEmpty().withMessage("Branch is required"),
+  body("product_uuid").isString().notEmpty().withMessage("Product is required"),
+  body("batch_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .notEmpty()
+    .withMessage("Batch cannot be empty"),
+  body("quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be a positive number")
+    .toFloat(),
+  unitValidation("unit"),
+  body("expires_at")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry must be a valid date"),
+  body("hold_hours")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 720 })
+    .withMessage("Hold must be between 1 and 720 hours")
+    .toInt(),
+  body("reference_type")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Reference type must be 1-30 characters"),
+  body("reference_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 36 })
+    .withMessage("Reference must be 1-36 characters"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+export const convertReservationValidation = [
+  body("movement_type")
+    .optional()
+    .isIn(RESERVATION_CONVERT_TYPES)
+    .withMessage(
+      `Movement type must be one of ${RESERVATION_CONVERT_TYPES.join(", ")}`
+    ),
+  body("quantity")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be a positive number")
+    .toFloat(),
+  ...serialNumbersValidation("serial_numbers"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+const SERIAL_STATUSES = [
+  "IN_STOCK",
+  "IN_TRANSIT",
+  "SOLD",
+  "WRITTEN_OFF",
+  "RETURNED",
+];
+
+export const listSerialsValidation = [
+  query("status")
+    .optional()
+    .isIn(SERIAL_STATUSES)
+    .withMessage(`Status must be one of ${SERIAL_STATUSES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const lookupSerialValidation = [
+  query("serial")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("serial is required")
+    .isLength({ max: 100 })
+    .withMessage("serial must be at most 100 characters"),
+];
+
+const IMPORT_MODES = ["create", "upsert"];
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+export const importProductsValidation = [
+  query("mode")
+    .optional()
+    .isIn(IMPORT_MODES)
+    .withMessage(`Mode must be one of ${IMPORT_MODES.join(", ")}`),
+  query("dryRun")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("dryRun must be true or false"),
+];
+
+export const exportProductsValidation = [
+  query("format")
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+  query("status")
+    .optional()
+    .isIn(PRODUCT_STATUSES)
+    .withMessage(`Status must be one of ${PRODUCT_STATUSES.join(", ")}`),
+];
+
+export const customerGroupValidation = [
+  body("group_name")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Group name is required")
+    .isLength({ max: 100 })
+    .withMessage("Group name must be at most 100 characters"),
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Description must be at most 255 characters"),
+];
+
+export const updateCustomerGroupValidation = [
+  body("group_name")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Group name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Group name must be at most 100 characters"),
+  ...customerGroupValidation.slice(1),
+];
+
+const PRICE_LIST_STATUSES = ["CURRENT", "SCHEDULED", "EXPIRED", "INACTIVE"];
+
+const priceListItemsValidation = (optional) => [
+  (optional ? body("items").optional() : body("items"))
+    .isArray({ max: 5000 })
+    .withMessage("Items must be a list of at most 5000 prices"),
+  body("items.*.product_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  body("items.*.price")
+    .isFloat({ min: 0 })
+    .withMessage("Price must be a non-negative number")
+    .toFloat(),
+];
+
+const priceListFieldsValidation = [
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Description must be at most 255 characters"),
+  body("branch_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .notEmpty()
+    .withMessage("Branch cannot be empty"),
+  body("customer_group_uuid")
+    .optional({ values: "null" })
+    .isString()
+    .notEmpty()
+    .withMessage("Customer group cannot be empty"),
+  body("priority")
+    .optional()
+    .isInt({ min: -1000, max: 1000 })
+    .withMessage("Priority must be an integer between -1000 and 1000")
+    .toInt(),
+  body("effective_to")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("effective_to must be a valid date"),
+];
+
+export const listPriceListsValidation = [
+  query("status")
+    .optional()
+    .isIn(PRICE_LIST_STATUSES)
+    .withMessage(`Status must be one of ${PRICE_LIST_STATUSES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createPriceListValidation = [
+  body("list_name")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Price list name is required")
+    .isLength({ max: 150 })
+    .withMessage("Price list name must be at most 150 characters"),
+  body("effective_from")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("effective_from must be a valid date"),
+  ...priceListFieldsValidation,
+  ...priceListItemsValidation(true),
+];
+
+export const updatePriceListValidation = [
+  body("list_name")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Price list name cannot be empty")
+    .isLength({ max: 150 })
+    .withMessage("Price list name must be at most 150 characters"),
+  body("effective_from")
+    .optional()
+    .isISO8601()
+    .withMessage("effective_from must be a valid date"),
+  body("is_active")
+    .optional()
+    .isBoolean()
+    .withMessage("is_active must be a boolean")
+    .toBoolean(),
+  ...priceListFieldsValidation,
+];
+
+export const replacePriceListItemsValidation = priceListItemsValidation(false);
+
+export const resolvePriceValidation = [
+  query("productUuid")
+    .isString()
+    .notEmpty()
+    .withMessage("productUuid is required"),
+  query("branchUuid")
+    .isString()
+    .notEmpty()
+    .withMessage("branchUuid is required"),
+  query("at").optional().isISO8601().withMessage("at must be a valid date"),
+];
+
+const CUSTOMER_TYPES = ["INDIVIDUAL", "COMPANY"];
+const ADDRESS_TYPES = ["BILLING", "SHIPPING"];
+
+const customerFieldsValidation = [
+  body("first_name")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("First name must be at most 100 characters"),
+  body("last_name")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Last name must be at most 100 characters"),
+  body("company_name")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Company name must be at most 255 characters"),
+  body("email")
+    .optional({ values: "null" })
+    .isEmail()
+    .withMessage("Email must be a valid email address")
+    .normalizeEmail(),
+  body("phone")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 30 })
+    .withMessage("Phone must be at most 30 characters"),
+  body("phone_country")
+    .optional({ values: "null" })
+    .isISO31661Alpha2()
+    .withMessage("phone_country must be an ISO country code"),
+  body("tax_id")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("Tax ID must be at most 50 characters"),
+  body("customer_group_uuid").optional({ values: "null" }).isString(),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+  body("addresses")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Addresses must be an array of at most 20"),
+  body("addresses.*.address_type")
+    .optional()
+    .isIn(ADDRESS_TYPES)
+    .withMessage(`Address type must be one of ${ADDRESS_TYPES.join(", ")}`),
+  body("addresses.*.address1")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Address line 1 is required")
+    .isLength({ max: 255 })
+    .withMessage("Address line 1 must be at most 255 characters"),
+  body("addresses.*.address2")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Address line 2 must be at most 255 characters"),
+  body("addresses.*.city")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("City must be at most 100 characters"),
+  body("addresses.*.state")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 10 })
+    .withMessage("State must be a state code"),
+  body("addresses.*.country")
+    .isString()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Country must be an ISO country code"),
+  body("addresses.*.postal_code")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 20 })
+    .withMessage("Postal code must be at most 20 characters"),
+  body("addresses.*.is_default")
+    .optional()
+    .isBoolean()
+    .withMessage("is_default must be a boolean"),
+];
+
+export const listCustomersValidation = [
+  query("customerType")
+    .optional()
+    .isIn(CUSTOMER_TYPES)
+    .withMessage(`Customer type must be one of ${CUSTOMER_TYPES.join(", ")}`),
+  query("status")
+    .optional()
+    .isBoolean()
+    .withMessage("Status must be true or false"),
+  query("includeMerged")
+    .optional()
+    .isBoolean()
+    .withMessage("includeMerged must be true or false"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createCustomerValidation = [
+  body("customer_type")
+    .optional()
+    .isIn(CUSTOMER_TYPES)
+    .withMessage(`Customer type must be one of ${CUSTOMER_TYPES.join(", ")}`),
+  ...customerFieldsValidation,
+];
+
+export const updateCustomerValidation = [
+  ...createCustomerValidation,
+  body("status").optional().isBoolean().withMessage("Status must be a boolean"),
+];
+
+export const mergeCustomersValidation = [
+  body("duplicate_uuids")
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Between 1 and 20 duplicate customers are required"),
+  body("duplicate_uuids.*")
+    .isString()
+    .notEmpty()
+    .withMessage("Duplicate customer is required"),
+];
+
+export const customerStatementValidation = [
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+];
+
+const SALES_ORDER_STATUSES = ["DRAFT", "CONFIRMED", "CANCELLED"];
+const SALES_PAYMENT_STATUSES = ["UNPAID", "PARTIALLY_PAID", "PAID"];
+const PAYMENT_METHODS = [
+  "CASH",
+  "CARD",
+  "BANK_TRANSFER",
+  "MOBILE_MONEY",
+  "CHEQUE",
+  "OTHER",
+];
+
+const salesOrderItemsValidation = (optional) => [
+  (optional ? body("items").optional() : body("items"))
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.product_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+  body("items.*.unit_price")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Unit price must be a non-negative number"),
+  body("items.*.discount_percent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Discount must be between 0 and 100 percent"),
+  body("items.*.tax_rate")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax rate must be between 0 and 100 percent"),
+];
+
+const salesOrderCustomerValidation = [
+  body("customer_uuid").optional({ values: "null" }).isString(),
+  body("customer_name")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 150 })
+    .withMessage("Customer name must be at most 150 characters"),
+  body("customer_email")
+    .optional({ values: "null" })
+    .isEmail()
+    .withMessage("Customer email must be a valid email address")
+    .normalizeEmail(),
+  body("customer_phone")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 30 })
+    .withMessage("Customer phone must be at most 30 characters"),
+  body("customer_group_uuid").optional({ values: "null" }).isString(),
+  body("order_date")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Order date must be a valid date"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+export const listSalesOrdersValidation = [
+  query("status")
+    .optional()
+    .isIn(SALES_ORDER_STATUSES)
+    .withMessage(`Status must be one of ${SALES_ORDER_STATUSES.join(", ")}`),
+  query("paymentStatus")
+    .optional()
+    .isIn(SALES_PAYMENT_STATUSES)
+    .withMessage(
+      `Payment status must be one of ${SALES_PAYMENT_STATUSES.join(", ")}`
+    ),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createSalesOrderValidation = [
+  body("branch_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Selling branch is required"),
+  ...salesOrderCustomerValidation,
+  ...salesOrderItemsValidation(false),
+];
+
+export const updateSalesOrderValidation = [
+  body("branch_uuid")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Selling branch cannot be empty"),
+  ...salesOrderCustomerValidation,
+  ...salesOrderItemsValidation(true),
+];
+
+export const confirmSalesOrderValidation = [
+  body("items").optional().isArray().withMessage("Items must be an array"),
+  body("items.*.sales_order_item_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Sales order item is required"),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+];
+
+export const recordSalesPaymentValidation = [
+  body("amount")
+    .isFloat({ gt: 0 })
+    .withMessage("Amount must be greater than zero"),
+  body("payment_method")
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of ${PAYMENT_METHODS.join(", ")}`),
+  body("reference")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Reference must be at most 100 characters"),
+  body("paid_on")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("paid_on must be a valid date"),
+];
+
+const RETURN_TYPES = ["CUSTOMER", "SUPPLIER"];
+const RETURN_DISPOSITIONS = ["RESTOCK", "WRITE_OFF", "QUARANTINE"];
+const QUARANTINE_RESOLUTIONS = ["RESTOCK", "WRITE_OFF"];
+
+const returnNotesValidation = [
+  body("reason")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Reason must be at most 255 characters"),
+  body("notes")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Notes must be at most 255 characters"),
+];
+
+export const listReturnsValidation = [
+  query("returnType")
+    .optional()
+    .isIn(RETURN_TYPES)
+    .withMessage(`Return type must be one of ${RETURN_TYPES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+export const createCustomerReturnValidation = [
+  body("sales_order_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Sales order is required"),
+  ...returnNotesValidation,
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.sales_order_item_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Sales order item is required"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+  body("items.*.disposition")
+    .optional()
+    .isIn(RETURN_DISPOSITIONS)
+    .withMessage(
+      `Disposition must be one of ${RETURN_DISPOSITIONS.join(", ")}`
+    ),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+];
+
+export const createSupplierReturnValidation = [
+  body("supplier_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Supplier is required"),
+  body("branch_uuid").isString().notEmpty().withMessage("Branch is required"),
+  body("po_uuid").optional({ values: "null" }).isString(),
+  ...returnNotesValidation,
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.product_uuid")
+    .isString()
+    .notEmpty()
+    .withMessage("Product is required"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  unitValidation("items.*.unit"),
+  body("items.*.batch_uuid").optional({ values: "null" }).isString(),
+  body("items.*.unit_cost")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost must be a non-negative number"),
+  ...serialNumbersValidation("items.*.serial_numbers"),
+];
+
+export const resolveReturnItemValidation = [
+  body("disposition")
+    .isIn(QUARANTINE_RESOLUTIONS)
+    .withMessage(
+      `Disposition must be one of ${QUARANTINE_RESOLUTIONS.join(", ")}`
+    ),
+];
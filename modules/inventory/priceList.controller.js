@@ -0,0 +1,176 @@
+// controllers/priceList.controller.js
+
+import {
+  listPriceListsService,
+  getPriceListDetailsService,
+  createPriceListService,
+  updatePriceListService,
+  replacePriceListItemsService,
+  deletePriceListService,
+  resolvePriceService,
+} from "./priceList.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/price-lists/:tenantUuid
+ */
+export const listPriceListsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { branchUuid, customerGroupUuid, status, search, page, limit } =
+      req.query;
+
+    const result = await listPriceListsService({
+      tenantUuid,
+      branchUuid,
+      customerGroupUuid,
+      status,
+      search: search?.trim() || undefined,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Price lists fetched successfully", result);
+  } catch (error) {
+    console.error("❌ List Price Lists Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/price-lists/:tenantUuid/resolve
+ */
+export const resolvePriceController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { productUuid, branchUuid, customerGroupUuid, at } = req.query;
+
+    const result = await resolvePriceService({
+      tenantUuid,
+      productUuid,
+      branchUuid,
+      customerGroupUuid,
+      at,
+    });
+
+    return successResponse(
+      res,
+      "Effective price resolved successfully",
+      result
+    );
+  } catch (error) {
+    console.error("❌ Resolve Price Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/price-lists/:tenantUuid
+ */
+export const createPriceListController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const priceList = await createPriceListService({
+      tenantUuid,
+      ...req.body,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Price list created successfully",
+      priceList,
+      201
+    );
+  } catch (error) {
+    console.error("❌ Create Price List Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/price-lists/:tenantUuid/:priceListUuid
+ */
+export const getPriceListDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, priceListUuid } = req.params;
+
+    const priceList = await getPriceListDetailsService({
+      tenantUuid,
+      priceListUuid,
+    });
+
+    return successResponse(
+      res,
+      "Price list details fetched successfully",
+      priceList
+    );
+  } catch (error) {
+    console.error("❌ Get Price List Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/price-lists/:tenantUuid/:priceListUuid
+ */
+export const updatePriceListController = async (req, res, next) => {
+  try {
+    const { tenantUuid, priceListUuid } = req.params;
+
+    const priceList = await updatePriceListService({
+      tenantUuid,
+      priceListUuid,
+      updates: req.body,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Price list updated successfully", priceList);
+  } catch (error) {
+    console.error("❌ Update Price List Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/price-lists/:tenantUuid/:priceListUuid/items
+ */
+export const replacePriceListItemsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, priceListUuid } = req.params;
+
+    const priceList = await replacePriceListItemsService({
+      tenantUuid,
+      priceListUuid,
+      items: req.body.items,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Price list prices updated successfully",
+      priceList
+    );
+  } catch (error) {
+    console.error("❌ Replace Price List Items Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/inventory/price-lists/:tenantUuid/:priceListUuid
+ */
+export const deletePriceListController = async (req, res, next) => {
+  try {
+    const { tenantUuid, priceListUuid } = req.params;
+
+    const result = await deletePriceListService({ tenantUuid, priceListUuid });
+
+    return successResponse(res, "Price list deleted successfully", result);
+  } catch (error) {
+    console.error("❌ Delete Price List Error:", error);
+    next(error);
+  }
+};
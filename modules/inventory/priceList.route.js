@@ -0,0 +1,89 @@
+import { Router } from "express";
+import {
+  createPriceListController,
+  deletePriceListController,
+  getPriceListDetailsController,
+  listPriceListsController,
+  replacePriceListItemsController,
+  resolvePriceController,
+  updatePriceListController,
+} from "./priceList.controller.js";
+import {
+  createPriceListValidation,
+  listPriceListsValidation,
+  replacePriceListItemsValidation,
+  resolvePriceValidation,
+  updatePriceListValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listPriceListsValidation,
+  validateRequest,
+  listPriceListsController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createPriceListValidation,
+  validateRequest,
+  createPriceListController
+);
+
+// Effective price of a product at a branch / for a customer group / at a time
+router.get(
+  "/:tenantUuid/resolve",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  resolvePriceValidation,
+  validateRequest,
+  resolvePriceController
+);
+
+router.get(
+  "/:tenantUuid/:priceListUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getPriceListDetailsController
+);
+router.put(
+  "/:tenantUuid/:priceListUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updatePriceListValidation,
+  validateRequest,
+  updatePriceListController
+);
+router.delete(
+  "/:tenantUuid/:priceListUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  deletePriceListController
+);
+router.put(
+  "/:tenantUuid/:priceListUuid/items",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  replacePriceListItemsValidation,
+  validateRequest,
+  replacePriceListItemsController
+);
+
+export default router;
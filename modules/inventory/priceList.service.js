@@ -0,0 +1,573 @@
+// services/priceList.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+} from "./inventory.repository.js";
+import { findCustomerGroupOrThrow } from "./customerGroup.service.js";
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const priceListInclude = {
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  tbl_customer_groups: {
+    select: { customer_group_uuid: true, group_name: true },
+  },
+};
+
+const itemsInclude = {
+  items: {
+    include: {
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          product_name: true,
+          sale_price: true,
+        },
+      },
+    },
+    orderBy: { price_list_item_id: "asc" },
+  },
+};
+
+/**
+ * Where a price list stands at `at`
+ */
+function priceListStatus(priceList, at = new Date()) {
+  if (!priceList.is_active) return "INACTIVE";
+  if (priceList.effective_from > at) return "SCHEDULED";
+  if (priceList.effective_to && priceList.effective_to <= at) return "EXPIRED";
+  return "CURRENT";
+}
+
+/**
+ * Shape a price list (with its items when loaded)
+ */
+function formatPriceList(priceList) {
+  const formatted = {
+    price_list_uuid: priceList.price_list_uuid,
+    list_name: priceList.list_name,
+    description: priceList.description,
+    status: priceListStatus(priceList),
+    branch: priceList.tbl_branches
+      ? {
+          branch_uuid: priceList.tbl_branches.branch_uuid,
+          branch_name: priceList.tbl_branches.branch_name,
+        }
+      : null,
+    customer_group: priceList.tbl_customer_groups
+      ? {
+          customer_group_uuid:
+            priceList.tbl_customer_groups.customer_group_uuid,
+          group_name: priceList.tbl_customer_groups.group_name,
+        }
+      : null,
+    priority: priceList.priority,
+    effective_from: priceList.effective_from,
+    effective_to: priceList.effective_to,
+    is_active: priceList.is_active,
+    created_on: priceList.created_on,
+    modified_on: priceList.modified_on,
+  };
+
+  if (priceList._count) {
+    formatted.item_count = priceList._count.items;
+  }
+
+  if (priceList.items) {
+    formatted.items = priceList.items.map((item) => ({
+      product_uuid: item.tbl_products.product_uuid,
+      sku: item.tbl_products.sku,
+      product_name: item.tbl_products.product_name,
+      base_price: Number(item.tbl_products.sale_price),
+      price: Number(item.price),
+    }));
+  }
+
+  return formatted;
+}
+
+async function findPriceListOrThrow(client, tenantId, priceListUuid) {
+  const priceList = await client.tbl_price_lists.findFirst({
+    where: { tenant_id: tenantId, price_list_uuid: priceListUuid },
+  });
+
+  if (!priceList) throw httpError(404, "Price list not found");
+
+  return priceList;
+}
+
+function assertEffectiveRange(effectiveFrom, effectiveTo) {
+  if (effectiveTo && effectiveTo <= effectiveFrom) {
+    throw httpError(400, "effective_to must be after effective_from");
+  }
+}
+
+/**
+ * Price list lines → [{ product_id, price }]. Prices are set on stock
+ * products (standalone products and variants), once per list.
+ */
+async function resolveItems(tenantId, items) {
+  const uuids = items.map((item) => item.product_uuid);
+
+  if (new Set(uuids).size !== uuids.length) {
+    throw httpError(400, "A product can only appear once in a price list");
+  }
+
+  const products = await prisma.tbl_products.findMany({
+    where: { tenant_id: tenantId, product_uuid: { in: uuids } },
+    select: {
+      product_id: true,
+      product_uuid: true,
+      sku: true,
+      has_variants: true,
+    },
+  });
+  const byUuid = new Map(products.map((p) => [p.product_uuid, p]));
+
+  return items.map((item) => {
+    const product = byUuid.get(item.product_uuid);
+
+    if (!product) {
+      throw httpError(404, `Product ${item.product_uuid} not found`);
+    }
+    if (product.has_variants) {
+      throw httpError(
+        400,
+        `${product.sku} has variants; price its variants instead`
+      );
+    }
+
+    return { product_id: product.product_id, price: round(item.price, 2) };
+  });
+}
+
+/**
+ * Branch / customer group of a price list from their uuids
+ * (null → not restricted, undefined → unchanged)
+ */
+async function resolveScope(tenantId, { branch_uuid, customer_group_uuid }) {
+  const scope = {};
+
+  if (branch_uuid === null) {
+    scope.branch_id = null;
+  } else if (branch_uuid) {
+    const branch = await findBranchOrThrow(prisma, tenantId, branch_uuid);
+    scope.branch_id = branch.branch_id;
+  }
+
+  if (customer_group_uuid === null) {
+    scope.customer_group_id = null;
+  } else if (customer_group_uuid) {
+    const group = await findCustomerGroupOrThrow(
+      prisma,
+      tenantId,
+      customer_group_uuid
+    );
+    scope.customer_group_id = group.customer_group_id;
+  }
+
+  return scope;
+}
+
+/**
+ * Effective selling price of a stock product at a branch, for a customer
+ * group, at a point in time.
+ *
+ * Among the active price lists in effect at `at` that price the product
+ * and apply to the branch/group (lists without a branch or group apply to
+ * all), the most specific wins: branch + group, then group, then branch,
+ * then tenant-wide. Ties go to the higher priority, then to the list that
+ * took effect last. Without a matching list the product's sale price
+ * applies.
+ */
+export async function resolveEffectivePrice(
+  client,
+  {
+    tenantId,
+    product,
+    branchId = null,
+    customerGroupId = null,
+    at = new Date(),
+  }
+) {
+  const candidates = await client.tbl_price_list_items.findMany({
+    where: {
+      product_id: product.product_id,
+      tbl_price_lists: {
+        tenant_id: tenantId,
+        is_active: true,
+        effective_from: { lte: at },
+        AND: [
+          { OR: [{ effective_to: null }, { effective_to: { gt: at } }] },
+          {
+            OR: [
+              { branch_id: null },
+              ...(branchId ? [{ branch_id: branchId }] : []),
+            ],
+          },
+          {
+            OR: [
+              { customer_group_id: null },
+              ...(customerGroupId
+                ? [{ customer_group_id: customerGroupId }]
+                : []),
+            ],
+          },
+        ],
+      },
+    },
+    include: { tbl_price_lists: { include: priceListInclude } },
+  });
+
+  const specificity = (list) =>
+    (list.customer_group_id ? 2 : 0) + (list.branch_id ? 1 : 0);
+
+  const [best] = candidates.sort((a, b) => {
+    const x = a.tbl_price_lists;
+    const y = b.tbl_price_lists;
+    return (
+      specificity(y) - specificity(x) ||
+      y.priority - x.priority ||
+      y.effective_from - x.effective_from ||
+      Number(y.price_list_id - x.price_list_id)
+    );
+  });
+
+  const basePrice = Number(product.sale_price);
+
+  if (!best) {
+    return {
+      price: basePrice,
+      base_price: basePrice,
+      source: "BASE",
+      price_list: null,
+    };
+  }
+
+  return {
+    price: Number(best.price),
+    base_price: basePrice,
+    source: "PRICE_LIST",
+    price_list: formatPriceList(best.tbl_price_lists),
+  };
+}
+
+/** ------------------ PRICE LISTS ------------------- **/
+
+/**
+ * List price lists for a tenant (filterable + paginated).
+ * `status` is evaluated now: CURRENT, SCHEDULED, EXPIRED or INACTIVE.
+ */
+export async function listPriceListsService({
+  tenantUuid,
+  branchUuid,
+  customerGroupUuid,
+  status,
+  search,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const now = new Date();
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (search) where.list_name = { contains: search };
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  if (customerGroupUuid) {
+    const group = await findCustomerGroupOrThrow(
+      prisma,
+      tenant.tenant_id,
+      customerGroupUuid
+    );
+    where.customer_group_id = group.customer_group_id;
+  }
+
+  if (status === "INACTIVE") {
+    where.is_active = false;
+  } else if (status === "SCHEDULED") {
+    where.is_active = true;
+    where.effective_from = { gt: now };
+  } else if (status === "EXPIRED") {
+    where.is_active = true;
+    where.effective_to = { lte: now };
+  } else if (status === "CURRENT") {
+    where.is_active = true;
+    where.effective_from = { lte: now };
+    where.OR = [{ effective_to: null }, { effective_to: { gt: now } }];
+  }
+
+  const [total, priceLists] = await Promise.all([
+    prisma.tbl_price_lists.count({ where }),
+    prisma.tbl_price_lists.findMany({
+      where,
+      include: { ...priceListInclude, _count: { select: { items: true } } },
+      orderBy: [{ effective_from: "desc" }, { price_list_id: "desc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    price_lists: priceLists.map(formatPriceList),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get a price list with its prices
+ */
+export async function getPriceListDetailsService({
+  tenantUuid,
+  priceListUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const priceList = await findPriceListOrThrow(
+    prisma,
+    tenant.tenant_id,
+    priceListUuid
+  );
+
+  const detailed = await prisma.tbl_price_lists.findUnique({
+    where: { price_list_id: priceList.price_list_id },
+    include: { ...priceListInclude, ...itemsInclude },
+  });
+
+  return formatPriceList(detailed);
+}
+
+/**
+ * Create a price list, optionally with its prices.
+ * A future `effective_from` schedules the price change.
+ */
+export async function createPriceListService({
+  tenantUuid,
+  list_name,
+  description = null,
+  branch_uuid = null,
+  customer_group_uuid = null,
+  priority = 0,
+  effective_from = null,
+  effective_to = null,
+  items = [],
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const effectiveFrom = effective_from ? new Date(effective_from) : new Date();
+  const effectiveTo = effective_to ? new Date(effective_to) : null;
+  assertEffectiveRange(effectiveFrom, effectiveTo);
+
+  const scope = await resolveScope(tenant.tenant_id, {
+    branch_uuid,
+    customer_group_uuid,
+  });
+  const lines = await resolveItems(tenant.tenant_id, items);
+
+  const priceList = await prisma.tbl_price_lists.create({
+    data: {
+      price_list_uuid: generateShortUUID(),
+      tenant_id: tenant.tenant_id,
+      list_name,
+      description,
+      priority,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      ...scope,
+      created_by,
+      updated_by: created_by,
+      items: { create: lines },
+    },
+    include: { ...priceListInclude, ...itemsInclude },
+  });
+
+  return formatPriceList(priceList);
+}
+
+/**
+ * Update the header of a price list (name, scope, priority, dates,
+ * active flag). `branch_uuid` / `customer_group_uuid` null removes the
+ * restriction.
+ */
+export async function updatePriceListService({
+  tenantUuid,
+  priceListUuid,
+  updates,
+  updated_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const priceList = await findPriceListOrThrow(
+    prisma,
+    tenant.tenant_id,
+    priceListUuid
+  );
+
+  const effectiveFrom = updates.effective_from
+    ? new Date(updates.effective_from)
+    : priceList.effective_from;
+  const effectiveTo =
+    updates.effective_to === undefined
+      ? priceList.effective_to
+      : updates.effective_to && new Date(updates.effective_to);
+  assertEffectiveRange(effectiveFrom, effectiveTo);
+
+  const scope = await resolveScope(tenant.tenant_id, {
+    branch_uuid: updates.branch_uuid,
+    customer_group_uuid: updates.customer_group_uuid,
+  });
+
+  const updated = await prisma.tbl_price_lists.update({
+    where: { price_list_id: priceList.price_list_id },
+    data: {
+      list_name: updates.list_name,
+      description: updates.description,
+      priority: updates.priority,
+      is_active: updates.is_active,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      ...scope,
+      updated_by,
+      modified_on: new Date(),
+    },
+    include: { ...priceListInclude, ...itemsInclude },
+  });
+
+  return formatPriceList(updated);
+}
+
+/**
+ * Replace every price of a price list
+ */
+export async function replacePriceListItemsService({
+  tenantUuid,
+  priceListUuid,
+  items,
+  updated_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const priceList = await findPriceListOrThrow(
+    prisma,
+    tenant.tenant_id,
+    priceListUuid
+  );
+
+  const lines = await resolveItems(tenant.tenant_id, items);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await tx.tbl_price_list_items.deleteMany({
+      where: { price_list_id: priceList.price_list_id },
+    });
+
+    if (lines.length > 0) {
+      await tx.tbl_price_list_items.createMany({
+        data: lines.map((line) => ({
+          ...line,
+          price_list_id: priceList.price_list_id,
+        })),
+      });
+    }
+
+    return tx.tbl_price_lists.update({
+      where: { price_list_id: priceList.price_list_id },
+      data: { updated_by, modified_on: new Date() },
+      include: { ...priceListInclude, ...itemsInclude },
+    });
+  });
+
+  return formatPriceList(updated);
+}
+
+/**
+ * Delete a price list and its prices
+ */
+export async function deletePriceListService({ tenantUuid, priceListUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const priceList = await findPriceListOrThrow(
+    prisma,
+    tenant.tenant_id,
+    priceListUuid
+  );
+
+  await prisma.tbl_price_lists.delete({
+    where: { price_list_id: priceList.price_list_id },
+  });
+
+  return { price_list_uuid: priceList.price_list_uuid };
+}
+
+/**
+ * Effective price of a product at a branch (and for a customer group)
+ * at a point in time, now by default
+ */
+export async function resolvePriceService({
+  tenantUuid,
+  productUuid,
+  branchUuid,
+  customerGroupUuid,
+  at,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const product = await findStockProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+  const group = customerGroupUuid
+    ? await findCustomerGroupOrThrow(
+        prisma,
+        tenant.tenant_id,
+        customerGroupUuid
+      )
+    : null;
+
+  const when = at ? new Date(at) : new Date();
+
+  const resolved = await resolveEffectivePrice(prisma, {
+    tenantId: tenant.tenant_id,
+    product,
+    branchId: branch.branch_id,
+    customerGroupId: group?.customer_group_id ?? null,
+    at: when,
+  });
+
+  return {
+    product: {
+      product_uuid: product.product_uuid,
+      sku: product.sku,
+      product_name: product.product_name,
+    },
+    branch: {
+      branch_uuid: branch.branch_uuid,
+      branch_name: branch.branch_name,
+    },
+    customer_group: group
+      ? {
+          customer_group_uuid: group.customer_group_uuid,
+          group_name: group.group_name,
+        }
+      : null,
+    at: when,
+    ...resolved,
+  };
+}
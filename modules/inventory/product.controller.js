@@ -0,0 +1,126 @@
+// controllers/product.controller.js
+
+import {
+  listProductsService,
+  getProductDetailsService,
+  createProductService,
+  updateProductService,
+  deleteProductService,
+} from "./product.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/products/:tenantUuid
+ */
+export const listProductsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const {
+      search,
+      categoryUuid,
+      includeDescendants,
+      tag,
+      status,
+      view,
+      branchUuid,
+      page,
+      limit,
+    } = req.query;
+
+    const result = await listProductsService({
+      tenantUuid,
+      search: search?.trim() || undefined,
+      categoryUuid,
+      includeDescendants: includeDescendants !== "false",
+      tag: tag?.trim() || undefined,
+      status,
+      view,
+      branchUuid,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Products fetched successfully", result, 200);
+  } catch (error) {
+    console.error("❌ List Products Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/products/:tenantUuid
+ */
+export const createProductController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const product = await createProductService({
+      tenantUuid,
+      ...req.body,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Product created successfully", product, 201);
+  } catch (error) {
+    console.error("❌ Create Product Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/products/:tenantUuid/:productUuid
+ */
+export const getProductDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+
+    const product = await getProductDetailsService({ tenantUuid, productUuid });
+
+    return successResponse(
+      res,
+      "Product details fetched successfully",
+      product
+    );
+  } catch (error) {
+    console.error("❌ Get Product Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/products/:tenantUuid/:productUuid
+ */
+export const updateProductController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+
+    const product = await updateProductService({
+      tenantUuid,
+      productUuid,
+      updates: req.body,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Product updated successfully", product);
+  } catch (error) {
+    console.error("❌ Update Product Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/inventory/products/:tenantUuid/:productUuid
+ */
+export const deleteProductController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+
+    const result = await deleteProductService({ tenantUuid, productUuid });
+
+    return successResponse(res, "Product deleted successfully", result);
+  } catch (error) {
+    console.error("❌ Delete Product Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,229 @@
+import { Router } from "express";
+import {
+  createProductController,
+  deleteProductController,
+  getProductDetailsController,
+  listProductsController,
+  updateProductController,
+} from "./product.controller.js";
+import {
+  createCategoryController,
+  listCategoriesController,
+  listTagsController,
+  moveCategoryController,
+  reorderCategoriesController,
+  updateCategoryController,
+} from "./category.controller.js";
+import {
+  createVariantController,
+  generateVariantMatrixController,
+  listVariantsController,
+} from "./variant.controller.js";
+import {
+  exportProductsController,
+  importProductsController,
+} from "./productImport.controller.js";
+import {
+  listProductUnitsController,
+  replaceProductUnitsController,
+} from "./unit.controller.js";
+import {
+  categoryValidation,
+  createProductValidation,
+  createVariantValidation,
+  exportProductsValidation,
+  generateVariantMatrixValidation,
+  importProductsValidation,
+  listProductsValidation,
+  moveCategoryValidation,
+  reorderCategoriesValidation,
+  replaceProductUnitsValidation,
+  updateCategoryValidation,
+  updateProductValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+import { uploadSpreadsheet } from "../../middlewares/uploadMiddleware.js";
+
+const router = Router();
+
+// --------------------------------------------------------
+// CATEGORIES
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/categories",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listCategoriesController
+);
+router.post(
+  "/:tenantUuid/categories",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  categoryValidation,
+  validateRequest,
+  createCategoryController
+);
+router.put(
+  "/:tenantUuid/categories/reorder",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  reorderCategoriesValidation,
+  validateRequest,
+  reorderCategoriesController
+);
+router.put(
+  "/:tenantUuid/categories/:categoryUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateCategoryValidation,
+  validateRequest,
+  updateCategoryController
+);
+router.post(
+  "/:tenantUuid/categories/:categoryUuid/move",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  moveCategoryValidation,
+  validateRequest,
+  moveCategoryController
+);
+
+// --------------------------------------------------------
+// TAGS
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/tags",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listTagsController
+);
+
+// --------------------------------------------------------
+// BULK IMPORT / EXPORT (CSV, XLSX)
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/import",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  uploadSpreadsheet,
+  cryptoMiddleware,
+  importProductsValidation,
+  validateRequest,
+  importProductsController
+);
+router.get(
+  "/:tenantUuid/export",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  exportProductsValidation,
+  validateRequest,
+  exportProductsController
+);
+
+// --------------------------------------------------------
+// PRODUCTS
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listProductsValidation,
+  validateRequest,
+  listProductsController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createProductValidation,
+  validateRequest,
+  createProductController
+);
+
+router.get(
+  "/:tenantUuid/:productUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getProductDetailsController
+);
+router.put(
+  "/:tenantUuid/:productUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateProductValidation,
+  validateRequest,
+  updateProductController
+);
+router.delete(
+  "/:tenantUuid/:productUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  deleteProductController
+);
+
+// --------------------------------------------------------
+// VARIANTS (size/colour/... matrices under a parent product)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/:productUuid/variants",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listVariantsController
+);
+router.post(
+  "/:tenantUuid/:productUuid/variants",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createVariantValidation,
+  validateRequest,
+  createVariantController
+);
+router.post(
+  "/:tenantUuid/:productUuid/variants/matrix",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  generateVariantMatrixValidation,
+  validateRequest,
+  generateVariantMatrixController
+);
+
+// --------------------------------------------------------
+// UNITS OF MEASURE (alternate units → base unit)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/:productUuid/units",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listProductUnitsController
+);
+router.put(
+  "/:tenantUuid/:productUuid/units",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  replaceProductUnitsValidation,
+  validateRequest,
+  replaceProductUnitsController
+);
+
+export default router;
@@ -0,0 +1,573 @@
+// services/product.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findCategoryOrThrow,
+  findProductOrThrow,
+  findTenantOrThrow,
+  getOnHandByProduct,
+} from "./inventory.repository.js";
+import { getCategoryDescendantIds } from "./category.service.js";
+import { syncProductTags } from "./tag.service.js";
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const variantAttributesInclude = {
+  select: { attribute_name: true, attribute_value: true },
+  orderBy: { attribute_id: "asc" },
+};
+
+export const productInclude = {
+  tbl_product_categories: {
+    select: { category_uuid: true, category_name: true },
+  },
+  parentProduct: {
+    select: { product_uuid: true, sku: true, product_name: true },
+  },
+  variant_attributes: variantAttributesInclude,
+  tag_links: {
+    select: { tag: { select: { tag_name: true } } },
+    orderBy: { tag: { tag_name: "asc" } },
+  },
+};
+
+/**
+ * Variant attribute rows → { size: "M", colour: "Red" } (null for non-variants)
+ */
+export function formatVariantAttributes(attributes) {
+  if (!attributes?.length) return null;
+
+  return Object.fromEntries(
+    attributes.map((a) => [a.attribute_name, a.attribute_value])
+  );
+}
+
+/**
+ * Shape a variant for its parent's rolled-up listing
+ */
+export function formatVariantSummary(variant, onHand) {
+  return {
+    product_uuid: variant.product_uuid,
+    sku: variant.sku,
+    barcode: variant.barcode,
+    attributes: formatVariantAttributes(variant.variant_attributes),
+    cost_price: Number(variant.cost_price),
+    sale_price: Number(variant.sale_price),
+    status: variant.status,
+    on_hand: onHand.get(variant.product_id) || 0,
+  };
+}
+
+/**
+ * Shape a product row for API responses (no numeric IDs, Decimal → Number)
+ */
+export function formatProduct(product) {
+  return {
+    product_uuid: product.product_uuid,
+    sku: product.sku,
+    barcode: product.barcode,
+    product_name: product.product_name,
+    description: product.description,
+    category: product.tbl_product_categories
+      ? {
+          category_uuid: product.tbl_product_categories.category_uuid,
+          category_name: product.tbl_product_categories.category_name,
+        }
+      : null,
+    unit_of_measure: product.unit_of_measure,
+    cost_price: Number(product.cost_price),
+    sale_price: Number(product.sale_price),
+    tax_class: product.tax_class,
+    status: product.status,
+    has_variants: product.has_variants,
+    is_serialized: product.is_serialized,
+    parent: product.parentProduct
+      ? {
+          product_uuid: product.parentProduct.product_uuid,
+          sku: product.parentProduct.sku,
+          product_name: product.parentProduct.product_name,
+        }
+      : null,
+    attributes: formatVariantAttributes(product.variant_attributes),
+    tags: (product.tag_links || []).map((link) => link.tag.tag_name),
+    created_on: product.created_on,
+    modified_on: product.modified_on,
+  };
+}
+
+/**
+ * Barcodes are unique inside the tenant, like SKUs
+ */
+export async function assertBarcodeAvailable(
+  client,
+  tenantId,
+  barcode,
+  exceptProductId = null
+) {
+  if (!barcode) return;
+
+  const duplicate = await client.tbl_products.findFirst({
+    where: {
+      tenant_id: tenantId,
+      barcode,
+      ...(exceptProductId && { NOT: { product_id: exceptProductId } }),
+    },
+    select: { product_id: true },
+  });
+
+  if (duplicate) {
+    throw httpError(409, `Barcode "${barcode}" already exists for this tenant`);
+  }
+}
+
+/** ------------------ PRODUCTS ------------------- **/
+
+/**
+ * List products for a tenant (filterable + paginated).
+ *
+ * view=grouped lists standalone and parent products, each parent with its
+ * variants and their stock rolled up; view=flat lists every stock-holding
+ * product (standalone products and variants, without the parents).
+ * Stock is across all branches unless `branchUuid` is given.
+ * A category filter covers its sub-categories too unless
+ * `includeDescendants` is false.
+ */
+export async function listProductsService({
+  tenantUuid,
+  search,
+  categoryUuid,
+  includeDescendants = true,
+  tag,
+  status,
+  view = "grouped",
+  branchUuid,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = branchUuid
+    ? await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid)
+    : null;
+
+  const grouped = view !== "flat";
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (grouped) where.parent_product_id = null;
+  else where.has_variants = false;
+
+  if (status) where.status = status;
+
+  if (categoryUuid) {
+    const category = await findCategoryOrThrow(
+      prisma,
+      tenant.tenant_id,
+      categoryUuid
+    );
+    where.category_id = includeDescendants
+      ? {
+          in: await getCategoryDescendantIds(
+            prisma,
+            tenant.tenant_id,
+            category.category_id
+          ),
+        }
+      : category.category_id;
+  }
+
+  if (tag) {
+    where.tag_links = {
+      some: { tag: { tag_name: tag.trim().toLowerCase() } },
+    };
+  }
+
+  if (search) {
+    where.OR = [
+      { sku: { contains: search } },
+      { barcode: { contains: search } },
+      { product_name: { contains: search } },
+    ];
+
+    // A parent also matches through the SKU/barcode of its variants
+    if (grouped) {
+      where.OR.push({
+        variants: {
+          some: {
+            OR: [
+              { sku: { contains: search } },
+              { barcode: { contains: search } },
+            ],
+          },
+        },
+      });
+    }
+  }
+
+  const [total, products] = await Promise.all([
+    prisma.tbl_products.count({ where }),
+    prisma.tbl_products.findMany({
+      where,
+      include: {
+        ...productInclude,
+        ...(grouped && {
+          variants: {
+            include: { variant_attributes: variantAttributesInclude },
+            orderBy: { sku: "asc" },
+          },
+        }),
+      },
+      orderBy: { product_name: "asc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  const onHand = await getOnHandByProduct(prisma, {
+    branchId: branch?.branch_id,
+    productIds: products.flatMap((p) => [
+      p.product_id,
+      ...(p.variants || []).map((v) => v.product_id),
+    ]),
+  });
+
+  return {
+    view: grouped ? "grouped" : "flat",
+    products: products.map((product) => {
+      if (!product.has_variants || !product.variants) {
+        return {
+          ...formatProduct(product),
+          on_hand: onHand.get(product.product_id) || 0,
+        };
+      }
+
+      const variants = product.variants.map((v) =>
+        formatVariantSummary(v, onHand)
+      );
+      const prices = variants.map((v) => v.sale_price);
+
+      return {
+        ...formatProduct(product),
+        on_hand: round(
+          variants.reduce((sum, v) => sum + v.on_hand, 0),
+          3
+        ),
+        variant_count: variants.length,
+        price_range: prices.length
+          ? { min: Math.min(...prices), max: Math.max(...prices) }
+          : null,
+        variants,
+      };
+    }),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get product details
+ */
+export async function getProductDetailsService({ tenantUuid, productUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const product = await prisma.tbl_products.findFirst({
+    where: { tenant_id: tenant.tenant_id, product_uuid: productUuid },
+    include: {
+      ...productInclude,
+      _count: { select: { variants: true } },
+    },
+  });
+
+  if (!product) throw httpError(404, "Product not found");
+
+  return {
+    ...formatProduct(product),
+    variant_count: product._count.variants,
+  };
+}
+
+/**
+ * Create a product
+ */
+export async function createProductService({
+  tenantUuid,
+  sku,
+  barcode = null,
+  product_name,
+  description = null,
+  category_uuid = null,
+  unit_of_measure = "PCS",
+  cost_price = 0,
+  sale_price = 0,
+  tax_class = "STANDARD",
+  status = "ACTIVE",
+  is_serialized = false,
+  tags = [],
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  // SKU must be unique inside the tenant
+  const existing = await prisma.tbl_products.findFirst({
+    where: { tenant_id: tenant.tenant_id, sku },
+    select: { product_id: true },
+  });
+
+  if (existing) {
+    throw httpError(409, `SKU "${sku}" already exists for this tenant`);
+  }
+
+  await assertBarcodeAvailable(prisma, tenant.tenant_id, barcode);
+
+  const category = category_uuid
+    ? await findCategoryOrThrow(prisma, tenant.tenant_id, category_uuid)
+    : null;
+
+  const product = await prisma.$transaction(async (tx) => {
+    const created = await tx.tbl_products.create({
+      data: {
+        product_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        category_id: category?.category_id ?? null,
+        sku,
+        barcode,
+        product_name,
+        description,
+        unit_of_measure,
+        cost_price,
+        sale_price,
+        tax_class,
+        status,
+        is_serialized,
+        created_by,
+        updated_by: created_by,
+      },
+      select: { product_id: true },
+    });
+
+    if (tags.length > 0) {
+      await syncProductTags(tx, tenant.tenant_id, created.product_id, tags);
+    }
+
+    return tx.tbl_products.findUnique({
+      where: { product_id: created.product_id },
+      include: productInclude,
+    });
+  });
+
+  return formatProduct(product);
+}
+
+/**
+ * Serial numbers are recorded from the first movement on, so tracking can
+ * only be switched before any stock is posted
+ */
+async function assertSerialTrackingChangeAllowed(product) {
+  const movementCount = await prisma.tbl_stock_movements.count({
+    where: { product_id: product.product_id },
+  });
+
+  if (movementCount > 0) {
+    throw httpError(
+      409,
+      "Serial tracking cannot change once the product has stock history"
+    );
+  }
+}
+
+/**
+ * The ledger and alternate units are kept in the base unit, so it can only
+ * change before any stock is posted and must not clash with an alternate unit
+ */
+async function assertBaseUnitChangeAllowed(product, unitOfMeasure) {
+  const [movementCount, clashingUnit] = await Promise.all([
+    prisma.tbl_stock_movements.count({
+      where: { product_id: product.product_id },
+    }),
+    prisma.tbl_product_units.findFirst({
+      where: {
+        product_id: product.product_id,
+        unit_code: unitOfMeasure.trim().toUpperCase(),
+      },
+      select: { unit_id: true },
+    }),
+  ]);
+
+  if (movementCount > 0) {
+    throw httpError(
+      409,
+      "Base unit cannot change once the product has stock history"
+    );
+  }
+  if (clashingUnit) {
+    throw httpError(
+      400,
+      `${unitOfMeasure} is already an alternate unit of this product`
+    );
+  }
+}
+
+/**
+ * Update a product
+ */
+export async function updateProductService({
+  tenantUuid,
+  productUuid,
+  updates,
+  updated_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const product = await findProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  if (updates.sku && updates.sku !== product.sku) {
+    const duplicate = await prisma.tbl_products.findFirst({
+      where: {
+        tenant_id: tenant.tenant_id,
+        sku: updates.sku,
+        NOT: { product_id: product.product_id },
+      },
+      select: { product_id: true },
+    });
+
+    if (duplicate) {
+      throw httpError(
+        409,
+        `SKU "${updates.sku}" already exists for this tenant`
+      );
+    }
+  }
+
+  if (updates.barcode && updates.barcode !== product.barcode) {
+    await assertBarcodeAvailable(
+      prisma,
+      tenant.tenant_id,
+      updates.barcode,
+      product.product_id
+    );
+  }
+
+  if (
+    updates.unit_of_measure &&
+    updates.unit_of_measure !== product.unit_of_measure
+  ) {
+    await assertBaseUnitChangeAllowed(product, updates.unit_of_measure);
+  }
+
+  if (
+    updates.is_serialized !== undefined &&
+    updates.is_serialized !== product.is_serialized
+  ) {
+    await assertSerialTrackingChangeAllowed(product);
+  }
+
+  const data = {
+    sku: updates.sku,
+    barcode: updates.barcode,
+    product_name: updates.product_name,
+    description: updates.description,
+    unit_of_measure: updates.unit_of_measure,
+    cost_price: updates.cost_price,
+    sale_price: updates.sale_price,
+    tax_class: updates.tax_class,
+    status: updates.status,
+    is_serialized: updates.is_serialized,
+    updated_by,
+    modified_on: new Date(),
+  };
+
+  // null clears the category, undefined leaves it untouched
+  if (updates.category_uuid === null) {
+    data.category_id = null;
+  } else if (updates.category_uuid) {
+    const category = await findCategoryOrThrow(
+      prisma,
+      tenant.tenant_id,
+      updates.category_uuid
+    );
+    data.category_id = category.category_id;
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // undefined leaves the tags untouched, [] clears them
+    if (updates.tags !== undefined) {
+      await syncProductTags(
+        tx,
+        tenant.tenant_id,
+        product.product_id,
+        updates.tags
+      );
+    }
+
+    return tx.tbl_products.update({
+      where: { product_id: product.product_id },
+      data,
+      include: productInclude,
+    });
+  });
+
+  return formatProduct(updated);
+}
+
+/**
+ * Delete a product
+ */
+export async function deleteProductService({ tenantUuid, productUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const product = await findProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  // Ledger rows are immutable, so a product with history can only be retired
+  const [movementCount, variantCount] = await Promise.all([
+    prisma.tbl_stock_movements.count({
+      where: { product_id: product.product_id },
+    }),
+    prisma.tbl_products.count({
+      where: { parent_product_id: product.product_id },
+    }),
+  ]);
+
+  if (movementCount > 0) {
+    throw httpError(
+      409,
+      "Product has stock history and cannot be deleted. Set its status to DISCONTINUED instead."
+    );
+  }
+  if (variantCount > 0) {
+    throw httpError(409, "Product has variants; delete its variants first");
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.tbl_products.delete({
+      where: { product_id: product.product_id },
+    });
+
+    // A parent whose last variant is gone becomes a plain product again
+    if (product.parent_product_id) {
+      const siblings = await tx.tbl_products.count({
+        where: { parent_product_id: product.parent_product_id },
+      });
+
+      if (siblings === 0) {
+        await tx.tbl_products.update({
+          where: { product_id: product.parent_product_id },
+          data: { has_variants: false, modified_on: new Date() },
+        });
+      }
+    }
+  });
+
+  return { product_uuid: productUuid, deleted: true };
+}
@@ -0,0 +1,62 @@
+// controllers/productImport.controller.js
+
+import {
+  importProductsService,
+  exportProductsService,
+} from "./productImport.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * POST /api/inventory/products/:tenantUuid/import?mode=create|upsert&dryRun=true
+ * multipart/form-data with the spreadsheet in `file`
+ */
+export const importProductsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { mode, dryRun } = req.query;
+
+    const report = await importProductsService({
+      tenantUuid,
+      file: req.file,
+      mode: mode || "create",
+      dryRun: dryRun === "true",
+      imported_by: req.session?.tenant_user_id || null,
+    });
+
+    const message = report.committed
+      ? "Products imported successfully"
+      : report.error_rows > 0
+        ? "Import has invalid rows; nothing was saved"
+        : "Import validated successfully (dry run)";
+
+    return successResponse(res, message, report);
+  } catch (error) {
+    console.error("❌ Import Products Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/products/:tenantUuid/export?format=csv|xlsx
+ */
+export const exportProductsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { format, status } = req.query;
+
+    const { filename, contentType, buffer } = await exportProductsService({
+      tenantUuid,
+      format: format || "csv",
+      status,
+    });
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    return res.send(buffer);
+  } catch (error) {
+    console.error("❌ Export Products Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,683 @@
+// services/productImport.service.js
+
+import ExcelJS from "exceljs";
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { findTenantOrThrow } from "./inventory.repository.js";
+
+// Upper bound for one import file (rows below the header)
+const MAX_IMPORT_ROWS = 5000;
+
+const IMPORT_MODES = ["create", "upsert"];
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const TAX_CLASSES = ["STANDARD", "REDUCED", "ZERO", "EXEMPT"];
+const PRODUCT_STATUSES = ["ACTIVE", "INACTIVE", "DISCONTINUED"];
+
+// Import and export share one column layout, so an export can be edited
+// and imported back
+const COLUMNS = [
+  "sku",
+  "product_name",
+  "barcode",
+  "description",
+  "category",
+  "unit_of_measure",
+  "cost_price",
+  "sale_price",
+  "tax_class",
+  "status",
+  "is_serialized",
+];
+
+const REQUIRED_COLUMNS = ["sku", "product_name"];
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+};
+
+// Highest value a Decimal(12, 2) price column holds
+const MAX_PRICE = 9999999999.99;
+
+// SKUs and barcodes match case-insensitively under MySQL's default collation
+const normalizeCode = (value) => value.toLowerCase();
+
+// Cells starting with these are run as formulas by spreadsheet apps, so the
+// CSV export escapes them with a leading ' that the import takes off again
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const unescapeCsvCell = (value) =>
+  value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+
+// The category column holds the path from the top ("Phones > Accessories"),
+// since names are only unique among siblings
+const CATEGORY_PATH_SEPARATOR = " > ";
+
+const normalizeCategoryPath = (value) =>
+  value
+    .split(/[>›]/)
+    .map((segment) => segment.trim().toLowerCase())
+    .filter(Boolean)
+    .join(">");
+
+/**
+ * Full path (top-level first) of every category, keyed by category_id
+ */
+function buildCategoryPaths(categories) {
+  const byId = new Map(categories.map((c) => [c.category_id, c]));
+  const paths = new Map();
+
+  for (const category of categories) {
+    const names = [];
+    for (let node = category; node; node = byId.get(node.parent_category_id)) {
+      names.unshift(node.category_name.trim());
+    }
+    paths.set(category.category_id, names.join(CATEGORY_PATH_SEPARATOR));
+  }
+
+  return paths;
+}
+
+/** ------------------ PARSING ------------------- **/
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, "" escapes, CRLF/LF, leading BOM)
+ * into an array of string arrays
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw httpError(400, "CSV has an unterminated quoted field");
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Plain text of an ExcelJS cell value (rich text, hyperlinks, formula
+ * results and dates included)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== "object") return String(value);
+  if (value.richText) return value.richText.map((r) => r.text).join("");
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return "";
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw httpError(400, "File is not a valid .xlsx workbook");
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw httpError(400, "Workbook has no worksheets");
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(cellText));
+  });
+
+  return rows;
+}
+
+/**
+ * Read an uploaded file into objects keyed by column name, with the
+ * spreadsheet row number of each (the header is row 1)
+ */
+async function readSpreadsheet(file) {
+  const isXlsx = file.originalname.toLowerCase().endsWith(".xlsx");
+  const rows = isXlsx
+    ? await parseXlsx(file.buffer)
+    : parseCsv(file.buffer.toString("utf8")).map((row) =>
+        row.map(unescapeCsvCell)
+      );
+
+  const [header = [], ...body] = rows;
+  const columns = header.map((h) => String(h).trim().toLowerCase());
+
+  const missing = REQUIRED_COLUMNS.filter((c) => !columns.includes(c));
+  if (missing.length > 0) {
+    throw httpError(400, `Missing required column(s): ${missing.join(", ")}`);
+  }
+
+  const unknown = columns.filter((c) => c && !COLUMNS.includes(c));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown column(s): ${unknown.join(", ")}`);
+  }
+
+  const records = body
+    .map((cells, index) => ({
+      rowNumber: index + 2,
+      values: Object.fromEntries(
+        columns
+          .map((column, i) => [column, String(cells[i] ?? "").trim()])
+          .filter(([column]) => column)
+      ),
+    }))
+    // Blank lines (often trailing) are not rows
+    .filter((record) => Object.values(record.values).some((v) => v !== ""));
+
+  if (records.length === 0) throw httpError(400, "File has no product rows");
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw httpError(
+      400,
+      `A file can hold at most ${MAX_IMPORT_ROWS} products (${records.length} given)`
+    );
+  }
+
+  return { columns, records };
+}
+
+/** ------------------ VALIDATION ------------------- **/
+
+function parsePrice(value, label, errors) {
+  if (value === "") return undefined;
+
+  const price = Number(value.replace(/,/g, ""));
+  if (
+    !/^-?[\d,]*\.?\d+$/.test(value) ||
+    !Number.isFinite(price) ||
+    price < 0 ||
+    price > MAX_PRICE
+  ) {
+    errors.push(`${label} must be a non-negative number`);
+    return undefined;
+  }
+  if (Math.round(price * 100) !== Number((price * 100).toFixed(6))) {
+    errors.push(`${label} can have at most 2 decimals`);
+    return undefined;
+  }
+
+  return price;
+}
+
+function parseEnum(value, allowed, label, errors) {
+  if (value === "") return undefined;
+
+  const normalized = value.toUpperCase();
+  if (!allowed.includes(normalized)) {
+    errors.push(`${label} must be one of ${allowed.join(", ")}`);
+    return undefined;
+  }
+
+  return normalized;
+}
+
+function parseBoolean(value, label, errors) {
+  if (value === "") return undefined;
+
+  const parsed = BOOLEAN_VALUES[value.toLowerCase()];
+  if (parsed === undefined) {
+    errors.push(`${label} must be true or false`);
+  }
+
+  return parsed;
+}
+
+function checkLength(value, max, label, errors) {
+  if (value.length > max) {
+    errors.push(`${label} must be at most ${max} characters`);
+  }
+}
+
+/**
+ * Validate every row against the file itself and the tenant's data.
+ * Returns the rows as create/update payloads plus a per-row error report.
+ */
+async function validateRecords(tenantId, records, mode) {
+  const skus = records.map((r) => r.values.sku).filter(Boolean);
+  const barcodes = records.map((r) => r.values.barcode).filter(Boolean);
+
+  const [categories, existingProducts, barcodeOwners] = await Promise.all([
+    prisma.tbl_product_categories.findMany({
+      where: { tenant_id: tenantId },
+      select: {
+        category_id: true,
+        category_name: true,
+        parent_category_id: true,
+      },
+    }),
+    prisma.tbl_products.findMany({
+      where: { tenant_id: tenantId, sku: { in: skus } },
+      select: {
+        product_id: true,
+        sku: true,
+        unit_of_measure: true,
+        is_serialized: true,
+      },
+    }),
+    prisma.tbl_products.findMany({
+      where: { tenant_id: tenantId, barcode: { in: barcodes } },
+      select: { sku: true, barcode: true },
+    }),
+  ]);
+
+  const categoryPaths = buildCategoryPaths(categories);
+  const categoryByPath = new Map();
+  const categoriesByName = new Map();
+  for (const category of categories) {
+    const name = category.category_name.trim().toLowerCase();
+    categoryByPath.set(
+      normalizeCategoryPath(categoryPaths.get(category.category_id)),
+      category
+    );
+    categoriesByName.set(name, [
+      ...(categoriesByName.get(name) || []),
+      category,
+    ]);
+  }
+  // Keyed case-insensitively, as the database compares SKUs and barcodes
+  const existingBySku = new Map(
+    existingProducts.map((p) => [normalizeCode(p.sku), p])
+  );
+  const barcodeOwnerSku = new Map(
+    barcodeOwners.map((p) => [normalizeCode(p.barcode), p.sku])
+  );
+
+  // Base unit and serial tracking are frozen once stock has moved
+  const withHistory = new Set(
+    (
+      await prisma.tbl_stock_movements.groupBy({
+        by: ["product_id"],
+        where: {
+          product_id: { in: existingProducts.map((p) => p.product_id) },
+        },
+      })
+    ).map((m) => m.product_id)
+  );
+
+  const firstRowBySku = new Map();
+  const firstRowByBarcode = new Map();
+
+  const creates = [];
+  const updates = [];
+  const errorRows = [];
+
+  for (const { rowNumber, values } of records) {
+    const errors = [];
+    const get = (column) => values[column] ?? "";
+
+    const sku = get("sku");
+    const productName = get("product_name");
+    const barcode = get("barcode");
+
+    if (!sku) errors.push("SKU is required");
+    checkLength(sku, 64, "SKU", errors);
+
+    const skuKey = normalizeCode(sku);
+    if (sku && firstRowBySku.has(skuKey)) {
+      errors.push(`Duplicate SKU (also on row ${firstRowBySku.get(skuKey)})`);
+    } else if (sku) {
+      firstRowBySku.set(skuKey, rowNumber);
+    }
+
+    const existing = existingBySku.get(skuKey);
+    if (existing && mode === "create") {
+      errors.push("SKU already exists");
+    }
+
+    if (!productName && !existing) errors.push("Product name is required");
+    checkLength(productName, 255, "Product name", errors);
+
+    if (barcode) {
+      checkLength(barcode, 64, "Barcode", errors);
+
+      const barcodeKey = normalizeCode(barcode);
+      const ownerSku = barcodeOwnerSku.get(barcodeKey);
+      if (firstRowByBarcode.has(barcodeKey)) {
+        errors.push(
+          `Duplicate barcode (also on row ${firstRowByBarcode.get(barcodeKey)})`
+        );
+      } else {
+        firstRowByBarcode.set(barcodeKey, rowNumber);
+      }
+      if (ownerSku && normalizeCode(ownerSku) !== skuKey) {
+        errors.push(`Barcode already belongs to ${ownerSku}`);
+      }
+    }
+
+    let categoryId;
+    if (get("category")) {
+      const key = normalizeCategoryPath(get("category"));
+      // A bare name still resolves when it is unique in the tenant
+      const byName = key.includes(">") ? [] : categoriesByName.get(key) || [];
+      const category =
+        categoryByPath.get(key) || (byName.length === 1 ? byName[0] : null);
+
+      if (category) {
+        categoryId = category.category_id;
+      } else if (byName.length > 1) {
+        errors.push(
+          `Category "${get("category")}" exists in several places; give its path, e.g. "${categoryPaths.get(byName[0].category_id)}"`
+        );
+      } else {
+        errors.push(`Unknown category "${get("category")}"`);
+      }
+    }
+
+    const unitOfMeasure = get("unit_of_measure").toUpperCase() || undefined;
+    if (unitOfMeasure)
+      checkLength(unitOfMeasure, 20, "Unit of measure", errors);
+
+    const isSerialized = parseBoolean(
+      get("is_serialized"),
+      "is_serialized",
+      errors
+    );
+
+    if (existing && withHistory.has(existing.product_id)) {
+      if (unitOfMeasure && unitOfMeasure !== existing.unit_of_measure) {
+        errors.push(
+          "Base unit cannot change once the product has stock history"
+        );
+      }
+      if (
+        isSerialized !== undefined &&
+        isSerialized !== existing.is_serialized
+      ) {
+        errors.push(
+          "Serial tracking cannot change once the product has stock history"
+        );
+      }
+    }
+
+    const data = {
+      product_name: productName || undefined,
+      barcode: barcode || undefined,
+      description: get("description") || undefined,
+      category_id: categoryId,
+      unit_of_measure: unitOfMeasure,
+      cost_price: parsePrice(get("cost_price"), "Cost price", errors),
+      sale_price: parsePrice(get("sale_price"), "Sale price", errors),
+      tax_class: parseEnum(get("tax_class"), TAX_CLASSES, "Tax class", errors),
+      status: parseEnum(get("status"), PRODUCT_STATUSES, "Status", errors),
+      is_serialized: isSerialized,
+    };
+
+    if (errors.length > 0) {
+      errorRows.push({ row: rowNumber, sku: sku || null, errors });
+    } else if (existing) {
+      updates.push({ rowNumber, productId: existing.product_id, sku, data });
+    } else {
+      creates.push({ rowNumber, sku, data });
+    }
+  }
+
+  return { creates, updates, errorRows };
+}
+
+/**
+ * The row behind a unique-key collision at save time: a SKU or barcode
+ * taken by another product after validation (concurrent import or edit)
+ */
+async function findConflictingRow(tenantId, creates, updates) {
+  const rows = [...creates, ...updates];
+  const barcodes = rows.map((r) => r.data.barcode).filter(Boolean);
+
+  const taken = await prisma.tbl_products.findMany({
+    where: {
+      tenant_id: tenantId,
+      OR: [
+        { sku: { in: creates.map((r) => r.sku) } },
+        ...(barcodes.length > 0 ? [{ barcode: { in: barcodes } }] : []),
+      ],
+    },
+    select: { product_id: true, sku: true, barcode: true },
+  });
+
+  const takenSkus = new Set(taken.map((p) => normalizeCode(p.sku)));
+  const barcodeOwners = new Map(
+    taken.filter((p) => p.barcode).map((p) => [normalizeCode(p.barcode), p])
+  );
+
+  for (const row of rows) {
+    if (!row.productId && takenSkus.has(normalizeCode(row.sku))) {
+      return { row: row.rowNumber, sku: row.sku, error: "SKU already exists" };
+    }
+
+    const owner =
+      row.data.barcode && barcodeOwners.get(normalizeCode(row.data.barcode));
+    if (owner && owner.product_id !== row.productId) {
+      return {
+        row: row.rowNumber,
+        sku: row.sku,
+        error: `Barcode already belongs to ${owner.sku}`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/** ------------------ IMPORT / EXPORT ------------------- **/
+
+/**
+ * Import products from a CSV/XLSX file.
+ *
+ * Every row is validated first (duplicates inside the file, existing SKUs
+ * and barcodes, unknown categories, bad prices/enums). Nothing is written
+ * when any row fails or on a dry run; otherwise all rows are saved in one
+ * transaction. `upsert` updates products whose SKU already exists, leaving
+ * blank cells untouched.
+ */
+export async function importProductsService({
+  tenantUuid,
+  file,
+  mode = "create",
+  dryRun = false,
+  imported_by = null,
+}) {
+  if (!file) throw httpError(400, "A .csv or .xlsx file is required");
+  if (!IMPORT_MODES.includes(mode)) {
+    throw httpError(400, `Mode must be one of ${IMPORT_MODES.join(", ")}`);
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const { records } = await readSpreadsheet(file);
+
+  const { creates, updates, errorRows } = await validateRecords(
+    tenant.tenant_id,
+    records,
+    mode
+  );
+
+  const report = {
+    mode,
+    dry_run: dryRun,
+    total_rows: records.length,
+    valid_rows: creates.length + updates.length,
+    error_rows: errorRows.length,
+    to_create: creates.length,
+    to_update: updates.length,
+    committed: false,
+    errors: errorRows,
+  };
+
+  if (dryRun || errorRows.length > 0) return report;
+
+  try {
+    await prisma.$transaction(
+      async (tx) => {
+        if (creates.length > 0) {
+          await tx.tbl_products.createMany({
+            data: creates.map(({ sku, data }) => ({
+              product_uuid: generateShortUUID(),
+              tenant_id: tenant.tenant_id,
+              sku,
+              ...data,
+              created_by: imported_by,
+              updated_by: imported_by,
+            })),
+          });
+        }
+
+        for (const { productId, data } of updates) {
+          await tx.tbl_products.update({
+            where: { product_id: productId },
+            data: { ...data, updated_by: imported_by, modified_on: new Date() },
+          });
+        }
+      },
+      // Thousands of rows take longer than the default 5s
+      { timeout: 120000 }
+    );
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+
+    const conflict = await findConflictingRow(
+      tenant.tenant_id,
+      creates,
+      updates
+    );
+    throw httpError(
+      409,
+      conflict
+        ? `Row ${conflict.row} (${conflict.sku}): ${conflict.error}; products changed during the import, please re-run it`
+        : "Products changed during the import, please re-run it"
+    );
+  }
+
+  return { ...report, committed: true };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the tenant's products in the import layout as CSV or XLSX.
+ * Returns { filename, contentType, buffer }.
+ */
+export async function exportProductsService({
+  tenantUuid,
+  format = "csv",
+  status,
+}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw httpError(400, `Format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const [products, categories] = await Promise.all([
+    prisma.tbl_products.findMany({
+      where: {
+        tenant_id: tenant.tenant_id,
+        ...(status && { status }),
+      },
+      orderBy: { sku: "asc" },
+    }),
+    prisma.tbl_product_categories.findMany({
+      where: { tenant_id: tenant.tenant_id },
+      select: {
+        category_id: true,
+        category_name: true,
+        parent_category_id: true,
+      },
+    }),
+  ]);
+  const categoryPaths = buildCategoryPaths(categories);
+
+  const rows = products.map((p) => [
+    p.sku,
+    p.product_name,
+    p.barcode || "",
+    p.description || "",
+    categoryPaths.get(p.category_id) || "",
+    p.unit_of_measure,
+    Number(p.cost_price),
+    Number(p.sale_price),
+    p.tax_class,
+    p.status,
+    p.is_serialized,
+  ]);
+
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Products");
+
+    sheet.addRow(COLUMNS);
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((row) => sheet.addRow(row));
+
+    return {
+      filename,
+      contentType:
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+    };
+  }
+
+  const csv = [COLUMNS, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+
+  return {
+    filename,
+    contentType: "text/csv; charset=utf-8",
+    buffer: Buffer.from(`\uFEFF${csv}\r\n`, "utf8"),
+  };
+}
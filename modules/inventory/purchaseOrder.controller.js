@@ -0,0 +1,203 @@
+// controllers/purchaseOrder.controller.js
+
+import {
+  listPurchaseOrdersService,
+  getPurchaseOrderDetailsService,
+  createPurchaseOrderService,
+  updatePurchaseOrderService,
+  submitPurchaseOrderService,
+  cancelPurchaseOrderService,
+  receivePurchaseOrderService,
+  listGoodsReceivedNotesService,
+} from "./purchaseOrder.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/purchase-orders/:tenantUuid
+ */
+export const listPurchaseOrdersController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { status, supplierUuid, branchUuid, page, limit } = req.query;
+
+    const result = await listPurchaseOrdersService({
+      tenantUuid,
+      status,
+      supplierUuid,
+      branchUuid,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(
+      res,
+      "Purchase orders fetched successfully",
+      result,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Purchase Orders Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/purchase-orders/:tenantUuid
+ */
+export const createPurchaseOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const po = await createPurchaseOrderService({
+      tenantUuid,
+      ...req.body,
+      notes: req.body.notes?.trim() || null,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Purchase order created successfully", po, 201);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Another purchase order was created at the same time, please retry",
+        409
+      );
+    }
+    console.error("❌ Create Purchase Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/purchase-orders/:tenantUuid/:poUuid
+ */
+export const getPurchaseOrderDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, poUuid } = req.params;
+
+    const po = await getPurchaseOrderDetailsService({ tenantUuid, poUuid });
+
+    return successResponse(
+      res,
+      "Purchase order details fetched successfully",
+      po
+    );
+  } catch (error) {
+    console.error("❌ Get Purchase Order Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/purchase-orders/:tenantUuid/:poUuid
+ */
+export const updatePurchaseOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, poUuid } = req.params;
+
+    const po = await updatePurchaseOrderService({
+      tenantUuid,
+      poUuid,
+      updates: req.body,
+    });
+
+    return successResponse(res, "Purchase order updated successfully", po);
+  } catch (error) {
+    console.error("❌ Update Purchase Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/purchase-orders/:tenantUuid/:poUuid/submit
+ */
+export const submitPurchaseOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, poUuid } = req.params;
+
+    const po = await submitPurchaseOrderService({
+      tenantUuid,
+      poUuid,
+      ordered_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Purchase order submitted successfully", po);
+  } catch (error) {
+    console.error("❌ Submit Purchase Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/purchase-orders/:tenantUuid/:poUuid/cancel
+ */
+export const cancelPurchaseOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, poUuid } = req.params;
+
+    const po = await cancelPurchaseOrderService({
+      tenantUuid,
+      poUuid,
+      cancelled_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Purchase order cancelled successfully", po);
+  } catch (error) {
+    console.error("❌ Cancel Purchase Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/purchase-orders/:tenantUuid/:poUuid/receipts
+ */
+export const listGoodsReceivedNotesController = async (req, res, next) => {
+  try {
+    const { tenantUuid, poUuid } = req.params;
+
+    const notes = await listGoodsReceivedNotesService({ tenantUuid, poUuid });
+
+    return successResponse(
+      res,
+      "Goods received notes fetched successfully",
+      notes
+    );
+  } catch (error) {
+    console.error("❌ List Goods Received Notes Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/purchase-orders/:tenantUuid/:poUuid/receipts
+ */
+export const receivePurchaseOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, poUuid } = req.params;
+    const { supplier_reference, notes, items, close } = req.body;
+
+    const grn = await receivePurchaseOrderService({
+      tenantUuid,
+      poUuid,
+      supplier_reference: supplier_reference?.trim() || null,
+      notes: notes?.trim() || null,
+      items,
+      close: close === true,
+      received_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Goods received successfully", grn, 201);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Another goods received note was recorded at the same time, please retry",
+        409
+      );
+    }
+    console.error("❌ Receive Purchase Order Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,100 @@
+import { Router } from "express";
+import {
+  cancelPurchaseOrderController,
+  createPurchaseOrderController,
+  getPurchaseOrderDetailsController,
+  listGoodsReceivedNotesController,
+  listPurchaseOrdersController,
+  receivePurchaseOrderController,
+  submitPurchaseOrderController,
+  updatePurchaseOrderController,
+} from "./purchaseOrder.controller.js";
+import {
+  createPurchaseOrderValidation,
+  listPurchaseOrdersValidation,
+  receivePurchaseOrderValidation,
+  updatePurchaseOrderValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listPurchaseOrdersValidation,
+  validateRequest,
+  listPurchaseOrdersController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createPurchaseOrderValidation,
+  validateRequest,
+  createPurchaseOrderController
+);
+
+router.get(
+  "/:tenantUuid/:poUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getPurchaseOrderDetailsController
+);
+router.put(
+  "/:tenantUuid/:poUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updatePurchaseOrderValidation,
+  validateRequest,
+  updatePurchaseOrderController
+);
+
+// --------------------------------------------------------
+// WORKFLOW: DRAFT → ORDERED → (PARTIALLY_)RECEIVED | CANCELLED
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/:poUuid/submit",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  submitPurchaseOrderController
+);
+router.post(
+  "/:tenantUuid/:poUuid/cancel",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  cancelPurchaseOrderController
+);
+
+// --------------------------------------------------------
+// GOODS RECEIVED NOTES
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/:poUuid/receipts",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listGoodsReceivedNotesController
+);
+router.post(
+  "/:tenantUuid/:poUuid/receipts",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  receivePurchaseOrderValidation,
+  validateRequest,
+  receivePurchaseOrderController
+);
+
+export default router;
@@ -0,0 +1,675 @@
+// services/purchaseOrder.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  nextDocumentNumber,
+  postStockMovement,
+  resolveInboundBatch,
+} from "./inventory.repository.js";
+import { findSupplierOrThrow } from "./supplier.service.js";
+import { toBaseUnit } from "./unit.service.js";
+
+// Statuses in which goods can still be received against the order
+const RECEIVABLE_STATUSES = ["ORDERED", "PARTIALLY_RECEIVED"];
+
+const poInclude = {
+  tbl_suppliers: { select: { supplier_uuid: true, supplier_name: true } },
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  items: {
+    include: {
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          product_name: true,
+          unit_of_measure: true,
+        },
+      },
+    },
+    orderBy: { po_item_id: "asc" },
+  },
+};
+
+const grnInclude = {
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  items: {
+    include: {
+      tbl_purchase_order_items: { select: { po_item_uuid: true } },
+      tbl_products: {
+        select: { product_uuid: true, sku: true, product_name: true },
+      },
+      tbl_product_batches: {
+        select: { batch_uuid: true, lot_number: true, expiry_date: true },
+      },
+    },
+    orderBy: { grn_item_id: "asc" },
+  },
+};
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+function getOutstandingQuantity(item) {
+  return round(Number(item.quantity) - Number(item.received_quantity), 3);
+}
+
+/**
+ * Shape a purchase order for API responses
+ */
+export function formatPurchaseOrder(po) {
+  return {
+    po_uuid: po.po_uuid,
+    po_number: po.po_number,
+    status: po.status,
+    supplier: {
+      supplier_uuid: po.tbl_suppliers.supplier_uuid,
+      supplier_name: po.tbl_suppliers.supplier_name,
+    },
+    branch: {
+      branch_uuid: po.tbl_branches.branch_uuid,
+      branch_name: po.tbl_branches.branch_name,
+    },
+    order_date: po.order_date,
+    expected_date: po.expected_date,
+    notes: po.notes,
+    total_amount: Number(po.total_amount),
+    items: po.items
+      ? po.items.map((item) => ({
+          po_item_uuid: item.po_item_uuid,
+          product: {
+            product_uuid: item.tbl_products.product_uuid,
+            sku: item.tbl_products.sku,
+            product_name: item.tbl_products.product_name,
+            unit_of_measure: item.tbl_products.unit_of_measure,
+          },
+          quantity: Number(item.quantity),
+          unit_cost: Number(item.unit_cost),
+          line_total: Number(item.line_total),
+          received_quantity: Number(item.received_quantity),
+          outstanding_quantity: getOutstandingQuantity(item),
+        }))
+      : undefined,
+    ordered_on: po.ordered_on,
+    cancelled_on: po.cancelled_on,
+    created_on: po.created_on,
+    modified_on: po.modified_on,
+  };
+}
+
+/**
+ * Shape a goods-received note for API responses
+ */
+export function formatGoodsReceivedNote(grn) {
+  return {
+    grn_uuid: grn.grn_uuid,
+    grn_number: grn.grn_number,
+    branch: {
+      branch_uuid: grn.tbl_branches.branch_uuid,
+      branch_name: grn.tbl_branches.branch_name,
+    },
+    supplier_reference: grn.supplier_reference,
+    notes: grn.notes,
+    received_on: grn.received_on,
+    items: grn.items.map((item) => ({
+      po_item_uuid: item.tbl_purchase_order_items.po_item_uuid,
+      product: {
+        product_uuid: item.tbl_products.product_uuid,
+        sku: item.tbl_products.sku,
+        product_name: item.tbl_products.product_name,
+      },
+      batch: item.tbl_product_batches
+        ? {
+            batch_uuid: item.tbl_product_batches.batch_uuid,
+            lot_number: item.tbl_product_batches.lot_number,
+            expiry_date: item.tbl_product_batches.expiry_date,
+          }
+        : null,
+      quantity: Number(item.quantity),
+      unit_cost: Number(item.unit_cost),
+    })),
+  };
+}
+
+async function findPurchaseOrderOrThrow(client, tenantId, poUuid) {
+  const po = await client.tbl_purchase_orders.findFirst({
+    where: { tenant_id: tenantId, po_uuid: poUuid },
+    include: poInclude,
+  });
+
+  if (!po) throw httpError(404, "Purchase order not found");
+
+  return po;
+}
+
+/**
+ * Turn request lines into rows for tbl_purchase_order_items.
+ * Lines may be ordered in any unit of the product (quantity and cost are
+ * stored in the base unit); unit_cost defaults to the current cost price.
+ */
+async function buildOrderItems(client, tenantId, items) {
+  const rows = [];
+
+  for (const item of items) {
+    const product = await findStockProductOrThrow(
+      client,
+      tenantId,
+      item.product_uuid
+    );
+
+    const converted = await toBaseUnit(client, product, {
+      quantity: item.quantity,
+      unit: item.unit,
+      unitCost: item.unit_cost ?? null,
+    });
+    const quantity = converted.quantity;
+    const unitCost = converted.unitCost ?? round(product.cost_price, 4);
+
+    rows.push({
+      po_item_uuid: generateShortUUID(),
+      product_id: product.product_id,
+      quantity,
+      unit_cost: unitCost,
+      line_total: round(quantity * unitCost, 2),
+    });
+  }
+
+  return rows;
+}
+
+const sumLineTotals = (rows) =>
+  round(
+    rows.reduce((sum, row) => sum + Number(row.line_total), 0),
+    2
+  );
+
+/** ------------------ PURCHASE ORDERS ------------------- **/
+
+/**
+ * List purchase orders for a tenant (filterable + paginated, newest first)
+ */
+export async function listPurchaseOrdersService({
+  tenantUuid,
+  status,
+  supplierUuid,
+  branchUuid,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (status) where.status = status;
+
+  if (supplierUuid) {
+    const supplier = await findSupplierOrThrow(
+      prisma,
+      tenant.tenant_id,
+      supplierUuid
+    );
+    where.supplier_id = supplier.supplier_id;
+  }
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  const [total, orders] = await Promise.all([
+    prisma.tbl_purchase_orders.count({ where }),
+    prisma.tbl_purchase_orders.findMany({
+      where,
+      include: {
+        tbl_suppliers: poInclude.tbl_suppliers,
+        tbl_branches: poInclude.tbl_branches,
+      },
+      orderBy: { po_id: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    purchase_orders: orders.map(formatPurchaseOrder),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get purchase order details with its lines
+ */
+export async function getPurchaseOrderDetailsService({ tenantUuid, poUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const po = await findPurchaseOrderOrThrow(prisma, tenant.tenant_id, poUuid);
+
+  return formatPurchaseOrder(po);
+}
+
+/**
+ * Create a DRAFT purchase order for a receiving branch
+ */
+export async function createPurchaseOrderService({
+  tenantUuid,
+  supplier_uuid,
+  branch_uuid,
+  order_date = null,
+  expected_date = null,
+  notes = null,
+  items,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const supplier = await findSupplierOrThrow(
+    prisma,
+    tenant.tenant_id,
+    supplier_uuid
+  );
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branch_uuid);
+
+  if (!supplier.status) throw httpError(400, "Supplier is inactive");
+
+  const orderDate = order_date ? new Date(order_date) : new Date();
+  const expectedDate = expected_date ? new Date(expected_date) : null;
+
+  if (expectedDate && expectedDate < orderDate) {
+    throw httpError(400, "Expected date cannot be before the order date");
+  }
+
+  const rows = await buildOrderItems(prisma, tenant.tenant_id, items);
+
+  const po = await prisma.$transaction(async (tx) => {
+    const poNumber = await nextDocumentNumber(tx, {
+      model: "tbl_purchase_orders",
+      field: "po_number",
+      tenantId: tenant.tenant_id,
+      prefix: "PO",
+    });
+
+    return tx.tbl_purchase_orders.create({
+      data: {
+        po_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        supplier_id: supplier.supplier_id,
+        branch_id: branch.branch_id,
+        po_number: poNumber,
+        order_date: orderDate,
+        expected_date: expectedDate,
+        notes,
+        total_amount: sumLineTotals(rows),
+        created_by,
+        items: { create: rows },
+      },
+      include: poInclude,
+    });
+  });
+
+  return formatPurchaseOrder(po);
+}
+
+/**
+ * Update a DRAFT purchase order. `items`, when given, replaces all lines.
+ */
+export async function updatePurchaseOrderService({
+  tenantUuid,
+  poUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const po = await findPurchaseOrderOrThrow(prisma, tenant.tenant_id, poUuid);
+
+  if (po.status !== "DRAFT") {
+    throw httpError(409, "Only draft purchase orders can be edited");
+  }
+
+  const data = {
+    notes: updates.notes,
+    modified_on: new Date(),
+  };
+
+  if (updates.supplier_uuid) {
+    const supplier = await findSupplierOrThrow(
+      prisma,
+      tenant.tenant_id,
+      updates.supplier_uuid
+    );
+    if (!supplier.status) throw httpError(400, "Supplier is inactive");
+    data.supplier_id = supplier.supplier_id;
+  }
+
+  if (updates.branch_uuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      updates.branch_uuid
+    );
+    data.branch_id = branch.branch_id;
+  }
+
+  if (updates.order_date) data.order_date = new Date(updates.order_date);
+  if (updates.expected_date !== undefined) {
+    data.expected_date = updates.expected_date
+      ? new Date(updates.expected_date)
+      : null;
+  }
+
+  const orderDate = data.order_date ?? po.order_date;
+  const expectedDate =
+    data.expected_date !== undefined ? data.expected_date : po.expected_date;
+
+  if (expectedDate && expectedDate < orderDate) {
+    throw httpError(400, "Expected date cannot be before the order date");
+  }
+
+  const rows = updates.items
+    ? await buildOrderItems(prisma, tenant.tenant_id, updates.items)
+    : null;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (rows) {
+      await tx.tbl_purchase_order_items.deleteMany({
+        where: { po_id: po.po_id },
+      });
+      data.items = { create: rows };
+      data.total_amount = sumLineTotals(rows);
+    }
+
+    return tx.tbl_purchase_orders.update({
+      where: { po_id: po.po_id },
+      data,
+      include: poInclude,
+    });
+  });
+
+  return formatPurchaseOrder(updated);
+}
+
+/**
+ * Place a DRAFT purchase order with the supplier (DRAFT → ORDERED)
+ */
+export async function submitPurchaseOrderService({
+  tenantUuid,
+  poUuid,
+  ordered_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const po = await findPurchaseOrderOrThrow(prisma, tenant.tenant_id, poUuid);
+
+  if (po.status !== "DRAFT") {
+    throw httpError(409, `Cannot submit a ${po.status} purchase order`);
+  }
+  if (po.items.length === 0) {
+    throw httpError(400, "Purchase order has no items");
+  }
+
+  const updated = await prisma.tbl_purchase_orders.update({
+    where: { po_id: po.po_id },
+    data: {
+      status: "ORDERED",
+      ordered_by,
+      ordered_on: new Date(),
+      modified_on: new Date(),
+    },
+    include: poInclude,
+  });
+
+  return formatPurchaseOrder(updated);
+}
+
+/**
+ * Cancel a purchase order nothing has been received against yet
+ */
+export async function cancelPurchaseOrderService({
+  tenantUuid,
+  poUuid,
+  cancelled_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const po = await findPurchaseOrderOrThrow(prisma, tenant.tenant_id, poUuid);
+
+  if (!["DRAFT", "ORDERED"].includes(po.status)) {
+    throw httpError(409, `Cannot cancel a ${po.status} purchase order`);
+  }
+
+  // Only from the status checked above; a concurrent receipt moves it on
+  const claimed = await prisma.tbl_purchase_orders.updateMany({
+    where: { po_id: po.po_id, status: po.status },
+    data: {
+      status: "CANCELLED",
+      cancelled_by,
+      cancelled_on: new Date(),
+      modified_on: new Date(),
+    },
+  });
+  if (claimed.count === 0) {
+    throw httpError(409, "Purchase order was changed at the same time");
+  }
+
+  const updated = await findPurchaseOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    poUuid
+  );
+
+  return formatPurchaseOrder(updated);
+}
+
+/** ------------------ GOODS RECEIPT ------------------- **/
+
+/**
+ * Record a goods-received note against an ordered purchase order.
+ *
+ * Every line posts a RECEIPT into the PO's branch at the line's cost
+ * (or the cost on the note) and, when a lot is given, into that batch.
+ * Lines of serialized products list the received units in `serial_numbers`.
+ * `close` marks the order RECEIVED even if some quantity is still open.
+ */
+export async function receivePurchaseOrderService({
+  tenantUuid,
+  poUuid,
+  supplier_reference = null,
+  notes = null,
+  items,
+  close = false,
+  received_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const po = await findPurchaseOrderOrThrow(prisma, tenant.tenant_id, poUuid);
+
+  if (!RECEIVABLE_STATUSES.includes(po.status)) {
+    throw httpError(
+      409,
+      `Cannot receive against a ${po.status} purchase order`
+    );
+  }
+
+  // The receiving branch must still be active and owned by the tenant
+  const branch = await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    po.tbl_branches.branch_uuid
+  );
+
+  const itemMap = new Map(po.items.map((i) => [i.po_item_uuid, i]));
+  const pending = new Map();
+
+  const lines = [];
+
+  for (const line of items) {
+    const item = itemMap.get(line.po_item_uuid);
+    if (!item) {
+      throw httpError(
+        404,
+        `Purchase order item ${line.po_item_uuid} not found`
+      );
+    }
+
+    // Received quantities may be given in any unit of the product
+    const converted = await toBaseUnit(
+      prisma,
+      { ...item.tbl_products, product_id: item.product_id },
+      {
+        quantity: line.quantity,
+        unit: line.unit,
+        unitCost: line.unit_cost ?? null,
+      }
+    );
+    const quantity = converted.quantity;
+    const alreadyPending = pending.get(item.po_item_id) || 0;
+
+    if (alreadyPending + quantity > getOutstandingQuantity(item)) {
+      throw httpError(
+        400,
+        `Cannot receive ${alreadyPending + quantity} of ${item.tbl_products.sku}: only ${getOutstandingQuantity(item)} outstanding`
+      );
+    }
+    pending.set(item.po_item_id, alreadyPending + quantity);
+
+    lines.push({
+      item,
+      quantity,
+      unitCost: converted.unitCost ?? round(item.unit_cost, 4),
+      batchUuid: line.batch_uuid || null,
+      lot: line.lot || null,
+      serials: line.serial_numbers || null,
+    });
+  }
+
+  const grn = await prisma.$transaction(async (tx) => {
+    // A first receipt moves the order out of ORDERED, so a concurrent
+    // cancel cannot slip in; later receipts re-check the status here
+    const claimed = await tx.tbl_purchase_orders.updateMany({
+      where: { po_id: po.po_id, status: "ORDERED" },
+      data: { status: "PARTIALLY_RECEIVED" },
+    });
+    if (claimed.count === 0) {
+      const current = await tx.tbl_purchase_orders.findUnique({
+        where: { po_id: po.po_id },
+        select: { status: true },
+      });
+      if (current.status !== "PARTIALLY_RECEIVED") {
+        throw httpError(
+          409,
+          `Cannot receive against a ${current.status} purchase order`
+        );
+      }
+    }
+
+    const grnNumber = await nextDocumentNumber(tx, {
+      model: "tbl_goods_received_notes",
+      field: "grn_number",
+      tenantId: tenant.tenant_id,
+      prefix: "GRN",
+    });
+
+    const note = await tx.tbl_goods_received_notes.create({
+      data: {
+        grn_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        po_id: po.po_id,
+        branch_id: branch.branch_id,
+        grn_number: grnNumber,
+        supplier_reference,
+        notes,
+        received_by,
+      },
+    });
+
+    for (const line of lines) {
+      const batch = await resolveInboundBatch(tx, {
+        tenantId: tenant.tenant_id,
+        productId: line.item.product_id,
+        branchId: branch.branch_id,
+        batchUuid: line.batchUuid,
+        lot: line.lot,
+        createdBy: received_by,
+      });
+
+      await postStockMovement(tx, {
+        tenantId: tenant.tenant_id,
+        productId: line.item.product_id,
+        branchId: branch.branch_id,
+        batchId: batch?.batch_id ?? null,
+        movementType: "RECEIPT",
+        quantity: line.quantity,
+        unitCost: line.unitCost,
+        referenceType: "GRN",
+        referenceUuid: note.grn_uuid,
+        notes: `${grnNumber} against ${po.po_number}`,
+        createdBy: received_by,
+        serials: line.serials,
+      });
+
+      await tx.tbl_goods_received_items.create({
+        data: {
+          grn_id: note.grn_id,
+          po_item_id: line.item.po_item_id,
+          product_id: line.item.product_id,
+          batch_id: batch?.batch_id ?? null,
+          quantity: line.quantity,
+          unit_cost: line.unitCost,
+        },
+      });
+
+      // Receiving in parallel is caught by re-checking under the update
+      const received = await tx.tbl_purchase_order_items.update({
+        where: { po_item_id: line.item.po_item_id },
+        data: { received_quantity: { increment: line.quantity } },
+      });
+      if (Number(received.received_quantity) > Number(received.quantity)) {
+        throw httpError(
+          409,
+          `${line.item.tbl_products.sku} was received at the same time, please retry`
+        );
+      }
+    }
+
+    const poItems = await tx.tbl_purchase_order_items.findMany({
+      where: { po_id: po.po_id },
+    });
+    const fullyReceived = poItems.every((i) => getOutstandingQuantity(i) <= 0);
+
+    await tx.tbl_purchase_orders.update({
+      where: { po_id: po.po_id },
+      data: {
+        status: fullyReceived || close ? "RECEIVED" : "PARTIALLY_RECEIVED",
+        modified_on: new Date(),
+      },
+    });
+
+    return tx.tbl_goods_received_notes.findUnique({
+      where: { grn_id: note.grn_id },
+      include: grnInclude,
+    });
+  });
+
+  return formatGoodsReceivedNote(grn);
+}
+
+/**
+ * Goods-received notes recorded against a purchase order
+ */
+export async function listGoodsReceivedNotesService({ tenantUuid, poUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const po = await findPurchaseOrderOrThrow(prisma, tenant.tenant_id, poUuid);
+
+  const notes = await prisma.tbl_goods_received_notes.findMany({
+    where: { po_id: po.po_id },
+    include: grnInclude,
+    orderBy: { grn_id: "asc" },
+  });
+
+  return notes.map(formatGoodsReceivedNote);
+}
@@ -0,0 +1,102 @@
+// controllers/reorderLevel.controller.js
+
+import {
+  listReorderLevelsService,
+  listLowStockService,
+  upsertReorderLevelService,
+  deleteReorderLevelService,
+} from "./reorderLevel.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/reorder-levels/:tenantUuid/:branchUuid
+ */
+export const listReorderLevelsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const { status } = req.query;
+
+    const levels = await listReorderLevelsService({
+      tenantUuid,
+      branchUuid,
+      status,
+    });
+
+    return successResponse(
+      res,
+      "Reorder levels fetched successfully",
+      levels,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Reorder Levels Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/reorder-levels/:tenantUuid/:branchUuid/low-stock
+ */
+export const listLowStockController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+
+    const items = await listLowStockService({ tenantUuid, branchUuid });
+
+    return successResponse(
+      res,
+      "Low stock items fetched successfully",
+      items,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Low Stock Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/reorder-levels/:tenantUuid/:branchUuid/:productUuid
+ */
+export const upsertReorderLevelController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid, productUuid } = req.params;
+    const { min_quantity, reorder_point, max_quantity } = req.body;
+
+    const level = await upsertReorderLevelService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      min_quantity: min_quantity ?? 0,
+      reorder_point,
+      max_quantity: max_quantity ?? null,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Reorder level saved successfully", level);
+  } catch (error) {
+    console.error("❌ Save Reorder Level Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/inventory/reorder-levels/:tenantUuid/:branchUuid/:productUuid
+ */
+export const deleteReorderLevelController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid, productUuid } = req.params;
+
+    const result = await deleteReorderLevelService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+    });
+
+    return successResponse(res, "Reorder level deleted successfully", result);
+  } catch (error) {
+    console.error("❌ Delete Reorder Level Error:", error);
+    next(error);
+  }
+};
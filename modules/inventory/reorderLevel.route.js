@@ -0,0 +1,58 @@
+import { Router } from "express";
+import {
+  deleteReorderLevelController,
+  listLowStockController,
+  listReorderLevelsController,
+  upsertReorderLevelController,
+} from "./reorderLevel.controller.js";
+import {
+  listReorderLevelsValidation,
+  upsertReorderLevelValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid/:branchUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listReorderLevelsValidation,
+  validateRequest,
+  listReorderLevelsController
+);
+
+// --------------------------------------------------------
+// LOW STOCK (declared before /:productUuid)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/:branchUuid/low-stock",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listLowStockController
+);
+
+router.put(
+  "/:tenantUuid/:branchUuid/:productUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  upsertReorderLevelValidation,
+  validateRequest,
+  upsertReorderLevelController
+);
+router.delete(
+  "/:tenantUuid/:branchUuid/:productUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  deleteReorderLevelController
+);
+
+export default router;
@@ -0,0 +1,209 @@
+// services/reorderLevel.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findProductOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  getOnHandByProduct,
+} from "./inventory.repository.js";
+
+// Statuses that need a purchase/transfer to be raised
+export const LOW_STOCK_STATUSES = ["OUT_OF_STOCK", "BELOW_MIN", "REORDER"];
+
+const levelInclude = {
+  tbl_products: {
+    select: {
+      product_uuid: true,
+      sku: true,
+      product_name: true,
+      unit_of_measure: true,
+    },
+  },
+};
+
+/**
+ * Compare on-hand stock with a reorder level.
+ *
+ * Stock at or below the reorder point needs reordering; the suggested
+ * quantity tops it back up to max (or to the reorder point without a max).
+ */
+export function evaluateReorderLevel(level, onHand) {
+  const min = Number(level.min_quantity);
+  const reorderPoint = Number(level.reorder_point);
+  const max = level.max_quantity !== null ? Number(level.max_quantity) : null;
+
+  let status = "OK";
+  if (onHand <= 0) status = "OUT_OF_STOCK";
+  else if (onHand < min) status = "BELOW_MIN";
+  else if (onHand <= reorderPoint) status = "REORDER";
+  else if (max !== null && onHand > max) status = "OVERSTOCK";
+
+  const target = max ?? reorderPoint;
+  const suggested = LOW_STOCK_STATUSES.includes(status)
+    ? Math.max(Number((target - onHand).toFixed(3)), 0)
+    : 0;
+
+  return { status, suggested_order_quantity: suggested };
+}
+
+/**
+ * Shape a reorder level (with its current stock) for API responses
+ */
+export function formatReorderLevel(level, onHand) {
+  return {
+    reorder_level_uuid: level.reorder_level_uuid,
+    product: level.tbl_products
+      ? {
+          product_uuid: level.tbl_products.product_uuid,
+          sku: level.tbl_products.sku,
+          product_name: level.tbl_products.product_name,
+          unit_of_measure: level.tbl_products.unit_of_measure,
+        }
+      : undefined,
+    min_quantity: Number(level.min_quantity),
+    reorder_point: Number(level.reorder_point),
+    max_quantity:
+      level.max_quantity !== null ? Number(level.max_quantity) : null,
+    on_hand: onHand,
+    ...evaluateReorderLevel(level, onHand),
+    last_alerted_on: level.last_alerted_on,
+    modified_on: level.modified_on,
+  };
+}
+
+/**
+ * Reorder levels at a branch with their current stock status
+ */
+export async function listReorderLevelsService({
+  tenantUuid,
+  branchUuid,
+  status,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+
+  const levels = await prisma.tbl_reorder_levels.findMany({
+    where: { tenant_id: tenant.tenant_id, branch_id: branch.branch_id },
+    include: levelInclude,
+  });
+
+  const onHand = await getOnHandByProduct(prisma, {
+    branchId: branch.branch_id,
+    productIds: levels.map((l) => l.product_id),
+  });
+
+  const statuses = Array.isArray(status) ? status : status ? [status] : null;
+
+  return levels
+    .map((level) =>
+      formatReorderLevel(level, onHand.get(level.product_id) || 0)
+    )
+    .filter((level) => !statuses || statuses.includes(level.status))
+    .sort((a, b) =>
+      a.product.product_name.localeCompare(b.product.product_name)
+    );
+}
+
+/**
+ * Products at a branch that are at or below their reorder point
+ */
+export async function listLowStockService({ tenantUuid, branchUuid }) {
+  return listReorderLevelsService({
+    tenantUuid,
+    branchUuid,
+    status: LOW_STOCK_STATUSES,
+  });
+}
+
+/**
+ * Create or replace the reorder level of a product at a branch
+ */
+export async function upsertReorderLevelService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  min_quantity = 0,
+  reorder_point,
+  max_quantity = null,
+  updated_by = null,
+}) {
+  const min = Number(min_quantity);
+  const reorderPoint = Number(reorder_point);
+  const max = max_quantity !== null ? Number(max_quantity) : null;
+
+  if (reorderPoint < min) {
+    throw httpError(400, "Reorder point cannot be below the minimum quantity");
+  }
+  if (max !== null && max < reorderPoint) {
+    throw httpError(400, "Maximum quantity cannot be below the reorder point");
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+  const product = await findStockProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  const values = {
+    min_quantity: min,
+    reorder_point: reorderPoint,
+    max_quantity: max,
+    updated_by,
+  };
+
+  const level = await prisma.tbl_reorder_levels.upsert({
+    where: {
+      product_id_branch_id: {
+        product_id: product.product_id,
+        branch_id: branch.branch_id,
+      },
+    },
+    create: {
+      reorder_level_uuid: generateShortUUID(),
+      tenant_id: tenant.tenant_id,
+      product_id: product.product_id,
+      branch_id: branch.branch_id,
+      ...values,
+    },
+    update: { ...values, modified_on: new Date() },
+    include: levelInclude,
+  });
+
+  const onHand = await getOnHandByProduct(prisma, {
+    branchId: branch.branch_id,
+    productIds: [product.product_id],
+  });
+
+  return formatReorderLevel(level, onHand.get(product.product_id) || 0);
+}
+
+/**
+ * Remove the reorder level of a product at a branch
+ */
+export async function deleteReorderLevelService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid);
+  const product = await findProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  const deleted = await prisma.tbl_reorder_levels.deleteMany({
+    where: { product_id: product.product_id, branch_id: branch.branch_id },
+  });
+
+  if (deleted.count === 0) throw httpError(404, "Reorder level not found");
+
+  return { product_uuid: productUuid, branch_uuid: branchUuid, deleted: true };
+}
@@ -0,0 +1,167 @@
+// controllers/reservation.controller.js
+
+import {
+  listReservationsService,
+  getReservationDetailsService,
+  createReservationService,
+  releaseReservationService,
+  convertReservationService,
+} from "./reservation.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/reservations/:tenantUuid
+ */
+export const listReservationsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const {
+      branchUuid,
+      productUuid,
+      status,
+      referenceType,
+      referenceUuid,
+      page,
+      limit,
+    } = req.query;
+
+    const result = await listReservationsService({
+      tenantUuid,
+      branchUuid,
+      productUuid,
+      status,
+      referenceType,
+      referenceUuid,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Reservations fetched successfully", result);
+  } catch (error) {
+    console.error("❌ List Reservations Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/reservations/:tenantUuid/:reservationUuid
+ */
+export const getReservationDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, reservationUuid } = req.params;
+
+    const reservation = await getReservationDetailsService({
+      tenantUuid,
+      reservationUuid,
+    });
+
+    return successResponse(
+      res,
+      "Reservation fetched successfully",
+      reservation
+    );
+  } catch (error) {
+    console.error("❌ Get Reservation Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/reservations/:tenantUuid
+ */
+export const createReservationController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const {
+      branch_uuid,
+      product_uuid,
+      batch_uuid,
+      quantity,
+      unit,
+      expires_at,
+      hold_hours,
+      reference_type,
+      reference_uuid,
+      notes,
+    } = req.body;
+
+    const reservation = await createReservationService({
+      tenantUuid,
+      branch_uuid,
+      product_uuid,
+      batch_uuid: batch_uuid || null,
+      quantity,
+      unit: unit || null,
+      expires_at: expires_at || null,
+      hold_hours: hold_hours ?? null,
+      reference_type: reference_type?.trim() || null,
+      reference_uuid: reference_uuid?.trim() || null,
+      notes: notes?.trim() || null,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Stock reserved successfully",
+      reservation,
+      201
+    );
+  } catch (error) {
+    console.error("❌ Create Reservation Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/reservations/:tenantUuid/:reservationUuid/release
+ */
+export const releaseReservationController = async (req, res, next) => {
+  try {
+    const { tenantUuid, reservationUuid } = req.params;
+
+    const reservation = await releaseReservationService({
+      tenantUuid,
+      reservationUuid,
+      released_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Reservation released successfully",
+      reservation
+    );
+  } catch (error) {
+    console.error("❌ Release Reservation Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/reservations/:tenantUuid/:reservationUuid/convert
+ */
+export const convertReservationController = async (req, res, next) => {
+  try {
+    const { tenantUuid, reservationUuid } = req.params;
+    const { movement_type, quantity, serial_numbers, notes } = req.body;
+
+    const reservation = await convertReservationService({
+      tenantUuid,
+      reservationUuid,
+      movement_type: movement_type || "SALE",
+      quantity: quantity ?? null,
+      serial_numbers: serial_numbers || null,
+      notes: notes?.trim() || null,
+      converted_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Reservation converted successfully",
+      reservation
+    );
+  } catch (error) {
+    console.error("❌ Convert Reservation Error:", error);
+    next(error);
+  }
+};
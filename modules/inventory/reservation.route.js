@@ -0,0 +1,68 @@
+import { Router } from "express";
+import {
+  convertReservationController,
+  createReservationController,
+  getReservationDetailsController,
+  listReservationsController,
+  releaseReservationController,
+} from "./reservation.controller.js";
+import {
+  convertReservationValidation,
+  createReservationValidation,
+  listReservationsValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listReservationsValidation,
+  validateRequest,
+  listReservationsController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createReservationValidation,
+  validateRequest,
+  createReservationController
+);
+router.get(
+  "/:tenantUuid/:reservationUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getReservationDetailsController
+);
+
+// --------------------------------------------------------
+// WORKFLOW: ACTIVE → RELEASED | CONVERTED | EXPIRED (job)
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/:reservationUuid/release",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  releaseReservationController
+);
+router.post(
+  "/:tenantUuid/:reservationUuid/convert",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  convertReservationValidation,
+  validateRequest,
+  convertReservationController
+);
+
+export default router;
@@ -0,0 +1,446 @@
+// services/reservation.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  assertBatchNotExpired,
+  findBranchOrThrow,
+  findProductOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  getReservedQuantity,
+  lockAvailableQuantity,
+  postOutboundMovements,
+} from "./inventory.repository.js";
+import { getReservationHoldHours } from "./settings.service.js";
+import { toBaseUnit } from "./unit.service.js";
+
+const REFERENCE_TYPE = "RESERVATION";
+const HOUR_MS = 60 * 60 * 1000;
+
+// Movement types a reservation can be turned into
+export const RESERVATION_CONVERT_TYPES = ["SALE", "WRITE_OFF"];
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const reservationInclude = {
+  tbl_products: {
+    select: {
+      product_uuid: true,
+      sku: true,
+      product_name: true,
+      unit_of_measure: true,
+    },
+  },
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  tbl_product_batches: {
+    select: { batch_uuid: true, lot_number: true, expiry_date: true },
+  },
+};
+
+/**
+ * Shape a reservation for API responses. An ACTIVE reservation past its
+ * expiry is reported as EXPIRED even before the job has closed it.
+ */
+function formatReservation(reservation) {
+  const isLapsed =
+    reservation.status === "ACTIVE" && reservation.expires_at <= new Date();
+
+  return {
+    reservation_uuid: reservation.reservation_uuid,
+    status: isLapsed ? "EXPIRED" : reservation.status,
+    product: {
+      product_uuid: reservation.tbl_products.product_uuid,
+      sku: reservation.tbl_products.sku,
+      product_name: reservation.tbl_products.product_name,
+      unit_of_measure: reservation.tbl_products.unit_of_measure,
+    },
+    branch: {
+      branch_uuid: reservation.tbl_branches.branch_uuid,
+      branch_name: reservation.tbl_branches.branch_name,
+    },
+    batch: reservation.tbl_product_batches
+      ? {
+          batch_uuid: reservation.tbl_product_batches.batch_uuid,
+          lot_number: reservation.tbl_product_batches.lot_number,
+          expiry_date: reservation.tbl_product_batches.expiry_date,
+        }
+      : null,
+    quantity: Number(reservation.quantity),
+    converted_quantity:
+      reservation.converted_quantity !== null
+        ? Number(reservation.converted_quantity)
+        : null,
+    reference_type: reservation.reference_type,
+    reference_uuid: reservation.reference_uuid,
+    notes: reservation.notes,
+    expires_at: reservation.expires_at,
+    closed_on: reservation.closed_on,
+    created_on: reservation.created_on,
+    modified_on: reservation.modified_on,
+  };
+}
+
+async function findReservationOrThrow(client, tenantId, reservationUuid) {
+  const reservation = await client.tbl_stock_reservations.findFirst({
+    where: { tenant_id: tenantId, reservation_uuid: reservationUuid },
+    include: reservationInclude,
+  });
+
+  if (!reservation) throw httpError(404, "Reservation not found");
+
+  return reservation;
+}
+
+/**
+ * Only an ACTIVE reservation that has not yet lapsed can be released or
+ * converted
+ */
+function assertOpen(reservation) {
+  if (reservation.status !== "ACTIVE") {
+    throw httpError(409, `Reservation is already ${reservation.status}`);
+  }
+  if (reservation.expires_at <= new Date()) {
+    throw httpError(409, "Reservation has expired");
+  }
+}
+
+/**
+ * Expiry from an explicit timestamp, a hold in hours, or the tenant's
+ * default hold
+ */
+async function resolveExpiry(tenantId, { expires_at, hold_hours }) {
+  if (expires_at) {
+    const expiry = new Date(expires_at);
+    if (expiry <= new Date()) {
+      throw httpError(400, "Expiry must be in the future");
+    }
+    return expiry;
+  }
+
+  const hours = hold_hours ?? (await getReservationHoldHours(prisma, tenantId));
+
+  return new Date(Date.now() + hours * HOUR_MS);
+}
+
+/** ------------------ RESERVATIONS ------------------- **/
+
+/**
+ * List reservations for a tenant (filterable + paginated, newest first)
+ */
+export async function listReservationsService({
+  tenantUuid,
+  branchUuid,
+  productUuid,
+  status,
+  referenceType,
+  referenceUuid,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  // Lapsed reservations count as EXPIRED before the job marks them
+  if (status === "ACTIVE") {
+    where.status = "ACTIVE";
+    where.expires_at = { gt: new Date() };
+  } else if (status === "EXPIRED") {
+    where.OR = [
+      { status: "EXPIRED" },
+      { status: "ACTIVE", expires_at: { lte: new Date() } },
+    ];
+  } else if (status) {
+    where.status = status;
+  }
+
+  if (referenceType) where.reference_type = referenceType;
+  if (referenceUuid) where.reference_uuid = referenceUuid;
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  const [total, reservations] = await Promise.all([
+    prisma.tbl_stock_reservations.count({ where }),
+    prisma.tbl_stock_reservations.findMany({
+      where,
+      include: reservationInclude,
+      orderBy: { reservation_id: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    reservations: reservations.map(formatReservation),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+export async function getReservationDetailsService({
+  tenantUuid,
+  reservationUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const reservation = await findReservationOrThrow(
+    prisma,
+    tenant.tenant_id,
+    reservationUuid
+  );
+
+  return formatReservation(reservation);
+}
+
+/**
+ * Hold stock of a product at a branch (optionally from one batch).
+ * Reserved stock stays on hand but is no longer available to other
+ * outbound movements until the reservation is released, converted or
+ * expires.
+ */
+export async function createReservationService({
+  tenantUuid,
+  branch_uuid,
+  product_uuid,
+  batch_uuid = null,
+  quantity,
+  unit = null,
+  expires_at = null,
+  hold_hours = null,
+  reference_type = null,
+  reference_uuid = null,
+  notes = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branch_uuid);
+  const product = await findStockProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    product_uuid
+  );
+
+  const { quantity: baseQty } = await toBaseUnit(prisma, product, {
+    quantity,
+    unit,
+  });
+  if (!(baseQty > 0)) throw httpError(400, "Quantity must be positive");
+
+  const expiry = await resolveExpiry(tenant.tenant_id, {
+    expires_at,
+    hold_hours,
+  });
+
+  const created = await prisma.$transaction(async (tx) => {
+    let batch = null;
+    if (batch_uuid) {
+      batch = await tx.tbl_product_batches.findFirst({
+        where: {
+          batch_uuid,
+          tenant_id: tenant.tenant_id,
+          product_id: product.product_id,
+          branch_id: branch.branch_id,
+        },
+        select: {
+          batch_id: true,
+          lot_number: true,
+          expiry_date: true,
+          remaining_quantity: true,
+        },
+      });
+
+      if (!batch) throw httpError(404, "Batch not found");
+      assertBatchNotExpired(batch);
+    }
+
+    const ids = { productId: product.product_id, branchId: branch.branch_id };
+
+    // Same stock lock as outbound postings, so a sale and a reservation
+    // cannot both take the last units
+    const { onHand, reserved } = await lockAvailableQuantity(tx, {
+      tenantId: tenant.tenant_id,
+      ...ids,
+    });
+
+    if (onHand - reserved < baseQty) {
+      throw httpError(
+        409,
+        `Insufficient available stock: ${onHand} on hand, ${reserved} reserved, ${baseQty} requested`
+      );
+    }
+
+    if (batch) {
+      const batchReserved = await getReservedQuantity(tx, {
+        ...ids,
+        batchId: batch.batch_id,
+      });
+
+      if (Number(batch.remaining_quantity) - batchReserved < baseQty) {
+        throw httpError(409, "Insufficient unreserved quantity in batch");
+      }
+    }
+
+    return tx.tbl_stock_reservations.create({
+      data: {
+        reservation_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        product_id: product.product_id,
+        branch_id: branch.branch_id,
+        batch_id: batch?.batch_id ?? null,
+        quantity: baseQty,
+        reference_type,
+        reference_uuid,
+        notes,
+        expires_at: expiry,
+        created_by,
+      },
+      include: reservationInclude,
+    });
+  });
+
+  return formatReservation(created);
+}
+
+/**
+ * Give the held stock back without moving it
+ */
+export async function releaseReservationService({
+  tenantUuid,
+  reservationUuid,
+  released_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const reservation = await findReservationOrThrow(
+    prisma,
+    tenant.tenant_id,
+    reservationUuid
+  );
+
+  assertOpen(reservation);
+
+  // Claimed on status so a release racing a convert cannot overwrite it
+  const claimed = await prisma.tbl_stock_reservations.updateMany({
+    where: { reservation_id: reservation.reservation_id, status: "ACTIVE" },
+    data: {
+      status: "RELEASED",
+      closed_by: released_by,
+      closed_on: new Date(),
+      modified_on: new Date(),
+    },
+  });
+
+  if (claimed.count === 0) {
+    throw httpError(409, "Reservation is no longer active");
+  }
+
+  const updated = await prisma.tbl_stock_reservations.findUnique({
+    where: { reservation_id: reservation.reservation_id },
+    include: reservationInclude,
+  });
+
+  return formatReservation(updated);
+}
+
+/**
+ * Turn a reservation into an outbound movement (SALE by default).
+ * A smaller `quantity` than reserved converts part of it; the rest is
+ * released with the reservation. Serialized products name the units sold
+ * in `serial_numbers`.
+ */
+export async function convertReservationService({
+  tenantUuid,
+  reservationUuid,
+  movement_type = "SALE",
+  quantity = null,
+  serial_numbers = null,
+  notes = null,
+  converted_by = null,
+}) {
+  if (!RESERVATION_CONVERT_TYPES.includes(movement_type)) {
+    throw httpError(
+      400,
+      `Movement type must be one of ${RESERVATION_CONVERT_TYPES.join(", ")}`
+    );
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const reservation = await findReservationOrThrow(
+    prisma,
+    tenant.tenant_id,
+    reservationUuid
+  );
+
+  assertOpen(reservation);
+
+  const reservedQty = Number(reservation.quantity);
+  const qty = quantity !== null ? round(quantity, 3) : reservedQty;
+
+  if (!(qty > 0)) throw httpError(400, "Quantity must be positive");
+  if (qty > reservedQty) {
+    throw httpError(
+      400,
+      `Cannot convert more than the reserved ${reservedQty}`
+    );
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Claim the reservation first so a concurrent release/convert fails
+    const claimed = await tx.tbl_stock_reservations.updateMany({
+      where: { reservation_id: reservation.reservation_id, status: "ACTIVE" },
+      data: {
+        status: "CONVERTED",
+        converted_quantity: qty,
+        closed_by: converted_by,
+        closed_on: new Date(),
+        modified_on: new Date(),
+      },
+    });
+
+    if (claimed.count === 0) {
+      throw httpError(409, "Reservation is no longer active");
+    }
+
+    await postOutboundMovements(tx, {
+      tenantId: tenant.tenant_id,
+      productId: reservation.product_id,
+      branchId: reservation.branch_id,
+      batchId: reservation.batch_id,
+      quantity: qty,
+      reservationId: reservation.reservation_id,
+      movementType: movement_type,
+      referenceType: REFERENCE_TYPE,
+      referenceUuid: reservation.reservation_uuid,
+      notes: notes || reservation.notes,
+      createdBy: converted_by,
+      serials: serial_numbers,
+    });
+
+    return tx.tbl_stock_reservations.findUnique({
+      where: { reservation_id: reservation.reservation_id },
+      include: reservationInclude,
+    });
+  });
+
+  return formatReservation(updated);
+}
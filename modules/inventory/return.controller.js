@@ -0,0 +1,159 @@
+// controllers/return.controller.js
+
+import {
+  listReturnsService,
+  getReturnDetailsService,
+  createCustomerReturnService,
+  createSupplierReturnService,
+  resolveQuarantinedItemService,
+  getCreditNoteService,
+} from "./return.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+const NUMBER_CONFLICT_MESSAGE =
+  "Another return was recorded at the same time, please retry";
+
+/**
+ * GET /api/inventory/returns/:tenantUuid
+ */
+export const listReturnsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { returnType, branchUuid, customerUuid, supplierUuid, page, limit } =
+      req.query;
+
+    const result = await listReturnsService({
+      tenantUuid,
+      returnType,
+      branchUuid,
+      customerUuid,
+      supplierUuid,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Returns fetched successfully", result, 200);
+  } catch (error) {
+    console.error("❌ List Returns Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/returns/:tenantUuid/customer
+ */
+export const createCustomerReturnController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const ret = await createCustomerReturnService({
+      tenantUuid,
+      sales_order_uuid: req.body.sales_order_uuid,
+      reason: req.body.reason?.trim() || null,
+      notes: req.body.notes?.trim() || null,
+      items: req.body.items,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Customer return recorded successfully",
+      ret,
+      201
+    );
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(res, NUMBER_CONFLICT_MESSAGE, 409);
+    }
+    console.error("❌ Create Customer Return Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/returns/:tenantUuid/supplier
+ */
+export const createSupplierReturnController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const ret = await createSupplierReturnService({
+      tenantUuid,
+      supplier_uuid: req.body.supplier_uuid,
+      branch_uuid: req.body.branch_uuid,
+      po_uuid: req.body.po_uuid || null,
+      reason: req.body.reason?.trim() || null,
+      notes: req.body.notes?.trim() || null,
+      items: req.body.items,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Supplier return recorded successfully",
+      ret,
+      201
+    );
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(res, NUMBER_CONFLICT_MESSAGE, 409);
+    }
+    console.error("❌ Create Supplier Return Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/returns/:tenantUuid/:returnUuid
+ */
+export const getReturnDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, returnUuid } = req.params;
+
+    const ret = await getReturnDetailsService({ tenantUuid, returnUuid });
+
+    return successResponse(res, "Return details fetched successfully", ret);
+  } catch (error) {
+    console.error("❌ Get Return Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/returns/:tenantUuid/:returnUuid/credit-note
+ */
+export const getCreditNoteController = async (req, res, next) => {
+  try {
+    const { tenantUuid, returnUuid } = req.params;
+
+    const note = await getCreditNoteService({ tenantUuid, returnUuid });
+
+    return successResponse(res, "Credit note fetched successfully", note);
+  } catch (error) {
+    console.error("❌ Get Credit Note Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/returns/:tenantUuid/:returnUuid/items/:returnItemUuid/resolve
+ */
+export const resolveReturnItemController = async (req, res, next) => {
+  try {
+    const { tenantUuid, returnUuid, returnItemUuid } = req.params;
+
+    const ret = await resolveQuarantinedItemService({
+      tenantUuid,
+      returnUuid,
+      returnItemUuid,
+      disposition: req.body.disposition,
+      resolved_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Quarantined item resolved successfully", ret);
+  } catch (error) {
+    console.error("❌ Resolve Return Item Error:", error);
+    next(error);
+  }
+};
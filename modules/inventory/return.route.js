@@ -0,0 +1,80 @@
+import { Router } from "express";
+import {
+  createCustomerReturnController,
+  createSupplierReturnController,
+  getCreditNoteController,
+  getReturnDetailsController,
+  listReturnsController,
+  resolveReturnItemController,
+} from "./return.controller.js";
+import {
+  createCustomerReturnValidation,
+  createSupplierReturnValidation,
+  listReturnsValidation,
+  resolveReturnItemValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listReturnsValidation,
+  validateRequest,
+  listReturnsController
+);
+router.post(
+  "/:tenantUuid/customer",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createCustomerReturnValidation,
+  validateRequest,
+  createCustomerReturnController
+);
+router.post(
+  "/:tenantUuid/supplier",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createSupplierReturnValidation,
+  validateRequest,
+  createSupplierReturnController
+);
+
+router.get(
+  "/:tenantUuid/:returnUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getReturnDetailsController
+);
+router.get(
+  "/:tenantUuid/:returnUuid/credit-note",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getCreditNoteController
+);
+
+// --------------------------------------------------------
+// QUARANTINE
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/:returnUuid/items/:returnItemUuid/resolve",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  resolveReturnItemValidation,
+  validateRequest,
+  resolveReturnItemController
+);
+
+export default router;
@@ -0,0 +1,951 @@
+// services/return.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { findCustomerOrThrow } from "./customer.service.js";
+import { nextSequenceNumber } from "./documentSequence.service.js";
+import {
+  assertSerialCount,
+  findBranchOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  nextDocumentNumber,
+  normalizeSerialNumbers,
+  postOutboundMovements,
+  postStockMovement,
+} from "./inventory.repository.js";
+import { findSupplierOrThrow } from "./supplier.service.js";
+import { toBaseUnit } from "./unit.service.js";
+import { getOutboundUnitCost } from "./valuation.service.js";
+
+const REFERENCE_TYPE = "RETURN";
+
+const returnInclude = {
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  tbl_sales_orders: {
+    select: {
+      sales_order_uuid: true,
+      order_number: true,
+      invoice_number: true,
+    },
+  },
+  tbl_customers: {
+    select: { customer_uuid: true, customer_code: true, display_name: true },
+  },
+  tbl_suppliers: { select: { supplier_uuid: true, supplier_name: true } },
+  tbl_purchase_orders: { select: { po_uuid: true, po_number: true } },
+  items: {
+    include: {
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          product_name: true,
+          unit_of_measure: true,
+        },
+      },
+      tbl_sales_order_items: { select: { sales_order_item_uuid: true } },
+      tbl_product_batches: {
+        select: { batch_uuid: true, lot_number: true, expiry_date: true },
+      },
+    },
+    orderBy: { return_item_id: "asc" },
+  },
+  credit_note: true,
+};
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+/**
+ * Shape a credit note for API responses
+ */
+function formatCreditNote(note) {
+  return {
+    credit_note_uuid: note.credit_note_uuid,
+    credit_note_number: note.credit_note_number,
+    subtotal: Number(note.subtotal),
+    tax_total: Number(note.tax_total),
+    total_amount: Number(note.total_amount),
+    issued_on: note.issued_on,
+  };
+}
+
+/**
+ * Shape a return for API responses
+ */
+export function formatReturn(ret) {
+  return {
+    return_uuid: ret.return_uuid,
+    return_number: ret.return_number,
+    return_type: ret.return_type,
+    branch: {
+      branch_uuid: ret.tbl_branches.branch_uuid,
+      branch_name: ret.tbl_branches.branch_name,
+    },
+    sales_order: ret.tbl_sales_orders
+      ? {
+          sales_order_uuid: ret.tbl_sales_orders.sales_order_uuid,
+          order_number: ret.tbl_sales_orders.order_number,
+          invoice_number: ret.tbl_sales_orders.invoice_number,
+        }
+      : null,
+    customer: ret.tbl_customers
+      ? {
+          customer_uuid: ret.tbl_customers.customer_uuid,
+          customer_code: ret.tbl_customers.customer_code,
+          display_name: ret.tbl_customers.display_name,
+        }
+      : null,
+    supplier: ret.tbl_suppliers
+      ? {
+          supplier_uuid: ret.tbl_suppliers.supplier_uuid,
+          supplier_name: ret.tbl_suppliers.supplier_name,
+        }
+      : null,
+    purchase_order: ret.tbl_purchase_orders
+      ? {
+          po_uuid: ret.tbl_purchase_orders.po_uuid,
+          po_number: ret.tbl_purchase_orders.po_number,
+        }
+      : null,
+    reason: ret.reason,
+    notes: ret.notes,
+    subtotal: Number(ret.subtotal),
+    tax_total: Number(ret.tax_total),
+    total_amount: Number(ret.total_amount),
+    items: ret.items
+      ? ret.items.map((item) => ({
+          return_item_uuid: item.return_item_uuid,
+          sales_order_item_uuid:
+            item.tbl_sales_order_items?.sales_order_item_uuid ?? null,
+          product: {
+            product_uuid: item.tbl_products.product_uuid,
+            sku: item.tbl_products.sku,
+            product_name: item.tbl_products.product_name,
+            unit_of_measure: item.tbl_products.unit_of_measure,
+          },
+          batch: item.tbl_product_batches
+            ? {
+                batch_uuid: item.tbl_product_batches.batch_uuid,
+                lot_number: item.tbl_product_batches.lot_number,
+                expiry_date: item.tbl_product_batches.expiry_date,
+              }
+            : null,
+          quantity: Number(item.quantity),
+          unit_price: Number(item.unit_price),
+          tax_amount: Number(item.tax_amount),
+          line_total: Number(item.line_total),
+          serial_numbers: item.serial_numbers ?? null,
+          disposition: item.disposition,
+          resolved_disposition: item.resolved_disposition,
+          resolved_on: item.resolved_on,
+        }))
+      : undefined,
+    credit_note: ret.credit_note ? formatCreditNote(ret.credit_note) : null,
+    created_on: ret.created_on,
+  };
+}
+
+async function findReturnOrThrow(client, tenantId, returnUuid) {
+  const ret = await client.tbl_returns.findFirst({
+    where: { tenant_id: tenantId, return_uuid: returnUuid },
+    include: returnInclude,
+  });
+
+  if (!ret) throw httpError(404, "Return not found");
+
+  return ret;
+}
+
+function sumReturnTotals(rows) {
+  const subtotal = round(
+    rows.reduce((sum, row) => sum + Number(row.line_total - row.tax_amount), 0),
+    2
+  );
+  const taxTotal = round(
+    rows.reduce((sum, row) => sum + Number(row.tax_amount), 0),
+    2
+  );
+
+  return {
+    subtotal,
+    tax_total: taxTotal,
+    total_amount: round(subtotal + taxTotal, 2),
+  };
+}
+
+/**
+ * Issue the credit note of a return from the tenant's CREDIT_NOTE sequence
+ */
+async function issueCreditNote(tx, { tenantId, ret, createdBy }) {
+  const creditNoteNumber = await nextSequenceNumber(tx, {
+    tenantId,
+    documentType: "CREDIT_NOTE",
+  });
+
+  return tx.tbl_credit_notes.create({
+    data: {
+      credit_note_uuid: generateShortUUID(),
+      tenant_id: tenantId,
+      credit_note_number: creditNoteNumber,
+      return_id: ret.return_id,
+      sales_order_id: ret.sales_order_id,
+      customer_id: ret.customer_id,
+      supplier_id: ret.supplier_id,
+      subtotal: ret.subtotal,
+      tax_total: ret.tax_total,
+      total_amount: ret.total_amount,
+      created_by: createdBy,
+    },
+  });
+}
+
+/** ------------------ CUSTOMER RETURN STOCK ------------------- **/
+
+/**
+ * Serialized units being returned against a sales order: each must have
+ * left in that order's sale and not have moved since.
+ */
+async function findSoldUnitsOrThrow(
+  client,
+  { tenantId, order, productId, serials }
+) {
+  const units = await client.tbl_product_serials.findMany({
+    where: {
+      tenant_id: tenantId,
+      product_id: productId,
+      serial_number: { in: serials },
+    },
+    include: {
+      movement_serials: {
+        include: {
+          movement: {
+            select: { movement_type: true, reference_uuid: true },
+          },
+        },
+        orderBy: { movement_id: "desc" },
+        take: 1,
+      },
+    },
+  });
+
+  const byNumber = new Map(units.map((u) => [u.serial_number, u]));
+
+  for (const serial of serials) {
+    const last = byNumber.get(serial)?.movement_serials[0]?.movement;
+
+    if (
+      byNumber.get(serial)?.status !== "SOLD" ||
+      last?.movement_type !== "SALE" ||
+      last.reference_uuid !== order.sales_order_uuid
+    ) {
+      throw httpError(
+        409,
+        `Serial number ${serial} was not sold on ${order.order_number}`
+      );
+    }
+  }
+
+  return units;
+}
+
+/**
+ * How much of a sales order line can still go back into each lot it was
+ * sold from (sold minus already returned), in the order it was picked.
+ * Stock sold without a lot comes back without one (batch_id null).
+ */
+async function getReturnableLots(tx, { tenantId, order, productId }) {
+  const returns = await tx.tbl_returns.findMany({
+    where: { sales_order_id: order.sales_order_id },
+    select: { return_uuid: true },
+  });
+
+  const movements = await tx.tbl_stock_movements.findMany({
+    where: {
+      tenant_id: tenantId,
+      product_id: productId,
+      OR: [
+        {
+          movement_type: "SALE",
+          reference_type: "SALES_ORDER",
+          reference_uuid: order.sales_order_uuid,
+        },
+        {
+          movement_type: "CUSTOMER_RETURN",
+          reference_type: REFERENCE_TYPE,
+          reference_uuid: { in: returns.map((r) => r.return_uuid) },
+        },
+      ],
+    },
+    select: { batch_id: true, quantity: true },
+    orderBy: { movement_id: "asc" },
+  });
+
+  const lots = new Map();
+  for (const movement of movements) {
+    const key = movement.batch_id ?? null;
+    lots.set(key, round((lots.get(key) || 0) - Number(movement.quantity), 3));
+  }
+
+  return [...lots]
+    .map(([batchId, quantity]) => ({ batchId, quantity }))
+    .filter((lot) => lot.quantity > 0);
+}
+
+/**
+ * Bring returned goods back into the lots they were sold from
+ * (CUSTOMER_RETURN at the cost they were sold at) and, for WRITE_OFF,
+ * write them straight off again so they never become sellable.
+ */
+async function postCustomerReturnStock(
+  tx,
+  { tenantId, order, line, disposition, returnUuid, notes, createdBy }
+) {
+  const groups = [];
+
+  if (line.serials) {
+    const units = await findSoldUnitsOrThrow(tx, {
+      tenantId,
+      order,
+      productId: line.productId,
+      serials: line.serials,
+    });
+
+    const byBatch = new Map();
+    for (const unit of units) {
+      const key = unit.batch_id ?? null;
+      if (!byBatch.has(key)) byBatch.set(key, []);
+      byBatch.get(key).push(unit.serial_number);
+    }
+    for (const [batchId, serials] of byBatch) {
+      groups.push({ batchId, quantity: serials.length, serials });
+    }
+  } else {
+    let remaining = line.quantity;
+
+    for (const lot of await getReturnableLots(tx, {
+      tenantId,
+      order,
+      productId: line.productId,
+    })) {
+      if (remaining <= 0) break;
+      const take = Math.min(lot.quantity, remaining);
+      groups.push({ batchId: lot.batchId, quantity: take, serials: null });
+      remaining = round(remaining - take, 3);
+    }
+
+    if (remaining > 0) {
+      throw httpError(
+        409,
+        `Only ${round(line.quantity - remaining, 3)} of ${line.quantity} can be returned to the lots sold from`
+      );
+    }
+  }
+
+  const base = {
+    tenantId,
+    productId: line.productId,
+    branchId: order.branch_id,
+    unitCost: line.unitCost,
+    referenceType: REFERENCE_TYPE,
+    referenceUuid: returnUuid,
+    notes,
+    createdBy,
+  };
+
+  for (const group of groups) {
+    await postStockMovement(tx, {
+      ...base,
+      batchId: group.batchId,
+      movementType: "CUSTOMER_RETURN",
+      quantity: group.quantity,
+      serials: group.serials,
+    });
+
+    if (disposition === "WRITE_OFF") {
+      await postStockMovement(tx, {
+        ...base,
+        batchId: group.batchId,
+        movementType: "WRITE_OFF",
+        quantity: -group.quantity,
+        serials: group.serials,
+      });
+    }
+  }
+}
+
+/** ------------------ RETURNS ------------------- **/
+
+/**
+ * List returns for a tenant (filterable + paginated, newest first)
+ */
+export async function listReturnsService({
+  tenantUuid,
+  returnType,
+  branchUuid,
+  customerUuid,
+  supplierUuid,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (returnType) where.return_type = returnType;
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  if (customerUuid) {
+    const customer = await findCustomerOrThrow(
+      prisma,
+      tenant.tenant_id,
+      customerUuid
+    );
+    where.customer_id = customer.customer_id;
+  }
+
+  if (supplierUuid) {
+    const supplier = await findSupplierOrThrow(
+      prisma,
+      tenant.tenant_id,
+      supplierUuid
+    );
+    where.supplier_id = supplier.supplier_id;
+  }
+
+  const { items: _items, ...listInclude } = returnInclude;
+
+  const [total, returns] = await Promise.all([
+    prisma.tbl_returns.count({ where }),
+    prisma.tbl_returns.findMany({
+      where,
+      include: listInclude,
+      orderBy: { return_id: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    returns: returns.map(formatReturn),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get return details with its lines and credit note
+ */
+export async function getReturnDetailsService({ tenantUuid, returnUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const ret = await findReturnOrThrow(prisma, tenant.tenant_id, returnUuid);
+
+  return formatReturn(ret);
+}
+
+/**
+ * Record goods returned by a customer against a confirmed sales order and
+ * issue a credit note for them.
+ *
+ * Each line names the order line, the quantity (in any unit of the
+ * product) and what happens to the goods: RESTOCK puts them back into the
+ * lots they were sold from, WRITE_OFF restocks and writes them off,
+ * QUARANTINE holds them out of stock until resolved. Serialized lines name
+ * the returned units. The credit is the line's price after discount, plus
+ * its share of the tax.
+ */
+export async function createCustomerReturnService({
+  tenantUuid,
+  sales_order_uuid,
+  reason = null,
+  notes = null,
+  items,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const order = await prisma.tbl_sales_orders.findFirst({
+    where: { tenant_id: tenant.tenant_id, sales_order_uuid },
+    include: {
+      tbl_branches: { select: { branch_uuid: true } },
+      items: { include: { tbl_products: true } },
+    },
+  });
+
+  if (!order) throw httpError(404, "Sales order not found");
+  if (order.status !== "CONFIRMED") {
+    throw httpError(
+      409,
+      `Cannot return goods on a ${order.status} sales order`
+    );
+  }
+
+  // Goods go back into the selling branch, which must still be active
+  await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    order.tbl_branches.branch_uuid
+  );
+
+  const itemMap = new Map(order.items.map((i) => [i.sales_order_item_uuid, i]));
+  const seen = new Set();
+  const lines = [];
+
+  for (const line of items) {
+    const item = itemMap.get(line.sales_order_item_uuid);
+    if (!item) {
+      throw httpError(
+        404,
+        `Sales order item ${line.sales_order_item_uuid} not found`
+      );
+    }
+    if (seen.has(item.sales_order_item_id)) {
+      throw httpError(400, `${item.tbl_products.sku} appears more than once`);
+    }
+    seen.add(item.sales_order_item_id);
+
+    const { quantity } = await toBaseUnit(prisma, item.tbl_products, {
+      quantity: line.quantity,
+      unit: line.unit,
+    });
+    const returnable = round(
+      Number(item.quantity) - Number(item.returned_quantity),
+      3
+    );
+
+    if (quantity > returnable) {
+      throw httpError(
+        400,
+        `Cannot return ${quantity} of ${item.tbl_products.sku}: only ${returnable} returnable`
+      );
+    }
+
+    const serials = normalizeSerialNumbers(line.serial_numbers);
+    assertSerialCount(item.tbl_products, quantity, serials);
+    if (serials) {
+      await findSoldUnitsOrThrow(prisma, {
+        tenantId: tenant.tenant_id,
+        order,
+        productId: item.product_id,
+        serials,
+      });
+    }
+
+    // Credit the same share of the discounted line and its tax
+    const share = quantity / Number(item.quantity);
+    const net = round(
+      (Number(item.line_subtotal) - Number(item.discount_amount)) * share,
+      2
+    );
+    const tax = round(Number(item.tax_amount) * share, 2);
+
+    lines.push({
+      item,
+      quantity,
+      serials,
+      disposition: line.disposition || "RESTOCK",
+      row: {
+        return_item_uuid: generateShortUUID(),
+        product_id: item.product_id,
+        sales_order_item_id: item.sales_order_item_id,
+        quantity,
+        unit_price: round(net / quantity, 4),
+        tax_amount: tax,
+        line_total: round(net + tax, 2),
+        unit_cost: item.unit_cost,
+        serial_numbers: serials,
+        disposition: line.disposition || "RESTOCK",
+      },
+    });
+  }
+
+  const ret = await prisma.$transaction(async (tx) => {
+    const returnNumber = await nextDocumentNumber(tx, {
+      model: "tbl_returns",
+      field: "return_number",
+      tenantId: tenant.tenant_id,
+      prefix: "RET",
+    });
+
+    const created = await tx.tbl_returns.create({
+      data: {
+        return_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        return_type: "CUSTOMER",
+        return_number: returnNumber,
+        branch_id: order.branch_id,
+        sales_order_id: order.sales_order_id,
+        customer_id: order.customer_id,
+        reason,
+        notes,
+        ...sumReturnTotals(lines.map((l) => l.row)),
+        created_by,
+        items: { create: lines.map((l) => l.row) },
+      },
+    });
+
+    for (const line of lines) {
+      // Over-returning in parallel is caught by re-checking under the update
+      const updated = await tx.tbl_sales_order_items.update({
+        where: { sales_order_item_id: line.item.sales_order_item_id },
+        data: { returned_quantity: { increment: line.quantity } },
+      });
+      if (Number(updated.returned_quantity) > Number(updated.quantity)) {
+        throw httpError(
+          409,
+          `${line.item.tbl_products.sku} was returned at the same time, please retry`
+        );
+      }
+
+      if (line.disposition === "QUARANTINE") continue;
+
+      await postCustomerReturnStock(tx, {
+        tenantId: tenant.tenant_id,
+        order,
+        line: {
+          productId: line.item.product_id,
+          quantity: line.quantity,
+          unitCost: line.item.unit_cost,
+          serials: line.serials,
+        },
+        disposition: line.disposition,
+        returnUuid: created.return_uuid,
+        notes: `${returnNumber} against ${order.invoice_number}`,
+        createdBy: created_by,
+      });
+    }
+
+    await issueCreditNote(tx, {
+      tenantId: tenant.tenant_id,
+      ret: created,
+      createdBy: created_by,
+    });
+
+    return tx.tbl_returns.findUnique({
+      where: { return_id: created.return_id },
+      include: returnInclude,
+    });
+  });
+
+  return formatReturn(ret);
+}
+
+/**
+ * Decide what happens to quarantined goods of a customer return:
+ * RESTOCK (back into the lots they were sold from) or WRITE_OFF
+ */
+export async function resolveQuarantinedItemService({
+  tenantUuid,
+  returnUuid,
+  returnItemUuid,
+  disposition,
+  resolved_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const ret = await findReturnOrThrow(prisma, tenant.tenant_id, returnUuid);
+
+  const item = ret.items.find((i) => i.return_item_uuid === returnItemUuid);
+  if (!item) throw httpError(404, `Return item ${returnItemUuid} not found`);
+
+  if (item.disposition !== "QUARANTINE") {
+    throw httpError(409, "Return item is not in quarantine");
+  }
+  if (item.resolved_disposition) {
+    throw httpError(
+      409,
+      `Return item was already resolved as ${item.resolved_disposition}`
+    );
+  }
+
+  const order = await prisma.tbl_sales_orders.findUnique({
+    where: { sales_order_id: ret.sales_order_id },
+  });
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.tbl_return_items.updateMany({
+      where: {
+        return_item_id: item.return_item_id,
+        resolved_disposition: null,
+      },
+      data: {
+        resolved_disposition: disposition,
+        resolved_by,
+        resolved_on: new Date(),
+      },
+    });
+    if (claimed.count === 0) {
+      throw httpError(409, "Return item was already resolved");
+    }
+
+    await postCustomerReturnStock(tx, {
+      tenantId: tenant.tenant_id,
+      order,
+      line: {
+        productId: item.product_id,
+        quantity: Number(item.quantity),
+        unitCost: item.unit_cost,
+        serials: item.serial_numbers,
+      },
+      disposition,
+      returnUuid: ret.return_uuid,
+      notes: `${ret.return_number} released from quarantine`,
+      createdBy: resolved_by,
+    });
+
+    return tx.tbl_returns.findUnique({
+      where: { return_id: ret.return_id },
+      include: returnInclude,
+    });
+  });
+
+  return formatReturn(updated);
+}
+
+/**
+ * Send goods back to a supplier (SUPPLIER_RETURN out of the branch) and
+ * record the supplier's credit note for them.
+ *
+ * Lines may pin a lot or, for serialized products, name the units;
+ * otherwise stock is drawn FEFO. Against a purchase order, only received
+ * quantities can go back and they are credited at the ordered cost;
+ * otherwise at unit_cost or the current cost of the stock.
+ */
+export async function createSupplierReturnService({
+  tenantUuid,
+  supplier_uuid,
+  branch_uuid,
+  po_uuid = null,
+  reason = null,
+  notes = null,
+  items,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const supplier = await findSupplierOrThrow(
+    prisma,
+    tenant.tenant_id,
+    supplier_uuid
+  );
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branch_uuid);
+
+  let po = null;
+  if (po_uuid) {
+    po = await prisma.tbl_purchase_orders.findFirst({
+      where: { tenant_id: tenant.tenant_id, po_uuid },
+      include: { items: true },
+    });
+
+    if (!po) throw httpError(404, "Purchase order not found");
+    if (po.supplier_id !== supplier.supplier_id) {
+      throw httpError(400, `${po.po_number} is not from this supplier`);
+    }
+  }
+
+  const alreadyReturned = new Map();
+  if (po) {
+    const returned = await prisma.tbl_return_items.groupBy({
+      by: ["product_id"],
+      where: { tbl_returns: { po_id: po.po_id } },
+      _sum: { quantity: true },
+    });
+    for (const row of returned) {
+      alreadyReturned.set(row.product_id, Number(row._sum.quantity));
+    }
+  }
+
+  const lines = [];
+
+  for (const line of items) {
+    const product = await findStockProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      line.product_uuid
+    );
+
+    const converted = await toBaseUnit(prisma, product, {
+      quantity: line.quantity,
+      unit: line.unit,
+      unitCost: line.unit_cost ?? null,
+    });
+    let unitCost = converted.unitCost;
+
+    if (po) {
+      const poItems = po.items.filter(
+        (i) => i.product_id === product.product_id
+      );
+      if (poItems.length === 0) {
+        throw httpError(400, `${product.sku} is not on ${po.po_number}`);
+      }
+
+      const received = poItems.reduce(
+        (sum, i) => sum + Number(i.received_quantity),
+        0
+      );
+      const returned = alreadyReturned.get(product.product_id) || 0;
+
+      if (returned + converted.quantity > received) {
+        throw httpError(
+          400,
+          `Cannot return ${converted.quantity} of ${product.sku}: only ${round(received - returned, 3)} received and not yet returned`
+        );
+      }
+      alreadyReturned.set(product.product_id, returned + converted.quantity);
+
+      unitCost ??= round(poItems[0].unit_cost, 4);
+    }
+
+    let batch = null;
+    if (line.batch_uuid) {
+      batch = await prisma.tbl_product_batches.findFirst({
+        where: {
+          batch_uuid: line.batch_uuid,
+          tenant_id: tenant.tenant_id,
+          product_id: product.product_id,
+          branch_id: branch.branch_id,
+        },
+      });
+      if (!batch) throw httpError(404, "Batch not found at this branch");
+    }
+
+    lines.push({
+      product,
+      quantity: converted.quantity,
+      unitCost,
+      batch,
+      serials: normalizeSerialNumbers(line.serial_numbers),
+    });
+  }
+
+  const ret = await prisma.$transaction(async (tx) => {
+    const returnNumber = await nextDocumentNumber(tx, {
+      model: "tbl_returns",
+      field: "return_number",
+      tenantId: tenant.tenant_id,
+      prefix: "RET",
+    });
+    const returnUuid = generateShortUUID();
+
+    const rows = [];
+
+    for (const line of lines) {
+      const unitCost =
+        line.unitCost ??
+        (await getOutboundUnitCost(tx, {
+          tenantId: tenant.tenant_id,
+          productId: line.product.product_id,
+          branchId: branch.branch_id,
+          quantity: line.quantity,
+        }));
+
+      await postOutboundMovements(tx, {
+        tenantId: tenant.tenant_id,
+        productId: line.product.product_id,
+        branchId: branch.branch_id,
+        batchId: line.batch?.batch_id ?? null,
+        quantity: line.quantity,
+        unitCost,
+        movementType: "SUPPLIER_RETURN",
+        referenceType: REFERENCE_TYPE,
+        referenceUuid: returnUuid,
+        notes: `${returnNumber} to ${supplier.supplier_name}`,
+        createdBy: created_by,
+        serials: line.serials,
+      });
+
+      rows.push({
+        return_item_uuid: generateShortUUID(),
+        product_id: line.product.product_id,
+        batch_id: line.batch?.batch_id ?? null,
+        quantity: line.quantity,
+        unit_price: unitCost,
+        tax_amount: 0,
+        line_total: round(line.quantity * unitCost, 2),
+        unit_cost: unitCost,
+        serial_numbers: line.serials,
+      });
+    }
+
+    const created = await tx.tbl_returns.create({
+      data: {
+        return_uuid: returnUuid,
+        tenant_id: tenant.tenant_id,
+        return_type: "SUPPLIER",
+        return_number: returnNumber,
+        branch_id: branch.branch_id,
+        supplier_id: supplier.supplier_id,
+        po_id: po?.po_id ?? null,
+        reason,
+        notes,
+        ...sumReturnTotals(rows),
+        created_by,
+        items: { create: rows },
+      },
+    });
+
+    await issueCreditNote(tx, {
+      tenantId: tenant.tenant_id,
+      ret: created,
+      createdBy: created_by,
+    });
+
+    return tx.tbl_returns.findUnique({
+      where: { return_id: created.return_id },
+      include: returnInclude,
+    });
+  });
+
+  return formatReturn(ret);
+}
+
+/** ------------------ CREDIT NOTES ------------------- **/
+
+/**
+ * Credit note of a return, with the party it is issued to / received from
+ */
+export async function getCreditNoteService({ tenantUuid, returnUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const ret = await findReturnOrThrow(prisma, tenant.tenant_id, returnUuid);
+
+  const seller = await prisma.tbl_tenant.findUnique({
+    where: { tenant_id: tenant.tenant_id },
+    select: { tenant_name: true },
+  });
+
+  const { items, credit_note, ...rest } = formatReturn(ret);
+
+  return {
+    ...credit_note,
+    return_type: rest.return_type,
+    tenant_name: seller.tenant_name,
+    branch: rest.branch,
+    customer: rest.customer,
+    supplier: rest.supplier,
+    against: {
+      return_uuid: rest.return_uuid,
+      return_number: rest.return_number,
+      invoice_number: rest.sales_order?.invoice_number ?? null,
+      po_number: rest.purchase_order?.po_number ?? null,
+    },
+    reason: rest.reason,
+    lines: items.map((item) => ({
+      product: item.product,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      tax_amount: item.tax_amount,
+      line_total: item.line_total,
+    })),
+  };
+}
@@ -0,0 +1,221 @@
+// controllers/salesOrder.controller.js
+
+import {
+  listSalesOrdersService,
+  getSalesOrderDetailsService,
+  createSalesOrderService,
+  updateSalesOrderService,
+  confirmSalesOrderService,
+  cancelSalesOrderService,
+  recordSalesPaymentService,
+  getSalesInvoiceService,
+} from "./salesOrder.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/sales-orders/:tenantUuid
+ */
+export const listSalesOrdersController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const {
+      status,
+      paymentStatus,
+      branchUuid,
+      customerUuid,
+      search,
+      from,
+      to,
+      page,
+      limit,
+    } = req.query;
+
+    const result = await listSalesOrdersService({
+      tenantUuid,
+      status,
+      paymentStatus,
+      branchUuid,
+      customerUuid,
+      search: search?.trim() || undefined,
+      from,
+      to,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(
+      res,
+      "Sales orders fetched successfully",
+      result,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Sales Orders Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/sales-orders/:tenantUuid
+ */
+export const createSalesOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const order = await createSalesOrderService({
+      tenantUuid,
+      ...req.body,
+      customer_name: req.body.customer_name?.trim() || null,
+      notes: req.body.notes?.trim() || null,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Sales order created successfully", order, 201);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Another sales order was created at the same time, please retry",
+        409
+      );
+    }
+    console.error("❌ Create Sales Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/sales-orders/:tenantUuid/:salesOrderUuid
+ */
+export const getSalesOrderDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, salesOrderUuid } = req.params;
+
+    const order = await getSalesOrderDetailsService({
+      tenantUuid,
+      salesOrderUuid,
+    });
+
+    return successResponse(
+      res,
+      "Sales order details fetched successfully",
+      order
+    );
+  } catch (error) {
+    console.error("❌ Get Sales Order Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/sales-orders/:tenantUuid/:salesOrderUuid
+ */
+export const updateSalesOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, salesOrderUuid } = req.params;
+
+    const order = await updateSalesOrderService({
+      tenantUuid,
+      salesOrderUuid,
+      updates: req.body,
+    });
+
+    return successResponse(res, "Sales order updated successfully", order);
+  } catch (error) {
+    console.error("❌ Update Sales Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/sales-orders/:tenantUuid/:salesOrderUuid/confirm
+ */
+export const confirmSalesOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, salesOrderUuid } = req.params;
+
+    const order = await confirmSalesOrderService({
+      tenantUuid,
+      salesOrderUuid,
+      items: req.body.items || null,
+      confirmed_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Sales order confirmed successfully", order);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Invoice number is already in use, check the invoice sequence",
+        409
+      );
+    }
+    console.error("❌ Confirm Sales Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/sales-orders/:tenantUuid/:salesOrderUuid/cancel
+ */
+export const cancelSalesOrderController = async (req, res, next) => {
+  try {
+    const { tenantUuid, salesOrderUuid } = req.params;
+
+    const order = await cancelSalesOrderService({
+      tenantUuid,
+      salesOrderUuid,
+      cancelled_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Sales order cancelled successfully", order);
+  } catch (error) {
+    console.error("❌ Cancel Sales Order Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/sales-orders/:tenantUuid/:salesOrderUuid/payments
+ */
+export const recordSalesPaymentController = async (req, res, next) => {
+  try {
+    const { tenantUuid, salesOrderUuid } = req.params;
+    const { amount, payment_method, reference, paid_on } = req.body;
+
+    const order = await recordSalesPaymentService({
+      tenantUuid,
+      salesOrderUuid,
+      amount: Number(amount),
+      payment_method,
+      reference: reference?.trim() || null,
+      paid_on,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Payment recorded successfully", order, 201);
+  } catch (error) {
+    console.error("❌ Record Sales Payment Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/sales-orders/:tenantUuid/:salesOrderUuid/invoice
+ */
+export const getSalesInvoiceController = async (req, res, next) => {
+  try {
+    const { tenantUuid, salesOrderUuid } = req.params;
+
+    const invoice = await getSalesInvoiceService({
+      tenantUuid,
+      salesOrderUuid,
+    });
+
+    return successResponse(res, "Invoice fetched successfully", invoice);
+  } catch (error) {
+    console.error("❌ Get Sales Invoice Error:", error);
+    next(error);
+  }
+};
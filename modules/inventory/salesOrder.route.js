@@ -0,0 +1,100 @@
+import { Router } from "express";
+import {
+  cancelSalesOrderController,
+  confirmSalesOrderController,
+  createSalesOrderController,
+  getSalesInvoiceController,
+  getSalesOrderDetailsController,
+  listSalesOrdersController,
+  recordSalesPaymentController,
+  updateSalesOrderController,
+} from "./salesOrder.controller.js";
+import {
+  confirmSalesOrderValidation,
+  createSalesOrderValidation,
+  listSalesOrdersValidation,
+  recordSalesPaymentValidation,
+  updateSalesOrderValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listSalesOrdersValidation,
+  validateRequest,
+  listSalesOrdersController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createSalesOrderValidation,
+  validateRequest,
+  createSalesOrderController
+);
+
+router.get(
+  "/:tenantUuid/:salesOrderUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getSalesOrderDetailsController
+);
+router.put(
+  "/:tenantUuid/:salesOrderUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateSalesOrderValidation,
+  validateRequest,
+  updateSalesOrderController
+);
+
+router.post(
+  "/:tenantUuid/:salesOrderUuid/confirm",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  confirmSalesOrderValidation,
+  validateRequest,
+  confirmSalesOrderController
+);
+router.post(
+  "/:tenantUuid/:salesOrderUuid/cancel",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  cancelSalesOrderController
+);
+
+// --------------------------------------------------------
+// PAYMENTS + INVOICE
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/:salesOrderUuid/payments",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  recordSalesPaymentValidation,
+  validateRequest,
+  recordSalesPaymentController
+);
+router.get(
+  "/:tenantUuid/:salesOrderUuid/invoice",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getSalesInvoiceController
+);
+
+export default router;
@@ -0,0 +1,817 @@
+// services/salesOrder.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findActiveCustomerOrThrow,
+  findCustomerOrThrow,
+} from "./customer.service.js";
+import { findCustomerGroupOrThrow } from "./customerGroup.service.js";
+import { nextSequenceNumber } from "./documentSequence.service.js";
+import {
+  findBranchOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  nextDocumentNumber,
+  postOutboundMovements,
+} from "./inventory.repository.js";
+import { resolveEffectivePrice } from "./priceList.service.js";
+import { toBaseUnit } from "./unit.service.js";
+import { getOutboundUnitCost } from "./valuation.service.js";
+
+const REFERENCE_TYPE = "SALES_ORDER";
+
+// Tax classes on which no tax may be charged
+const UNTAXED_TAX_CLASSES = ["ZERO", "EXEMPT"];
+
+const salesOrderInclude = {
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  tbl_customers: { select: { customer_uuid: true, customer_code: true } },
+  tbl_customer_groups: {
+    select: { customer_group_uuid: true, group_name: true },
+  },
+  items: {
+    include: {
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          product_name: true,
+          unit_of_measure: true,
+        },
+      },
+    },
+    orderBy: { sales_order_item_id: "asc" },
+  },
+  payments: { orderBy: { payment_id: "asc" } },
+};
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const getBalanceDue = (order) =>
+  round(Number(order.grand_total) - Number(order.amount_paid), 2);
+
+function formatPayment(payment) {
+  return {
+    payment_uuid: payment.payment_uuid,
+    amount: Number(payment.amount),
+    payment_method: payment.payment_method,
+    reference: payment.reference,
+    paid_on: payment.paid_on,
+  };
+}
+
+/**
+ * Shape a sales order for API responses
+ */
+export function formatSalesOrder(order) {
+  return {
+    sales_order_uuid: order.sales_order_uuid,
+    order_number: order.order_number,
+    invoice_number: order.invoice_number,
+    status: order.status,
+    payment_status: order.payment_status,
+    branch: {
+      branch_uuid: order.tbl_branches.branch_uuid,
+      branch_name: order.tbl_branches.branch_name,
+    },
+    customer: {
+      customer_uuid: order.tbl_customers?.customer_uuid ?? null,
+      customer_code: order.tbl_customers?.customer_code ?? null,
+      customer_name: order.customer_name,
+      customer_email: order.customer_email,
+      customer_phone: order.customer_phone,
+      customer_group: order.tbl_customer_groups
+        ? {
+            customer_group_uuid: order.tbl_customer_groups.customer_group_uuid,
+            group_name: order.tbl_customer_groups.group_name,
+          }
+        : null,
+    },
+    order_date: order.order_date,
+    notes: order.notes,
+    subtotal: Number(order.subtotal),
+    discount_total: Number(order.discount_total),
+    tax_total: Number(order.tax_total),
+    grand_total: Number(order.grand_total),
+    amount_paid: Number(order.amount_paid),
+    balance_due: getBalanceDue(order),
+    items: order.items
+      ? order.items.map((item) => ({
+          sales_order_item_uuid: item.sales_order_item_uuid,
+          product: {
+            product_uuid: item.tbl_products.product_uuid,
+            sku: item.tbl_products.sku,
+            product_name: item.tbl_products.product_name,
+            unit_of_measure: item.tbl_products.unit_of_measure,
+          },
+          quantity: Number(item.quantity),
+          returned_quantity: Number(item.returned_quantity),
+          unit_price: Number(item.unit_price),
+          price_source: item.price_source,
+          discount_percent: Number(item.discount_percent),
+          tax_rate: Number(item.tax_rate),
+          line_subtotal: Number(item.line_subtotal),
+          discount_amount: Number(item.discount_amount),
+          tax_amount: Number(item.tax_amount),
+          line_total: Number(item.line_total),
+        }))
+      : undefined,
+    payments: order.payments ? order.payments.map(formatPayment) : undefined,
+    invoiced_on: order.invoiced_on,
+    confirmed_on: order.confirmed_on,
+    cancelled_on: order.cancelled_on,
+    created_on: order.created_on,
+    modified_on: order.modified_on,
+  };
+}
+
+async function findSalesOrderOrThrow(client, tenantId, salesOrderUuid) {
+  const order = await client.tbl_sales_orders.findFirst({
+    where: { tenant_id: tenantId, sales_order_uuid: salesOrderUuid },
+    include: salesOrderInclude,
+  });
+
+  if (!order) throw httpError(404, "Sales order not found");
+
+  return order;
+}
+
+/**
+ * Turn request lines into rows for tbl_sales_order_items.
+ *
+ * Lines may be sold in any unit of the product (quantity and price are
+ * stored in the base unit). Without a unit_price the effective price for
+ * the branch and customer group on the order date applies. Discounts are
+ * taken off the line before tax; ZERO / EXEMPT products carry no tax.
+ */
+async function buildOrderItems(
+  client,
+  { tenantId, branchId, customerGroupId, orderDate, items }
+) {
+  const rows = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const product = await findStockProductOrThrow(
+      client,
+      tenantId,
+      item.product_uuid
+    );
+
+    if (product.status !== "ACTIVE") {
+      throw httpError(
+        400,
+        `${product.sku} is ${product.status} and cannot be sold`
+      );
+    }
+    if (seen.has(product.product_id)) {
+      throw httpError(400, `${product.sku} appears more than once`);
+    }
+    seen.add(product.product_id);
+
+    const taxRate = Number(item.tax_rate ?? 0);
+    if (taxRate > 0 && UNTAXED_TAX_CLASSES.includes(product.tax_class)) {
+      throw httpError(
+        400,
+        `${product.sku} is ${product.tax_class}-rated and cannot carry tax`
+      );
+    }
+
+    const converted = await toBaseUnit(client, product, {
+      quantity: item.quantity,
+      unit: item.unit,
+      unitCost: item.unit_price ?? null,
+    });
+    const quantity = converted.quantity;
+
+    let unitPrice = converted.unitCost;
+    let priceSource = "MANUAL";
+
+    if (unitPrice === null) {
+      const resolved = await resolveEffectivePrice(client, {
+        tenantId,
+        product,
+        branchId,
+        customerGroupId,
+        at: orderDate,
+      });
+      unitPrice = round(resolved.price, 4);
+      priceSource = resolved.source;
+    }
+
+    const discountPercent = Number(item.discount_percent ?? 0);
+    const lineSubtotal = round(quantity * unitPrice, 2);
+    const discountAmount = round((lineSubtotal * discountPercent) / 100, 2);
+    const taxAmount = round(
+      ((lineSubtotal - discountAmount) * taxRate) / 100,
+      2
+    );
+
+    rows.push({
+      sales_order_item_uuid: generateShortUUID(),
+      product_id: product.product_id,
+      quantity,
+      unit_price: unitPrice,
+      price_source: priceSource,
+      discount_percent: discountPercent,
+      tax_rate: taxRate,
+      line_subtotal: lineSubtotal,
+      discount_amount: discountAmount,
+      tax_amount: taxAmount,
+      line_total: round(lineSubtotal - discountAmount + taxAmount, 2),
+    });
+  }
+
+  return rows;
+}
+
+function sumOrderTotals(rows) {
+  const sum = (field) =>
+    round(
+      rows.reduce((total, row) => total + Number(row[field]), 0),
+      2
+    );
+
+  return {
+    subtotal: sum("line_subtotal"),
+    discount_total: sum("discount_amount"),
+    tax_total: sum("tax_amount"),
+    grand_total: sum("line_total"),
+  };
+}
+
+function getPaymentStatus(grandTotal, amountPaid) {
+  if (amountPaid <= 0) return "UNPAID";
+  return amountPaid >= grandTotal ? "PAID" : "PARTIALLY_PAID";
+}
+
+/** ------------------ SALES ORDERS ------------------- **/
+
+/**
+ * List sales orders for a tenant (filterable + paginated, newest first).
+ * `search` matches the order number, invoice number or customer name.
+ */
+export async function listSalesOrdersService({
+  tenantUuid,
+  status,
+  paymentStatus,
+  branchUuid,
+  customerUuid,
+  search,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (status) where.status = status;
+  if (paymentStatus) where.payment_status = paymentStatus;
+
+  if (customerUuid) {
+    const customer = await findCustomerOrThrow(
+      prisma,
+      tenant.tenant_id,
+      customerUuid
+    );
+    where.customer_id = customer.customer_id;
+  }
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  if (search) {
+    where.OR = [
+      { order_number: { contains: search } },
+      { invoice_number: { contains: search } },
+      { customer_name: { contains: search } },
+    ];
+  }
+
+  if (from || to) {
+    where.order_date = {};
+    if (from) where.order_date.gte = new Date(from);
+    if (to) where.order_date.lte = new Date(to);
+  }
+
+  const [total, orders] = await Promise.all([
+    prisma.tbl_sales_orders.count({ where }),
+    prisma.tbl_sales_orders.findMany({
+      where,
+      include: {
+        tbl_branches: salesOrderInclude.tbl_branches,
+        tbl_customers: salesOrderInclude.tbl_customers,
+        tbl_customer_groups: salesOrderInclude.tbl_customer_groups,
+      },
+      orderBy: { sales_order_id: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    sales_orders: orders.map(formatSalesOrder),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get sales order details with its lines and payments
+ */
+export async function getSalesOrderDetailsService({
+  tenantUuid,
+  salesOrderUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const order = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  return formatSalesOrder(order);
+}
+
+/**
+ * Create a DRAFT sales order at a branch. For a known customer the
+ * contact details and customer group default to the customer's own.
+ */
+export async function createSalesOrderService({
+  tenantUuid,
+  branch_uuid,
+  customer_uuid = null,
+  customer_name = null,
+  customer_email = null,
+  customer_phone = null,
+  customer_group_uuid = null,
+  order_date = null,
+  notes = null,
+  items,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branch_uuid);
+  const customer = customer_uuid
+    ? await findActiveCustomerOrThrow(prisma, tenant.tenant_id, customer_uuid)
+    : null;
+  const group = customer_group_uuid
+    ? await findCustomerGroupOrThrow(
+        prisma,
+        tenant.tenant_id,
+        customer_group_uuid
+      )
+    : null;
+  const customerGroupId =
+    group?.customer_group_id ?? customer?.customer_group_id ?? null;
+
+  const orderDate = order_date ? new Date(order_date) : new Date();
+
+  const rows = await buildOrderItems(prisma, {
+    tenantId: tenant.tenant_id,
+    branchId: branch.branch_id,
+    customerGroupId,
+    orderDate,
+    items,
+  });
+
+  const order = await prisma.$transaction(async (tx) => {
+    const orderNumber = await nextDocumentNumber(tx, {
+      model: "tbl_sales_orders",
+      field: "order_number",
+      tenantId: tenant.tenant_id,
+      prefix: "SO",
+    });
+
+    return tx.tbl_sales_orders.create({
+      data: {
+        sales_order_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        branch_id: branch.branch_id,
+        order_number: orderNumber,
+        customer_id: customer?.customer_id ?? null,
+        customer_name: customer_name || customer?.display_name || null,
+        customer_email: customer_email || customer?.email || null,
+        customer_phone: customer_phone || customer?.phone || null,
+        customer_group_id: customerGroupId,
+        order_date: orderDate,
+        notes,
+        ...sumOrderTotals(rows),
+        created_by,
+        items: { create: rows },
+      },
+      include: salesOrderInclude,
+    });
+  });
+
+  return formatSalesOrder(order);
+}
+
+/**
+ * Update a DRAFT sales order. `items`, when given, replaces all lines;
+ * otherwise lines are repriced only if the branch, customer group or
+ * order date changed and they were not priced manually.
+ */
+export async function updateSalesOrderService({
+  tenantUuid,
+  salesOrderUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const order = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  if (order.status !== "DRAFT") {
+    throw httpError(409, "Only draft sales orders can be edited");
+  }
+
+  const data = {
+    customer_name: updates.customer_name,
+    customer_email: updates.customer_email,
+    customer_phone: updates.customer_phone,
+    notes: updates.notes,
+    modified_on: new Date(),
+  };
+
+  let branchId = order.branch_id;
+  if (updates.branch_uuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      updates.branch_uuid
+    );
+    branchId = data.branch_id = branch.branch_id;
+  }
+
+  // A newly linked customer fills the contact details not given
+  let customer = null;
+  if (updates.customer_uuid !== undefined) {
+    customer = updates.customer_uuid
+      ? await findActiveCustomerOrThrow(
+          prisma,
+          tenant.tenant_id,
+          updates.customer_uuid
+        )
+      : null;
+    data.customer_id = customer?.customer_id ?? null;
+    data.customer_name ??= customer?.display_name;
+    data.customer_email ??= customer?.email;
+    data.customer_phone ??= customer?.phone;
+  }
+
+  let customerGroupId = order.customer_group_id;
+  if (customer && updates.customer_group_uuid === undefined) {
+    customerGroupId = data.customer_group_id = customer.customer_group_id;
+  }
+  if (updates.customer_group_uuid !== undefined) {
+    customerGroupId = updates.customer_group_uuid
+      ? (
+          await findCustomerGroupOrThrow(
+            prisma,
+            tenant.tenant_id,
+            updates.customer_group_uuid
+          )
+        ).customer_group_id
+      : null;
+    data.customer_group_id = customerGroupId;
+  }
+
+  const orderDate = updates.order_date
+    ? new Date(updates.order_date)
+    : order.order_date;
+  if (updates.order_date) data.order_date = orderDate;
+
+  const pricingChanged =
+    branchId !== order.branch_id ||
+    customerGroupId !== order.customer_group_id ||
+    Boolean(updates.order_date);
+
+  // Re-run pricing for the current lines, keeping manual prices
+  const items =
+    updates.items ??
+    (pricingChanged
+      ? order.items.map((item) => ({
+          product_uuid: item.tbl_products.product_uuid,
+          quantity: Number(item.quantity),
+          unit_price:
+            item.price_source === "MANUAL" ? Number(item.unit_price) : null,
+          discount_percent: Number(item.discount_percent),
+          tax_rate: Number(item.tax_rate),
+        }))
+      : null);
+
+  const rows = items
+    ? await buildOrderItems(prisma, {
+        tenantId: tenant.tenant_id,
+        branchId,
+        customerGroupId,
+        orderDate,
+        items,
+      })
+    : null;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (rows) {
+      await tx.tbl_sales_order_items.deleteMany({
+        where: { sales_order_id: order.sales_order_id },
+      });
+      data.items = { create: rows };
+      Object.assign(data, sumOrderTotals(rows));
+    }
+
+    return tx.tbl_sales_orders.update({
+      where: { sales_order_id: order.sales_order_id },
+      data,
+      include: salesOrderInclude,
+    });
+  });
+
+  return formatSalesOrder(updated);
+}
+
+/**
+ * Confirm a DRAFT sales order: post a SALE for every line at the selling
+ * branch and issue the invoice number.
+ *
+ * Lines are drawn FEFO across the branch's lots (expired lots are never
+ * sold); serialized lines name the units sold in
+ * `items: [{ sales_order_item_uuid, serial_numbers }]`. Each line records
+ * its cost of goods sold under the tenant's costing method.
+ */
+export async function confirmSalesOrderService({
+  tenantUuid,
+  salesOrderUuid,
+  items = null,
+  confirmed_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const order = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  if (order.status !== "DRAFT") {
+    throw httpError(409, `Cannot confirm a ${order.status} sales order`);
+  }
+  if (order.items.length === 0) {
+    throw httpError(400, "Sales order has no items");
+  }
+
+  // The selling branch must still be active
+  await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    order.tbl_branches.branch_uuid
+  );
+
+  const serialsByItem = new Map(
+    (items || []).map((line) => [
+      line.sales_order_item_uuid,
+      line.serial_numbers,
+    ])
+  );
+  for (const itemUuid of serialsByItem.keys()) {
+    if (!order.items.some((i) => i.sales_order_item_uuid === itemUuid)) {
+      throw httpError(404, `Sales order item ${itemUuid} not found`);
+    }
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Claim the order so a concurrent confirm cannot post stock twice
+    const claimed = await tx.tbl_sales_orders.updateMany({
+      where: { sales_order_id: order.sales_order_id, status: "DRAFT" },
+      data: { status: "CONFIRMED" },
+    });
+    if (claimed.count === 0) {
+      throw httpError(409, "Sales order was already confirmed or cancelled");
+    }
+
+    for (const item of order.items) {
+      const unitCost = await getOutboundUnitCost(tx, {
+        tenantId: tenant.tenant_id,
+        productId: item.product_id,
+        branchId: order.branch_id,
+        quantity: item.quantity,
+      });
+
+      await postOutboundMovements(tx, {
+        tenantId: tenant.tenant_id,
+        productId: item.product_id,
+        branchId: order.branch_id,
+        quantity: item.quantity,
+        unitCost,
+        movementType: "SALE",
+        referenceType: REFERENCE_TYPE,
+        referenceUuid: order.sales_order_uuid,
+        notes: `Sales order ${order.order_number}`,
+        createdBy: confirmed_by,
+        serials: serialsByItem.get(item.sales_order_item_uuid) || null,
+      });
+
+      await tx.tbl_sales_order_items.update({
+        where: { sales_order_item_id: item.sales_order_item_id },
+        data: { unit_cost: unitCost },
+      });
+    }
+
+    const invoiceNumber = await nextSequenceNumber(tx, {
+      tenantId: tenant.tenant_id,
+      documentType: "INVOICE",
+    });
+
+    return tx.tbl_sales_orders.update({
+      where: { sales_order_id: order.sales_order_id },
+      data: {
+        invoice_number: invoiceNumber,
+        invoiced_on: new Date(),
+        confirmed_by,
+        confirmed_on: new Date(),
+        modified_on: new Date(),
+      },
+      include: salesOrderInclude,
+    });
+  });
+
+  return formatSalesOrder(updated);
+}
+
+/**
+ * Cancel a DRAFT sales order (confirmed orders have already moved stock)
+ */
+export async function cancelSalesOrderService({
+  tenantUuid,
+  salesOrderUuid,
+  cancelled_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const order = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  if (order.status !== "DRAFT") {
+    throw httpError(409, `Cannot cancel a ${order.status} sales order`);
+  }
+
+  // Same claim as confirm, so a racing confirm and cancel cannot both win
+  const claimed = await prisma.tbl_sales_orders.updateMany({
+    where: { sales_order_id: order.sales_order_id, status: "DRAFT" },
+    data: {
+      status: "CANCELLED",
+      cancelled_by,
+      cancelled_on: new Date(),
+      modified_on: new Date(),
+    },
+  });
+  if (claimed.count === 0) {
+    throw httpError(409, "Sales order was already confirmed or cancelled");
+  }
+
+  const updated = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  return formatSalesOrder(updated);
+}
+
+/** ------------------ PAYMENTS ------------------- **/
+
+/**
+ * Record a payment against a confirmed sales order and update its
+ * payment status. Payments cannot exceed the balance due.
+ */
+export async function recordSalesPaymentService({
+  tenantUuid,
+  salesOrderUuid,
+  amount,
+  payment_method,
+  reference = null,
+  paid_on = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const order = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  if (order.status !== "CONFIRMED") {
+    throw httpError(409, "Payments can only be recorded on confirmed orders");
+  }
+
+  const paymentAmount = round(amount, 2);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Re-read the paid amount under the row lock of the increment
+    const current = await tx.tbl_sales_orders.update({
+      where: { sales_order_id: order.sales_order_id },
+      data: { amount_paid: { increment: paymentAmount } },
+    });
+
+    const amountPaid = Number(current.amount_paid);
+    const grandTotal = Number(current.grand_total);
+
+    if (amountPaid > grandTotal) {
+      throw httpError(
+        400,
+        `Payment exceeds the balance due of ${round(grandTotal - amountPaid + paymentAmount, 2)}`
+      );
+    }
+
+    await tx.tbl_sales_order_payments.create({
+      data: {
+        payment_uuid: generateShortUUID(),
+        sales_order_id: order.sales_order_id,
+        amount: paymentAmount,
+        payment_method,
+        reference,
+        paid_on: paid_on ? new Date(paid_on) : new Date(),
+        created_by,
+      },
+    });
+
+    return tx.tbl_sales_orders.update({
+      where: { sales_order_id: order.sales_order_id },
+      data: {
+        payment_status: getPaymentStatus(grandTotal, amountPaid),
+        modified_on: new Date(),
+      },
+      include: salesOrderInclude,
+    });
+  });
+
+  return formatSalesOrder(updated);
+}
+
+/** ------------------ INVOICE ------------------- **/
+
+/**
+ * Invoice of a confirmed sales order, with the seller's details
+ */
+export async function getSalesInvoiceService({ tenantUuid, salesOrderUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const order = await findSalesOrderOrThrow(
+    prisma,
+    tenant.tenant_id,
+    salesOrderUuid
+  );
+
+  if (!order.invoice_number) {
+    throw httpError(409, "Sales order has not been invoiced yet");
+  }
+
+  const seller = await prisma.tbl_tenant.findUnique({
+    where: { tenant_id: tenant.tenant_id },
+    select: { tenant_name: true },
+  });
+
+  const { items, payments, ...rest } = formatSalesOrder(order);
+
+  return {
+    invoice_number: order.invoice_number,
+    invoice_date: order.invoiced_on,
+    seller: {
+      tenant_name: seller.tenant_name,
+      branch: rest.branch,
+    },
+    bill_to: rest.customer,
+    sales_order: {
+      sales_order_uuid: rest.sales_order_uuid,
+      order_number: rest.order_number,
+      order_date: rest.order_date,
+    },
+    lines: items,
+    totals: {
+      subtotal: rest.subtotal,
+      discount_total: rest.discount_total,
+      tax_total: rest.tax_total,
+      grand_total: rest.grand_total,
+      amount_paid: rest.amount_paid,
+      balance_due: rest.balance_due,
+    },
+    payment_status: rest.payment_status,
+    payments,
+  };
+}
@@ -0,0 +1,71 @@
+// controllers/serial.controller.js
+
+import {
+  listSerialsService,
+  lookupSerialService,
+  getSerialDetailsService,
+} from "./serial.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/serials/:tenantUuid
+ */
+export const listSerialsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { productUuid, branchUuid, status, search, page, limit } = req.query;
+
+    const result = await listSerialsService({
+      tenantUuid,
+      productUuid,
+      branchUuid,
+      status,
+      search: search?.trim() || null,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Serial numbers fetched successfully", result);
+  } catch (error) {
+    console.error("❌ List Serial Numbers Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/serials/:tenantUuid/lookup?serial=...
+ */
+export const lookupSerialController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { serial, productUuid } = req.query;
+
+    const result = await lookupSerialService({
+      tenantUuid,
+      serialNumber: serial,
+      productUuid,
+    });
+
+    return successResponse(res, "Serial number fetched successfully", result);
+  } catch (error) {
+    console.error("❌ Lookup Serial Number Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/serials/:tenantUuid/:serialUuid
+ */
+export const getSerialDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, serialUuid } = req.params;
+
+    const serial = await getSerialDetailsService({ tenantUuid, serialUuid });
+
+    return successResponse(res, "Serial number fetched successfully", serial);
+  } catch (error) {
+    console.error("❌ Get Serial Number Error:", error);
+    next(error);
+  }
+};
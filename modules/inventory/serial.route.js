@@ -0,0 +1,45 @@
+import { Router } from "express";
+import {
+  getSerialDetailsController,
+  listSerialsController,
+  lookupSerialController,
+} from "./serial.controller.js";
+import {
+  listSerialsValidation,
+  lookupSerialValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listSerialsValidation,
+  validateRequest,
+  listSerialsController
+);
+router.get(
+  "/:tenantUuid/lookup",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  lookupSerialValidation,
+  validateRequest,
+  lookupSerialController
+);
+router.get(
+  "/:tenantUuid/:serialUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getSerialDetailsController
+);
+
+export default router;
@@ -0,0 +1,216 @@
+// services/serial.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findProductOrThrow,
+  findTenantOrThrow,
+} from "./inventory.repository.js";
+
+const serialInclude = {
+  tbl_products: {
+    select: { product_uuid: true, sku: true, product_name: true },
+  },
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  tbl_product_batches: {
+    select: { batch_uuid: true, lot_number: true, expiry_date: true },
+  },
+};
+
+const historyInclude = {
+  movement_serials: {
+    include: {
+      movement: {
+        include: {
+          tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+          tbl_product_batches: {
+            select: { batch_uuid: true, lot_number: true },
+          },
+        },
+      },
+    },
+    orderBy: { movement_id: "asc" },
+  },
+};
+
+/**
+ * Shape one ledger row of a unit's history
+ */
+function formatHistoryEntry({ movement }) {
+  return {
+    movement_uuid: movement.movement_uuid,
+    movement_type: movement.movement_type,
+    direction: Number(movement.quantity) > 0 ? "IN" : "OUT",
+    branch: {
+      branch_uuid: movement.tbl_branches.branch_uuid,
+      branch_name: movement.tbl_branches.branch_name,
+    },
+    batch: movement.tbl_product_batches
+      ? {
+          batch_uuid: movement.tbl_product_batches.batch_uuid,
+          lot_number: movement.tbl_product_batches.lot_number,
+        }
+      : null,
+    reference_type: movement.reference_type,
+    reference_uuid: movement.reference_uuid,
+    notes: movement.notes,
+    movement_date: movement.movement_date,
+  };
+}
+
+/**
+ * Shape a serialized unit (with its history when loaded). For units no
+ * longer in stock the branch is where they were last.
+ */
+function formatSerial(serial) {
+  const formatted = {
+    serial_uuid: serial.serial_uuid,
+    serial_number: serial.serial_number,
+    status: serial.status,
+    product: {
+      product_uuid: serial.tbl_products.product_uuid,
+      sku: serial.tbl_products.sku,
+      product_name: serial.tbl_products.product_name,
+    },
+    branch: {
+      branch_uuid: serial.tbl_branches.branch_uuid,
+      branch_name: serial.tbl_branches.branch_name,
+    },
+    batch: serial.tbl_product_batches
+      ? {
+          batch_uuid: serial.tbl_product_batches.batch_uuid,
+          lot_number: serial.tbl_product_batches.lot_number,
+          expiry_date: serial.tbl_product_batches.expiry_date,
+        }
+      : null,
+    created_on: serial.created_on,
+    modified_on: serial.modified_on,
+  };
+
+  if (!serial.movement_serials) return formatted;
+
+  return {
+    ...formatted,
+    history: serial.movement_serials.map(formatHistoryEntry),
+  };
+}
+
+/** ------------------ SERIAL NUMBERS ------------------- **/
+
+/**
+ * List serialized units (filterable + paginated, by serial number)
+ */
+export async function listSerialsService({
+  tenantUuid,
+  productUuid,
+  branchUuid,
+  status,
+  search,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (status) where.status = status;
+  if (search) where.serial_number = { contains: search };
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  const [total, serials] = await Promise.all([
+    prisma.tbl_product_serials.count({ where }),
+    prisma.tbl_product_serials.findMany({
+      where,
+      include: serialInclude,
+      orderBy: { serial_number: "asc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    serials: serials.map(formatSerial),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Find a unit by its serial number and return its full history.
+ * Different products may use the same serial number, so every match is
+ * returned unless `productUuid` narrows it down.
+ */
+export async function lookupSerialService({
+  tenantUuid,
+  serialNumber,
+  productUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = {
+    tenant_id: tenant.tenant_id,
+    serial_number: serialNumber.trim(),
+  };
+
+  if (productUuid) {
+    const product = await findProductOrThrow(
+      prisma,
+      tenant.tenant_id,
+      productUuid
+    );
+    where.product_id = product.product_id;
+  }
+
+  const serials = await prisma.tbl_product_serials.findMany({
+    where,
+    include: { ...serialInclude, ...historyInclude },
+    orderBy: { serial_id: "asc" },
+  });
+
+  if (serials.length === 0) {
+    throw httpError(404, `Serial number ${serialNumber} not found`);
+  }
+
+  return {
+    serial_number: where.serial_number,
+    units: serials.map(formatSerial),
+  };
+}
+
+/**
+ * One unit with its full history
+ */
+export async function getSerialDetailsService({ tenantUuid, serialUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const serial = await prisma.tbl_product_serials.findFirst({
+    where: { tenant_id: tenant.tenant_id, serial_uuid: serialUuid },
+    include: { ...serialInclude, ...historyInclude },
+  });
+
+  if (!serial) throw httpError(404, "Serial number not found");
+
+  return formatSerial(serial);
+}
@@ -0,0 +1,101 @@
+// controllers/settings.controller.js
+
+import {
+  getInventorySettingsService,
+  updateInventorySettingsService,
+} from "./settings.service.js";
+import {
+  listDocumentSequencesService,
+  updateDocumentSequenceService,
+} from "./documentSequence.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/settings/:tenantUuid
+ */
+export const getInventorySettingsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const settings = await getInventorySettingsService({ tenantUuid });
+
+    return successResponse(
+      res,
+      "Inventory settings fetched successfully",
+      settings
+    );
+  } catch (error) {
+    console.error("❌ Get Inventory Settings Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/settings/:tenantUuid
+ */
+export const updateInventorySettingsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const settings = await updateInventorySettingsService({
+      tenantUuid,
+      updates: req.body,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Inventory settings updated successfully",
+      settings
+    );
+  } catch (error) {
+    console.error("❌ Update Inventory Settings Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/settings/:tenantUuid/sequences
+ */
+export const listDocumentSequencesController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const sequences = await listDocumentSequencesService({ tenantUuid });
+
+    return successResponse(
+      res,
+      "Document sequences fetched successfully",
+      sequences
+    );
+  } catch (error) {
+    console.error("❌ List Document Sequences Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/settings/:tenantUuid/sequences/:documentType
+ */
+export const updateDocumentSequenceController = async (req, res, next) => {
+  try {
+    const { tenantUuid, documentType } = req.params;
+
+    const sequence = await updateDocumentSequenceService({
+      tenantUuid,
+      documentType,
+      updates: req.body,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Document sequence updated successfully",
+      sequence
+    );
+  } catch (error) {
+    console.error("❌ Update Document Sequence Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,57 @@
+import { Router } from "express";
+import {
+  getInventorySettingsController,
+  listDocumentSequencesController,
+  updateDocumentSequenceController,
+  updateInventorySettingsController,
+} from "./settings.controller.js";
+import {
+  updateDocumentSequenceValidation,
+  updateInventorySettingsValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getInventorySettingsController
+);
+router.put(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateInventorySettingsValidation,
+  validateRequest,
+  updateInventorySettingsController
+);
+
+// --------------------------------------------------------
+// DOCUMENT SEQUENCES (invoice numbering)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/sequences",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listDocumentSequencesController
+);
+router.put(
+  "/:tenantUuid/sequences/:documentType",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateDocumentSequenceValidation,
+  validateRequest,
+  updateDocumentSequenceController
+);
+
+export default router;
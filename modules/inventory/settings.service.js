@@ -0,0 +1,111 @@
+// services/settings.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { findTenantOrThrow } from "./inventory.repository.js";
+
+// Used until a tenant saves its own settings
+export const DEFAULT_INVENTORY_SETTINGS = {
+  costing_method: "FIFO",
+  reservation_hold_hours: 24,
+  expiry_alert_days: 30,
+};
+
+/**
+ * Shape inventory settings for API responses (defaults when not saved yet)
+ */
+function formatSettings(settings) {
+  return {
+    costing_method:
+      settings?.costing_method ?? DEFAULT_INVENTORY_SETTINGS.costing_method,
+    reservation_hold_hours:
+      settings?.reservation_hold_hours ??
+      DEFAULT_INVENTORY_SETTINGS.reservation_hold_hours,
+    expiry_alert_days:
+      settings?.expiry_alert_days ??
+      DEFAULT_INVENTORY_SETTINGS.expiry_alert_days,
+    modified_on: settings?.modified_on ?? null,
+  };
+}
+
+/**
+ * Costing method of a tenant (FIFO | WEIGHTED_AVERAGE)
+ */
+export async function getCostingMethod(client, tenantId) {
+  const settings = await client.tbl_inventory_settings.findUnique({
+    where: { tenant_id: tenantId },
+    select: { costing_method: true },
+  });
+
+  return settings?.costing_method ?? DEFAULT_INVENTORY_SETTINGS.costing_method;
+}
+
+/**
+ * How long a new stock reservation is held before it expires (hours)
+ */
+export async function getReservationHoldHours(client, tenantId) {
+  const settings = await client.tbl_inventory_settings.findUnique({
+    where: { tenant_id: tenantId },
+    select: { reservation_hold_hours: true },
+  });
+
+  return (
+    settings?.reservation_hold_hours ??
+    DEFAULT_INVENTORY_SETTINGS.reservation_hold_hours
+  );
+}
+
+/**
+ * How many days ahead lots count as near expiry
+ */
+export async function getExpiryAlertDays(client, tenantId) {
+  const settings = await client.tbl_inventory_settings.findUnique({
+    where: { tenant_id: tenantId },
+    select: { expiry_alert_days: true },
+  });
+
+  return (
+    settings?.expiry_alert_days ?? DEFAULT_INVENTORY_SETTINGS.expiry_alert_days
+  );
+}
+
+/**
+ * Get inventory settings for a tenant
+ */
+export async function getInventorySettingsService({ tenantUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const settings = await prisma.tbl_inventory_settings.findUnique({
+    where: { tenant_id: tenant.tenant_id },
+  });
+
+  return formatSettings(settings);
+}
+
+/**
+ * Save inventory settings for a tenant.
+ *
+ * Valuation is replayed from the ledger, so a new costing method also
+ * applies to past periods in reports.
+ */
+export async function updateInventorySettingsService({
+  tenantUuid,
+  updates,
+  updated_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const data = {
+    costing_method: updates.costing_method,
+    reservation_hold_hours: updates.reservation_hold_hours,
+    expiry_alert_days: updates.expiry_alert_days,
+    updated_by,
+  };
+
+  const settings = await prisma.tbl_inventory_settings.upsert({
+    where: { tenant_id: tenant.tenant_id },
+    create: { tenant_id: tenant.tenant_id, ...data },
+    update: { ...data, modified_on: new Date() },
+  });
+
+  return formatSettings(settings);
+}
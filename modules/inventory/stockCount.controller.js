@@ -0,0 +1,203 @@
+// controllers/stockCount.controller.js
+
+import {
+  listStockCountsService,
+  getStockCountDetailsService,
+  createStockCountService,
+  recordCountItemsService,
+  submitStockCountService,
+  reopenStockCountService,
+  approveStockCountService,
+  cancelStockCountService,
+} from "./stockCount.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/counts/:tenantUuid
+ */
+export const listStockCountsController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { status, branchUuid, page, limit } = req.query;
+
+    const result = await listStockCountsService({
+      tenantUuid,
+      status,
+      branchUuid,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(
+      res,
+      "Stock counts fetched successfully",
+      result,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List Stock Counts Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/counts/:tenantUuid
+ */
+export const createStockCountController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { branch_uuid, scope, category_uuid, notes } = req.body;
+
+    const count = await createStockCountService({
+      tenantUuid,
+      branch_uuid,
+      scope,
+      category_uuid,
+      notes: notes?.trim() || null,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Stock count started successfully", count, 201);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(
+        res,
+        "Another stock count was started at the same time, please retry",
+        409
+      );
+    }
+    console.error("❌ Create Stock Count Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/counts/:tenantUuid/:countUuid
+ */
+export const getStockCountDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, countUuid } = req.params;
+    const { varianceOnly } = req.query;
+
+    const count = await getStockCountDetailsService({
+      tenantUuid,
+      countUuid,
+      varianceOnly: varianceOnly === "true",
+    });
+
+    return successResponse(
+      res,
+      "Stock count details fetched successfully",
+      count
+    );
+  } catch (error) {
+    console.error("❌ Get Stock Count Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/counts/:tenantUuid/:countUuid/items
+ */
+export const recordCountItemsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, countUuid } = req.params;
+
+    const count = await recordCountItemsService({
+      tenantUuid,
+      countUuid,
+      items: req.body.items,
+      counted_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Counts recorded successfully", count);
+  } catch (error) {
+    console.error("❌ Record Stock Count Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/counts/:tenantUuid/:countUuid/submit
+ */
+export const submitStockCountController = async (req, res, next) => {
+  try {
+    const { tenantUuid, countUuid } = req.params;
+
+    const count = await submitStockCountService({
+      tenantUuid,
+      countUuid,
+      submitted_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Stock count submitted for review", count);
+  } catch (error) {
+    console.error("❌ Submit Stock Count Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/counts/:tenantUuid/:countUuid/reopen
+ */
+export const reopenStockCountController = async (req, res, next) => {
+  try {
+    const { tenantUuid, countUuid } = req.params;
+
+    const count = await reopenStockCountService({
+      tenantUuid,
+      countUuid,
+      reopened_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Stock count reopened for recount", count);
+  } catch (error) {
+    console.error("❌ Reopen Stock Count Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/counts/:tenantUuid/:countUuid/approve
+ */
+export const approveStockCountController = async (req, res, next) => {
+  try {
+    const { tenantUuid, countUuid } = req.params;
+
+    const count = await approveStockCountService({
+      tenantUuid,
+      countUuid,
+      approved_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      "Stock count approved and adjustments posted",
+      count
+    );
+  } catch (error) {
+    console.error("❌ Approve Stock Count Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/counts/:tenantUuid/:countUuid/cancel
+ */
+export const cancelStockCountController = async (req, res, next) => {
+  try {
+    const { tenantUuid, countUuid } = req.params;
+
+    const count = await cancelStockCountService({
+      tenantUuid,
+      countUuid,
+      cancelled_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Stock count cancelled successfully", count);
+  } catch (error) {
+    console.error("❌ Cancel Stock Count Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,93 @@
+import { Router } from "express";
+import {
+  approveStockCountController,
+  cancelStockCountController,
+  createStockCountController,
+  getStockCountDetailsController,
+  listStockCountsController,
+  recordCountItemsController,
+  reopenStockCountController,
+  submitStockCountController,
+} from "./stockCount.controller.js";
+import {
+  createStockCountValidation,
+  listStockCountsValidation,
+  recordStockCountValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listStockCountsValidation,
+  validateRequest,
+  listStockCountsController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createStockCountValidation,
+  validateRequest,
+  createStockCountController
+);
+router.get(
+  "/:tenantUuid/:countUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getStockCountDetailsController
+);
+router.put(
+  "/:tenantUuid/:countUuid/items",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  recordStockCountValidation,
+  validateRequest,
+  recordCountItemsController
+);
+
+// --------------------------------------------------------
+// WORKFLOW: OPEN → SUBMITTED → APPROVED | CANCELLED
+// (approve/reopen need update permission on Inventory)
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/:countUuid/submit",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  submitStockCountController
+);
+router.post(
+  "/:tenantUuid/:countUuid/reopen",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  reopenStockCountController
+);
+router.post(
+  "/:tenantUuid/:countUuid/approve",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  approveStockCountController
+);
+router.post(
+  "/:tenantUuid/:countUuid/cancel",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  cancelStockCountController
+);
+
+export default router;
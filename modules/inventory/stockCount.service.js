@@ -0,0 +1,703 @@
+// services/stockCount.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { MENU_KEYS, PERMISSION_ACTIONS } from "../../constants/permissions.js";
+import { hasMenuPermissionService } from "../roles/roles.service.js";
+import {
+  assertSerialCount,
+  findBranchOrThrow,
+  findCategoryOrThrow,
+  findTenantOrThrow,
+  getOnHandByProduct,
+  nextDocumentNumber,
+  normalizeSerialNumbers,
+  postOutboundMovements,
+  postStockMovement,
+} from "./inventory.repository.js";
+import {
+  getCategoryAncestorIds,
+  getCategoryDescendantIds,
+} from "./category.service.js";
+import { toBaseUnit } from "./unit.service.js";
+
+const REFERENCE_TYPE = "STOCK_COUNT";
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const countInclude = {
+  tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+  tbl_product_categories: {
+    select: { category_uuid: true, category_name: true },
+  },
+};
+
+const countItemInclude = {
+  tbl_products: {
+    select: {
+      product_uuid: true,
+      sku: true,
+      product_name: true,
+      unit_of_measure: true,
+      is_serialized: true,
+    },
+  },
+  counted_serials: {
+    select: { serial_number: true },
+    orderBy: { serial_number: "asc" },
+  },
+};
+
+/**
+ * Shape a count line for API responses
+ */
+function formatCountItem(item) {
+  const variance = item.variance !== null ? Number(item.variance) : null;
+
+  return {
+    count_item_uuid: item.count_item_uuid,
+    product: {
+      product_uuid: item.tbl_products.product_uuid,
+      sku: item.tbl_products.sku,
+      product_name: item.tbl_products.product_name,
+      unit_of_measure: item.tbl_products.unit_of_measure,
+    },
+    system_quantity: Number(item.system_quantity),
+    counted_quantity:
+      item.counted_quantity !== null ? Number(item.counted_quantity) : null,
+    variance,
+    variance_value:
+      variance !== null ? round(variance * Number(item.unit_cost), 2) : null,
+    serial_numbers: item.tbl_products.is_serialized
+      ? item.counted_serials.map((s) => s.serial_number)
+      : null,
+    notes: item.notes,
+    counted_on: item.counted_on,
+  };
+}
+
+/**
+ * Shape a count session (optionally with lines + variance summary)
+ */
+function formatCount(count, items = null) {
+  const formatted = {
+    count_uuid: count.count_uuid,
+    count_number: count.count_number,
+    status: count.status,
+    scope: count.scope,
+    branch: {
+      branch_uuid: count.tbl_branches.branch_uuid,
+      branch_name: count.tbl_branches.branch_name,
+    },
+    category: count.tbl_product_categories
+      ? {
+          category_uuid: count.tbl_product_categories.category_uuid,
+          category_name: count.tbl_product_categories.category_name,
+        }
+      : null,
+    notes: count.notes,
+    submitted_on: count.submitted_on,
+    approved_on: count.approved_on,
+    cancelled_on: count.cancelled_on,
+    created_on: count.created_on,
+    modified_on: count.modified_on,
+  };
+
+  if (!items) return formatted;
+
+  const lines = items.map(formatCountItem);
+  const counted = lines.filter((l) => l.counted_quantity !== null);
+  const withVariance = counted.filter((l) => l.variance !== 0);
+
+  return {
+    ...formatted,
+    summary: {
+      total_items: lines.length,
+      counted_items: counted.length,
+      uncounted_items: lines.length - counted.length,
+      items_with_variance: withVariance.length,
+      net_variance_value: round(
+        withVariance.reduce((sum, l) => sum + l.variance_value, 0),
+        2
+      ),
+    },
+    items: lines,
+  };
+}
+
+async function findCountOrThrow(client, tenantId, countUuid) {
+  const count = await client.tbl_stock_counts.findFirst({
+    where: { tenant_id: tenantId, count_uuid: countUuid },
+    include: countInclude,
+  });
+
+  if (!count) throw httpError(404, "Stock count not found");
+
+  return count;
+}
+
+/**
+ * Move a count on only if it is still in one of `from`; a concurrent
+ * submit, approve or cancel turns this into a 409, not an overwrite
+ */
+async function claimCountStatus(client, count, from, data) {
+  const claimed = await client.tbl_stock_counts.updateMany({
+    where: { count_id: count.count_id, status: { in: from } },
+    data: { ...data, modified_on: new Date() },
+  });
+
+  if (claimed.count === 0) {
+    throw httpError(
+      409,
+      "Stock count was changed at the same time, please reload"
+    );
+  }
+
+  return client.tbl_stock_counts.findUnique({
+    where: { count_id: count.count_id },
+    include: countInclude,
+  });
+}
+
+async function loadCountItems(client, countId, { varianceOnly = false } = {}) {
+  return client.tbl_stock_count_items.findMany({
+    where: {
+      count_id: countId,
+      ...(varianceOnly && { variance: { not: 0 } }),
+    },
+    include: countItemInclude,
+    orderBy: { tbl_products: { product_name: "asc" } },
+  });
+}
+
+/**
+ * Only users with update permission on the inventory menu may approve
+ */
+async function assertCanApprove(tenantUserId, branchId) {
+  const allowed = await hasMenuPermissionService({
+    tenantUserId,
+    branchId,
+    menuKey: MENU_KEYS.INVENTORY,
+    action: PERMISSION_ACTIONS.UPDATE,
+  });
+
+  if (!allowed) {
+    throw httpError(
+      403,
+      "You need update permission on Inventory to approve stock counts"
+    );
+  }
+}
+
+/**
+ * Post the difference between the serials in stock at the branch and the
+ * serials scanned on a count line
+ */
+async function reconcileCountedSerials(tx, { base, line }) {
+  const inStock = await tx.tbl_product_serials.findMany({
+    where: {
+      product_id: base.productId,
+      branch_id: base.branchId,
+      status: "IN_STOCK",
+    },
+    select: { serial_number: true },
+  });
+
+  const scanned = new Set(line.counted_serials.map((s) => s.serial_number));
+  const stocked = new Set(inStock.map((s) => s.serial_number));
+
+  const missing = [...stocked].filter((s) => !scanned.has(s));
+  const found = [...scanned].filter((s) => !stocked.has(s));
+
+  if (missing.length > 0) {
+    await postOutboundMovements(tx, {
+      ...base,
+      quantity: missing.length,
+      serials: missing,
+      honourReservations: false,
+    });
+  }
+  if (found.length > 0) {
+    await postStockMovement(tx, {
+      ...base,
+      quantity: found.length,
+      serials: found,
+    });
+  }
+}
+
+/** ------------------ COUNT SESSIONS ------------------- **/
+
+/**
+ * List count sessions for a tenant (filterable + paginated, newest first)
+ */
+export async function listStockCountsService({
+  tenantUuid,
+  branchUuid,
+  status,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (status) where.status = status;
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.branch_id = branch.branch_id;
+  }
+
+  const [total, counts] = await Promise.all([
+    prisma.tbl_stock_counts.count({ where }),
+    prisma.tbl_stock_counts.findMany({
+      where,
+      include: { ...countInclude, _count: { select: { items: true } } },
+      orderBy: { count_id: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    counts: counts.map((c) => ({
+      ...formatCount(c),
+      item_count: c._count.items,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get a count session with its lines and variance summary
+ */
+export async function getStockCountDetailsService({
+  tenantUuid,
+  countUuid,
+  varianceOnly = false,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const count = await findCountOrThrow(prisma, tenant.tenant_id, countUuid);
+  const items = await loadCountItems(prisma, count.count_id, { varianceOnly });
+
+  return formatCount(count, items);
+}
+
+/**
+ * Open a count session for a branch.
+ *
+ * FULL counts cover every active product plus anything still in stock;
+ * CATEGORY counts cover the products of one category and its
+ * sub-categories.
+ */
+export async function createStockCountService({
+  tenantUuid,
+  branch_uuid,
+  scope = "FULL",
+  category_uuid = null,
+  notes = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = await findBranchOrThrow(prisma, tenant.tenant_id, branch_uuid);
+
+  let category = null;
+  let categoryIds = [];
+  let overlappingCategoryIds = [];
+  if (scope === "CATEGORY") {
+    if (!category_uuid) {
+      throw httpError(400, "Category is required for a category count");
+    }
+    category = await findCategoryOrThrow(
+      prisma,
+      tenant.tenant_id,
+      category_uuid
+    );
+    categoryIds = await getCategoryDescendantIds(
+      prisma,
+      tenant.tenant_id,
+      category.category_id
+    );
+    // A count on a parent or child category covers the same products
+    overlappingCategoryIds = [
+      ...categoryIds,
+      ...(await getCategoryAncestorIds(prisma, category)),
+    ];
+  }
+
+  // One open session per branch and scope keeps counts from overlapping
+  const overlapping = await prisma.tbl_stock_counts.findFirst({
+    where: {
+      tenant_id: tenant.tenant_id,
+      branch_id: branch.branch_id,
+      status: { in: ["OPEN", "SUBMITTED"] },
+      OR: [
+        { scope: "FULL" },
+        ...(category ? [{ category_id: { in: overlappingCategoryIds } }] : []),
+        ...(scope === "FULL" ? [{ scope: "CATEGORY" }] : []),
+      ],
+    },
+    select: { count_number: true },
+  });
+
+  if (overlapping) {
+    throw httpError(
+      409,
+      `Count ${overlapping.count_number} is still in progress at this branch`
+    );
+  }
+
+  const onHand = await getOnHandByProduct(prisma, {
+    branchId: branch.branch_id,
+  });
+
+  const stockedIds = [...onHand.entries()]
+    .filter(([, qty]) => qty !== 0)
+    .map(([productId]) => productId);
+
+  const products = await prisma.tbl_products.findMany({
+    where: {
+      tenant_id: tenant.tenant_id,
+      has_variants: false,
+      ...(category && { category_id: { in: categoryIds } }),
+      OR: [{ status: "ACTIVE" }, { product_id: { in: stockedIds } }],
+    },
+    select: { product_id: true, cost_price: true },
+  });
+
+  if (products.length === 0) {
+    throw httpError(400, "No products to count for this scope");
+  }
+
+  const count = await prisma.$transaction(async (tx) => {
+    const countNumber = await nextDocumentNumber(tx, {
+      model: "tbl_stock_counts",
+      field: "count_number",
+      tenantId: tenant.tenant_id,
+      prefix: "SC",
+    });
+
+    return tx.tbl_stock_counts.create({
+      data: {
+        count_uuid: generateShortUUID(),
+        tenant_id: tenant.tenant_id,
+        branch_id: branch.branch_id,
+        count_number: countNumber,
+        scope,
+        category_id: category?.category_id ?? null,
+        notes,
+        created_by,
+        items: {
+          create: products.map((p) => ({
+            count_item_uuid: generateShortUUID(),
+            product_id: p.product_id,
+            system_quantity: onHand.get(p.product_id) || 0,
+            unit_cost: p.cost_price,
+          })),
+        },
+      },
+      include: countInclude,
+    });
+  });
+
+  const items = await loadCountItems(prisma, count.count_id);
+
+  return formatCount(count, items);
+}
+
+/**
+ * Record counted quantities on an OPEN session.
+ * The system quantity is refreshed from the ledger at the time of counting,
+ * so the variance reflects movements that happened while the count ran.
+ * Serialized products also list the serial numbers found on the shelf.
+ */
+export async function recordCountItemsService({
+  tenantUuid,
+  countUuid,
+  items,
+  counted_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const count = await findCountOrThrow(prisma, tenant.tenant_id, countUuid);
+
+  if (count.status !== "OPEN") {
+    throw httpError(409, `Cannot record counts on a ${count.status} count`);
+  }
+
+  const lines = await prisma.tbl_stock_count_items.findMany({
+    where: { count_id: count.count_id },
+    include: {
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          unit_of_measure: true,
+          is_serialized: true,
+        },
+      },
+    },
+  });
+  const lineMap = new Map(lines.map((l) => [l.tbl_products.product_uuid, l]));
+
+  const updates = [];
+  for (const entry of items) {
+    const line = lineMap.get(entry.product_uuid);
+    if (!line) {
+      throw httpError(
+        404,
+        `Product ${entry.product_uuid} is not part of this count`
+      );
+    }
+
+    // Counts may be taken in any unit of the product (e.g. full cases)
+    const counted =
+      entry.counted_quantity !== null
+        ? (
+            await toBaseUnit(
+              prisma,
+              { ...line.tbl_products, product_id: line.product_id },
+              { quantity: entry.counted_quantity, unit: entry.unit }
+            )
+          ).quantity
+        : null;
+
+    const serials =
+      counted !== null ? normalizeSerialNumbers(entry.serial_numbers) : null;
+    if (counted !== null) {
+      assertSerialCount(line.tbl_products, counted, serials);
+    }
+
+    updates.push({ line, entry, counted, serials });
+  }
+
+  const onHand = await getOnHandByProduct(prisma, {
+    branchId: count.branch_id,
+    productIds: updates.map((u) => u.line.product_id),
+  });
+
+  await prisma.$transaction(
+    // A null count clears the line so the product can be recounted
+    updates.flatMap(({ line, entry, counted, serials }) => {
+      const system = onHand.get(line.product_id) || 0;
+
+      return [
+        prisma.tbl_stock_count_items.update({
+          where: { count_item_id: line.count_item_id },
+          data: {
+            system_quantity: system,
+            counted_quantity: counted,
+            variance: counted !== null ? round(counted - system, 3) : null,
+            notes: entry.notes ?? line.notes,
+            counted_by: counted !== null ? counted_by : null,
+            counted_on: counted !== null ? new Date() : null,
+          },
+        }),
+        prisma.tbl_stock_count_serials.deleteMany({
+          where: { count_item_id: line.count_item_id },
+        }),
+        prisma.tbl_stock_count_serials.createMany({
+          data: (serials || []).map((serial) => ({
+            count_item_id: line.count_item_id,
+            serial_number: serial,
+          })),
+        }),
+      ];
+    })
+  );
+
+  await prisma.tbl_stock_counts.update({
+    where: { count_id: count.count_id },
+    data: { modified_on: new Date() },
+  });
+
+  const refreshed = await loadCountItems(prisma, count.count_id);
+
+  return formatCount(count, refreshed);
+}
+
+/**
+ * Send an OPEN count for variance review (OPEN → SUBMITTED)
+ */
+export async function submitStockCountService({
+  tenantUuid,
+  countUuid,
+  submitted_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const count = await findCountOrThrow(prisma, tenant.tenant_id, countUuid);
+
+  if (count.status !== "OPEN") {
+    throw httpError(409, `Cannot submit a ${count.status} count`);
+  }
+
+  const countedItems = await prisma.tbl_stock_count_items.count({
+    where: { count_id: count.count_id, counted_quantity: { not: null } },
+  });
+
+  if (countedItems === 0) {
+    throw httpError(400, "Record at least one counted quantity first");
+  }
+
+  const updated = await claimCountStatus(prisma, count, ["OPEN"], {
+    status: "SUBMITTED",
+    submitted_by,
+    submitted_on: new Date(),
+  });
+
+  const items = await loadCountItems(prisma, count.count_id);
+
+  return formatCount(updated, items);
+}
+
+/**
+ * Send a SUBMITTED count back for recounting (SUBMITTED → OPEN)
+ */
+export async function reopenStockCountService({
+  tenantUuid,
+  countUuid,
+  reopened_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const count = await findCountOrThrow(prisma, tenant.tenant_id, countUuid);
+
+  if (count.status !== "SUBMITTED") {
+    throw httpError(409, `Cannot reopen a ${count.status} count`);
+  }
+
+  await assertCanApprove(reopened_by, count.branch_id);
+
+  const updated = await claimCountStatus(prisma, count, ["SUBMITTED"], {
+    status: "OPEN",
+    submitted_by: null,
+    submitted_on: null,
+  });
+
+  const items = await loadCountItems(prisma, count.count_id);
+
+  return formatCount(updated, items);
+}
+
+/**
+ * Approve a SUBMITTED count and post an ADJUSTMENT for every variance.
+ * Uncounted lines are left untouched.
+ *
+ * Serialized products are reconciled unit by unit: serials in stock but not
+ * scanned are written out, scanned serials not in stock are brought in, so
+ * a swapped unit is corrected even when the quantities match.
+ */
+export async function approveStockCountService({
+  tenantUuid,
+  countUuid,
+  approved_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const count = await findCountOrThrow(prisma, tenant.tenant_id, countUuid);
+
+  if (count.status !== "SUBMITTED") {
+    throw httpError(409, `Cannot approve a ${count.status} count`);
+  }
+
+  await assertCanApprove(approved_by, count.branch_id);
+
+  // Posting needs an active branch owned by the tenant
+  await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    count.tbl_branches.branch_uuid
+  );
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Claim first so a double-clicked approve cannot post variances twice
+    const approved = await claimCountStatus(tx, count, ["SUBMITTED"], {
+      status: "APPROVED",
+      approved_by,
+      approved_on: new Date(),
+    });
+
+    const variances = await tx.tbl_stock_count_items.findMany({
+      where: {
+        count_id: count.count_id,
+        counted_quantity: { not: null },
+        OR: [
+          { variance: { not: 0 } },
+          { tbl_products: { is_serialized: true } },
+        ],
+      },
+      include: {
+        tbl_products: { select: { is_serialized: true } },
+        counted_serials: { select: { serial_number: true } },
+      },
+    });
+
+    for (const line of variances) {
+      const variance = Number(line.variance);
+      const base = {
+        tenantId: tenant.tenant_id,
+        productId: line.product_id,
+        branchId: count.branch_id,
+        movementType: "ADJUSTMENT",
+        referenceType: REFERENCE_TYPE,
+        referenceUuid: count.count_uuid,
+        notes: `Stock count ${count.count_number}`,
+        createdBy: approved_by,
+      };
+
+      if (line.tbl_products.is_serialized) {
+        await reconcileCountedSerials(tx, { base, line });
+        continue;
+      }
+
+      if (variance > 0) {
+        await postStockMovement(tx, { ...base, quantity: variance });
+      } else {
+        // The count is the physical truth, so reservations cannot block it
+        await postOutboundMovements(tx, {
+          ...base,
+          quantity: -variance,
+          honourReservations: false,
+        });
+      }
+    }
+
+    return approved;
+  });
+
+  const items = await loadCountItems(prisma, count.count_id);
+
+  return formatCount(updated, items);
+}
+
+/**
+ * Cancel a count that has not been approved
+ */
+export async function cancelStockCountService({
+  tenantUuid,
+  countUuid,
+  cancelled_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const count = await findCountOrThrow(prisma, tenant.tenant_id, countUuid);
+
+  if (!["OPEN", "SUBMITTED"].includes(count.status)) {
+    throw httpError(409, `Cannot cancel a ${count.status} count`);
+  }
+
+  const updated = await claimCountStatus(prisma, count, ["OPEN", "SUBMITTED"], {
+    status: "CANCELLED",
+    cancelled_by,
+    cancelled_on: new Date(),
+  });
+
+  return formatCount(updated);
+}
@@ -0,0 +1,113 @@
+// controllers/supplier.controller.js
+
+import {
+  listSuppliersService,
+  getSupplierDetailsService,
+  createSupplierService,
+  updateSupplierService,
+  deleteSupplierService,
+} from "./supplier.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/suppliers/:tenantUuid
+ */
+export const listSuppliersController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { search, status, page, limit } = req.query;
+
+    const result = await listSuppliersService({
+      tenantUuid,
+      search: search?.trim() || undefined,
+      status: status !== undefined ? status === "true" : undefined,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Suppliers fetched successfully", result, 200);
+  } catch (error) {
+    console.error("❌ List Suppliers Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/suppliers/:tenantUuid
+ */
+export const createSupplierController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+
+    const supplier = await createSupplierService({
+      tenantUuid,
+      ...req.body,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Supplier created successfully", supplier, 201);
+  } catch (error) {
+    console.error("❌ Create Supplier Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/suppliers/:tenantUuid/:supplierUuid
+ */
+export const getSupplierDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, supplierUuid } = req.params;
+
+    const supplier = await getSupplierDetailsService({
+      tenantUuid,
+      supplierUuid,
+    });
+
+    return successResponse(
+      res,
+      "Supplier details fetched successfully",
+      supplier
+    );
+  } catch (error) {
+    console.error("❌ Get Supplier Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/suppliers/:tenantUuid/:supplierUuid
+ */
+export const updateSupplierController = async (req, res, next) => {
+  try {
+    const { tenantUuid, supplierUuid } = req.params;
+
+    const supplier = await updateSupplierService({
+      tenantUuid,
+      supplierUuid,
+      updates: req.body,
+    });
+
+    return successResponse(res, "Supplier updated successfully", supplier);
+  } catch (error) {
+    console.error("❌ Update Supplier Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/inventory/suppliers/:tenantUuid/:supplierUuid
+ */
+export const deleteSupplierController = async (req, res, next) => {
+  try {
+    const { tenantUuid, supplierUuid } = req.params;
+
+    const result = await deleteSupplierService({ tenantUuid, supplierUuid });
+
+    return successResponse(res, "Supplier deleted successfully", result);
+  } catch (error) {
+    console.error("❌ Delete Supplier Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,65 @@
+import { Router } from "express";
+import {
+  createSupplierController,
+  deleteSupplierController,
+  getSupplierDetailsController,
+  listSuppliersController,
+  updateSupplierController,
+} from "./supplier.controller.js";
+import {
+  createSupplierValidation,
+  listSuppliersValidation,
+  updateSupplierValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listSuppliersValidation,
+  validateRequest,
+  listSuppliersController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createSupplierValidation,
+  validateRequest,
+  createSupplierController
+);
+
+router.get(
+  "/:tenantUuid/:supplierUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getSupplierDetailsController
+);
+router.put(
+  "/:tenantUuid/:supplierUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateSupplierValidation,
+  validateRequest,
+  updateSupplierController
+);
+router.delete(
+  "/:tenantUuid/:supplierUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  deleteSupplierController
+);
+
+export default router;
@@ -0,0 +1,230 @@
+// services/supplier.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { findTenantOrThrow } from "./inventory.repository.js";
+
+/**
+ * Shape a supplier row for API responses
+ */
+export function formatSupplier(supplier) {
+  return {
+    supplier_uuid: supplier.supplier_uuid,
+    supplier_name: supplier.supplier_name,
+    contact_name: supplier.contact_name,
+    email: supplier.email,
+    phone: supplier.phone,
+    address: supplier.address,
+    tax_number: supplier.tax_number,
+    payment_terms_days: supplier.payment_terms_days,
+    status: supplier.status,
+    created_on: supplier.created_on,
+    modified_on: supplier.modified_on,
+  };
+}
+
+/**
+ * Resolve a supplier that belongs to the tenant
+ */
+export async function findSupplierOrThrow(client, tenantId, supplierUuid) {
+  const supplier = await client.tbl_suppliers.findFirst({
+    where: { tenant_id: tenantId, supplier_uuid: supplierUuid },
+  });
+
+  if (!supplier) throw httpError(404, "Supplier not found");
+
+  return supplier;
+}
+
+/**
+ * List suppliers for a tenant (filterable + paginated)
+ */
+export async function listSuppliersService({
+  tenantUuid,
+  search,
+  status,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (status !== undefined) where.status = status;
+
+  if (search) {
+    where.OR = [
+      { supplier_name: { contains: search } },
+      { contact_name: { contains: search } },
+      { email: { contains: search } },
+    ];
+  }
+
+  const [total, suppliers] = await Promise.all([
+    prisma.tbl_suppliers.count({ where }),
+    prisma.tbl_suppliers.findMany({
+      where,
+      orderBy: { supplier_name: "asc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    suppliers: suppliers.map(formatSupplier),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get supplier details
+ */
+export async function getSupplierDetailsService({ tenantUuid, supplierUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const supplier = await findSupplierOrThrow(
+    prisma,
+    tenant.tenant_id,
+    supplierUuid
+  );
+
+  const openOrders = await prisma.tbl_purchase_orders.count({
+    where: {
+      supplier_id: supplier.supplier_id,
+      status: { in: ["ORDERED", "PARTIALLY_RECEIVED"] },
+    },
+  });
+
+  return { ...formatSupplier(supplier), open_purchase_orders: openOrders };
+}
+
+/**
+ * Create a supplier
+ */
+export async function createSupplierService({
+  tenantUuid,
+  supplier_name,
+  contact_name = null,
+  email = null,
+  phone = null,
+  address = null,
+  tax_number = null,
+  payment_terms_days = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const existing = await prisma.tbl_suppliers.findFirst({
+    where: { tenant_id: tenant.tenant_id, supplier_name },
+    select: { supplier_id: true },
+  });
+
+  if (existing) {
+    throw httpError(409, `Supplier "${supplier_name}" already exists`);
+  }
+
+  const supplier = await prisma.tbl_suppliers.create({
+    data: {
+      supplier_uuid: generateShortUUID(),
+      tenant_id: tenant.tenant_id,
+      supplier_name,
+      contact_name,
+      email,
+      phone,
+      address,
+      tax_number,
+      payment_terms_days,
+      created_by,
+    },
+  });
+
+  return formatSupplier(supplier);
+}
+
+/**
+ * Update a supplier
+ */
+export async function updateSupplierService({
+  tenantUuid,
+  supplierUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const supplier = await findSupplierOrThrow(
+    prisma,
+    tenant.tenant_id,
+    supplierUuid
+  );
+
+  if (
+    updates.supplier_name &&
+    updates.supplier_name !== supplier.supplier_name
+  ) {
+    const duplicate = await prisma.tbl_suppliers.findFirst({
+      where: {
+        tenant_id: tenant.tenant_id,
+        supplier_name: updates.supplier_name,
+        NOT: { supplier_id: supplier.supplier_id },
+      },
+      select: { supplier_id: true },
+    });
+
+    if (duplicate) {
+      throw httpError(
+        409,
+        `Supplier "${updates.supplier_name}" already exists`
+      );
+    }
+  }
+
+  const updated = await prisma.tbl_suppliers.update({
+    where: { supplier_id: supplier.supplier_id },
+    data: {
+      supplier_name: updates.supplier_name,
+      contact_name: updates.contact_name,
+      email: updates.email,
+      phone: updates.phone,
+      address: updates.address,
+      tax_number: updates.tax_number,
+      payment_terms_days: updates.payment_terms_days,
+      status: updates.status,
+      modified_on: new Date(),
+    },
+  });
+
+  return formatSupplier(updated);
+}
+
+/**
+ * Delete a supplier (only when no purchase order references it)
+ */
+export async function deleteSupplierService({ tenantUuid, supplierUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const supplier = await findSupplierOrThrow(
+    prisma,
+    tenant.tenant_id,
+    supplierUuid
+  );
+
+  const orderCount = await prisma.tbl_purchase_orders.count({
+    where: { supplier_id: supplier.supplier_id },
+  });
+
+  if (orderCount > 0) {
+    throw httpError(
+      409,
+      "Supplier has purchase orders and cannot be deleted. Deactivate it instead."
+    );
+  }
+
+  await prisma.tbl_suppliers.delete({
+    where: { supplier_id: supplier.supplier_id },
+  });
+
+  return { supplier_uuid: supplierUuid, deleted: true };
+}
@@ -0,0 +1,90 @@
+// services/tag.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import { findTenantOrThrow } from "./inventory.repository.js";
+
+export const MAX_TAGS_PER_PRODUCT = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Tags are free text, compared case-insensitively: trimmed, lower-cased,
+ * duplicates dropped
+ */
+export function normalizeTags(tags) {
+  const normalized = [
+    ...new Set(
+      tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)
+    ),
+  ];
+
+  if (normalized.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw httpError(400, `Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  if (normalized.length > MAX_TAGS_PER_PRODUCT) {
+    throw httpError(
+      400,
+      `A product can have at most ${MAX_TAGS_PER_PRODUCT} tags`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Replace the tags of a product, creating tags the tenant does not have yet
+ */
+export async function syncProductTags(client, tenantId, productId, tags) {
+  const names = normalizeTags(tags);
+
+  const tagIds = [];
+  for (const tag_name of names) {
+    const tag = await client.tbl_product_tags.upsert({
+      where: { tenant_id_tag_name: { tenant_id: tenantId, tag_name } },
+      update: {},
+      create: {
+        tag_uuid: generateShortUUID(),
+        tenant_id: tenantId,
+        tag_name,
+      },
+      select: { tag_id: true },
+    });
+    tagIds.push(tag.tag_id);
+  }
+
+  await client.tbl_product_tag_links.deleteMany({
+    where: { product_id: productId },
+  });
+
+  if (tagIds.length > 0) {
+    await client.tbl_product_tag_links.createMany({
+      data: tagIds.map((tag_id) => ({ product_id: productId, tag_id })),
+    });
+  }
+}
+
+/** ------------------ TAGS ------------------- **/
+
+/**
+ * Tags in use for a tenant with their product counts (optionally by prefix)
+ */
+export async function listTagsService({ tenantUuid, search }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const tags = await prisma.tbl_product_tags.findMany({
+    where: {
+      tenant_id: tenant.tenant_id,
+      ...(search && { tag_name: { startsWith: search.toLowerCase() } }),
+    },
+    include: { _count: { select: { tag_links: true } } },
+    orderBy: { tag_name: "asc" },
+  });
+
+  return tags.map((tag) => ({
+    tag_uuid: tag.tag_uuid,
+    tag_name: tag.tag_name,
+    product_count: tag._count.tag_links,
+    created_on: tag.created_on,
+  }));
+}
@@ -0,0 +1,192 @@
+// controllers/transfer.controller.js
+
+import {
+  listTransfersService,
+  getTransferDetailsService,
+  createTransferService,
+  updateTransferService,
+  dispatchTransferService,
+  receiveTransferService,
+  cancelTransferService,
+  listInTransitService,
+} from "./transfer.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/transfers/:tenantUuid
+ */
+export const listTransfersController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { status, branchUuid, page, limit } = req.query;
+
+    const result = await listTransfersService({
+      tenantUuid,
+      status,
+      branchUuid,
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 50,
+    });
+
+    return successResponse(res, "Transfers fetched successfully", result, 200);
+  } catch (error) {
+    console.error("❌ List Transfers Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/transfers/:tenantUuid/in-transit
+ */
+export const listInTransitController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { branchUuid } = req.query;
+
+    const items = await listInTransitService({ tenantUuid, branchUuid });
+
+    return successResponse(
+      res,
+      "In-transit stock fetched successfully",
+      items,
+      200
+    );
+  } catch (error) {
+    console.error("❌ List In-Transit Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/transfers/:tenantUuid
+ */
+export const createTransferController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { from_branch_uuid, to_branch_uuid, notes, items } = req.body;
+
+    const transfer = await createTransferService({
+      tenantUuid,
+      from_branch_uuid,
+      to_branch_uuid,
+      notes: notes?.trim() || null,
+      items,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Transfer created successfully", transfer, 201);
+  } catch (error) {
+    console.error("❌ Create Transfer Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/transfers/:tenantUuid/:transferUuid
+ */
+export const getTransferDetailsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, transferUuid } = req.params;
+
+    const transfer = await getTransferDetailsService({
+      tenantUuid,
+      transferUuid,
+    });
+
+    return successResponse(
+      res,
+      "Transfer details fetched successfully",
+      transfer
+    );
+  } catch (error) {
+    console.error("❌ Get Transfer Details Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/transfers/:tenantUuid/:transferUuid
+ */
+export const updateTransferController = async (req, res, next) => {
+  try {
+    const { tenantUuid, transferUuid } = req.params;
+
+    const transfer = await updateTransferService({
+      tenantUuid,
+      transferUuid,
+      updates: req.body,
+    });
+
+    return successResponse(res, "Transfer updated successfully", transfer);
+  } catch (error) {
+    console.error("❌ Update Transfer Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/transfers/:tenantUuid/:transferUuid/dispatch
+ */
+export const dispatchTransferController = async (req, res, next) => {
+  try {
+    const { tenantUuid, transferUuid } = req.params;
+
+    const { items } = req.body;
+
+    const transfer = await dispatchTransferService({
+      tenantUuid,
+      transferUuid,
+      items: items?.length ? items : null,
+      dispatched_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Transfer dispatched successfully", transfer);
+  } catch (error) {
+    console.error("❌ Dispatch Transfer Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/transfers/:tenantUuid/:transferUuid/receive
+ */
+export const receiveTransferController = async (req, res, next) => {
+  try {
+    const { tenantUuid, transferUuid } = req.params;
+    const { items, close } = req.body;
+
+    const transfer = await receiveTransferService({
+      tenantUuid,
+      transferUuid,
+      items: items?.length ? items : null,
+      close: close === true,
+      received_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Transfer received successfully", transfer);
+  } catch (error) {
+    console.error("❌ Receive Transfer Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/transfers/:tenantUuid/:transferUuid/cancel
+ */
+export const cancelTransferController = async (req, res, next) => {
+  try {
+    const { tenantUuid, transferUuid } = req.params;
+
+    const transfer = await cancelTransferService({
+      tenantUuid,
+      transferUuid,
+      cancelled_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Transfer cancelled successfully", transfer);
+  } catch (error) {
+    console.error("❌ Cancel Transfer Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,103 @@
+import { Router } from "express";
+import {
+  cancelTransferController,
+  createTransferController,
+  dispatchTransferController,
+  getTransferDetailsController,
+  listInTransitController,
+  listTransfersController,
+  receiveTransferController,
+  updateTransferController,
+} from "./transfer.controller.js";
+import {
+  createTransferValidation,
+  dispatchTransferValidation,
+  listTransfersValidation,
+  receiveTransferValidation,
+  updateTransferValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listTransfersValidation,
+  validateRequest,
+  listTransfersController
+);
+router.post(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  createTransferValidation,
+  validateRequest,
+  createTransferController
+);
+
+// --------------------------------------------------------
+// IN TRANSIT (declared before /:transferUuid)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/in-transit",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  listInTransitController
+);
+
+router.get(
+  "/:tenantUuid/:transferUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  getTransferDetailsController
+);
+router.put(
+  "/:tenantUuid/:transferUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  updateTransferValidation,
+  validateRequest,
+  updateTransferController
+);
+
+// --------------------------------------------------------
+// WORKFLOW: DRAFT → DISPATCHED → RECEIVED | CANCELLED
+// --------------------------------------------------------
+router.post(
+  "/:tenantUuid/:transferUuid/dispatch",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  dispatchTransferValidation,
+  validateRequest,
+  dispatchTransferController
+);
+router.post(
+  "/:tenantUuid/:transferUuid/receive",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  receiveTransferValidation,
+  validateRequest,
+  receiveTransferController
+);
+router.post(
+  "/:tenantUuid/:transferUuid/cancel",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  cancelTransferController
+);
+
+export default router;
@@ -0,0 +1,891 @@
+// services/transfer.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  assertBatchNotExpired,
+  findBranchOrThrow,
+  findStockProductOrThrow,
+  findTenantOrThrow,
+  postOutboundMovements,
+  postStockMovement,
+  resolveInboundBatch,
+} from "./inventory.repository.js";
+import { toBaseUnit } from "./unit.service.js";
+import { getOutboundUnitCost } from "./valuation.service.js";
+
+const REFERENCE_TYPE = "TRANSFER";
+
+// Statuses in which dispatched stock can still be on its way
+const OPEN_STATUSES = ["DISPATCHED", "PARTIALLY_RECEIVED"];
+
+const transferInclude = {
+  fromBranch: { select: { branch_uuid: true, branch_name: true } },
+  toBranch: { select: { branch_uuid: true, branch_name: true } },
+  items: {
+    include: {
+      tbl_products: {
+        select: {
+          product_uuid: true,
+          sku: true,
+          product_name: true,
+          unit_of_measure: true,
+          is_serialized: true,
+        },
+      },
+      tbl_product_batches: {
+        select: { batch_uuid: true, lot_number: true, expiry_date: true },
+      },
+    },
+    orderBy: { item_id: "asc" },
+  },
+};
+
+/**
+ * Quantity that left the source branch but has not arrived yet
+ */
+function getInTransitQuantity(item) {
+  return Number(
+    (Number(item.dispatched_quantity) - Number(item.received_quantity)).toFixed(
+      3
+    )
+  );
+}
+
+/**
+ * Serial numbers of a line that left the source branch and have not
+ * arrived anywhere yet
+ */
+async function getInTransitSerials(client, transfer, item) {
+  const units = await client.tbl_product_serials.findMany({
+    where: {
+      product_id: item.product_id,
+      status: "IN_TRANSIT",
+      movement_serials: {
+        some: {
+          movement: {
+            movement_type: "TRANSFER_OUT",
+            reference_type: REFERENCE_TYPE,
+            reference_uuid: transfer.transfer_uuid,
+            batch_id: item.batch_id,
+          },
+        },
+      },
+    },
+    select: { serial_number: true },
+    orderBy: { serial_number: "asc" },
+  });
+
+  return units.map((u) => u.serial_number);
+}
+
+/**
+ * Serial numbers to bring in for a line of a serialized product: the ones
+ * given (which must be in transit on this line), or everything still in
+ * transit when the whole line arrives
+ */
+async function resolveInboundTransferSerials(
+  client,
+  transfer,
+  item,
+  quantity,
+  serials
+) {
+  if (!item.tbl_products.is_serialized) return serials;
+
+  const inTransit = await getInTransitSerials(client, transfer, item);
+
+  if (!serials) {
+    return inTransit.length === quantity ? inTransit : null;
+  }
+
+  const pool = new Set(inTransit);
+  const foreign = serials.filter((s) => !pool.has(s));
+  if (foreign.length > 0) {
+    throw httpError(
+      400,
+      `Serial number(s) not in transit on this transfer: ${foreign.join(", ")}`
+    );
+  }
+
+  return serials;
+}
+
+/**
+ * Shape a transfer line for API responses
+ */
+function formatTransferItem(item, status) {
+  const outstanding = getInTransitQuantity(item);
+
+  return {
+    item_uuid: item.item_uuid,
+    product: {
+      product_uuid: item.tbl_products.product_uuid,
+      sku: item.tbl_products.sku,
+      product_name: item.tbl_products.product_name,
+      unit_of_measure: item.tbl_products.unit_of_measure,
+    },
+    batch: item.tbl_product_batches
+      ? {
+          batch_uuid: item.tbl_product_batches.batch_uuid,
+          lot_number: item.tbl_product_batches.lot_number,
+          expiry_date: item.tbl_product_batches.expiry_date,
+        }
+      : null,
+    quantity: Number(item.quantity),
+    dispatched_quantity: Number(item.dispatched_quantity),
+    received_quantity: Number(item.received_quantity),
+    unit_cost: item.unit_cost !== null ? Number(item.unit_cost) : null,
+    // Once a transfer is closed, whatever did not arrive is a shortage
+    in_transit_quantity: OPEN_STATUSES.includes(status) ? outstanding : 0,
+    short_quantity: status === "RECEIVED" ? outstanding : 0,
+  };
+}
+
+/**
+ * Shape a transfer document for API responses
+ */
+export function formatTransfer(transfer) {
+  return {
+    transfer_uuid: transfer.transfer_uuid,
+    status: transfer.status,
+    from_branch: {
+      branch_uuid: transfer.fromBranch.branch_uuid,
+      branch_name: transfer.fromBranch.branch_name,
+    },
+    to_branch: {
+      branch_uuid: transfer.toBranch.branch_uuid,
+      branch_name: transfer.toBranch.branch_name,
+    },
+    notes: transfer.notes,
+    items: transfer.items
+      ? transfer.items.map((item) => formatTransferItem(item, transfer.status))
+      : undefined,
+    dispatched_on: transfer.dispatched_on,
+    received_on: transfer.received_on,
+    cancelled_on: transfer.cancelled_on,
+    created_on: transfer.created_on,
+    modified_on: transfer.modified_on,
+  };
+}
+
+/**
+ * Resolve a transfer that belongs to the tenant (with lines)
+ */
+async function findTransferOrThrow(client, tenantId, transferUuid) {
+  const transfer = await client.tbl_stock_transfers.findFirst({
+    where: { tenant_id: tenantId, transfer_uuid: transferUuid },
+    include: transferInclude,
+  });
+
+  if (!transfer) throw httpError(404, "Transfer not found");
+
+  return transfer;
+}
+
+/**
+ * Turn request lines into rows for tbl_stock_transfer_items.
+ * A line may pin a source batch; otherwise lots are chosen FEFO at dispatch.
+ * Quantities given in an alternate unit are stored in the base unit.
+ */
+async function buildTransferItems(client, { tenantId, fromBranchId, items }) {
+  const rows = [];
+
+  for (const item of items) {
+    if (!(Number(item.quantity) > 0)) {
+      throw httpError(400, "Item quantity must be greater than zero");
+    }
+
+    const product = await findStockProductOrThrow(
+      client,
+      tenantId,
+      item.product_uuid
+    );
+
+    const { quantity } = await toBaseUnit(client, product, {
+      quantity: item.quantity,
+      unit: item.unit,
+    });
+
+    let batchId = null;
+    if (item.batch_uuid) {
+      const batch = await client.tbl_product_batches.findFirst({
+        where: {
+          batch_uuid: item.batch_uuid,
+          tenant_id: tenantId,
+          product_id: product.product_id,
+          branch_id: fromBranchId,
+        },
+        select: { batch_id: true, lot_number: true, expiry_date: true },
+      });
+
+      if (!batch) {
+        throw httpError(
+          404,
+          `Batch ${item.batch_uuid} not found at the source branch`
+        );
+      }
+      assertBatchNotExpired(batch);
+      batchId = batch.batch_id;
+    }
+
+    rows.push({
+      item_uuid: generateShortUUID(),
+      product_id: product.product_id,
+      batch_id: batchId,
+      quantity,
+    });
+  }
+
+  return rows;
+}
+
+/** ------------------ TRANSFERS ------------------- **/
+
+/**
+ * List transfers for a tenant (filterable + paginated, newest first).
+ * `branchUuid` matches transfers going out of or coming into the branch.
+ */
+export async function listTransfersService({
+  tenantUuid,
+  status,
+  branchUuid,
+  page = 1,
+  limit = 50,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id };
+
+  if (status) where.status = status;
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.OR = [
+      { from_branch_id: branch.branch_id },
+      { to_branch_id: branch.branch_id },
+    ];
+  }
+
+  const [total, transfers] = await Promise.all([
+    prisma.tbl_stock_transfers.count({ where }),
+    prisma.tbl_stock_transfers.findMany({
+      where,
+      include: {
+        fromBranch: transferInclude.fromBranch,
+        toBranch: transferInclude.toBranch,
+        _count: { select: { items: true } },
+      },
+      orderBy: { transfer_id: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    transfers: transfers.map((t) => ({
+      ...formatTransfer(t),
+      item_count: t._count.items,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get transfer details with its lines
+ */
+export async function getTransferDetailsService({ tenantUuid, transferUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const transfer = await findTransferOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transferUuid
+  );
+
+  return formatTransfer(transfer);
+}
+
+/**
+ * Create a DRAFT transfer between two branches of the tenant
+ */
+export async function createTransferService({
+  tenantUuid,
+  from_branch_uuid,
+  to_branch_uuid,
+  notes = null,
+  items,
+  created_by = null,
+}) {
+  if (from_branch_uuid === to_branch_uuid) {
+    throw httpError(400, "Source and destination branch must be different");
+  }
+
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const fromBranch = await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    from_branch_uuid
+  );
+  const toBranch = await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    to_branch_uuid
+  );
+
+  const rows = await buildTransferItems(prisma, {
+    tenantId: tenant.tenant_id,
+    fromBranchId: fromBranch.branch_id,
+    items,
+  });
+
+  const transfer = await prisma.tbl_stock_transfers.create({
+    data: {
+      transfer_uuid: generateShortUUID(),
+      tenant_id: tenant.tenant_id,
+      from_branch_id: fromBranch.branch_id,
+      to_branch_id: toBranch.branch_id,
+      notes,
+      created_by,
+      items: { create: rows },
+    },
+    include: transferInclude,
+  });
+
+  return formatTransfer(transfer);
+}
+
+/**
+ * Update a DRAFT transfer. `items`, when given, replaces all lines.
+ */
+export async function updateTransferService({
+  tenantUuid,
+  transferUuid,
+  updates,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const transfer = await findTransferOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transferUuid
+  );
+
+  if (transfer.status !== "DRAFT") {
+    throw httpError(409, "Only draft transfers can be edited");
+  }
+
+  const toBranch = updates.to_branch_uuid
+    ? await findBranchOrThrow(prisma, tenant.tenant_id, updates.to_branch_uuid)
+    : null;
+
+  if (toBranch && toBranch.branch_id === transfer.from_branch_id) {
+    throw httpError(400, "Source and destination branch must be different");
+  }
+
+  const rows = updates.items
+    ? await buildTransferItems(prisma, {
+        tenantId: tenant.tenant_id,
+        fromBranchId: transfer.from_branch_id,
+        items: updates.items,
+      })
+    : null;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (rows) {
+      await tx.tbl_stock_transfer_items.deleteMany({
+        where: { transfer_id: transfer.transfer_id },
+      });
+    }
+
+    return tx.tbl_stock_transfers.update({
+      where: { transfer_id: transfer.transfer_id },
+      data: {
+        to_branch_id: toBranch?.branch_id,
+        notes: updates.notes,
+        modified_on: new Date(),
+        ...(rows && { items: { create: rows } }),
+      },
+      include: transferInclude,
+    });
+  });
+
+  return formatTransfer(updated);
+}
+
+/**
+ * Dispatch a DRAFT transfer: post TRANSFER_OUT at the source branch.
+ *
+ * Lines without a pinned batch are drawn FEFO; when that spans several lots
+ * the line is split so every line maps to exactly one source lot, which is
+ * what the destination receives into. Serialized lines name their units in
+ * `items: [{ item_uuid, serial_numbers }]` and are split by the units' lots.
+ */
+export async function dispatchTransferService({
+  tenantUuid,
+  transferUuid,
+  items = null,
+  dispatched_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const transfer = await findTransferOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transferUuid
+  );
+
+  if (transfer.status !== "DRAFT") {
+    throw httpError(409, `Cannot dispatch a ${transfer.status} transfer`);
+  }
+  if (transfer.items.length === 0) {
+    throw httpError(400, "Transfer has no items");
+  }
+
+  // Both branches must still be active at dispatch time
+  await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transfer.fromBranch.branch_uuid
+  );
+  await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transfer.toBranch.branch_uuid
+  );
+
+  const serialsByItem = new Map(
+    (items || []).map((line) => [line.item_uuid, line.serial_numbers])
+  );
+  for (const itemUuid of serialsByItem.keys()) {
+    if (!transfer.items.some((i) => i.item_uuid === itemUuid)) {
+      throw httpError(404, `Transfer item ${itemUuid} not found`);
+    }
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Claim the transfer so a concurrent dispatch or cancel cannot also run
+    const claimed = await tx.tbl_stock_transfers.updateMany({
+      where: { transfer_id: transfer.transfer_id, status: "DRAFT" },
+      data: { status: "DISPATCHED" },
+    });
+    if (claimed.count === 0) {
+      throw httpError(409, "Transfer was already dispatched or cancelled");
+    }
+
+    // Lines as they are now, under the claim
+    const current = await findTransferOrThrow(
+      tx,
+      tenant.tenant_id,
+      transferUuid
+    );
+
+    for (const item of current.items) {
+      // Stock arrives at the destination at the cost it leaves the source
+      const unitCost = await getOutboundUnitCost(tx, {
+        tenantId: tenant.tenant_id,
+        productId: item.product_id,
+        branchId: transfer.from_branch_id,
+        quantity: item.quantity,
+      });
+
+      const movements = await postOutboundMovements(tx, {
+        tenantId: tenant.tenant_id,
+        productId: item.product_id,
+        branchId: transfer.from_branch_id,
+        batchId: item.batch_id,
+        quantity: item.quantity,
+        unitCost,
+        movementType: "TRANSFER_OUT",
+        referenceType: REFERENCE_TYPE,
+        referenceUuid: transfer.transfer_uuid,
+        notes: `Transfer to ${transfer.toBranch.branch_name}`,
+        createdBy: dispatched_by,
+        serials: serialsByItem.get(item.item_uuid) || null,
+      });
+
+      const [first, ...others] = movements;
+
+      await tx.tbl_stock_transfer_items.update({
+        where: { item_id: item.item_id },
+        data: {
+          batch_id: first.batch_id,
+          quantity: -Number(first.quantity),
+          dispatched_quantity: -Number(first.quantity),
+          unit_cost: unitCost,
+        },
+      });
+
+      for (const movement of others) {
+        await tx.tbl_stock_transfer_items.create({
+          data: {
+            item_uuid: generateShortUUID(),
+            transfer_id: transfer.transfer_id,
+            product_id: item.product_id,
+            batch_id: movement.batch_id,
+            quantity: -Number(movement.quantity),
+            dispatched_quantity: -Number(movement.quantity),
+            unit_cost: unitCost,
+          },
+        });
+      }
+    }
+
+    return tx.tbl_stock_transfers.update({
+      where: { transfer_id: transfer.transfer_id },
+      data: {
+        status: "DISPATCHED",
+        dispatched_by,
+        dispatched_on: new Date(),
+        modified_on: new Date(),
+      },
+      include: transferInclude,
+    });
+  });
+
+  return formatTransfer(updated);
+}
+
+/**
+ * Receive (part of) a dispatched transfer at the destination branch.
+ *
+ * Each received line posts TRANSFER_IN into the same lot number at the
+ * destination. Without `items` everything still in transit is received.
+ * Serialized lines received in part list the arriving `serial_numbers`.
+ * `close` finalises the transfer even if some quantity never arrived:
+ * the shortage is put back at the source and written off there, so the
+ * ledger records the loss and its serial numbers leave IN_TRANSIT.
+ */
+export async function receiveTransferService({
+  tenantUuid,
+  transferUuid,
+  items = null,
+  close = false,
+  received_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const transfer = await findTransferOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transferUuid
+  );
+
+  if (!OPEN_STATUSES.includes(transfer.status)) {
+    throw httpError(409, `Cannot receive a ${transfer.status} transfer`);
+  }
+
+  await findBranchOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transfer.toBranch.branch_uuid
+  );
+
+  const itemMap = new Map(transfer.items.map((i) => [i.item_uuid, i]));
+
+  const receipts = items
+    ? await Promise.all(
+        items.map(async (line) => {
+          const item = itemMap.get(line.item_uuid);
+          if (!item) {
+            throw httpError(404, `Transfer item ${line.item_uuid} not found`);
+          }
+
+          const { quantity } = await toBaseUnit(
+            prisma,
+            { ...item.tbl_products, product_id: item.product_id },
+            { quantity: line.quantity, unit: line.unit }
+          );
+
+          return { item, quantity, serials: line.serial_numbers || null };
+        })
+      )
+    : transfer.items
+        .map((item) => ({
+          item,
+          quantity: getInTransitQuantity(item),
+          serials: null,
+        }))
+        .filter((r) => r.quantity > 0);
+
+  for (const { item, quantity } of receipts) {
+    if (!(quantity > 0)) {
+      throw httpError(400, "Received quantity must be greater than zero");
+    }
+    if (quantity > getInTransitQuantity(item)) {
+      throw httpError(
+        400,
+        `Cannot receive ${quantity} of ${item.tbl_products.sku}: only ${getInTransitQuantity(item)} in transit`
+      );
+    }
+  }
+
+  if (receipts.length === 0 && !close) {
+    throw httpError(400, "Nothing to receive");
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // A first receipt moves the transfer out of DISPATCHED, so a concurrent
+    // cancel can no longer return the same stock to the source
+    const claimed = await tx.tbl_stock_transfers.updateMany({
+      where: { transfer_id: transfer.transfer_id, status: "DISPATCHED" },
+      data: { status: "PARTIALLY_RECEIVED" },
+    });
+    if (claimed.count === 0) {
+      const current = await tx.tbl_stock_transfers.findUnique({
+        where: { transfer_id: transfer.transfer_id },
+        select: { status: true },
+      });
+      if (current.status !== "PARTIALLY_RECEIVED") {
+        throw httpError(409, `Cannot receive a ${current.status} transfer`);
+      }
+    }
+
+    const sourceBatchIds = receipts
+      .map((r) => r.item.batch_id)
+      .filter((id) => id !== null);
+    const sourceBatches = await tx.tbl_product_batches.findMany({
+      where: { batch_id: { in: sourceBatchIds } },
+    });
+    const sourceBatchMap = new Map(sourceBatches.map((b) => [b.batch_id, b]));
+
+    for (const { item, quantity, serials } of receipts) {
+      const source = sourceBatchMap.get(item.batch_id);
+
+      const batch = await resolveInboundBatch(tx, {
+        tenantId: tenant.tenant_id,
+        productId: item.product_id,
+        branchId: transfer.to_branch_id,
+        lot: source
+          ? {
+              lot_number: source.lot_number,
+              manufacture_date: source.manufacture_date,
+              expiry_date: source.expiry_date,
+            }
+          : null,
+        createdBy: received_by,
+      });
+
+      await postStockMovement(tx, {
+        tenantId: tenant.tenant_id,
+        productId: item.product_id,
+        branchId: transfer.to_branch_id,
+        batchId: batch?.batch_id ?? null,
+        movementType: "TRANSFER_IN",
+        quantity,
+        unitCost: item.unit_cost,
+        referenceType: REFERENCE_TYPE,
+        referenceUuid: transfer.transfer_uuid,
+        notes: `Transfer from ${transfer.fromBranch.branch_name}`,
+        createdBy: received_by,
+        serials: await resolveInboundTransferSerials(
+          tx,
+          transfer,
+          item,
+          quantity,
+          serials
+        ),
+      });
+
+      // Receiving in parallel is caught by re-checking under the update
+      const received = await tx.tbl_stock_transfer_items.update({
+        where: { item_id: item.item_id },
+        data: { received_quantity: { increment: quantity } },
+      });
+      if (getInTransitQuantity(received) < 0) {
+        throw httpError(
+          409,
+          `${item.tbl_products.sku} was received at the same time, please retry`
+        );
+      }
+    }
+
+    const lines = await tx.tbl_stock_transfer_items.findMany({
+      where: { transfer_id: transfer.transfer_id },
+    });
+    const fullyReceived = lines.every((l) => getInTransitQuantity(l) <= 0);
+
+    if (close && !fullyReceived) {
+      const itemsById = new Map(transfer.items.map((i) => [i.item_id, i]));
+
+      for (const line of lines) {
+        const shortQty = getInTransitQuantity(line);
+        if (shortQty <= 0) continue;
+
+        const item = itemsById.get(line.item_id);
+        const serials = item.tbl_products.is_serialized
+          ? await getInTransitSerials(tx, transfer, item)
+          : null;
+        const shortage = {
+          tenantId: tenant.tenant_id,
+          productId: item.product_id,
+          branchId: transfer.from_branch_id,
+          batchId: item.batch_id,
+          unitCost: item.unit_cost,
+          referenceType: REFERENCE_TYPE,
+          referenceUuid: transfer.transfer_uuid,
+          createdBy: received_by,
+          serials,
+        };
+
+        await postStockMovement(tx, {
+          ...shortage,
+          movementType: "TRANSFER_IN",
+          quantity: shortQty,
+          notes: "Transfer closed short: not received",
+          countAsReceived: false,
+        });
+        await postStockMovement(tx, {
+          ...shortage,
+          movementType: "WRITE_OFF",
+          quantity: -shortQty,
+          notes: `Lost in transfer to ${transfer.toBranch.branch_name}`,
+        });
+      }
+    }
+
+    return tx.tbl_stock_transfers.update({
+      where: { transfer_id: transfer.transfer_id },
+      data: {
+        status: fullyReceived || close ? "RECEIVED" : "PARTIALLY_RECEIVED",
+        received_by,
+        received_on: new Date(),
+        modified_on: new Date(),
+      },
+      include: transferInclude,
+    });
+  });
+
+  return formatTransfer(updated);
+}
+
+/**
+ * Cancel a transfer.
+ *
+ * Drafts are simply closed. A dispatched transfer that nothing has been
+ * received from yet puts its stock back into the source lots.
+ */
+export async function cancelTransferService({
+  tenantUuid,
+  transferUuid,
+  cancelled_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const transfer = await findTransferOrThrow(
+    prisma,
+    tenant.tenant_id,
+    transferUuid
+  );
+
+  if (!["DRAFT", "DISPATCHED"].includes(transfer.status)) {
+    throw httpError(409, `Cannot cancel a ${transfer.status} transfer`);
+  }
+
+  if (transfer.items.some((i) => Number(i.received_quantity) > 0)) {
+    throw httpError(
+      409,
+      "Stock has already been received for this transfer and it cannot be cancelled"
+    );
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Claim the transfer in the status it was checked in; a concurrent
+    // dispatch, receipt or cancel moves it on and this one stops here
+    const claimed = await tx.tbl_stock_transfers.updateMany({
+      where: { transfer_id: transfer.transfer_id, status: transfer.status },
+      data: { status: "CANCELLED" },
+    });
+    if (claimed.count === 0) {
+      throw httpError(
+        409,
+        "Transfer was dispatched, received or cancelled at the same time"
+      );
+    }
+
+    if (transfer.status === "DISPATCHED") {
+      for (const item of transfer.items) {
+        await postStockMovement(tx, {
+          tenantId: tenant.tenant_id,
+          productId: item.product_id,
+          branchId: transfer.from_branch_id,
+          batchId: item.batch_id,
+          movementType: "TRANSFER_IN",
+          quantity: item.dispatched_quantity,
+          unitCost: item.unit_cost,
+          referenceType: REFERENCE_TYPE,
+          referenceUuid: transfer.transfer_uuid,
+          notes: "Transfer cancelled",
+          createdBy: cancelled_by,
+          countAsReceived: false,
+          serials: item.tbl_products.is_serialized
+            ? await getInTransitSerials(tx, transfer, item)
+            : null,
+        });
+      }
+    }
+
+    return tx.tbl_stock_transfers.update({
+      where: { transfer_id: transfer.transfer_id },
+      data: {
+        status: "CANCELLED",
+        cancelled_by,
+        cancelled_on: new Date(),
+        modified_on: new Date(),
+      },
+      include: transferInclude,
+    });
+  });
+
+  return formatTransfer(updated);
+}
+
+/**
+ * Stock that has left a branch (or is heading to it) but not arrived yet
+ */
+export async function listInTransitService({ tenantUuid, branchUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+
+  const where = { tenant_id: tenant.tenant_id, status: { in: OPEN_STATUSES } };
+
+  if (branchUuid) {
+    const branch = await findBranchOrThrow(
+      prisma,
+      tenant.tenant_id,
+      branchUuid
+    );
+    where.OR = [
+      { from_branch_id: branch.branch_id },
+      { to_branch_id: branch.branch_id },
+    ];
+  }
+
+  const transfers = await prisma.tbl_stock_transfers.findMany({
+    where,
+    include: transferInclude,
+    orderBy: { dispatched_on: "asc" },
+  });
+
+  return transfers.flatMap((transfer) =>
+    transfer.items
+      .filter((item) => getInTransitQuantity(item) > 0)
+      .map((item) => ({
+        transfer_uuid: transfer.transfer_uuid,
+        from_branch: {
+          branch_uuid: transfer.fromBranch.branch_uuid,
+          branch_name: transfer.fromBranch.branch_name,
+        },
+        to_branch: {
+          branch_uuid: transfer.toBranch.branch_uuid,
+          branch_name: transfer.toBranch.branch_name,
+        },
+        dispatched_on: transfer.dispatched_on,
+        ...formatTransferItem(item, transfer.status),
+      }))
+  );
+}
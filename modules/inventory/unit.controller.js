@@ -0,0 +1,45 @@
+// controllers/unit.controller.js
+
+import {
+  listProductUnitsService,
+  replaceProductUnitsService,
+} from "./unit.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/products/:tenantUuid/:productUuid/units
+ */
+export const listProductUnitsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+
+    const units = await listProductUnitsService({ tenantUuid, productUuid });
+
+    return successResponse(res, "Product units fetched successfully", units);
+  } catch (error) {
+    console.error("❌ List Product Units Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/inventory/products/:tenantUuid/:productUuid/units
+ */
+export const replaceProductUnitsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+
+    const units = await replaceProductUnitsService({
+      tenantUuid,
+      productUuid,
+      units: req.body.units,
+      updated_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Product units saved successfully", units);
+  } catch (error) {
+    console.error("❌ Replace Product Units Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,225 @@
+// services/unit.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findProductOrThrow,
+  findTenantOrThrow,
+} from "./inventory.repository.js";
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const normalizeUnitCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Resolve every alternate unit of a product to its factor in base units
+ * (Map(unit_code → base units per 1 unit_code); the base unit maps to 1).
+ *
+ * Units may be defined relative to another alternate unit (1 CASE = 4 BOX,
+ * 1 BOX = 6 PCS); each chain has to end at the base unit. Zero/negative
+ * factors, unknown units and circular chains are rejected.
+ */
+export function resolveUnitFactors(baseUnit, units) {
+  const base = normalizeUnitCode(baseUnit);
+  const definitions = new Map();
+
+  for (const unit of units) {
+    const code = normalizeUnitCode(unit.unit_code);
+    const factor = Number(unit.factor);
+
+    if (code === base) {
+      throw httpError(400, `${code} is already the base unit`);
+    }
+    if (definitions.has(code)) {
+      throw httpError(400, `Unit ${code} is defined more than once`);
+    }
+    if (!(factor > 0)) {
+      throw httpError(400, `Conversion factor of ${code} must be above zero`);
+    }
+
+    definitions.set(code, {
+      factor,
+      relativeTo: unit.relative_to_unit
+        ? normalizeUnitCode(unit.relative_to_unit)
+        : base,
+    });
+  }
+
+  const factors = new Map([[base, 1]]);
+
+  const resolve = (code, path) => {
+    if (factors.has(code)) return factors.get(code);
+
+    const definition = definitions.get(code);
+    if (!definition) {
+      throw httpError(400, `Unit ${code} is not defined for this product`);
+    }
+    if (path.includes(code)) {
+      throw httpError(
+        400,
+        `Circular unit conversion: ${[...path, code].join(" → ")}`
+      );
+    }
+
+    const factor =
+      definition.factor * resolve(definition.relativeTo, [...path, code]);
+
+    factors.set(code, factor);
+    return factor;
+  };
+
+  for (const code of definitions.keys()) resolve(code, []);
+
+  return factors;
+}
+
+/**
+ * Base units per 1 `unit` of a product. No unit (or the base unit) is 1.
+ */
+export async function getUnitFactor(client, product, unit) {
+  if (!unit) return 1;
+
+  const code = normalizeUnitCode(unit);
+  if (code === normalizeUnitCode(product.unit_of_measure)) return 1;
+
+  const units = await client.tbl_product_units.findMany({
+    where: { product_id: product.product_id },
+  });
+
+  const factor = resolveUnitFactors(product.unit_of_measure, units).get(code);
+
+  if (!factor) {
+    throw httpError(
+      400,
+      `Unit ${code} is not defined for ${product.sku || "this product"}`
+    );
+  }
+
+  return factor;
+}
+
+/**
+ * Convert a quantity (and optional cost per `unit`) to the product's base
+ * unit, e.g. 2 CASE at 48.00 → 48 PCS at 2.00 when 1 CASE = 24 PCS.
+ */
+export async function toBaseUnit(
+  client,
+  product,
+  { quantity, unit, unitCost }
+) {
+  const factor = await getUnitFactor(client, product, unit);
+
+  return {
+    quantity: round(Number(quantity) * factor, 3),
+    unitCost:
+      unitCost !== null && unitCost !== undefined
+        ? round(Number(unitCost) / factor, 4)
+        : unitCost,
+  };
+}
+
+/**
+ * Shape a product's units for API responses
+ */
+function formatUnits(product, units) {
+  const factors = resolveUnitFactors(product.unit_of_measure, units);
+
+  return {
+    product_uuid: product.product_uuid,
+    base_unit: product.unit_of_measure,
+    units: units
+      .map((unit) => ({
+        unit_uuid: unit.unit_uuid,
+        unit_code: unit.unit_code,
+        factor: Number(unit.factor),
+        relative_to_unit: unit.relative_to_unit || product.unit_of_measure,
+        base_quantity: round(factors.get(unit.unit_code), 6),
+      }))
+      .sort((a, b) => a.base_quantity - b.base_quantity),
+  };
+}
+
+/** ------------------ PRODUCT UNITS ------------------- **/
+
+/**
+ * Base unit and alternate units of a product
+ */
+export async function listProductUnitsService({ tenantUuid, productUuid }) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const product = await findProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  const units = await prisma.tbl_product_units.findMany({
+    where: { product_id: product.product_id },
+  });
+
+  return formatUnits(product, units);
+}
+
+/**
+ * Replace the alternate units of a product.
+ * The whole set is validated together so chains and cycles can be checked.
+ */
+export async function replaceProductUnitsService({
+  tenantUuid,
+  productUuid,
+  units,
+  updated_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const product = await findProductOrThrow(
+    prisma,
+    tenant.tenant_id,
+    productUuid
+  );
+
+  const base = normalizeUnitCode(product.unit_of_measure);
+
+  const rows = units.map((unit) => {
+    const relativeTo = unit.relative_to_unit
+      ? normalizeUnitCode(unit.relative_to_unit)
+      : null;
+
+    return {
+      unit_code: normalizeUnitCode(unit.unit_code),
+      factor: round(unit.factor, 6),
+      relative_to_unit: relativeTo === base ? null : relativeTo,
+    };
+  });
+
+  resolveUnitFactors(product.unit_of_measure, rows);
+
+  const existing = await prisma.tbl_product_units.findMany({
+    where: { product_id: product.product_id },
+    select: { unit_code: true, unit_uuid: true },
+  });
+  const uuidByCode = new Map(existing.map((u) => [u.unit_code, u.unit_uuid]));
+
+  // Codes that stay keep their uuid
+  const saved = await prisma.$transaction(async (tx) => {
+    await tx.tbl_product_units.deleteMany({
+      where: { product_id: product.product_id },
+    });
+
+    if (rows.length > 0) {
+      await tx.tbl_product_units.createMany({
+        data: rows.map((row) => ({
+          unit_uuid: uuidByCode.get(row.unit_code) || generateShortUUID(),
+          product_id: product.product_id,
+          ...row,
+          created_by: updated_by,
+        })),
+      });
+    }
+
+    return tx.tbl_product_units.findMany({
+      where: { product_id: product.product_id },
+    });
+  });
+
+  return formatUnits(product, saved);
+}
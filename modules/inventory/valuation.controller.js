@@ -0,0 +1,56 @@
+// controllers/valuation.controller.js
+
+import {
+  getValuationReportService,
+  getCogsReportService,
+} from "./valuation.service.js";
+
+import { successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/valuation/:tenantUuid
+ * GET /api/inventory/valuation/:tenantUuid/:branchUuid
+ */
+export const getValuationReportController = async (req, res, next) => {
+  try {
+    const { tenantUuid, branchUuid } = req.params;
+    const { asOf } = req.query;
+
+    const report = await getValuationReportService({
+      tenantUuid,
+      branchUuid,
+      asOf,
+    });
+
+    return successResponse(
+      res,
+      "Valuation report fetched successfully",
+      report
+    );
+  } catch (error) {
+    console.error("❌ Valuation Report Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/valuation/:tenantUuid/cogs
+ */
+export const getCogsReportController = async (req, res, next) => {
+  try {
+    const { tenantUuid } = req.params;
+    const { branchUuid, from, to } = req.query;
+
+    const report = await getCogsReportService({
+      tenantUuid,
+      branchUuid,
+      from,
+      to,
+    });
+
+    return successResponse(res, "COGS report fetched successfully", report);
+  } catch (error) {
+    console.error("❌ COGS Report Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,51 @@
+import { Router } from "express";
+import {
+  getCogsReportController,
+  getValuationReportController,
+} from "./valuation.controller.js";
+import {
+  cogsReportValidation,
+  valuationReportValidation,
+} from "./inventory.validation.js";
+import { verifyTokenOrApiKey } from "../../middlewares/apiKeyMiddleware.js";
+import { MENU_KEYS } from "../../constants/permissions.js";
+import { cryptoMiddleware } from "../../middlewares/cryptoMiddleware.js";
+import { verifyTenantAccess } from "../../middlewares/verifyTenantAccess.js";
+import { validateRequest } from "../../middlewares/validateRequest.js";
+
+const router = Router();
+
+router.get(
+  "/:tenantUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  valuationReportValidation,
+  validateRequest,
+  getValuationReportController
+);
+
+// --------------------------------------------------------
+// COST OF GOODS SOLD (declared before /:branchUuid)
+// --------------------------------------------------------
+router.get(
+  "/:tenantUuid/cogs",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  cogsReportValidation,
+  validateRequest,
+  getCogsReportController
+);
+
+router.get(
+  "/:tenantUuid/:branchUuid",
+  verifyTokenOrApiKey(MENU_KEYS.INVENTORY),
+  verifyTenantAccess,
+  cryptoMiddleware,
+  valuationReportValidation,
+  validateRequest,
+  getValuationReportController
+);
+
+export default router;
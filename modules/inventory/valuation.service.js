@@ -0,0 +1,446 @@
+// services/valuation.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findTenantOrThrow,
+} from "./inventory.repository.js";
+import { getCostingMethod } from "./settings.service.js";
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+/**
+ * Parse an as-of/to date. A bare date (YYYY-MM-DD) means the end of that day.
+ */
+function parseReportDate(value, endOfDay = true) {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) throw httpError(400, "Invalid date");
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    if (endOfDay) date.setHours(23, 59, 59, 999);
+    else date.setHours(0, 0, 0, 0);
+  }
+
+  return date;
+}
+
+/**
+ * Cost-flow state for one product at one branch
+ */
+function createCostState(fallbackCost) {
+  return {
+    quantity: 0,
+    value: 0,
+    layers: [], // FIFO only: [{ quantity, cost }] oldest first
+    lastCost: Number(fallbackCost) || 0,
+  };
+}
+
+function currentUnitCost(state) {
+  return state.quantity > 0 ? state.value / state.quantity : state.lastCost;
+}
+
+/**
+ * Take `quantity` out of the state and return its cost.
+ * FIFO consumes the oldest layers; weighted average uses the running
+ * average. Anything beyond the known layers is costed at the last cost.
+ */
+function consumeCost(state, quantity, method) {
+  let cost = 0;
+
+  if (method === "FIFO") {
+    let remaining = quantity;
+
+    while (remaining > 0 && state.layers.length > 0) {
+      const layer = state.layers[0];
+      const take = Math.min(layer.quantity, remaining);
+
+      cost += take * layer.cost;
+      layer.quantity = round(layer.quantity - take, 3);
+      remaining = round(remaining - take, 3);
+
+      if (layer.quantity <= 0) state.layers.shift();
+    }
+
+    cost += remaining * state.lastCost;
+  } else {
+    cost = quantity * currentUnitCost(state);
+  }
+
+  state.quantity = round(state.quantity - quantity, 3);
+  state.value = state.quantity > 0 ? state.value - cost : 0;
+
+  if (method === "FIFO") {
+    state.value = state.layers.reduce((sum, l) => sum + l.quantity * l.cost, 0);
+  }
+
+  return cost;
+}
+
+/**
+ * Apply one ledger row to the cost state.
+ *
+ * Inbound rows use their unit_cost (or the current cost when none was
+ * recorded, e.g. a positive adjustment). Returns the cost of outbound rows.
+ */
+function applyMovement(state, movement, method) {
+  const qty = Number(movement.quantity);
+
+  if (qty > 0) {
+    const cost =
+      movement.unit_cost !== null
+        ? Number(movement.unit_cost)
+        : currentUnitCost(state);
+
+    if (method === "FIFO") state.layers.push({ quantity: qty, cost });
+
+    state.quantity = round(state.quantity + qty, 3);
+    state.value += qty * cost;
+    state.lastCost = cost;
+
+    return 0;
+  }
+
+  return consumeCost(state, -qty, method);
+}
+
+/**
+ * Replay a product/branch's ledger rows (oldest first) and return the
+ * closing quantity/value, the cost of outbound rows by type and the cost
+ * of customer returns (sales reversed at their original cost).
+ * Only rows dated on/after `from` count towards the totals.
+ */
+export function replayCostLedger(
+  movements,
+  { method, fallbackCost = 0, from = null }
+) {
+  const state = createCostState(fallbackCost);
+  const outbound = {
+    SALE: { quantity: 0, cost: 0 },
+    WRITE_OFF: { quantity: 0, cost: 0 },
+    ADJUSTMENT: { quantity: 0, cost: 0 },
+    TRANSFER_OUT: { quantity: 0, cost: 0 },
+    SUPPLIER_RETURN: { quantity: 0, cost: 0 },
+  };
+  const returned = { quantity: 0, cost: 0 };
+
+  for (const movement of movements) {
+    const cost = applyMovement(state, movement, method);
+
+    if (
+      movement.movement_type === "CUSTOMER_RETURN" &&
+      (!from || movement.movement_date >= from)
+    ) {
+      const qty = Number(movement.quantity);
+      returned.quantity = round(returned.quantity + qty, 3);
+      returned.cost += qty * Number(movement.unit_cost ?? 0);
+    }
+
+    if (Number(movement.quantity) < 0 && outbound[movement.movement_type]) {
+      if (!from || movement.movement_date >= from) {
+        const bucket = outbound[movement.movement_type];
+        bucket.quantity = round(bucket.quantity - Number(movement.quantity), 3);
+        bucket.cost += cost;
+      }
+    }
+  }
+
+  return { state, outbound, returned };
+}
+
+/**
+ * Cost per unit of taking `quantity` out of a branch right now, under the
+ * tenant's costing method. Used to carry cost across transfers.
+ */
+export async function getOutboundUnitCost(
+  client,
+  { tenantId, productId, branchId, quantity }
+) {
+  const [method, product, movements] = await Promise.all([
+    getCostingMethod(client, tenantId),
+    client.tbl_products.findUnique({
+      where: { product_id: productId },
+      select: { cost_price: true },
+    }),
+    client.tbl_stock_movements.findMany({
+      where: { product_id: productId, branch_id: branchId },
+      select: { quantity: true, unit_cost: true, movement_type: true },
+      orderBy: [{ movement_date: "asc" }, { movement_id: "asc" }],
+    }),
+  ]);
+
+  const { state } = replayCostLedger(movements, {
+    method,
+    fallbackCost: product?.cost_price,
+  });
+
+  const qty = Number(quantity);
+  if (!(qty > 0)) return round(currentUnitCost(state), 4);
+
+  return round(consumeCost(state, qty, method) / qty, 4);
+}
+
+/**
+ * Load ledger rows up to `asOf` and replay them per product/branch
+ */
+async function buildValuation({ tenantId, branchId = null, asOf, from }) {
+  const method = await getCostingMethod(prisma, tenantId);
+
+  const movements = await prisma.tbl_stock_movements.findMany({
+    where: {
+      tenant_id: tenantId,
+      ...(branchId && { branch_id: branchId }),
+      movement_date: { lte: asOf },
+    },
+    select: {
+      product_id: true,
+      branch_id: true,
+      movement_type: true,
+      quantity: true,
+      unit_cost: true,
+      movement_date: true,
+    },
+    orderBy: [{ movement_date: "asc" }, { movement_id: "asc" }],
+  });
+
+  const grouped = new Map();
+  for (const movement of movements) {
+    const key = `${movement.product_id}:${movement.branch_id}`;
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(movement);
+  }
+
+  const productIds = [...new Set(movements.map((m) => m.product_id))];
+  const [products, branches] = await Promise.all([
+    prisma.tbl_products.findMany({
+      where: { product_id: { in: productIds } },
+      select: {
+        product_id: true,
+        product_uuid: true,
+        sku: true,
+        product_name: true,
+        unit_of_measure: true,
+        cost_price: true,
+      },
+    }),
+    prisma.tbl_branches.findMany({
+      where: { tenant_id: tenantId },
+      select: { branch_id: true, branch_uuid: true, branch_name: true },
+    }),
+  ]);
+  const productMap = new Map(products.map((p) => [p.product_id, p]));
+  const branchMap = new Map(branches.map((b) => [b.branch_id, b]));
+
+  const rows = [];
+  for (const rowMovements of grouped.values()) {
+    const { product_id, branch_id } = rowMovements[0];
+    const product = productMap.get(product_id);
+
+    const { state, outbound, returned } = replayCostLedger(rowMovements, {
+      method,
+      fallbackCost: product.cost_price,
+      from,
+    });
+
+    rows.push({
+      product,
+      branch: branchMap.get(branch_id),
+      state,
+      outbound,
+      returned,
+    });
+  }
+
+  return { method, rows };
+}
+
+const formatProductRef = (product) => ({
+  product_uuid: product.product_uuid,
+  sku: product.sku,
+  product_name: product.product_name,
+  unit_of_measure: product.unit_of_measure,
+});
+
+/** ------------------ REPORTS ------------------- **/
+
+/**
+ * Stock valuation as of a date, for one branch or the whole tenant
+ */
+export async function getValuationReportService({
+  tenantUuid,
+  branchUuid,
+  asOf,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = branchUuid
+    ? await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid)
+    : null;
+
+  const asOfDate = asOf ? parseReportDate(asOf) : new Date();
+
+  const { method, rows } = await buildValuation({
+    tenantId: tenant.tenant_id,
+    branchId: branch?.branch_id,
+    asOf: asOfDate,
+  });
+
+  const products = new Map();
+  const branches = new Map();
+
+  for (const { product, branch: rowBranch, state } of rows) {
+    if (state.quantity === 0 && round(state.value, 2) === 0) continue;
+
+    const value = round(state.value, 2);
+
+    if (!products.has(product.product_id)) {
+      products.set(product.product_id, {
+        ...formatProductRef(product),
+        on_hand: 0,
+        value: 0,
+        branches: [],
+      });
+    }
+    const entry = products.get(product.product_id);
+    entry.on_hand = round(entry.on_hand + state.quantity, 3);
+    entry.value = round(entry.value + value, 2);
+    entry.branches.push({
+      branch_uuid: rowBranch?.branch_uuid || null,
+      branch_name: rowBranch?.branch_name || null,
+      on_hand: state.quantity,
+      unit_cost: round(currentUnitCost(state), 4),
+      value,
+    });
+
+    const branchKey = rowBranch?.branch_uuid || null;
+    if (!branches.has(branchKey)) {
+      branches.set(branchKey, {
+        branch_uuid: rowBranch?.branch_uuid || null,
+        branch_name: rowBranch?.branch_name || null,
+        product_count: 0,
+        value: 0,
+      });
+    }
+    const branchEntry = branches.get(branchKey);
+    branchEntry.product_count++;
+    branchEntry.value = round(branchEntry.value + value, 2);
+  }
+
+  const items = [...products.values()]
+    .map((p) => ({
+      ...p,
+      unit_cost: p.on_hand > 0 ? round(p.value / p.on_hand, 4) : 0,
+    }))
+    .sort((a, b) => a.product_name.localeCompare(b.product_name));
+
+  return {
+    costing_method: method,
+    as_of: asOfDate,
+    branch: branch
+      ? { branch_uuid: branch.branch_uuid, branch_name: branch.branch_name }
+      : null,
+    total_value: round(
+      items.reduce((sum, p) => sum + p.value, 0),
+      2
+    ),
+    branches: [...branches.values()].sort((a, b) =>
+      (a.branch_name || "").localeCompare(b.branch_name || "")
+    ),
+    products: items,
+  };
+}
+
+/**
+ * Cost of goods sold (and write-off cost) for a period. COGS is net of
+ * customer returns, which come back at the cost they were sold at.
+ */
+export async function getCogsReportService({
+  tenantUuid,
+  branchUuid,
+  from,
+  to,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = branchUuid
+    ? await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid)
+    : null;
+
+  const fromDate = parseReportDate(from, false);
+  const toDate = to ? parseReportDate(to) : new Date();
+
+  if (toDate < fromDate) {
+    throw httpError(400, "'to' date cannot be before 'from' date");
+  }
+
+  // The whole history is replayed so the opening layers are right
+  const { method, rows } = await buildValuation({
+    tenantId: tenant.tenant_id,
+    branchId: branch?.branch_id,
+    asOf: toDate,
+    from: fromDate,
+  });
+
+  const products = new Map();
+
+  for (const { product, outbound, returned } of rows) {
+    if (
+      !outbound.SALE.quantity &&
+      !outbound.WRITE_OFF.quantity &&
+      !returned.quantity
+    ) {
+      continue;
+    }
+
+    if (!products.has(product.product_id)) {
+      products.set(product.product_id, {
+        ...formatProductRef(product),
+        quantity_sold: 0,
+        quantity_returned: 0,
+        cogs: 0,
+        quantity_written_off: 0,
+        write_off_cost: 0,
+      });
+    }
+    const entry = products.get(product.product_id);
+    entry.quantity_sold = round(
+      entry.quantity_sold + outbound.SALE.quantity,
+      3
+    );
+    entry.quantity_returned = round(
+      entry.quantity_returned + returned.quantity,
+      3
+    );
+    entry.cogs = round(entry.cogs + outbound.SALE.cost - returned.cost, 2);
+    entry.quantity_written_off = round(
+      entry.quantity_written_off + outbound.WRITE_OFF.quantity,
+      3
+    );
+    entry.write_off_cost = round(
+      entry.write_off_cost + outbound.WRITE_OFF.cost,
+      2
+    );
+  }
+
+  const items = [...products.values()].sort((a, b) =>
+    a.product_name.localeCompare(b.product_name)
+  );
+
+  return {
+    costing_method: method,
+    from: fromDate,
+    to: toDate,
+    branch: branch
+      ? { branch_uuid: branch.branch_uuid, branch_name: branch.branch_name }
+      : null,
+    total_cogs: round(
+      items.reduce((sum, p) => sum + p.cogs, 0),
+      2
+    ),
+    total_write_off_cost: round(
+      items.reduce((sum, p) => sum + p.write_off_cost, 0),
+      2
+    ),
+    products: items,
+  };
+}
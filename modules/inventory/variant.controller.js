@@ -0,0 +1,86 @@
+// controllers/variant.controller.js
+
+import {
+  listVariantsService,
+  createVariantService,
+  generateVariantMatrixService,
+} from "./variant.service.js";
+
+import { errorResponse, successResponse } from "../../utils/response.js";
+
+/**
+ * GET /api/inventory/products/:tenantUuid/:productUuid/variants
+ */
+export const listVariantsController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+    const { branchUuid } = req.query;
+
+    const result = await listVariantsService({
+      tenantUuid,
+      productUuid,
+      branchUuid,
+    });
+
+    return successResponse(res, "Variants fetched successfully", result);
+  } catch (error) {
+    console.error("❌ List Variants Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/products/:tenantUuid/:productUuid/variants
+ */
+export const createVariantController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+
+    const result = await createVariantService({
+      tenantUuid,
+      productUuid,
+      ...req.body,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(res, "Variant created successfully", result, 201);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(res, "SKU or barcode already exists", 409);
+    }
+    console.error("❌ Create Variant Error:", error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/products/:tenantUuid/:productUuid/variants/matrix
+ */
+export const generateVariantMatrixController = async (req, res, next) => {
+  try {
+    const { tenantUuid, productUuid } = req.params;
+    const { attributes, cost_price, sale_price } = req.body;
+
+    const result = await generateVariantMatrixService({
+      tenantUuid,
+      productUuid,
+      attributes,
+      cost_price,
+      sale_price,
+      created_by: req.session?.tenant_user_id || null,
+    });
+
+    return successResponse(
+      res,
+      `${result.created_count} variant(s) created successfully`,
+      result,
+      201
+    );
+  } catch (error) {
+    if (error.code === "P2002") {
+      return errorResponse(res, "SKU already exists", 409);
+    }
+    console.error("❌ Generate Variant Matrix Error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,381 @@
+// services/variant.service.js
+
+import prisma from "../../config/prismaClient.js";
+import { generateShortUUID } from "../../utils/generateUUID.js";
+import { httpError } from "../../utils/httpError.js";
+import {
+  findBranchOrThrow,
+  findProductOrThrow,
+  findTenantOrThrow,
+  getOnHandByProduct,
+} from "./inventory.repository.js";
+import {
+  assertBarcodeAvailable,
+  formatProduct,
+  formatVariantSummary,
+} from "./product.service.js";
+
+// Upper bound for one size × colour × … matrix
+const MAX_MATRIX_SIZE = 200;
+
+const round = (value, places) => Number(Number(value).toFixed(places));
+
+const normalizeAttributeName = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Normalise { Size: " M " } → [["size", "M"]] sorted by attribute name
+ */
+function normalizeAttributes(attributes) {
+  const entries = Object.entries(attributes || {}).map(([name, value]) => [
+    normalizeAttributeName(name),
+    String(value).trim(),
+  ]);
+
+  if (entries.length === 0) {
+    throw httpError(400, "A variant needs at least one attribute");
+  }
+  if (entries.some(([name, value]) => !name || !value)) {
+    throw httpError(400, "Attribute names and values cannot be empty");
+  }
+  if (new Set(entries.map(([name]) => name)).size !== entries.length) {
+    throw httpError(400, "Attribute names must be unique");
+  }
+
+  return entries.sort(([a], [b]) => a.localeCompare(b));
+}
+
+const combinationKey = (entries) =>
+  entries.map(([name, value]) => `${name}=${value.toLowerCase()}`).join("|");
+
+/**
+ * Every combination of { size: ["S", "M"], colour: ["Red"] } as sorted
+ * attribute entries
+ */
+function expandMatrix(attributes) {
+  // Values are de-duplicated case-insensitively ("Red" and "red" are one)
+  const axes = Object.entries(attributes || {}).map(([name, values]) => {
+    const unique = new Map();
+    for (const value of values || []) {
+      const trimmed = String(value).trim();
+      if (trimmed && !unique.has(trimmed.toLowerCase())) {
+        unique.set(trimmed.toLowerCase(), trimmed);
+      }
+    }
+    return [normalizeAttributeName(name), [...unique.values()]];
+  });
+
+  if (axes.length === 0 || axes.some(([, values]) => values.length === 0)) {
+    throw httpError(400, "Every attribute needs at least one value");
+  }
+
+  const size = axes.reduce((total, [, values]) => total * values.length, 1);
+  if (size > MAX_MATRIX_SIZE) {
+    throw httpError(
+      400,
+      `A matrix can create at most ${MAX_MATRIX_SIZE} variants (${size} requested)`
+    );
+  }
+
+  return axes
+    .reduce(
+      (combinations, [name, values]) =>
+        combinations.flatMap((combination) =>
+          values.map((value) => [...combination, [name, value]])
+        ),
+      [[]]
+    )
+    .map((entries) => normalizeAttributes(Object.fromEntries(entries)));
+}
+
+/**
+ * Resolve a product that variants can be added to, with its current
+ * variants (and their attribute combinations)
+ */
+async function findParentOrThrow(tenantId, productUuid) {
+  const product = await findProductOrThrow(prisma, tenantId, productUuid);
+
+  if (product.parent_product_id) {
+    throw httpError(400, `${product.sku} is itself a variant`);
+  }
+
+  const variants = await prisma.tbl_products.findMany({
+    where: { parent_product_id: product.product_id },
+    include: {
+      variant_attributes: {
+        select: { attribute_name: true, attribute_value: true },
+        orderBy: { attribute_id: "asc" },
+      },
+    },
+    orderBy: { sku: "asc" },
+  });
+
+  const existingKeys = new Set(
+    variants.map((v) =>
+      combinationKey(
+        v.variant_attributes
+          .map((a) => [a.attribute_name, a.attribute_value])
+          .sort(([a], [b]) => a.localeCompare(b))
+      )
+    )
+  );
+
+  const attributeNames = variants.length
+    ? variants[0].variant_attributes.map((a) => a.attribute_name).sort()
+    : null;
+
+  return { product, variants, existingKeys, attributeNames };
+}
+
+/**
+ * Stock posted against a product stays with it, so only a product without
+ * stock history can become a parent
+ */
+async function assertCanBecomeParent(product) {
+  if (product.has_variants) return;
+
+  const movementCount = await prisma.tbl_stock_movements.count({
+    where: { product_id: product.product_id },
+  });
+
+  if (movementCount > 0) {
+    throw httpError(
+      409,
+      `${product.sku} has stock history and cannot get variants. Create a new parent product instead.`
+    );
+  }
+}
+
+/**
+ * All variants of a product must use the same attribute names
+ */
+function assertSameAttributeNames(attributeNames, entries) {
+  if (!attributeNames) return;
+
+  const names = entries.map(([name]) => name);
+  if (names.join(",") !== attributeNames.join(",")) {
+    throw httpError(
+      400,
+      `Variants of this product use the attributes: ${attributeNames.join(", ")}`
+    );
+  }
+}
+
+const buildVariantSku = (parentSku, entries) =>
+  [parentSku, ...entries.map(([, value]) => value)]
+    .join("-")
+    .toUpperCase()
+    .replace(/\s+/g, "-")
+    .slice(0, 64);
+
+const buildVariantName = (parentName, entries) =>
+  `${parentName} - ${entries.map(([, value]) => value).join(" / ")}`.slice(
+    0,
+    255
+  );
+
+/**
+ * Row for tbl_products of one variant; everything not given is inherited
+ * from the parent
+ */
+function buildVariantRow(parent, entries, overrides, createdBy) {
+  return {
+    product_uuid: generateShortUUID(),
+    tenant_id: parent.tenant_id,
+    parent_product_id: parent.product_id,
+    category_id: parent.category_id,
+    sku: overrides.sku || buildVariantSku(parent.sku, entries),
+    barcode: overrides.barcode || null,
+    product_name: buildVariantName(parent.product_name, entries),
+    description: parent.description,
+    unit_of_measure: parent.unit_of_measure,
+    cost_price: overrides.cost_price ?? parent.cost_price,
+    sale_price: overrides.sale_price ?? parent.sale_price,
+    tax_class: parent.tax_class,
+    is_serialized: parent.is_serialized,
+    status: overrides.status || parent.status,
+    created_by: createdBy,
+    updated_by: createdBy,
+    variant_attributes: {
+      create: entries.map(([name, value]) => ({
+        attribute_name: name,
+        attribute_value: value,
+      })),
+    },
+  };
+}
+
+async function assertSkusAvailable(tenantId, skus) {
+  const taken = await prisma.tbl_products.findMany({
+    where: { tenant_id: tenantId, sku: { in: skus } },
+    select: { sku: true },
+  });
+
+  if (taken.length > 0) {
+    throw httpError(
+      409,
+      `SKU ${taken.map((t) => `"${t.sku}"`).join(", ")} already exists for this tenant`
+    );
+  }
+}
+
+/**
+ * Create variant rows and flag the parent, in one transaction
+ */
+async function createVariants(parent, rows) {
+  await prisma.$transaction(async (tx) => {
+    if (!parent.has_variants) {
+      await tx.tbl_products.update({
+        where: { product_id: parent.product_id },
+        data: { has_variants: true, modified_on: new Date() },
+      });
+    }
+
+    for (const data of rows) {
+      await tx.tbl_products.create({ data });
+    }
+  });
+}
+
+/** ------------------ VARIANTS ------------------- **/
+
+/**
+ * A parent product with its variants, their stock and the attribute values
+ * in use (stock across all branches unless `branchUuid` is given)
+ */
+export async function listVariantsService({
+  tenantUuid,
+  productUuid,
+  branchUuid,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const branch = branchUuid
+    ? await findBranchOrThrow(prisma, tenant.tenant_id, branchUuid)
+    : null;
+
+  const { product, variants } = await findParentOrThrow(
+    tenant.tenant_id,
+    productUuid
+  );
+
+  const onHand = await getOnHandByProduct(prisma, {
+    branchId: branch?.branch_id,
+    productIds: variants.map((v) => v.product_id),
+  });
+
+  const attributes = {};
+  for (const variant of variants) {
+    for (const {
+      attribute_name,
+      attribute_value,
+    } of variant.variant_attributes) {
+      attributes[attribute_name] ??= [];
+      if (!attributes[attribute_name].includes(attribute_value)) {
+        attributes[attribute_name].push(attribute_value);
+      }
+    }
+  }
+
+  const items = variants.map((v) => formatVariantSummary(v, onHand));
+
+  return {
+    product: formatProduct(product),
+    attributes,
+    on_hand: round(
+      items.reduce((sum, v) => sum + v.on_hand, 0),
+      3
+    ),
+    variants: items,
+  };
+}
+
+/**
+ * Add one variant, e.g. { attributes: { size: "M", colour: "Red" } }.
+ * SKU defaults to PARENT-SKU-M-RED.
+ */
+export async function createVariantService({
+  tenantUuid,
+  productUuid,
+  attributes,
+  sku = null,
+  barcode = null,
+  cost_price = null,
+  sale_price = null,
+  status = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const { product, existingKeys, attributeNames } = await findParentOrThrow(
+    tenant.tenant_id,
+    productUuid
+  );
+
+  await assertCanBecomeParent(product);
+
+  const entries = normalizeAttributes(attributes);
+  assertSameAttributeNames(attributeNames, entries);
+
+  if (existingKeys.has(combinationKey(entries))) {
+    throw httpError(409, "A variant with these attributes already exists");
+  }
+
+  const row = buildVariantRow(
+    product,
+    entries,
+    { sku, barcode, cost_price, sale_price, status },
+    created_by
+  );
+
+  await assertSkusAvailable(tenant.tenant_id, [row.sku]);
+  await assertBarcodeAvailable(prisma, tenant.tenant_id, row.barcode);
+
+  await createVariants(product, [row]);
+
+  return listVariantsService({ tenantUuid, productUuid });
+}
+
+/**
+ * Create the missing variants of an attribute matrix, e.g.
+ * { size: ["S", "M", "L"], colour: ["Red", "Blue"] } → 6 variants.
+ * Combinations that already exist are skipped.
+ */
+export async function generateVariantMatrixService({
+  tenantUuid,
+  productUuid,
+  attributes,
+  cost_price = null,
+  sale_price = null,
+  created_by = null,
+}) {
+  const tenant = await findTenantOrThrow(prisma, tenantUuid);
+  const { product, existingKeys, attributeNames } = await findParentOrThrow(
+    tenant.tenant_id,
+    productUuid
+  );
+
+  await assertCanBecomeParent(product);
+
+  const combinations = expandMatrix(attributes);
+  assertSameAttributeNames(attributeNames, combinations[0]);
+
+  const missing = combinations.filter(
+    (entries) => !existingKeys.has(combinationKey(entries))
+  );
+
+  const rows = missing.map((entries) =>
+    buildVariantRow(product, entries, { cost_price, sale_price }, created_by)
+  );
+
+  if (rows.length > 0) {
+    await assertSkusAvailable(
+      tenant.tenant_id,
+      rows.map((r) => r.sku)
+    );
+    await createVariants(product, rows);
+  }
+
+  return {
+    created_count: rows.length,
+    skipped_count: combinations.length - rows.length,
+    ...(await listVariantsService({ tenantUuid, productUuid })),
+  };
+}
@@ -638,3 +638,66 @@ export async function getUsermenuService(userUuid, branchUuid) {
     })),
   };
 }
+
+/** ------------------ MENU PERMISSIONS ------------------- **/
+
+/**
+ * Merged permissions of a user on one menu (by menu_key) in a branch.
+ * Same role rules as getUsermenuService: tenant-wide roles plus roles
+ * assigned to this branch, with their permissions combined (union).
+ */
+export async function getMenuPermissionsService({
+  tenantUserId,
+  branchId,
+  menuKey,
+}) {
+  const permissions = { read: false, add: false, update: false, delete: false };
+
+  const assignments = await prisma.tbl_user_roles.findMany({
+    where: {
+      tenant_user_id: tenantUserId,
+      OR: [{ branch_id: null }, { branch_id: branchId }],
+      role: { is_active: true },
+    },
+    select: { role_id: true },
+  });
+
+  if (!assignments.length) return permissions;
+
+  const permissionRows = await prisma.tbl_role_permissions.findMany({
+    where: {
+      role_id: { in: assignments.map((a) => a.role_id) },
+      tbl_menus: { menu_key: menuKey },
+    },
+  });
+
+  for (const rp of permissionRows) {
+    permissions.read = permissions.read || !!rp.can_read;
+    permissions.add = permissions.add || !!rp.can_add;
+    permissions.update = permissions.update || !!rp.can_update;
+    permissions.delete = permissions.delete || !!rp.can_delete;
+  }
+
+  return permissions;
+}
+
+/**
+ * Whether a user may perform `action` (read | add | update | delete)
+ * on a menu in a branch
+ */
+export async function hasMenuPermissionService({
+  tenantUserId,
+  branchId,
+  menuKey,
+  action,
+}) {
+  if (!tenantUserId) return false;
+
+  const permissions = await getMenuPermissionsService({
+    tenantUserId,
+    branchId,
+    menuKey,
+  });
+
+  return permissions[action] === true;
+}
@@ -7,6 +7,7 @@ import prisma from "../../config/prismaClient.js";
 import { sendDeleteConfirmation } from "../../services/emails/emailService.js";
 import { generateShortUUID } from "../../utils/generateUUID.js";
 import { comparePassword } from "../../utils/hashPassword.js";
+import { REFRESH_COOKIE_PATH } from "../auth/service/refreshToken.service.js";
 
 /**
  * POST /api/tenant/create
@@ -243,6 +244,7 @@ export const tenantDeleteConfirmController = async (req, res) => {
 
     // 7️⃣ Logout
     res.clearCookie("token");
+    res.clearCookie("refresh_token", { path: REFRESH_COOKIE_PATH });
     res.clearCookie("global_token");
 
     return successResponse(res, "Tenant deleted successfully");
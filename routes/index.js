@@ -10,6 +10,7 @@ import subscriptionRoutes from "../modules/subscriptions/subscription.route.js";
 import usersRoutes from "../modules/users/users.route.js";
 import branchesRoutes from "../modules/branches/branches.route.js";
 import tenantRoutes from "../modules/tenant/tenant.route.js";
+import inventoryRoutes from "../modules/inventory/inventory.route.js";
 
 const router = Router();
 
@@ -72,5 +73,6 @@ router.use("/subscription", subscriptionRoutes);
 router.use("/users", usersRoutes);
 router.use("/branches", branchesRoutes);
 router.use("/tenant", tenantRoutes);
+router.use("/inventory", inventoryRoutes);
 
 export default router;
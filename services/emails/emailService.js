@@ -32,6 +32,32 @@ export async function sendMagicLinkEmail(user) {
   console.log("📧 Magic verification email sent to:", user.user_email);
 }
 
+/**
+ * Send a passwordless sign-in link
+ */
+export async function sendLoginLinkEmail(user, loginToken, expiresMinutes) {
+  const clientUrl = process.env.CLIENT_URL;
+  const currentYear = new Date().getFullYear();
+  const loginUrl = `${clientUrl}/magic-login?token=${loginToken}`;
+
+  let html = await loadTemplate("magicLinkEmail.html");
+
+  html = html
+    .replace(/{{user_name}}/g, user.user_name)
+    .replace(/{{login_url}}/g, loginUrl)
+    .replace(/{{expires_minutes}}/g, expiresMinutes)
+    .replace(/{{client_url}}/g, clientUrl)
+    .replace(/{{current_year}}/g, currentYear);
+
+  await sendEmail({
+    to: user.user_email,
+    subject: "Your sign-in link – Quanta",
+    html,
+  });
+
+  console.log("✅ Magic link email sent to:", user.user_email);
+}
+
 /**
  * Send welcome email after successful registration
  */
@@ -0,0 +1,131 @@
+// inventoryEmails.js
+
+import { loadTemplate, sendEmail } from "../../utils/resendEmail.js";
+
+const clientUrl = process.env.CLIENT_URL;
+const currentYear = new Date().getFullYear();
+
+const STATUS_LABELS = {
+  OUT_OF_STOCK: { label: "Out of stock", color: "#dc2626" },
+  BELOW_MIN: { label: "Below minimum", color: "#ea580c" },
+  REORDER: { label: "Reorder", color: "#d97706" },
+};
+
+const EXPIRY_STATUS_LABELS = {
+  EXPIRED: { label: "Expired", color: "#dc2626" },
+  NEAR_EXPIRY: { label: "Expiring soon", color: "#d97706" },
+};
+
+/**
+ * Helper function to escape values placed inside HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Daily low-stock digest for one branch user
+ *
+ * alert: { user_email, user_name, tenant_name, branch_name, branch_uuid,
+ *          items: [{ sku, product_name, unit_of_measure, on_hand,
+ *                    reorder_point, suggested_order_quantity, status }] }
+ */
+export async function sendLowStockAlertEmail(alert) {
+  let html = await loadTemplate("lowStockAlert.html");
+
+  const inventoryUrl = `${clientUrl}/inventory/reorder-levels/${alert.branch_uuid}`;
+
+  const rows = alert.items
+    .map((item) => {
+      const status = STATUS_LABELS[item.status] || {
+        label: item.status,
+        color: "#374151",
+      };
+
+      return `<tr>
+                <td><strong>${escapeHtml(item.product_name)}</strong><br /><span style="color: #6b7280; font-size: 12px">${escapeHtml(item.sku)}</span></td>
+                <td class="number">${item.on_hand} ${escapeHtml(item.unit_of_measure)}</td>
+                <td class="number">${item.reorder_point}</td>
+                <td class="number">${item.suggested_order_quantity}</td>
+                <td><span class="status" style="color: ${status.color}">${status.label}</span></td>
+              </tr>`;
+    })
+    .join("\n");
+
+  html = html
+    .replace(/{{user_name}}/g, escapeHtml(alert.user_name))
+    .replace(/{{tenant_name}}/g, escapeHtml(alert.tenant_name))
+    .replace(/{{branch_name}}/g, escapeHtml(alert.branch_name))
+    .replace(/{{item_count}}/g, alert.items.length)
+    .replace(/{{items_rows}}/g, rows)
+    .replace(/{{inventory_url}}/g, inventoryUrl)
+    .replace(/{{client_url}}/g, clientUrl)
+    .replace(/{{current_year}}/g, currentYear);
+
+  await sendEmail({
+    to: alert.user_email,
+    subject: `📦 Low stock at ${alert.branch_name}: ${alert.items.length} item(s) need reordering`,
+    html,
+  });
+}
+
+/**
+ * Daily expired / near-expiry lot digest for one branch user
+ *
+ * alert: { user_email, user_name, tenant_name, branch_name, branch_uuid,
+ *          window_days,
+ *          items: [{ sku, product_name, unit_of_measure, lot_number,
+ *                    remaining_quantity, expiry_date, days_to_expiry,
+ *                    status }] }
+ */
+export async function sendBatchExpiryAlertEmail(alert) {
+  let html = await loadTemplate("batchExpiryAlert.html");
+
+  const inventoryUrl = `${clientUrl}/inventory/batches/${alert.branch_uuid}/expiring`;
+
+  const expiredCount = alert.items.filter(
+    (item) => item.status === "EXPIRED"
+  ).length;
+
+  const rows = alert.items
+    .map((item) => {
+      const status = EXPIRY_STATUS_LABELS[item.status];
+      const when =
+        item.days_to_expiry < 0
+          ? `${-item.days_to_expiry} day(s) ago`
+          : item.days_to_expiry === 0
+            ? "today"
+            : `in ${item.days_to_expiry} day(s)`;
+
+      return `<tr>
+                <td><strong>${escapeHtml(item.product_name)}</strong><br /><span style="color: #6b7280; font-size: 12px">${escapeHtml(item.sku)}</span></td>
+                <td>${escapeHtml(item.lot_number)}</td>
+                <td class="number">${item.remaining_quantity} ${escapeHtml(item.unit_of_measure)}</td>
+                <td class="number">${new Date(item.expiry_date).toISOString().slice(0, 10)}<br /><span style="color: #6b7280; font-size: 12px">${when}</span></td>
+                <td><span class="status" style="color: ${status.color}">${status.label}</span></td>
+              </tr>`;
+    })
+    .join("\n");
+
+  html = html
+    .replace(/{{user_name}}/g, escapeHtml(alert.user_name))
+    .replace(/{{tenant_name}}/g, escapeHtml(alert.tenant_name))
+    .replace(/{{branch_name}}/g, escapeHtml(alert.branch_name))
+    .replace(/{{expired_count}}/g, expiredCount)
+    .replace(/{{expiring_count}}/g, alert.items.length - expiredCount)
+    .replace(/{{window_days}}/g, alert.window_days)
+    .replace(/{{items_rows}}/g, rows)
+    .replace(/{{inventory_url}}/g, inventoryUrl)
+    .replace(/{{client_url}}/g, clientUrl)
+    .replace(/{{current_year}}/g, currentYear);
+
+  await sendEmail({
+    to: alert.user_email,
+    subject: `⏳ ${alert.items.length} lot(s) at ${alert.branch_name} expired or expiring soon`,
+    html,
+  });
+}
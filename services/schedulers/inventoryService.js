@@ -0,0 +1,284 @@
+// inventoryService.js
+import prisma from "../../config/prismaClient.js";
+import {
+  sendBatchExpiryAlertEmail,
+  sendLowStockAlertEmail,
+} from "../emails/inventoryEmails.js";
+import {
+  getOnHandByProduct,
+  startOfToday,
+} from "../../modules/inventory/inventory.repository.js";
+import {
+  evaluateReorderLevel,
+  LOW_STOCK_STATUSES,
+} from "../../modules/inventory/reorderLevel.service.js";
+import { getDaysToExpiry } from "../../modules/inventory/batch.service.js";
+import { DEFAULT_INVENTORY_SETTINGS } from "../../modules/inventory/settings.service.js";
+
+/**
+ * Users who work at a branch: primary branch or a role assigned there
+ */
+async function getBranchUsers(tenantId, branchId) {
+  return prisma.tbl_tenant_users.findMany({
+    where: {
+      tenant_id: tenantId,
+      OR: [
+        { branch_id: branchId },
+        { userRoles: { some: { branch_id: branchId } } },
+      ],
+    },
+    select: { tenant_user_id: true, user_name: true, user_email: true },
+  });
+}
+
+/**
+ * Compare every branch's stock with its reorder levels and email
+ * branch users a digest of the products at or below the reorder point
+ */
+export async function checkLowStockLevels() {
+  try {
+    const levels = await prisma.tbl_reorder_levels.findMany({
+      where: {
+        tbl_branches: { status: true },
+        tbl_products: { status: "ACTIVE" },
+      },
+      include: {
+        tbl_tenant: { select: { tenant_name: true } },
+        tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+        tbl_products: {
+          select: { sku: true, product_name: true, unit_of_measure: true },
+        },
+      },
+    });
+
+    const levelsByBranch = new Map();
+    for (const level of levels) {
+      const key = level.branch_id.toString();
+      if (!levelsByBranch.has(key)) levelsByBranch.set(key, []);
+      levelsByBranch.get(key).push(level);
+    }
+
+    let totalEmails = 0;
+    let totalBranches = 0;
+
+    for (const branchLevels of levelsByBranch.values()) {
+      const { tenant_id, branch_id, tbl_tenant, tbl_branches } =
+        branchLevels[0];
+
+      const onHand = await getOnHandByProduct(prisma, {
+        branchId: branch_id,
+        productIds: branchLevels.map((l) => l.product_id),
+      });
+
+      const lowLevels = branchLevels
+        .map((level) => {
+          const qty = onHand.get(level.product_id) || 0;
+          return { level, qty, ...evaluateReorderLevel(level, qty) };
+        })
+        .filter((entry) => LOW_STOCK_STATUSES.includes(entry.status));
+
+      if (lowLevels.length === 0) continue;
+
+      const users = await getBranchUsers(tenant_id, branch_id);
+      if (users.length === 0) {
+        console.log(
+          `⚠️ ${lowLevels.length} low-stock item(s) at ${tbl_branches.branch_name} but no branch users to notify`
+        );
+        continue;
+      }
+
+      const items = lowLevels.map((entry) => ({
+        sku: entry.level.tbl_products.sku,
+        product_name: entry.level.tbl_products.product_name,
+        unit_of_measure: entry.level.tbl_products.unit_of_measure,
+        on_hand: entry.qty,
+        reorder_point: Number(entry.level.reorder_point),
+        suggested_order_quantity: entry.suggested_order_quantity,
+        status: entry.status,
+      }));
+
+      let branchEmails = 0;
+      for (const user of users) {
+        // One failed send must not cost the remaining users their alert
+        try {
+          await sendLowStockAlertEmail({
+            user_email: user.user_email,
+            user_name: user.user_name,
+            tenant_name: tbl_tenant.tenant_name,
+            branch_name: tbl_branches.branch_name,
+            branch_uuid: tbl_branches.branch_uuid,
+            items,
+          });
+          branchEmails++;
+          console.log(`📧 Low stock alert sent to: ${user.user_email}`);
+        } catch (error) {
+          console.error(
+            `❌ Failed to send low stock alert to ${user.user_email}:`,
+            error
+          );
+        }
+
+        // Add small delay to avoid rate limiting
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+
+      totalEmails += branchEmails;
+      // Nobody was told → leave it to be alerted again next run
+      if (branchEmails === 0) continue;
+
+      await prisma.tbl_reorder_levels.updateMany({
+        where: {
+          reorder_level_id: {
+            in: lowLevels.map((entry) => entry.level.reorder_level_id),
+          },
+        },
+        data: { last_alerted_on: new Date() },
+      });
+
+      totalBranches++;
+    }
+
+    console.log(
+      `✅ Low stock check processed: ${totalEmails} emails sent for ${totalBranches} branch(es)`
+    );
+  } catch (error) {
+    console.error("❌ Error checking low stock levels:", error);
+    throw error;
+  }
+}
+
+/**
+ * Close ACTIVE reservations past their expiry so the held stock is
+ * available again (outbound checks already ignore them once lapsed)
+ */
+export async function expireStaleReservations() {
+  try {
+    const now = new Date();
+
+    const { count } = await prisma.tbl_stock_reservations.updateMany({
+      where: { status: "ACTIVE", expires_at: { lte: now } },
+      data: { status: "EXPIRED", closed_on: now, modified_on: now },
+    });
+
+    console.log(`✅ Reservation expiry processed: ${count} expired`);
+  } catch (error) {
+    console.error("❌ Error expiring stock reservations:", error);
+    throw error;
+  }
+}
+
+/**
+ * Find lots with stock that have expired or expire within their tenant's
+ * alert window, and email each branch's users a digest of them
+ */
+export async function checkBatchExpiry() {
+  try {
+    const settings = await prisma.tbl_inventory_settings.findMany({
+      select: { tenant_id: true, expiry_alert_days: true },
+    });
+    const windowByTenant = new Map(
+      settings.map((s) => [s.tenant_id, s.expiry_alert_days])
+    );
+
+    // Load up to the widest window, then apply each tenant's own
+    const horizon = startOfToday();
+    horizon.setDate(
+      horizon.getDate() +
+        Math.max(
+          DEFAULT_INVENTORY_SETTINGS.expiry_alert_days,
+          ...windowByTenant.values()
+        )
+    );
+
+    const batches = await prisma.tbl_product_batches.findMany({
+      where: {
+        remaining_quantity: { gt: 0 },
+        expiry_date: { not: null, lte: horizon },
+        tbl_branches: { status: true },
+      },
+      include: {
+        tbl_tenant: { select: { tenant_name: true } },
+        tbl_branches: { select: { branch_uuid: true, branch_name: true } },
+        tbl_products: {
+          select: { sku: true, product_name: true, unit_of_measure: true },
+        },
+      },
+      orderBy: { expiry_date: "asc" },
+    });
+
+    const batchesByBranch = new Map();
+    for (const batch of batches) {
+      const windowDays =
+        windowByTenant.get(batch.tenant_id) ??
+        DEFAULT_INVENTORY_SETTINGS.expiry_alert_days;
+      const daysToExpiry = getDaysToExpiry(batch.expiry_date);
+
+      if (daysToExpiry > windowDays) continue;
+
+      const key = batch.branch_id.toString();
+      if (!batchesByBranch.has(key)) batchesByBranch.set(key, []);
+      batchesByBranch.get(key).push({ batch, daysToExpiry, windowDays });
+    }
+
+    let totalEmails = 0;
+    let totalBranches = 0;
+
+    for (const entries of batchesByBranch.values()) {
+      const { tenant_id, branch_id, tbl_tenant, tbl_branches } =
+        entries[0].batch;
+
+      const users = await getBranchUsers(tenant_id, branch_id);
+      if (users.length === 0) {
+        console.log(
+          `⚠️ ${entries.length} expiring lot(s) at ${tbl_branches.branch_name} but no branch users to notify`
+        );
+        continue;
+      }
+
+      const items = entries.map(({ batch, daysToExpiry }) => ({
+        sku: batch.tbl_products.sku,
+        product_name: batch.tbl_products.product_name,
+        unit_of_measure: batch.tbl_products.unit_of_measure,
+        lot_number: batch.lot_number,
+        remaining_quantity: Number(batch.remaining_quantity),
+        expiry_date: batch.expiry_date,
+        days_to_expiry: daysToExpiry,
+        status: daysToExpiry < 0 ? "EXPIRED" : "NEAR_EXPIRY",
+      }));
+
+      for (const user of users) {
+        // One failed send must not cost the remaining users their alert
+        try {
+          await sendBatchExpiryAlertEmail({
+            user_email: user.user_email,
+            user_name: user.user_name,
+            tenant_name: tbl_tenant.tenant_name,
+            branch_name: tbl_branches.branch_name,
+            branch_uuid: tbl_branches.branch_uuid,
+            window_days: entries[0].windowDays,
+            items,
+          });
+          totalEmails++;
+          console.log(`📧 Batch expiry alert sent to: ${user.user_email}`);
+        } catch (error) {
+          console.error(
+            `❌ Failed to send batch expiry alert to ${user.user_email}:`,
+            error
+          );
+        }
+
+        // Add small delay to avoid rate limiting
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+
+      totalBranches++;
+    }
+
+    console.log(
+      `✅ Batch expiry check processed: ${totalEmails} emails sent for ${totalBranches} branch(es)`
+    );
+  } catch (error) {
+    console.error("❌ Error checking batch expiry:", error);
+    throw error;
+  }
+}
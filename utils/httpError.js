@@ -0,0 +1,13 @@
+/**
+ * Create an Error carrying an HTTP status code.
+ * The global errorHandler reads `err.status` to build the client response.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - User-friendly error message
+ * @returns {Error}
+ */
+export const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
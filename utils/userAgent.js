@@ -0,0 +1,65 @@
+/**
+ * Lightweight User-Agent parsing for the sessions list: browser, OS and
+ * device type are enough to tell "Chrome on Windows" from "Safari on iPhone".
+ */
+
+// Order matters: Edge and Opera also claim Chrome, Chrome also claims Safari
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera", /(?:OPR|Opera)\/([\d.]+)/],
+  ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["Safari", /Version\/([\d.]+).*Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ["Android", /Android ([\d.]+)/],
+  ["Windows", /Windows NT ([\d.]+)/],
+  ["macOS", /Mac OS X ([\d_.]+)/],
+  ["Chrome OS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+const matchFirst = (ua, patterns) => {
+  for (const [name, pattern] of patterns) {
+    const match = ua.match(pattern);
+    if (match) {
+      return { name, version: match[1]?.replace(/_/g, ".") || null };
+    }
+  }
+  return { name: null, version: null };
+};
+
+const deviceType = (ua) => {
+  if (/bot|crawler|spider|curl|wget|postman|axios|node-fetch/i.test(ua)) {
+    return "bot";
+  }
+  if (/iPad|Tablet/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod/i.test(ua)) return "mobile";
+  return "desktop";
+};
+
+/**
+ * { browser, browser_version, os, os_version, device_type, label }
+ */
+export const parseUserAgent = (userAgent) => {
+  const ua = userAgent || "";
+  const browser = matchFirst(ua, BROWSERS);
+  const os = matchFirst(ua, OPERATING_SYSTEMS);
+
+  const label =
+    [browser.name, os.name].filter(Boolean).join(" on ") || "Unknown device";
+
+  return {
+    browser: browser.name,
+    browser_version: browser.version,
+    os: os.name,
+    os_version: os.version,
+    device_type: ua ? deviceType(ua) : null,
+    label,
+  };
+};